@@ -0,0 +1,103 @@
+/**
+ * Service worker: keeps the app shell available offline.
+ *
+ * - On install, precaches the built files listed in precache-manifest.js
+ *   (emitted by the build, see vite.config.js) plus index.html.
+ * - Navigations are network-first and fall back to the cached index.html,
+ *   so every SPA route still opens without a connection.
+ * - Other same-origin GETs are cache-first.
+ *
+ * Weather data is not handled here: the app keeps the last WeatherState
+ * per location in IndexedDB (see src/services/cache.js) and falls back to
+ * it when the network is unavailable.
+ */
+
+importScripts("./precache-manifest.js");
+
+const MANIFEST = self.__PRECACHE_MANIFEST || { version: "dev", files: [] };
+const CACHE_PREFIX = "app-shell-";
+const CACHE_NAME = `${CACHE_PREFIX}${MANIFEST.version}`;
+const INDEX_URL = new URL("index.html", self.registration.scope).href;
+
+const PRECACHE_URLS = [
+    INDEX_URL,
+    new URL("weather.svg", self.registration.scope).href,
+    ...MANIFEST.files.map((file) => new URL(file, self.registration.scope).href),
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches
+            .open(CACHE_NAME)
+            .then((cache) => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) =>
+                Promise.all(
+                    keys
+                        .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                        .map((key) => caches.delete(key))
+                )
+            )
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network-first for page navigations, falling back to the cached shell.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(INDEX_URL, response.clone());
+        }
+        return response;
+    } catch {
+        const cached = await caches.match(INDEX_URL);
+        return cached || Response.error();
+    }
+}
+
+/**
+ * Cache-first for static assets, storing anything fetched on the way.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleAsset(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    if (!url.href.startsWith(self.registration.scope)) return;
+
+    if (request.mode === "navigate") {
+        event.respondWith(handleNavigation(request));
+    } else {
+        event.respondWith(handleAsset(request));
+    }
+});
@@ -1,41 +1,335 @@
-import { useState } from "react";
-import { Routes, Route, Link } from "react-router-dom";
+import { useState, useRef, useEffect, useEffectEvent } from "react";
+import { Routes, Route, Link, useLocation, useNavigate } from "react-router-dom";
 import Landing from "./pages/Landing";
 import Forecast from "./pages/Forecast";
+import Dashboard from "./pages/Dashboard";
+import TripPlanner from "./pages/TripPlanner";
+import Compare from "./pages/Compare";
 import { fetchWeatherForQuery, fetchWeatherForCoords, reverseGeocodeCoords } from "./services/weatherApi";
+import {
+    AUTO_PROVIDER,
+    listForecastProviders,
+    loadProviderPreference,
+    saveProviderPreference,
+} from "./services/forecastProviders";
+import {
+    MIN_FORECAST_DAYS,
+    MAX_FORECAST_DAYS,
+    MAX_PAST_DAYS,
+    loadHorizonPreference,
+    saveHorizonPreference,
+} from "./services/forecastHorizon";
+import { loadLastLocation, saveLastLocation } from "./services/lastLocation";
+import {
+    loadSearchHistory,
+    saveSearchHistory,
+    loadSearchHistoryEnabled,
+    saveSearchHistoryEnabled,
+    recordSearch,
+    removeSearch,
+} from "./services/searchHistory";
+import { parseForecastSearch, buildForecastSearch, isSameForecastPlace } from "./services/forecastUrl";
+import {
+    shouldRefetchForFix,
+    loadFollowDistance,
+    saveFollowDistance,
+} from "./services/followMe";
+import FollowMeControl from "./components/FollowMeControl";
+import {
+    favoriteId,
+    loadFavorites,
+    saveFavorites,
+    addFavorite,
+    renameFavorite,
+    moveFavorite,
+    removeFavorite,
+} from "./services/favorites";
+import { fetchAlerts } from "./services/alertsApi";
+import { fetchDayHistory, compareWithHistory } from "./services/historyApi";
+import { formatZonedIsoTime } from "./services/time";
+import {
+    RequestError,
+    NetworkError,
+    TimeoutError,
+    HttpStatusError,
+    ParseError,
+    isAbortError,
+} from "./services/http";
+
+/**
+ * Turn a fetch failure into a specific, actionable message for the user.
+ *
+ * Wrapped errors (e.g. "all providers failed") are described by their
+ * underlying request error when there is one.
+ *
+ * @param {any} err
+ * @returns {string}
+ */
+function describeError(err) {
+    const requestError =
+        err instanceof RequestError
+            ? err
+            : err?.cause instanceof RequestError
+                ? err.cause
+                : null;
+
+    if (requestError instanceof NetworkError) {
+        return "Can't reach the weather service. Check your internet connection and try again.";
+    }
+    if (requestError instanceof TimeoutError) {
+        return "The weather service is taking too long to respond. Please try again in a moment.";
+    }
+    if (requestError instanceof HttpStatusError) {
+        if (requestError.status === 429) {
+            return "Too many requests right now. Wait a minute, then try again.";
+        }
+        if (requestError.status >= 500) {
+            return `The weather service is having problems (status ${requestError.status}). Try again shortly or pick another forecast provider.`;
+        }
+        return `The weather service rejected the request (status ${requestError.status}). Check the location and try again.`;
+    }
+    if (requestError instanceof ParseError) {
+        return "The weather service sent an unexpected response. Try again or pick another forecast provider.";
+    }
+
+    return err?.message || "Failed to fetch weather data.";
+}
 
 /**
  * Main application component
  * @returns {JSX.Element} App component
  */
 export default function App() {
+    const location = useLocation();
+    const navigate = useNavigate();
     const [query, setQuery] = useState("");
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [weather, setWeather] = useState(null);
-    const [unitSystem, setUnitSystem] = useState("metric"); // "metric" | "imperial"
+    const [refreshing, setRefreshing] = useState(false); // showing stale data while fetching
+    const [unitSystem, setUnitSystem] = useState(
+        () => parseForecastSearch(location.search).unitSystem ?? "metric"
+    ); // "metric" | "imperial"
+    const [provider, setProvider] = useState(loadProviderPreference); // provider ID or "auto"
+    const [horizon, setHorizon] = useState(loadHorizonPreference); // { forecastDays, pastDays }
+    const [alertsState, setAlertsState] = useState(null); // { coordsKey, result }
+    const [historyState, setHistoryState] = useState(null); // { historyKey, days }
+    const [favorites, setFavorites] = useState(loadFavorites); // saved places, in display order
+    const [searchHistoryEnabled, setSearchHistoryEnabled] = useState(loadSearchHistoryEnabled);
+    const [recentSearches, setRecentSearches] = useState(() =>
+        loadSearchHistoryEnabled() ? loadSearchHistory() : []
+    ); // newest first
+    const [following, setFollowing] = useState(false); // follow-me mode on
+    const [followFix, setFollowFix] = useState(null); // latest PositionFix while following
+    const [followDistanceKm, setFollowDistanceKm] = useState(loadFollowDistance);
+    const [pageHidden, setPageHidden] = useState(() => document.visibilityState === "hidden");
 
     // derive label from weather now; no separate state needed
     const locationLabel = weather?.locationLabel ?? null;
 
+    // Query string that reproduces what is on screen; forecast URLs carry it.
+    const forecastSearch = weather
+        ? buildForecastSearch(
+            { lat: weather.coords.lat, lon: weather.coords.lon, label: weather.locationLabel },
+            unitSystem
+        )
+        : "";
+
+    // Alerts are fetched per location; ignore any left over from the last one.
+    const placeLat = weather?.coords.lat ?? null;
+    const placeLon = weather?.coords.lon ?? null;
+    const coordsKey = weather ? `${placeLat},${placeLon}` : null;
+    const alerts = alertsState?.coordsKey === coordsKey ? alertsState.result : null;
+
+    const isFavorite = weather
+        ? favorites.some((f) => f.id === favoriteId(weather.coords.lat, weather.coords.lon))
+        : false;
+
+    // Same date in past years, compared against today's forecast.
+    const today = weather ? formatZonedIsoTime(new Date(), weather.timezone).slice(0, 10) : null;
+    const historyKey = weather ? `${coordsKey}:${today}` : null;
+    const history =
+        historyState?.historyKey === historyKey && historyState.days
+            ? compareWithHistory(
+                historyState.days,
+                today,
+                weather.daily.find((d) => d.date === today) ?? null
+            )
+            : null;
+
+    // AbortController of the latest lookup; starting a new one aborts it.
+    const requestRef = useRef(null);
+
+    // Last forecast loaded by follow-me mode, and the latest fix seen.
+    const followFetchRef = useRef(null);
+    const followFixRef = useRef(null);
+
+    // AbortController of the last lookup follow-me started; turning it off
+    // aborts it so a late answer cannot replace what is on screen.
+    const followRequestRef = useRef(null);
+
+    // Place on screen when the forecast URL was last written.
+    const urlPlaceRef = useRef(null);
+
+    /**
+    * Start a new lookup, aborting whichever one is still in flight so a
+    * slow, superseded request can never overwrite newer results.
+    * @param {{background?: boolean}} [options] - Background lookups keep the
+    *   current forecast on screen with a "Refreshing…" badge
+    * @returns {AbortController} Controller for the new lookup
+    */
+    const beginRequest = ({ background = false } = {}) => {
+        requestRef.current?.abort();
+        const controller = new AbortController();
+        requestRef.current = controller;
+        setError(null);
+        setLoading(!background);
+        setRefreshing(background);
+        return controller;
+    };
+
+    /**
+    * Show a stale cached forecast while the lookup revalidates it.
+    * @param {AbortController} controller - Controller from beginRequest()
+    * @param {object} stale - Cached WeatherState past its TTL
+    */
+    const showStale = (controller, stale) => {
+        if (requestRef.current !== controller) return;
+        setWeather(stale);
+        setLoading(false);
+        setRefreshing(true);
+    };
+
+    /**
+    * Finish a lookup: clear the loading flag, unless a newer lookup has
+    * already taken over.
+    * @param {AbortController} controller - Controller from beginRequest()
+    */
+    const endRequest = (controller) => {
+        if (requestRef.current !== controller) return;
+        requestRef.current = null;
+        setLoading(false);
+        setRefreshing(false);
+    };
+
     /**
     * Handle submission of a location query to fetch weather data.
     * @param {string} value - The location query (city name, ZIP code, etc.)
     */
     const handleSubmitLocation = async (value) => {
+        stopFollowing();
         setQuery(value);
-        setError(null);
-        setLoading(true);
+        const controller = beginRequest();
+        let staleShown = false;
+
+        try {
+            const result = await fetchWeatherForQuery(value, {
+                provider,
+                horizon,
+                signal: controller.signal,
+                onStale: (stale) => {
+                    staleShown = true;
+                    showStale(controller, stale);
+                },
+            });
+            setWeather(result);
+            rememberSearch(value, result);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error(err);
+            if (staleShown) {
+                setError(`${describeError(err)} Showing the last saved forecast.`);
+            } else {
+                setError(describeError(err));
+                setWeather(null);
+            }
+        } finally {
+            endRequest(controller);
+        }
+    };
+
+    /**
+    * Handle picking a suggested place: fetch weather for its exact
+    * coordinates rather than geocoding the text again.
+    * @param {{lat: number, lon: number, label: string}} location - Chosen place
+    * @param {{query?: string}} [options] - Record the search under this text; omit for non-searches (saved places)
+    */
+    const handleSelectLocation = async ({ lat, lon, label }, { query: searchText } = {}) => {
+        stopFollowing();
+        setQuery(label);
+        const controller = beginRequest();
+        let staleShown = false;
 
         try {
-            const result = await fetchWeatherForQuery(value);
+            const result = await fetchWeatherForCoords(lat, lon, label, {
+                provider,
+                horizon,
+                signal: controller.signal,
+                onStale: (stale) => {
+                    staleShown = true;
+                    showStale(controller, stale);
+                },
+            });
             setWeather(result);
+            if (searchText != null) rememberSearch(searchText, result);
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error(err);
-            setError(err.message || "Failed to fetch weather data.");
-            setWeather(null);
+            if (staleShown) {
+                setError(`${describeError(err)} Showing the last saved forecast.`);
+            } else {
+                setError(describeError(err));
+                setWeather(null);
+            }
         } finally {
-            setLoading(false);
+            endRequest(controller);
+        }
+    };
+
+    /**
+    * Load weather for a device position, labelled with the reverse-geocoded
+    * place name when there is one.
+    * @param {AbortController} controller - Controller from beginRequest()
+    * @param {number} latitude - Latitude in decimal degrees
+    * @param {number} longitude - Longitude in decimal degrees
+    * @param {{keepOnError?: boolean}} [options] - Keep the current forecast if this fails
+    */
+    const loadPosition = async (controller, latitude, longitude, { keepOnError = false } = {}) => {
+        const { signal } = controller;
+        let staleShown = false;
+
+        try {
+            // Try to turn the raw coords into a nearby city/town label
+            const reverseLabel = await reverseGeocodeCoords(latitude, longitude, { signal });
+
+            const result = await fetchWeatherForCoords(
+                latitude,
+                longitude,
+                // Prefer human-friendly label; fall back to coords if reverse fails
+                reverseLabel ?? `Your location (${latitude.toFixed(2)}, ${longitude.toFixed(2)})`,
+                {
+                    provider,
+                    horizon,
+                    signal,
+                    onStale: (stale) => {
+                        staleShown = true;
+                        showStale(controller, stale);
+                    },
+                }
+            );
+
+            setWeather(result);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error(err);
+            if (staleShown || keepOnError) {
+                setError(`${describeError(err)} Showing the last saved forecast.`);
+            } else {
+                setError(describeError(err));
+                setWeather(null);
+            }
+        } finally {
+            endRequest(controller);
         }
     };
 
@@ -43,46 +337,400 @@ export default function App() {
     * Handle using the user's current location to fetch weather data.
     */
     const handleUseMyLocation = () => {
-        setError(null);
-
         if (!navigator.geolocation) {
             setError("Geolocation is not supported by your browser.");
             return;
         }
 
-        setLoading(true);
+        stopFollowing();
+        const controller = beginRequest();
+        const { signal } = controller;
 
         navigator.geolocation.getCurrentPosition(
-            async (position) => {
+            (position) => {
+                if (signal.aborted) return;
                 const { latitude, longitude } = position.coords;
-                try {
-                    // Try to turn the raw coords into a nearby city/town label
-                    const reverseLabel = await reverseGeocodeCoords(latitude, longitude);
-
-                    const result = await fetchWeatherForCoords(
-                        latitude,
-                        longitude,
-                        // Prefer human-friendly label; fall back to coords if reverse fails
-                        reverseLabel ?? `Your location (${latitude.toFixed(2)}, ${longitude.toFixed(2)})`
-                    );
-
-                    setWeather(result);
-                } catch (err) {
-                    console.error(err);
-                    setError(err.message || "Failed to fetch weather data.");
-                    setWeather(null);
-                } finally {
-                    setLoading(false);
-                }
+                loadPosition(controller, latitude, longitude);
             },
             (err) => {
+                if (signal.aborted) return;
                 console.error(err);
-                setLoading(false);
+                endRequest(controller);
                 setError(`Unable to get your location (${err.message}).`);
             }
         );
     };
 
+    /**
+    * Leave follow-me mode (if on), abort its lookup if still in flight and
+    * forget its last fix.
+    */
+    const stopFollowing = () => {
+        followRequestRef.current?.abort();
+        followRequestRef.current = null;
+        setFollowing(false);
+        setFollowFix(null);
+        followFetchRef.current = null;
+        followFixRef.current = null;
+    };
+
+    /**
+    * Turn follow-me mode on or off.
+    */
+    const handleToggleFollowing = () => {
+        if (following) {
+            stopFollowing();
+            return;
+        }
+        if (!navigator.geolocation) {
+            setError("Geolocation is not supported by your browser.");
+            return;
+        }
+        setFollowing(true);
+    };
+
+    /**
+    * Change how far the device must move before follow-me refetches.
+    * @param {number} km - One of FOLLOW_DISTANCE_OPTIONS_KM
+    */
+    const handleChangeFollowDistance = (km) => {
+        setFollowDistanceKm(km);
+        saveFollowDistance(km);
+    };
+
+    /**
+    * Load (or reload) weather for known coordinates, keeping whatever is on
+    * screen if the lookup fails.
+    * @param {number} lat - Latitude in decimal degrees
+    * @param {number} lon - Longitude in decimal degrees
+    * @param {string} label - Location label to show
+    * @param {string} providerValue - Provider ID or "auto"
+    * @param {{forecastDays: number, pastDays: number}} horizonValue - Days ahead/back
+    */
+    const loadCoords = async (lat, lon, label, providerValue, horizonValue) => {
+        const controller = beginRequest();
+
+        try {
+            const result = await fetchWeatherForCoords(lat, lon, label, {
+                provider: providerValue,
+                horizon: horizonValue,
+                signal: controller.signal,
+                onStale: (stale) => showStale(controller, stale),
+            });
+            setWeather(result);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error(err);
+            setError(describeError(err));
+        } finally {
+            endRequest(controller);
+        }
+    };
+
+    /**
+    * Switch forecast provider, persist the choice and reload the current
+    * location (if any) from the newly selected provider.
+    * @param {string} value - Provider ID or "auto"
+    */
+    const handleChangeProvider = (value) => {
+        setProvider(value);
+        saveProviderPreference(value);
+
+        if (!weather) return;
+        loadCoords(weather.coords.lat, weather.coords.lon, weather.locationLabel, value, horizon);
+    };
+
+    /**
+    * Change how many days ahead/back to show, persist it and reload the
+    * current location (if any) with the new horizon.
+    * @param {{forecastDays?: number, pastDays?: number}} change - Fields to update
+    */
+    const handleChangeHorizon = (change) => {
+        const next = { ...horizon, ...change };
+        setHorizon(next);
+        saveHorizonPreference(next);
+
+        if (!weather) return;
+        loadCoords(weather.coords.lat, weather.coords.lon, weather.locationLabel, provider, next);
+    };
+
+    /**
+    * Apply a change to the saved places and persist the result.
+    * @param {(list: Array<import("./services/favorites").Favorite>) => Array<import("./services/favorites").Favorite>} change - Pure update from services/favorites
+    */
+    const updateFavorites = (change) => {
+        const next = change(favorites);
+        setFavorites(next);
+        saveFavorites(next);
+    };
+
+    /**
+    * Add a finished search to the recent searches, unless history is off.
+    * @param {string} text - What was searched for
+    * @param {import("./services/weatherApi").WeatherState} result - Forecast it resolved to
+    */
+    const rememberSearch = (text, result) => {
+        if (!searchHistoryEnabled) return;
+        setRecentSearches((prev) =>
+            recordSearch(prev, {
+                query: text,
+                label: result.locationLabel,
+                lat: result.coords.lat,
+                lon: result.coords.lon,
+            })
+        );
+    };
+
+    /**
+    * Turn search history on or off. Turning it off also forgets it.
+    * @param {boolean} enabled - New setting
+    */
+    const handleToggleSearchHistory = (enabled) => {
+        setSearchHistoryEnabled(enabled);
+        saveSearchHistoryEnabled(enabled);
+        if (!enabled) setRecentSearches([]);
+    };
+
+    /**
+    * Save the place on screen, or remove it if it is already saved.
+    */
+    const handleToggleFavorite = () => {
+        if (!weather) return;
+        const { lat, lon } = weather.coords;
+        if (isFavorite) {
+            updateFavorites((list) => removeFavorite(list, favoriteId(lat, lon)));
+        } else {
+            updateFavorites((list) => addFavorite(list, { lat, lon, label: weather.locationLabel }));
+        }
+    };
+
+    // Persist recent searches (an empty list clears them from storage).
+    useEffect(() => {
+        saveSearchHistory(recentSearches);
+    }, [recentSearches]);
+
+    // Track whether the page is visible; follow-me pauses while hidden.
+    useEffect(() => {
+        const handleVisibility = () => setPageHidden(document.visibilityState === "hidden");
+        document.addEventListener("visibilitychange", handleVisibility);
+        return () => document.removeEventListener("visibilitychange", handleVisibility);
+    }, []);
+
+    /**
+    * Load a forecast for a follow-me fix if it has moved far enough or the
+    * last one is stale. An effect event, so it sees the current distance,
+    * provider and horizon without restarting the position watch.
+    * @param {import("./services/followMe").PositionFix} fix - Latest position
+    */
+    const refetchFollowIfDue = useEffectEvent((fix) => {
+        if (!shouldRefetchForFix(followFetchRef.current, fix, followDistanceKm)) return;
+        // After the first forecast, refresh in place instead of blanking it.
+        const background = followFetchRef.current != null;
+        followFetchRef.current = { lat: fix.lat, lon: fix.lon, at: Date.now() };
+        const controller = beginRequest({ background });
+        followRequestRef.current = controller;
+        loadPosition(controller, fix.lat, fix.lon, { keepOnError: background });
+    });
+
+    /**
+    * Handle a follow-me position error; only a denied permission ends it.
+    * @param {GeolocationPositionError} err - Error from watchPosition
+    */
+    const handleFollowError = useEffectEvent((err) => {
+        console.warn("Follow-me position error", err);
+        if (err.code === err.PERMISSION_DENIED) {
+            stopFollowing();
+            setError(`Unable to follow your location (${err.message}).`);
+        }
+    });
+
+    // Follow-me: watch the device position while on and visible. A fix
+    // only triggers a new forecast after moving followDistanceKm or once
+    // the last one is stale; a timer covers the stale case for a device
+    // that stands still and stops reporting.
+    useEffect(() => {
+        if (!following || pageHidden) return;
+
+        const watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                const fix = {
+                    lat: position.coords.latitude,
+                    lon: position.coords.longitude,
+                    accuracy: position.coords.accuracy ?? null,
+                    timestamp: position.timestamp,
+                };
+                followFixRef.current = fix;
+                setFollowFix(fix);
+                refetchFollowIfDue(fix);
+            },
+            (err) => handleFollowError(err),
+            { enableHighAccuracy: true, maximumAge: 10000, timeout: 60000 }
+        );
+
+        const staleTimer = setInterval(() => {
+            if (followFixRef.current) refetchFollowIfDue(followFixRef.current);
+        }, 60 * 1000);
+
+        return () => {
+            navigator.geolocation.clearWatch(watchId);
+            clearInterval(staleTimer);
+        };
+    }, [following, pageHidden]);
+
+    // Remember the last location shown so it can be reopened on launch.
+    useEffect(() => {
+        if (!weather) return;
+        saveLastLocation({
+            lat: weather.coords.lat,
+            lon: weather.coords.lon,
+            label: weather.locationLabel,
+        });
+    }, [weather]);
+
+    // Load active alerts whenever the location changes (best effort).
+    // Only the coordinates are dependencies, so a refresh of the same place
+    // does not refetch.
+    useEffect(() => {
+        if (placeLat == null || placeLon == null) return;
+
+        const key = `${placeLat},${placeLon}`;
+        const controller = new AbortController();
+
+        fetchAlerts(placeLat, placeLon, { signal: controller.signal })
+            .then((result) => setAlertsState({ coordsKey: key, result }))
+            .catch((err) => {
+                if (isAbortError(err)) return;
+                console.warn("Failed to load alerts", err);
+                setAlertsState({
+                    coordsKey: key,
+                    result: { supported: true, alerts: [], error: true },
+                });
+            });
+
+        return () => controller.abort();
+    }, [placeLat, placeLon]);
+
+    // Load the same date in past years whenever the place or day changes
+    // (best effort; the card is simply hidden on failure).
+    useEffect(() => {
+        if (placeLat == null || placeLon == null || !today) return;
+
+        const key = `${placeLat},${placeLon}:${today}`;
+        const controller = new AbortController();
+
+        fetchDayHistory(placeLat, placeLon, today, { signal: controller.signal })
+            .then((days) => setHistoryState({ historyKey: key, days }))
+            .catch((err) => {
+                if (isAbortError(err)) return;
+                console.warn("Failed to load history", err);
+                setHistoryState({ historyKey: key, days: null });
+            });
+
+        return () => controller.abort();
+    }, [placeLat, placeLon, today]);
+
+    /**
+    * On launch without a place in the URL, reopen the last location, which
+    * offline serves the last-known forecast from cache instead of an empty
+    * page. A place in the URL is loaded by the URL effect below.
+    */
+    const openInitialLocation = useEffectEvent(() => {
+        if (location.pathname.startsWith("/forecast/")) {
+            const fromUrl = parseForecastSearch(location.search);
+            if (fromUrl.location || fromUrl.query) return;
+        }
+
+        const last = loadLastLocation();
+        if (last) loadCoords(last.lat, last.lon, last.label, provider, horizon);
+    });
+
+    useEffect(() => {
+        openInitialLocation();
+    }, []);
+
+    /**
+    * Show what a forecast URL asks for: on launch, a shared link, or
+    * Back/Forward to an older entry. A URL without a place is filled in
+    * with the one on screen, unless a lookup is about to replace it.
+    */
+    const applyForecastUrl = useEffectEvent(() => {
+        if (!location.pathname.startsWith("/forecast/")) return;
+        const fromUrl = parseForecastSearch(location.search);
+
+        if (fromUrl.unitSystem && fromUrl.unitSystem !== unitSystem) {
+            setUnitSystem(fromUrl.unitSystem);
+        }
+        if (fromUrl.location) {
+            if (weather && isSameForecastPlace(fromUrl.location, weather.coords)) return;
+            const { lat, lon, label } = fromUrl.location;
+            stopFollowing();
+            loadCoords(lat, lon, label, provider, horizon);
+            return;
+        }
+        if (fromUrl.query) {
+            handleSubmitLocation(fromUrl.query);
+            return;
+        }
+        if (forecastSearch && !loading) {
+            navigate({ pathname: location.pathname, search: forecastSearch }, { replace: true });
+        }
+    });
+
+    useEffect(() => {
+        applyForecastUrl();
+    }, [location.pathname, location.search]);
+
+    /**
+    * Write the place and units on screen into the forecast URL, so the
+    * address bar can be bookmarked or shared at any time. A new place on
+    * screen gets its own history entry; unit, label and follow-me changes
+    * replace the current one so they stay out of the back-button history.
+    * When only the URL moved (Back/Forward), it is left alone while its
+    * place loads.
+    */
+    const writeForecastUrl = useEffectEvent(() => {
+        if (!forecastSearch || !location.pathname.startsWith("/forecast/")) return;
+
+        const placeChanged =
+            urlPlaceRef.current == null || !isSameForecastPlace(urlPlaceRef.current, weather.coords);
+        if (location.search === forecastSearch) {
+            urlPlaceRef.current = weather.coords;
+            return;
+        }
+
+        const shown = parseForecastSearch(location.search).location;
+        const otherPlace = shown != null && !isSameForecastPlace(shown, weather.coords);
+        if (otherPlace && !placeChanged) return;
+
+        urlPlaceRef.current = weather.coords;
+        navigate(
+            { pathname: location.pathname, search: forecastSearch },
+            { replace: !otherPlace || following }
+        );
+    });
+
+    useEffect(() => {
+        writeForecastUrl();
+    }, [forecastSearch]);
+
+    /**
+    * Replace the offline forecast on screen with a fresh one.
+    */
+    const reloadOfflineForecast = useEffectEvent(() => {
+        if (!weather?.offline) return;
+        loadCoords(weather.coords.lat, weather.coords.lon, weather.locationLabel, provider, horizon);
+    });
+
+    // When the connection comes back, replace an offline forecast.
+    const showingOffline = Boolean(weather?.offline);
+    useEffect(() => {
+        if (!showingOffline) return;
+
+        const handleOnline = () => reloadOfflineForecast();
+        window.addEventListener("online", handleOnline);
+        return () => window.removeEventListener("online", handleOnline);
+    }, [showingOffline]);
+
     return (
         <div className="min-h-screen">
             <div className="max-w-5xl mx-auto px-4 py-6 sm:py-8">
@@ -105,15 +753,43 @@ export default function App() {
                                 Home
                             </Link>
                             <Link
-                                to="/forecast/hourly"
+                                to={{ pathname: "/forecast/hourly", search: forecastSearch }}
                                 className="text-slate-300 hover:text-sky-400 underline-offset-4 hover:underline"
                             >
                                 Forecast
                             </Link>
+                            <Link
+                                to="/dashboard"
+                                className="text-slate-300 hover:text-sky-400 underline-offset-4 hover:underline"
+                            >
+                                Saved
+                            </Link>
+                            <Link
+                                to="/compare"
+                                className="text-slate-300 hover:text-sky-400 underline-offset-4 hover:underline"
+                            >
+                                Compare
+                            </Link>
+                            <Link
+                                to="/trip"
+                                className="text-slate-300 hover:text-sky-400 underline-offset-4 hover:underline"
+                            >
+                                Trip
+                            </Link>
                         </nav>
 
+                        <FollowMeControl
+                            following={following}
+                            paused={pageHidden}
+                            fix={followFix}
+                            distanceKm={followDistanceKm}
+                            unitSystem={unitSystem}
+                            onToggle={handleToggleFollowing}
+                            onChangeDistance={handleChangeFollowDistance}
+                        />
+
                         {/* Unit toggle */}
-                        <div className="flex items-center gap-2">
+                        <div className="flex flex-wrap items-center justify-center gap-2">
                             <div className="inline-flex items-center rounded-full bg-slate-800/70 px-1 py-1 border border-slate-700">
                                 <button
                                     type="button"
@@ -140,6 +816,50 @@ export default function App() {
                                     °F
                                 </button>
                             </div>
+
+                            {/* Forecast provider */}
+                            <select
+                                value={provider}
+                                onChange={(e) => handleChangeProvider(e.target.value)}
+                                aria-label="Forecast provider"
+                                className="rounded-full bg-slate-800/70 border border-slate-700 px-3 py-1.5 text-xs text-slate-200 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                            >
+                                <option value={AUTO_PROVIDER}>Auto provider</option>
+                                {listForecastProviders().map((p) => (
+                                    <option key={p.id} value={p.id}>
+                                        {p.label}
+                                    </option>
+                                ))}
+                            </select>
+
+                            {/* Forecast horizon */}
+                            <select
+                                value={horizon.forecastDays}
+                                onChange={(e) => handleChangeHorizon({ forecastDays: Number(e.target.value) })}
+                                aria-label="Forecast days"
+                                className="rounded-full bg-slate-800/70 border border-slate-700 px-3 py-1.5 text-xs text-slate-200 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                            >
+                                {Array.from(
+                                    { length: MAX_FORECAST_DAYS - MIN_FORECAST_DAYS + 1 },
+                                    (_, i) => MIN_FORECAST_DAYS + i
+                                ).map((n) => (
+                                    <option key={n} value={n}>
+                                        {n === 1 ? "Today only" : `${n} days ahead`}
+                                    </option>
+                                ))}
+                            </select>
+                            <select
+                                value={horizon.pastDays}
+                                onChange={(e) => handleChangeHorizon({ pastDays: Number(e.target.value) })}
+                                aria-label="Past days"
+                                className="rounded-full bg-slate-800/70 border border-slate-700 px-3 py-1.5 text-xs text-slate-200 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                            >
+                                {Array.from({ length: MAX_PAST_DAYS + 1 }, (_, n) => (
+                                    <option key={n} value={n}>
+                                        {n === 0 ? "No past days" : `${n} day${n === 1 ? "" : "s"} back`}
+                                    </option>
+                                ))}
+                            </select>
                         </div>
                     </div>
                 </header>
@@ -153,7 +873,21 @@ export default function App() {
                                 loading={loading}
                                 error={error}
                                 onSubmitLocation={handleSubmitLocation}
+                                onSelectLocation={(loc) => handleSelectLocation(loc, { query: loc.label })}
                                 onUseMyLocation={handleUseMyLocation}
+                                recentSearches={recentSearches}
+                                searchHistoryEnabled={searchHistoryEnabled}
+                                isSearchSaved={(entry) => favorites.some((f) => f.id === entry.id)}
+                                onRunSearch={(entry) =>
+                                    handleSelectLocation(
+                                        { lat: entry.lat, lon: entry.lon, label: entry.label },
+                                        { query: entry.query }
+                                    )
+                                }
+                                onPinSearch={(entry) => updateFavorites((list) => addFavorite(list, entry))}
+                                onRemoveSearch={(id) => setRecentSearches((prev) => removeSearch(prev, id))}
+                                onClearSearches={() => setRecentSearches([])}
+                                onToggleSearchHistory={handleToggleSearchHistory}
                             />
                         }
                     />
@@ -164,11 +898,59 @@ export default function App() {
                                 loading={loading}
                                 error={error}
                                 weather={weather}
+                                refreshing={refreshing}
+                                alerts={alerts}
+                                history={history}
                                 locationLabel={locationLabel}
                                 unitSystem={unitSystem}
+                                isFavorite={isFavorite}
+                                onToggleFavorite={handleToggleFavorite}
                             />
                         }
                     />
+                    <Route
+                        path="/dashboard"
+                        element={
+                            <Dashboard
+                                favorites={favorites}
+                                unitSystem={unitSystem}
+                                provider={provider}
+                                horizon={horizon}
+                                onOpenFavorite={(f) =>
+                                    handleSelectLocation({ lat: f.lat, lon: f.lon, label: f.name })
+                                }
+                                onRenameFavorite={(id, name) =>
+                                    updateFavorites((list) => renameFavorite(list, id, name))
+                                }
+                                onMoveFavorite={(id, offset) =>
+                                    updateFavorites((list) => moveFavorite(list, id, offset))
+                                }
+                                onRemoveFavorite={(id) =>
+                                    updateFavorites((list) => removeFavorite(list, id))
+                                }
+                            />
+                        }
+                    />
+                    <Route
+                        path="/compare"
+                        element={
+                            <Compare
+                                unitSystem={unitSystem}
+                                provider={provider}
+                                horizon={horizon}
+                                favorites={favorites}
+                                currentLocation={
+                                    weather
+                                        ? { lat: weather.coords.lat, lon: weather.coords.lon, label: weather.locationLabel }
+                                        : null
+                                }
+                            />
+                        }
+                    />
+                    <Route
+                        path="/trip"
+                        element={<TripPlanner unitSystem={unitSystem} provider={provider} />}
+                    />
                 </Routes>
             </div>
         </div>
@@ -0,0 +1,65 @@
+/**
+ * @typedef {import("../services/alertsApi").AlertsResult} AlertsResult
+ */
+
+import { Link, useLocation } from "react-router-dom";
+import { FiAlertTriangle } from "react-icons/fi";
+import { formatTimestampLabel } from "../services/time";
+
+/**
+ * Banner colors by severity; minor/unknown share the calmest style.
+ */
+const BANNER_CLASSES = {
+    extreme: "border-fuchsia-500/70 bg-fuchsia-500/15 text-fuchsia-100",
+    severe: "border-red-500/70 bg-red-500/15 text-red-100",
+    moderate: "border-amber-500/70 bg-amber-500/10 text-amber-100",
+    minor: "border-sky-500/60 bg-sky-500/10 text-sky-100",
+    unknown: "border-sky-500/60 bg-sky-500/10 text-sky-100",
+};
+
+/**
+ * AlertsBanner
+ * Shows the most severe active alert above the forecast, linking to the
+ * alerts tab. Renders nothing when there are no alerts.
+ *
+ * @param {{ alerts: AlertsResult|null }} props
+ * @returns {JSX.Element|null}
+ */
+export default function AlertsBanner({ alerts }) {
+    const { search } = useLocation(); // keep the place and units in the link
+    if (!alerts?.alerts.length) return null;
+
+    const [top, ...rest] = alerts.alerts;
+    const until = top.ends || top.expires;
+
+    return (
+        <div
+            role="alert"
+            className={[
+                "mb-4 flex items-start gap-3 rounded-lg border px-3 py-2 text-sm",
+                BANNER_CLASSES[top.severity] ?? BANNER_CLASSES.unknown,
+            ].join(" ")}
+        >
+            <FiAlertTriangle className="mt-0.5 flex-shrink-0" size={18} />
+            <div className="flex-1">
+                <p className="font-semibold">
+                    {top.event}
+                    {until && (
+                        <span className="font-normal"> until {formatTimestampLabel(until)}</span>
+                    )}
+                </p>
+                {rest.length > 0 && (
+                    <p className="text-xs opacity-80">
+                        +{rest.length} more active alert{rest.length === 1 ? "" : "s"}
+                    </p>
+                )}
+            </div>
+            <Link
+                to={{ pathname: "/forecast/alerts", search }}
+                className="text-xs underline underline-offset-4 hover:opacity-80"
+            >
+                View details
+            </Link>
+        </div>
+    );
+}
@@ -0,0 +1,140 @@
+/**
+ * @typedef {import("../services/alertsApi").AlertsResult} AlertsResult
+ * @typedef {import("../services/alertsApi").WeatherAlert} WeatherAlert
+ */
+
+import { useState } from "react";
+import { describeAlertSeverity } from "../services/alertsApi";
+import { formatTimestampLabel } from "../services/time";
+
+/**
+ * Severity pill colors.
+ */
+const SEVERITY_CLASSES = {
+    extreme: "bg-fuchsia-500 text-slate-900",
+    severe: "bg-red-500 text-slate-900",
+    moderate: "bg-amber-400 text-slate-900",
+    minor: "bg-sky-400 text-slate-900",
+    unknown: "bg-slate-600 text-slate-100",
+};
+
+/**
+ * Attribution line for each alerts source.
+ */
+const ALERT_SOURCE_LABELS = {
+    nws: "National Weather Service (api.weather.gov)",
+    met: "MET Norway MetAlerts (api.met.no)",
+};
+
+/**
+ * Single alert with an expandable description.
+ *
+ * @param {{ alert: WeatherAlert }} props
+ * @returns {JSX.Element}
+ */
+function AlertCard({ alert }) {
+    const [expanded, setExpanded] = useState(false);
+
+    return (
+        <article className="rounded-xl border border-slate-700 bg-slate-800/60 px-3 py-3 sm:px-4 space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+                <span
+                    className={[
+                        "rounded-full px-2 py-0.5 text-xs font-semibold",
+                        SEVERITY_CLASSES[alert.severity] ?? SEVERITY_CLASSES.unknown,
+                    ].join(" ")}
+                >
+                    {describeAlertSeverity(alert.severity)}
+                </span>
+                <h4 className="text-sm font-semibold text-slate-100">{alert.event}</h4>
+                {alert.urgency !== "unknown" && (
+                    <span className="text-xs text-slate-400 capitalize">· {alert.urgency}</span>
+                )}
+            </div>
+
+            {alert.headline && <p className="text-sm text-slate-300">{alert.headline}</p>}
+
+            <p className="text-xs text-slate-400">
+                {alert.onset && <>From {formatTimestampLabel(alert.onset)} </>}
+                {(alert.ends || alert.expires) && (
+                    <>until {formatTimestampLabel(alert.ends || alert.expires)}</>
+                )}
+                {alert.senderName && <> · {alert.senderName}</>}
+            </p>
+
+            {alert.instruction && (
+                <div className="rounded-lg border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-xs text-amber-100 whitespace-pre-line">
+                    {alert.instruction}
+                </div>
+            )}
+
+            {alert.description && (
+                <>
+                    <button
+                        type="button"
+                        onClick={() => setExpanded((prev) => !prev)}
+                        className="text-xs text-sky-300 hover:text-sky-200 underline underline-offset-4"
+                    >
+                        {expanded ? "Hide full text" : "Show full text"}
+                    </button>
+                    {expanded && (
+                        <p className="text-xs text-slate-300 whitespace-pre-line">
+                            {alert.description}
+                        </p>
+                    )}
+                </>
+            )}
+
+            {alert.areaDesc && (
+                <p className="text-xs text-slate-500">Areas: {alert.areaDesc}</p>
+            )}
+        </article>
+    );
+}
+
+/**
+ * AlertsPanel component – lists active NWS / MET Norway watches, warnings
+ * and advisories.
+ * @param {{ alerts: AlertsResult|null }} props
+ * @returns {JSX.Element}
+ */
+export default function AlertsPanel({ alerts }) {
+    return (
+        <div className="space-y-3">
+            <h3 className="text-lg font-semibold">Weather Alerts</h3>
+
+            {!alerts && (
+                <p className="text-sm text-slate-300">
+                    Checking for active alerts<span className="animate-pulse">…</span>
+                </p>
+            )}
+
+            {alerts && alerts.error && (
+                <p className="text-sm text-slate-300">
+                    Alerts could not be loaded right now. Check local advisories for official warnings.
+                </p>
+            )}
+
+            {alerts && !alerts.error && !alerts.supported && (
+                <p className="text-sm text-slate-300">
+                    Official alerts come from the US National Weather Service and MET Norway
+                    and are only available for US and Norwegian locations.
+                </p>
+            )}
+
+            {alerts && !alerts.error && alerts.supported && !alerts.alerts.length && (
+                <p className="text-sm text-slate-300">
+                    No active watches, warnings or advisories for this location.
+                </p>
+            )}
+
+            {alerts?.alerts.map((alert) => (
+                <AlertCard key={alert.id} alert={alert} />
+            ))}
+
+            {alerts?.source && (
+                <p className="text-xs text-slate-500">Source: {ALERT_SOURCE_LABELS[alerts.source]}</p>
+            )}
+        </div>
+    );
+}
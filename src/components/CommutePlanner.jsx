@@ -0,0 +1,257 @@
+/**
+ * @typedef {import("../services/weatherApi").WeatherState} WeatherState
+ * @typedef {import("../services/commute").CommuteTrip} CommuteTrip
+ */
+
+import { useState } from "react";
+import { FiAlertTriangle, FiX } from "react-icons/fi";
+import {
+    MAX_COMMUTE_WINDOWS,
+    SUGGESTED_COMMUTE_WINDOWS,
+    addCommuteWindow,
+    loadCommuteWindows,
+    makeCommuteWindow,
+    planCommuteWeek,
+    removeCommuteWindow,
+    saveCommuteWindows,
+} from "../services/commute";
+import { roadConditionInfo } from "../services/roadConditions";
+import { formatDateLabel, formatHourLabel, formatZonedIsoTime } from "../services/time";
+import { ROAD_CONDITION_COLORS } from "./roadConditionStyles";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const timeInputClassName =
+    "rounded-full bg-slate-800/70 border border-slate-700 px-3 py-1.5 text-xs text-slate-200 focus:outline-none focus:ring-2 focus:ring-sky-500";
+
+/**
+ * "Mon–Fri" style summary of a window's days.
+ *
+ * @param {Array<number>} days Sorted weekdays, 0 = Sunday.
+ * @returns {string}
+ */
+function formatDays(days) {
+    const consecutive = days.every((d, i) => i === 0 || d === days[i - 1] + 1);
+    if (days.length > 2 && consecutive) return `${WEEKDAYS[days[0]]}–${WEEKDAYS[days[days.length - 1]]}`;
+    return days.map((d) => WEEKDAYS[d]).join(", ");
+}
+
+/**
+ * One commute window on one day: the best departure, or why there is none.
+ *
+ * @param {{ trip: CommuteTrip }} props
+ * @returns {JSX.Element}
+ */
+function TripRow({ trip }) {
+    const { window: commuteWindow, best, worst } = trip;
+    const range = `${formatHourLabel(`T${commuteWindow.start}`)}–${formatHourLabel(`T${commuteWindow.end}`)}`;
+
+    return (
+        <li className="rounded-lg bg-slate-900/60 px-2 py-1.5">
+            <p className="text-slate-400">
+                <span className="font-semibold text-slate-200">{commuteWindow.label}</span> · {range}
+            </p>
+            {trip.status === "past" && <p className="mt-0.5 text-slate-500">Window has passed.</p>}
+            {trip.status === "no_forecast" && <p className="mt-0.5 text-slate-500">Beyond the forecast.</p>}
+            {best && (
+                <p className="mt-0.5 flex items-center gap-1.5 text-slate-200">
+                    <span
+                        className={`h-2 w-2 flex-shrink-0 rounded-full ${ROAD_CONDITION_COLORS[best.category]}`}
+                        aria-hidden="true"
+                    />
+                    {trip.hazardous ? "Least bad" : "Leave"} {formatHourLabel(best.time)}
+                    <span className="text-slate-400">· {roadConditionInfo(best.category).label}</span>
+                </p>
+            )}
+            {worst && worst.severity > best.severity && (
+                <p className="mt-0.5 text-slate-500">
+                    Avoid {formatHourLabel(worst.time)} ({roadConditionInfo(worst.category).label.toLowerCase()})
+                </p>
+            )}
+        </li>
+    );
+}
+
+/**
+ * CommutePlanner
+ * Saved commute windows (e.g. Mon–Fri 7:00–8:30 out) checked against the
+ * hourly road conditions: for each day of the coming week, the best time
+ * to leave inside each window, with days where no trip can avoid a hazard
+ * flagged. Windows are in the forecast location's local time.
+ *
+ * @param {{ weather: WeatherState|null }} props
+ * @returns {JSX.Element}
+ */
+export default function CommutePlanner({ weather }) {
+    const [windows, setWindows] = useState(loadCommuteWindows);
+    const [label, setLabel] = useState("");
+    const [days, setDays] = useState([1, 2, 3, 4, 5]);
+    const [start, setStart] = useState("07:00");
+    const [end, setEnd] = useState("08:30");
+    const [formError, setFormError] = useState("");
+
+    /** @param {Array<import("../services/commute").CommuteWindow>} next */
+    function updateWindows(next) {
+        setWindows(next);
+        saveCommuteWindows(next);
+    }
+
+    function handleAdd(e) {
+        e.preventDefault();
+        const commuteWindow = makeCommuteWindow({ label, days, start, end });
+        if (!commuteWindow) {
+            setFormError("Pick at least one day and an end time after the start.");
+            return;
+        }
+        setFormError("");
+        setLabel("");
+        updateWindows(addCommuteWindow(windows, commuteWindow));
+    }
+
+    function handleUseSuggested() {
+        updateWindows(
+            SUGGESTED_COMMUTE_WINDOWS.reduce((list, w) => addCommuteWindow(list, makeCommuteWindow(w)), windows)
+        );
+    }
+
+    function toggleDay(day) {
+        setDays((prev) => (prev.includes(day) ? prev.filter((d) => d !== day) : [...prev, day]));
+    }
+
+    const hourly = weather?.hourly ?? [];
+    const week =
+        weather && windows.length
+            ? planCommuteWeek(windows, hourly, weather.daily, formatZonedIsoTime(new Date(), weather.timezone))
+            : [];
+
+    return (
+        <div className="space-y-4 text-xs">
+            <section className="space-y-3">
+                <h3 className="text-lg font-semibold">Commute</h3>
+
+                {windows.length > 0 ? (
+                    <ul className="flex flex-wrap gap-2">
+                        {windows.map((w) => (
+                            <li
+                                key={w.id}
+                                className="inline-flex items-center gap-1.5 rounded-full border border-slate-700 bg-slate-800/70 py-1 pl-3 pr-1.5 text-slate-200"
+                            >
+                                <span className="font-semibold">{w.label}</span>
+                                <span className="text-slate-400">
+                                    {formatDays(w.days)} {formatHourLabel(`T${w.start}`)}–{formatHourLabel(`T${w.end}`)}
+                                </span>
+                                <button
+                                    type="button"
+                                    onClick={() => updateWindows(removeCommuteWindow(windows, w.id))}
+                                    className="rounded-full p-0.5 text-slate-400 hover:bg-slate-700 hover:text-slate-200"
+                                    aria-label={`Remove ${w.label} window`}
+                                >
+                                    <FiX size={12} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-slate-300">
+                        Save the times you usually leave to see the best departure for each day.{" "}
+                        <button
+                            type="button"
+                            onClick={handleUseSuggested}
+                            className="text-sky-400 hover:text-sky-300 underline"
+                        >
+                            Use Mon–Fri 7:00–8:30 out, 16:30–18:00 back
+                        </button>
+                    </p>
+                )}
+
+                {windows.length < MAX_COMMUTE_WINDOWS && (
+                    <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+                        <input
+                            type="text"
+                            value={label}
+                            onChange={(e) => setLabel(e.target.value)}
+                            placeholder="Label (e.g. Out)"
+                            aria-label="Window label"
+                            className={`w-32 placeholder:text-slate-500 ${timeInputClassName}`}
+                        />
+                        <div className="inline-flex rounded-full border border-slate-700 bg-slate-900/70 p-0.5" role="group" aria-label="Days">
+                            {WEEKDAYS.map((name, day) => (
+                                <button
+                                    key={name}
+                                    type="button"
+                                    onClick={() => toggleDay(day)}
+                                    aria-pressed={days.includes(day)}
+                                    className={[
+                                        "rounded-full px-2 py-1",
+                                        days.includes(day) ? "bg-sky-500 text-slate-900" : "text-slate-300 hover:bg-slate-800",
+                                    ].join(" ")}
+                                >
+                                    {name.slice(0, 2)}
+                                </button>
+                            ))}
+                        </div>
+                        <input
+                            type="time"
+                            value={start}
+                            onChange={(e) => setStart(e.target.value)}
+                            aria-label="Earliest departure"
+                            className={timeInputClassName}
+                        />
+                        <span className="text-slate-400">to</span>
+                        <input
+                            type="time"
+                            value={end}
+                            onChange={(e) => setEnd(e.target.value)}
+                            aria-label="Latest departure"
+                            className={timeInputClassName}
+                        />
+                        <button
+                            type="submit"
+                            className="rounded-full bg-sky-500 px-3 py-1.5 font-semibold text-slate-900 hover:bg-sky-400"
+                        >
+                            Add window
+                        </button>
+                        {formError && <p className="w-full text-red-300">{formError}</p>}
+                    </form>
+                )}
+            </section>
+
+            {week.length > 0 && (
+                <section className="grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+                    {week.map((day) => (
+                        <div
+                            key={day.date}
+                            className={[
+                                "rounded-xl border px-3 py-2",
+                                day.allHazardous
+                                    ? "border-rose-500/60 bg-rose-500/10"
+                                    : "border-slate-700 bg-slate-800/70",
+                            ].join(" ")}
+                        >
+                            <p className="flex items-center justify-between gap-2 font-semibold text-slate-100">
+                                {formatDateLabel(day.date)}
+                                {day.allHazardous && (
+                                    <span className="inline-flex items-center gap-1 text-rose-200">
+                                        <FiAlertTriangle size={12} aria-hidden="true" />
+                                        {day.trips.filter((t) => t.status === "planned").length > 1
+                                            ? "Every trip hazardous"
+                                            : "Hazardous"}
+                                    </span>
+                                )}
+                            </p>
+                            {day.trips.length ? (
+                                <ul className="mt-1.5 space-y-1">
+                                    {day.trips.map((trip) => (
+                                        <TripRow key={trip.window.id} trip={trip} />
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p className="mt-1.5 text-slate-500">No commute.</p>
+                            )}
+                        </div>
+                    ))}
+                </section>
+            )}
+        </div>
+    );
+}
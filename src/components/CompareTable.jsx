@@ -0,0 +1,103 @@
+/**
+ * @typedef {import("../services/compare").CompareMetric} CompareMetric
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ */
+
+import { pickLeaders } from "../services/compare";
+import { formatTemperature, formatPrecipitation, formatWindSpeed } from "../services/units";
+
+/**
+ * Format a metric value for display.
+ *
+ * @param {string} metricId
+ * @param {number|null} value
+ * @param {UnitSystem} unitSystem
+ * @returns {string}
+ */
+function formatMetric(metricId, value, unitSystem) {
+    switch (metricId) {
+        case "temperature":
+            return formatTemperature(value, unitSystem);
+        case "precipitation":
+            return formatPrecipitation(value, unitSystem);
+        case "wind":
+            return formatWindSpeed(value, unitSystem);
+        default:
+            return value == null ? "—" : String(value);
+    }
+}
+
+/**
+ * CompareTable
+ * Forecast periods as rows and places as columns. In each row the place
+ * that comes out ahead on a measure (warmer, drier, less windy) has that
+ * value highlighted.
+ *
+ * @param {{
+ *   placeLabels: Array<string>,
+ *   rows: Array<{ key: string, label: string, points: Array<any|null> }>,
+ *   metrics: Array<CompareMetric & { value: (point: any) => number|null }>,
+ *   unitSystem: UnitSystem
+ * }} props `points` line up with `placeLabels`.
+ * @returns {JSX.Element}
+ */
+export default function CompareTable({ placeLabels, rows, metrics, unitSystem }) {
+    return (
+        <div className="overflow-x-auto">
+            <table className="w-full text-left text-xs">
+                <thead>
+                    <tr className="border-b border-slate-700 text-slate-400">
+                        <th scope="col" className="py-2 pr-3 font-medium">
+                            When
+                        </th>
+                        {placeLabels.map((label, idx) => (
+                            <th key={idx} scope="col" className="max-w-[10rem] truncate py-2 pr-3 font-medium text-slate-200">
+                                {label}
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row) => {
+                        const leaders = metrics.map((metric) =>
+                            pickLeaders(
+                                row.points.map((p) => (p ? metric.value(p) : null)),
+                                metric.better
+                            )
+                        );
+
+                        return (
+                            <tr key={row.key} className="border-b border-slate-800 align-top">
+                                <th scope="row" className="whitespace-nowrap py-2 pr-3 font-medium text-slate-300">
+                                    {row.label}
+                                </th>
+                                {row.points.map((point, placeIdx) => (
+                                    <td key={placeIdx} className="py-2 pr-3">
+                                        {!point ? (
+                                            <span className="text-slate-500">No data</span>
+                                        ) : (
+                                            <ul className="space-y-0.5">
+                                                {metrics.map((metric, metricIdx) => {
+                                                    const leads = leaders[metricIdx].includes(placeIdx);
+                                                    return (
+                                                        <li
+                                                            key={metric.id}
+                                                            className={leads ? "font-semibold text-sky-300" : "text-slate-300"}
+                                                            title={leads ? metric.label : undefined}
+                                                        >
+                                                            {formatMetric(metric.id, metric.value(point), unitSystem)}
+                                                        </li>
+                                                    );
+                                                })}
+                                            </ul>
+                                        )}
+                                    </td>
+                                ))}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -1,9 +1,135 @@
 /**
- *  @typedef {import("../services/weatherApi").WeatherState} WeatherState 
+ *  @typedef {import("../services/weatherApi").WeatherState} WeatherState
+ *  @typedef {import("../services/weatherApi").DailyPoint} DailyPoint
  *  @typedef {import("../services/units").UnitSystem} UnitSystem
 */
-import { formatTemperature } from "../services/units";
-import { formatDateLabel } from "../services/time";
+import { WiRaindrop, WiStrongWind, WiSunrise, WiSunset } from "react-icons/wi";
+import {
+    formatTemperature,
+    formatPrecipitation,
+    formatWindSpeed,
+    windDirectionToCompass,
+} from "../services/units";
+import {
+    formatDateLabel,
+    formatHourLabel,
+    formatDurationHm,
+    formatZonedIsoTime,
+} from "../services/time";
+import { normalizeHorizon, describeHorizon } from "../services/forecastHorizon";
+import { describeWeatherCode } from "../services/weatherCodes";
+import { getWeatherIconComponent } from "./weatherIcons";
+
+/**
+ * Position of a day's low–high span within the overall range shown,
+ * as CSS percentages for the range bar.
+ *
+ * @param {DailyPoint} day
+ * @param {number} rangeMin
+ * @param {number} rangeMax
+ * @returns {{left: string, width: string}|null}
+ */
+function getRangeBarStyle(day, rangeMin, rangeMax) {
+    if (day.tempMin == null || day.tempMax == null) return null;
+    const span = rangeMax - rangeMin || 1;
+    const left = ((day.tempMin - rangeMin) / span) * 100;
+    const width = ((day.tempMax - day.tempMin) / span) * 100;
+    return { left: `${left}%`, width: `${Math.max(width, 2)}%` };
+}
+
+/**
+ * One row of the outlook.
+ *
+ * Past days are dimmed and labelled so observed weather is not mistaken
+ * for forecast.
+ *
+ * @param {{ day: DailyPoint, unitSystem: UnitSystem, rangeMin: number, rangeMax: number, isPast: boolean, Icon: React.ComponentType<any> }} props
+ * @returns {JSX.Element}
+ */
+function DayRow({ day, unitSystem, rangeMin, rangeMax, isPast, Icon }) {
+    const barStyle = getRangeBarStyle(day, rangeMin, rangeMax);
+    const windCompass = windDirectionToCompass(day.windDirectionDominant);
+
+    return (
+        <div
+            className={[
+                "rounded-xl border px-3 py-2 text-sm",
+                isPast
+                    ? "border-slate-800 bg-slate-900/40 opacity-75"
+                    : "border-slate-700 bg-slate-800/60",
+            ].join(" ")}
+        >
+            <div className="flex items-center gap-3">
+                <div className="w-24 flex-shrink-0">
+                    <p className="text-slate-100">{formatDateLabel(day.date)}</p>
+                    {isPast && (
+                        <p className="text-[10px] uppercase tracking-wide text-slate-500">Past</p>
+                    )}
+                </div>
+
+                {Icon && <Icon size={32} className="flex-shrink-0 text-sky-300" aria-hidden="true" />}
+
+                <p className="flex-1 min-w-0 truncate text-xs text-slate-300">
+                    {describeWeatherCode(day.weatherCode)}
+                </p>
+
+                <div className="flex items-center gap-2 text-xs">
+                    <span className="w-10 text-right text-slate-400">
+                        {formatTemperature(day.tempMin, unitSystem)}
+                    </span>
+                    <div className="relative hidden sm:block h-1.5 w-24 rounded-full bg-slate-700">
+                        {barStyle && (
+                            <div
+                                className="absolute h-full rounded-full bg-gradient-to-r from-sky-400 to-amber-400"
+                                style={barStyle}
+                            />
+                        )}
+                    </div>
+                    <span className="w-10 text-slate-100">
+                        {formatTemperature(day.tempMax, unitSystem)}
+                    </span>
+                </div>
+            </div>
+
+            <div className="mt-1.5 flex flex-wrap gap-x-4 gap-y-1 pl-0 sm:pl-[8.75rem] text-xs text-slate-400">
+                {(day.precipitationProbabilityMax != null || day.precipitationSum != null) && (
+                    <span className="inline-flex items-center gap-0.5">
+                        <WiRaindrop size={18} className="text-sky-300" aria-hidden="true" />
+                        {day.precipitationProbabilityMax != null &&
+                            `${Math.round(day.precipitationProbabilityMax)}%`}
+                        {day.precipitationProbabilityMax != null && day.precipitationSum != null && " · "}
+                        {day.precipitationSum != null &&
+                            formatPrecipitation(day.precipitationSum, unitSystem)}
+                    </span>
+                )}
+                {day.windSpeedMax != null && (
+                    <span className="inline-flex items-center gap-0.5">
+                        <WiStrongWind size={18} aria-hidden="true" />
+                        {formatWindSpeed(day.windSpeedMax, unitSystem)}
+                        {windCompass && ` ${windCompass}`}
+                        {day.windGustsMax != null &&
+                            `, gusts ${formatWindSpeed(day.windGustsMax, unitSystem)}`}
+                    </span>
+                )}
+                {day.sunrise && (
+                    <span className="inline-flex items-center gap-0.5">
+                        <WiSunrise size={18} className="text-amber-300" aria-hidden="true" />
+                        {formatHourLabel(day.sunrise)}
+                    </span>
+                )}
+                {day.sunset && (
+                    <span className="inline-flex items-center gap-0.5">
+                        <WiSunset size={18} className="text-amber-300" aria-hidden="true" />
+                        {formatHourLabel(day.sunset)}
+                    </span>
+                )}
+                {day.daylightDuration != null && (
+                    <span>{formatDurationHm(day.daylightDuration)} daylight</span>
+                )}
+            </div>
+        </div>
+    );
+}
 
 /**
  * DailyForecast component
@@ -14,7 +140,7 @@ export default function DailyForecast({ weather, unitSystem }) {
     if (!weather || !weather.daily?.length) {
         return (
             <div className="space-y-2">
-                <h3 className="text-lg font-semibold">7-Day Forecast</h3>
+                <h3 className="text-lg font-semibold">Daily Forecast</h3>
                 <p className="text-sm text-slate-300">
                     Daily forecast data is not available yet. Try searching for a location.
                 </p>
@@ -22,28 +148,33 @@ export default function DailyForecast({ weather, unitSystem }) {
         );
     }
 
-    const days = weather.daily.slice(0, 7);
+    const horizon = normalizeHorizon(weather.horizon);
+    const today = formatZonedIsoTime(new Date(), weather.timezone).slice(0, 10);
+    const days = weather.daily;
+    const temps = days.flatMap((d) => [d.tempMin, d.tempMax]).filter((t) => t != null);
+    const rangeMin = Math.min(...temps);
+    const rangeMax = Math.max(...temps);
 
     return (
         <div className="space-y-2">
-            <h3 className="text-lg font-semibold">7-Day Forecast</h3>
+            <h3 className="text-lg font-semibold">{horizon.forecastDays}-Day Forecast</h3>
             <p className="text-xs text-slate-400">
-                Highs and lows for the next week.
+                {describeHorizon(horizon)}: conditions, highs and lows, precipitation and wind.
+                {days.length < horizon.forecastDays + horizon.pastDays &&
+                    " This provider covers fewer days than requested."}
             </p>
 
             <div className="mt-3 grid gap-2 sm:gap-3">
                 {days.map((day, idx) => (
-                    <div
+                    <DayRow
                         key={day.date || idx}
-                        className="flex items-center justify-between rounded-xl border border-slate-700 bg-slate-800/60 px-3 py-2 text-sm"
-                    >
-                        <span className="text-slate-100">{formatDateLabel(day.date)}</span>
-                        <span className="text-slate-300 text-xs">
-                            {day.tempMax != null ? formatTemperature(day.tempMax, unitSystem) : "–"}{" "}
-                            /{" "}
-                            {day.tempMin != null ? formatTemperature(day.tempMin, unitSystem) : "–"}
-                        </span>
-                    </div>
+                        day={day}
+                        unitSystem={unitSystem}
+                        rangeMin={rangeMin}
+                        rangeMax={rangeMax}
+                        isPast={day.date < today}
+                        Icon={getWeatherIconComponent(day.weatherCode, "day")}
+                    />
                 ))}
             </div>
         </div>
@@ -0,0 +1,179 @@
+/**
+ * @typedef {import("../services/favorites").Favorite} Favorite
+ * @typedef {import("../services/weatherApi").WeatherState} WeatherState
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ */
+
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { FiArrowUp, FiArrowDown, FiEdit2, FiTrash2 } from "react-icons/fi";
+import { formatTemperature } from "../services/units";
+import { formatZonedIsoTime } from "../services/time";
+import { describeWeatherCode } from "../services/weatherCodes";
+import { buildForecastSearch } from "../services/forecastUrl";
+
+/**
+ * Small icon button used for the card's edit controls.
+ *
+ * @param {{ label: string, onClick: () => void, disabled?: boolean, children: React.ReactNode }} props
+ * @returns {JSX.Element}
+ */
+function CardButton({ label, onClick, disabled = false, children }) {
+    return (
+        <button
+            type="button"
+            onClick={onClick}
+            disabled={disabled}
+            aria-label={label}
+            title={label}
+            className="rounded-md p-1 text-slate-400 hover:bg-slate-700 hover:text-slate-100 disabled:opacity-30 disabled:hover:bg-transparent"
+        >
+            {children}
+        </button>
+    );
+}
+
+/**
+ * FavoriteCard
+ * Compact current conditions for one saved place, linking to its full
+ * forecast. The name can be edited in place; arrows reorder the card.
+ *
+ * @param {{
+ *   favorite: Favorite,
+ *   weather: WeatherState|null,
+ *   status: "loading"|"stale"|"ready"|"error",
+ *   unitSystem: UnitSystem,
+ *   Icon: React.ComponentType<any>|null,
+ *   isFirst: boolean,
+ *   isLast: boolean,
+ *   onOpen: (favorite: Favorite) => void,
+ *   onRename: (id: string, name: string) => void,
+ *   onMove: (id: string, offset: number) => void,
+ *   onRemove: (id: string) => void
+ * }} props
+ * @returns {JSX.Element}
+ */
+export default function FavoriteCard({
+    favorite,
+    weather,
+    status,
+    unitSystem,
+    Icon,
+    isFirst,
+    isLast,
+    onOpen,
+    onRename,
+    onMove,
+    onRemove,
+}) {
+    const [editing, setEditing] = useState(false);
+    const [draftName, setDraftName] = useState(favorite.name);
+
+    const today = weather
+        ? formatZonedIsoTime(new Date(), weather.timezone).slice(0, 10)
+        : null;
+    const todayPoint = weather?.daily.find((d) => d.date === today) ?? null;
+
+    const startEditing = () => {
+        setDraftName(favorite.name);
+        setEditing(true);
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        onRename(favorite.id, draftName);
+        setEditing(false);
+    };
+
+    return (
+        <li className="flex flex-col rounded-2xl border border-slate-700 bg-slate-800/60 p-4">
+            <div className="flex items-start justify-between gap-2">
+                {editing ? (
+                    <form onSubmit={handleRename} className="flex flex-1 gap-2">
+                        <input
+                            type="text"
+                            value={draftName}
+                            onChange={(e) => setDraftName(e.target.value)}
+                            onKeyDown={(e) => e.key === "Escape" && setEditing(false)}
+                            aria-label="Place name"
+                            autoFocus
+                            className="min-w-0 flex-1 rounded-lg border border-slate-600 bg-slate-900/70 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-sky-500"
+                        />
+                        <button
+                            type="submit"
+                            className="rounded-lg bg-sky-500 px-2 py-1 text-xs font-medium text-slate-900 hover:bg-sky-400"
+                        >
+                            Save
+                        </button>
+                    </form>
+                ) : (
+                    <div className="min-w-0">
+                        <h3 className="truncate font-semibold text-slate-100">{favorite.name}</h3>
+                        {favorite.name !== favorite.label && (
+                            <p className="truncate text-xs text-slate-500">{favorite.label}</p>
+                        )}
+                    </div>
+                )}
+
+                {!editing && (
+                    <div className="flex flex-shrink-0 items-center">
+                        <CardButton label="Move up" onClick={() => onMove(favorite.id, -1)} disabled={isFirst}>
+                            <FiArrowUp size={14} />
+                        </CardButton>
+                        <CardButton label="Move down" onClick={() => onMove(favorite.id, 1)} disabled={isLast}>
+                            <FiArrowDown size={14} />
+                        </CardButton>
+                        <CardButton label="Rename" onClick={startEditing}>
+                            <FiEdit2 size={14} />
+                        </CardButton>
+                        <CardButton label="Remove" onClick={() => onRemove(favorite.id)}>
+                            <FiTrash2 size={14} />
+                        </CardButton>
+                    </div>
+                )}
+            </div>
+
+            <Link
+                to={{
+                    pathname: "/forecast/hourly",
+                    search: buildForecastSearch({ ...favorite, label: favorite.name }, unitSystem),
+                }}
+                onClick={() => onOpen(favorite)}
+                className="mt-3 flex flex-1 items-center gap-3 rounded-xl px-1 py-1 hover:bg-slate-700/40"
+            >
+                {status === "error" && !weather && (
+                    <p className="text-sm text-red-200">Couldn&apos;t load the forecast.</p>
+                )}
+                {status === "loading" && !weather && (
+                    <p className="text-sm text-slate-400">
+                        Loading<span className="animate-pulse">…</span>
+                    </p>
+                )}
+                {weather && (
+                    <>
+                        {Icon && <Icon size={44} className="flex-shrink-0 text-sky-300" aria-hidden="true" />}
+                        <div className="min-w-0">
+                            <p className="text-2xl font-semibold text-slate-100">
+                                {formatTemperature(weather.current?.temperature, unitSystem)}
+                            </p>
+                            <p className="truncate text-xs text-slate-300">
+                                {describeWeatherCode(weather.current?.weatherCode)}
+                            </p>
+                            {todayPoint && (
+                                <p className="text-xs text-slate-400">
+                                    H {formatTemperature(todayPoint.tempMax, unitSystem)} · L{" "}
+                                    {formatTemperature(todayPoint.tempMin, unitSystem)}
+                                </p>
+                            )}
+                        </div>
+                        {status === "stale" && (
+                            <span className="ml-auto text-[10px] uppercase tracking-wide text-sky-300">
+                                Refreshing<span className="animate-pulse">…</span>
+                            </span>
+                        )}
+                    </>
+                )}
+            </Link>
+        </li>
+    );
+}
@@ -0,0 +1,87 @@
+/**
+ * @typedef {import("../services/followMe").PositionFix} PositionFix
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ */
+
+import { FiNavigation } from "react-icons/fi";
+import { FOLLOW_DISTANCE_OPTIONS_KM } from "../services/followMe";
+import { formatDistance } from "../services/units";
+
+/**
+ * FollowMeControl
+ * Header toggle for follow-me mode. While on, shows the refetch distance
+ * picker and the latest fix: accuracy radius and when it was taken.
+ *
+ * @param {{
+ *   following: boolean,
+ *   paused: boolean,
+ *   fix: PositionFix|null,
+ *   distanceKm: number,
+ *   unitSystem: UnitSystem,
+ *   onToggle: () => void,
+ *   onChangeDistance: (km: number) => void
+ * }} props
+ * @returns {JSX.Element}
+ */
+export default function FollowMeControl({
+    following,
+    paused,
+    fix,
+    distanceKm,
+    unitSystem,
+    onToggle,
+    onChangeDistance,
+}) {
+    let status = "Waiting for a position fix…";
+    if (paused) status = "Paused while the page is hidden";
+    else if (fix) {
+        const time = new Date(fix.timestamp).toLocaleTimeString(undefined, {
+            hour: "numeric",
+            minute: "2-digit",
+            second: "2-digit",
+        });
+        status =
+            fix.accuracy != null
+                ? `±${formatDistance(fix.accuracy, unitSystem)} · fix at ${time}`
+                : `Fix at ${time}`;
+    }
+
+    return (
+        <div className="flex flex-wrap items-center justify-center gap-2">
+            <button
+                type="button"
+                onClick={onToggle}
+                aria-pressed={following}
+                className={[
+                    "inline-flex items-center gap-1.5 rounded-full border px-3 py-1.5 text-xs transition-colors",
+                    following
+                        ? "border-sky-500 bg-sky-500 text-slate-900"
+                        : "border-slate-700 bg-slate-800/70 text-slate-200 hover:bg-slate-800",
+                ].join(" ")}
+            >
+                <FiNavigation size={12} aria-hidden="true" />
+                Follow me
+            </button>
+
+            {following && (
+                <>
+                    <select
+                        value={distanceKm}
+                        onChange={(e) => onChangeDistance(Number(e.target.value))}
+                        aria-label="Refresh after moving"
+                        className="rounded-full bg-slate-800/70 border border-slate-700 px-3 py-1.5 text-xs text-slate-200 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                    >
+                        {FOLLOW_DISTANCE_OPTIONS_KM.map((km) => (
+                            <option key={km} value={km}>
+                                Every {formatDistance(km * 1000, unitSystem)}
+                            </option>
+                        ))}
+                    </select>
+                    <span className="text-[11px] text-slate-400" aria-live="polite">
+                        {status}
+                    </span>
+                </>
+            )}
+        </div>
+    );
+}
@@ -1,27 +1,30 @@
 /** 
  * @typedef {import("../services/weatherApi").WeatherState} WeatherState 
  * @typedef {import("../services/units").UnitSystem} UnitSystem
+ * @typedef {import("../services/alertsApi").AlertsResult} AlertsResult
 */
 
-import { NavLink, useParams } from "react-router-dom";
+import { NavLink, useParams, useLocation } from "react-router-dom";
 import HourlyForecast from "./HourlyForecast";
 import DailyForecast from "./DailyForecast";
 import RoadConditions from "./RoadConditions";
-
-const TABS = [
-    { id: "hourly", label: "Hourly", path: "/forecast/hourly" },
-    { id: "roads", label: "Road Conditions", path: "/forecast/roads" },
-    { id: "daily", label: "7-Day Forecast", path: "/forecast/daily" },
-];
+import CommutePlanner from "./CommutePlanner";
+import AlertsPanel from "./AlertsPanel";
+import NowcastStrip from "./NowcastStrip";
+import { normalizeHorizon } from "../services/forecastHorizon";
+import { FORECAST_VIEWS as TABS } from "./forecastViews";
 
 /**
  * ForecastTabs component
- * @param {{ weather: WeatherState|null, unitSystem: UnitSystem }} props
+ * @param {{ weather: WeatherState|null, unitSystem: UnitSystem, alerts: AlertsResult|null }} props
  * @returns {JSX.Element} Forecast tabs component
  */
-export default function ForecastTabs({ weather, unitSystem }) {
+export default function ForecastTabs({ weather, unitSystem, alerts }) {
+    const alertCount = alerts?.alerts.length ?? 0;
     const { type } = useParams();
+    const { search } = useLocation(); // keep the place and units when switching tabs
     const current = TABS.find((t) => t.id === type) ?? TABS[0];
+    const { forecastDays, pastDays } = normalizeHorizon(weather?.horizon);
 
     return (
         <div className="space-y-4">
@@ -32,7 +35,7 @@ export default function ForecastTabs({ weather, unitSystem }) {
                 {TABS.map((tab) => (
                     <NavLink
                         key={tab.id}
-                        to={tab.path}
+                        to={{ pathname: tab.path, search }}
                         role="tab"
                         aria-selected={current.id === tab.id}
                         className={({ isActive }) =>
@@ -44,15 +47,32 @@ export default function ForecastTabs({ weather, unitSystem }) {
                             ].join(" ")
                         }
                     >
-                        {tab.label}
+                        {tab.id === "daily" ? `${forecastDays}-Day Forecast` : tab.label}
+                        {tab.id === "alerts" && alertCount > 0 && (
+                            <span className="ml-1.5 rounded-full bg-red-500 px-1.5 text-xs text-slate-900">
+                                {alertCount}
+                            </span>
+                        )}
                     </NavLink>
                 ))}
             </div>
 
             <div className="rounded-2xl border border-slate-700 bg-slate-900/60 p-4 sm:p-5 shadow-inner">
-                {current.id === "hourly" && <HourlyForecast weather={weather} unitSystem={unitSystem} />}
+                {current.id === "hourly" && (
+                    <>
+                        <NowcastStrip weather={weather} unitSystem={unitSystem} />
+                        {/* Remount per place/horizon so the carousel starts at "now" again. */}
+                        <HourlyForecast
+                            key={`${weather?.coords.lat},${weather?.coords.lon}:${forecastDays}:${pastDays}`}
+                            weather={weather}
+                            unitSystem={unitSystem}
+                        />
+                    </>
+                )}
                 {current.id === "roads" && <RoadConditions weather={weather} unitSystem={unitSystem} />}
+                {current.id === "commute" && <CommutePlanner weather={weather} />}
                 {current.id === "daily" && <DailyForecast weather={weather} unitSystem={unitSystem} />}
+                {current.id === "alerts" && <AlertsPanel alerts={alerts} />}
             </div>
         </div>
     );
@@ -0,0 +1,113 @@
+/**
+ * @typedef {import("../services/historyApi").HistoryComparison} HistoryComparison
+ * @typedef {import("../services/historyApi").HistoryStat} HistoryStat
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ */
+
+import { FiClock } from "react-icons/fi";
+import { formatTemperature, formatPrecipitation } from "../services/units";
+
+/**
+ * English ordinal for a positive integer: 1st, 2nd, 3rd, 11th, 22nd…
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function ordinal(n) {
+    const mod100 = n % 100;
+    if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+    const suffix = { 1: "st", 2: "nd", 3: "rd" }[n % 10] ?? "th";
+    return `${n}${suffix}`;
+}
+
+/**
+ * Describe where today's value ranks, e.g. "3rd warmest of 31", or call
+ * out values beyond every past year.
+ *
+ * @param {HistoryStat} stat
+ * @param {string} adjective "warmest", "wettest"…
+ * @returns {string}
+ */
+function describeRank(stat, adjective) {
+    if (stat.rank == null) return "–";
+    if (stat.value > stat.max) return `Record (${adjective} on file)`;
+    if (stat.value < stat.min) return "Lowest on file";
+    return `${ordinal(stat.rank)} ${adjective} of ${stat.count}`;
+}
+
+/**
+ * HistoryCard
+ * Compares today's forecast high, low and precipitation with the same
+ * date in past years. Renders nothing until history has loaded.
+ *
+ * @param {{ history: HistoryComparison|null, unitSystem: UnitSystem }} props
+ * @returns {JSX.Element|null}
+ */
+export default function HistoryCard({ history, unitSystem }) {
+    if (!history || history.firstYear == null) return null;
+
+    const rows = [
+        {
+            label: "High",
+            stat: history.tempMax,
+            format: (v) => formatTemperature(v, unitSystem),
+            adjective: "warmest",
+        },
+        {
+            label: "Low",
+            stat: history.tempMin,
+            format: (v) => formatTemperature(v, unitSystem),
+            adjective: "warmest",
+        },
+        {
+            label: "Precip",
+            stat: history.precipitation,
+            format: (v) => formatPrecipitation(v, unitSystem),
+            adjective: "wettest",
+        },
+    ];
+
+    return (
+        <section className="mt-6 rounded-2xl border border-slate-700 bg-slate-900/60 p-4 sm:p-5">
+            <h3 className="flex items-center gap-2 text-lg font-semibold">
+                <FiClock className="text-sky-300" aria-hidden="true" />
+                This Day in Past Years
+            </h3>
+            <p className="text-xs text-slate-400">
+                Today&apos;s forecast against observations for the same date,{" "}
+                {history.firstYear}–{history.lastYear}.
+            </p>
+
+            <div className="mt-3 overflow-x-auto">
+                <table className="w-full text-left text-sm">
+                    <thead className="text-xs text-slate-400">
+                        <tr>
+                            <th className="py-1 pr-3 font-medium"></th>
+                            <th className="py-1 pr-3 font-medium">Today</th>
+                            <th className="py-1 pr-3 font-medium">Lowest</th>
+                            <th className="py-1 pr-3 font-medium">Median</th>
+                            <th className="py-1 pr-3 font-medium">Highest</th>
+                            <th className="py-1 font-medium">Rank</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(({ label, stat, format, adjective }) => (
+                            <tr key={label} className="border-t border-slate-800">
+                                <td className="py-1.5 pr-3 text-slate-300">{label}</td>
+                                <td className="py-1.5 pr-3 font-medium text-slate-100">
+                                    {format(stat.value)}
+                                </td>
+                                <td className="py-1.5 pr-3 text-slate-300">{format(stat.min)}</td>
+                                <td className="py-1.5 pr-3 text-slate-300">{format(stat.median)}</td>
+                                <td className="py-1.5 pr-3 text-slate-300">{format(stat.max)}</td>
+                                <td className="py-1.5 text-xs text-slate-400">
+                                    {describeRank(stat, adjective)}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </section>
+    );
+}
@@ -3,75 +3,22 @@
  * @typedef {import("../services/units").UnitSystem} UnitSystem
  */
 
-import { formatTemperature, formatPrecipitation, formatWindSpeed, formatVisibility } from "../services/units";
-import { useMemo, useState, useEffect } from "react";
 import {
-    WiDaySunny,
-    WiNightClear,
-    WiCloud,
-    WiCloudy,
-    WiRain,
-    WiShowers,
-    WiSnow,
-    WiSleet,
-    WiFog,
-    WiThunderstorm,
-} from "react-icons/wi";
+    formatTemperature,
+    formatPrecipitation,
+    formatWindSpeed,
+    formatVisibility,
+    windDirectionToCompass,
+} from "../services/units";
+import { useMemo, useState, useEffect } from "react";
 import { FiChevronLeft, FiChevronRight } from "react-icons/fi";
-import { formatHourLabel, getTimeOfDayFromString } from "../services/time";
-
-/**
- * Routing table from WMO weather codes to icon components.
- *
- * - `codes`: list of numeric weather codes this route handles
- * - `day` / `night`: icon overrides for daytime / nighttime
- * - `all`: icon to use for both day and night when the same
- */
-const WEATHER_ICON_ROUTES = [
-    // Clear / mostly clear
-    { codes: [0, 1], day: WiDaySunny, night: WiNightClear },
-
-    // Clouds
-    { codes: [2], all: WiCloud },
-    { codes: [3], all: WiCloudy },
-
-    // Fog
-    { codes: [45, 48], all: WiFog },
-
-    // Drizzle / light rain
-    { codes: [51, 53, 55], all: WiShowers },
-
-    // Rain / showers
-    { codes: [61, 63, 65, 80, 81, 82], all: WiRain },
+import { formatHourLabel, formatDateLabel, getTimeOfDayFromString } from "../services/time";
+import { normalizeHorizon, describeHorizon } from "../services/forecastHorizon";
+import { getWeatherIconComponent } from "./weatherIcons";
 
-    // Freezing drizzle / rain / sleet-ish
-    { codes: [56, 57, 66, 67, 77], all: WiSleet },
-
-    // Snow
-    { codes: [71, 73, 75, 85, 86], all: WiSnow },
-
-    // Thunderstorms
-    { codes: [95, 96, 99], all: WiThunderstorm },
-];
-
-const DEFAULT_DAY_ICON = WiDaySunny;
-const DEFAULT_NIGHT_ICON = WiNightClear;
 const VISIBLE_COUNT = 3; // show 3 hours at a time
 const GROUP_STEP = 3; // step size for carousel + timeline
 
-/**
- * Convert a wind direction in degrees (0–360) to a compass label.
- *
- * @param {number|null} deg
- * @returns {string|null} "N", "NE", "E", … or null if unknown
- */
-function windDirectionToCompass(deg) {
-    if (deg == null || Number.isNaN(deg)) return null;
-    const dirs = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
-    const index = Math.round((deg % 360) / 45) % 8;
-    return dirs[index];
-}
-
 /**
  * Get a short human-readable description for a WMO weather code.
  *
@@ -115,33 +62,6 @@ function describeWeatherCodeInline(code) {
     return map[code] ?? `Unknown code ${code}`;
 }
 
-/**
- * Choose an icon component based on weather code + time of day,
- * Uses WEATHER_ICON_ROUTES instead of a long if/else chain.
- *
- * @param {number|null} code
- * @param {"day" | "night"} timeOfDay
- * @returns {React.ComponentType}
- */
-function getWeatherIconComponent(code, timeOfDay) {
-    if (code == null) {
-        return timeOfDay === "day" ? DEFAULT_DAY_ICON : DEFAULT_NIGHT_ICON;
-    }
-
-    const route = WEATHER_ICON_ROUTES.find((r) => r.codes.includes(code));
-
-    if (!route) {
-        return timeOfDay === "day" ? DEFAULT_DAY_ICON : DEFAULT_NIGHT_ICON;
-    }
-
-    if (route.all) return route.all;
-    if (timeOfDay === "day" && route.day) return route.day;
-    if (timeOfDay === "night" && route.night) return route.night;
-
-    // Fallback route
-    return timeOfDay === "day" ? DEFAULT_DAY_ICON : DEFAULT_NIGHT_ICON;
-}
-
 /**
 * Given the WeatherState, find the index in hourly that matches "now".
  * Tries:
@@ -204,6 +124,28 @@ function getStartIndex(weather) {
     return 0;
 }
 
+/**
+ * Pick the hours the carousel covers: from the start of the requested past
+ * days (if any) through the end of the forecast, which the request has
+ * already limited to the horizon.
+ *
+ * The window start is aligned so "now" falls on a GROUP_STEP boundary and
+ * the initial card group starts at the current hour.
+ *
+ * @param {WeatherState|null} weather
+ * @returns {{ hours: Array<import("../services/weatherApi").HourlyPoint>, nowOffset: number }}
+ */
+function getHourWindow(weather) {
+    if (!weather || !weather.hourly?.length) return { hours: [], nowOffset: 0 };
+
+    const startIndex = getStartIndex(weather);
+    const { pastDays } = normalizeHorizon(weather.horizon);
+    let first = Math.max(0, startIndex - pastDays * 24);
+    first += (startIndex - first) % GROUP_STEP;
+
+    return { hours: weather.hourly.slice(first), nowOffset: startIndex - first };
+}
+
 /**
  * Single hourly forecast card used inside the carousel.
  *
@@ -283,23 +225,19 @@ function HourCard({
 
 /**
   * HourlyForecast component – shows an animated card group that rotates through
- * the next 12 hours of data, 3 at a time, with an optional details panel.
+ * the hours in the selected horizon, 3 at a time, with an optional details
+ * panel. Starts at the current hour; requested past days come before it.
  * @param {{ weather: WeatherState|null, unitSystem: UnitSystem }} props
  * @returns {JSX.Element}
  */
 export default function HourlyForecast({ weather, unitSystem }) {
-    const [currentIndex, setCurrentIndex] = useState(0);
+    const [currentIndex, setCurrentIndex] = useState(() => getHourWindow(weather).nowOffset);
     const [showDetails, setShowDetails] = useState(false);
     const [direction, setDirection] = useState("right"); // left or right
     const [animKey, setAnimKey] = useState(0);
 
-    // Slice the next 12 hours starting from "now".
-    const hours = useMemo(() => {
-        if (!weather || !weather.hourly?.length) return [];
-        const allHours = weather.hourly;
-        const startIndex = getStartIndex(weather);
-        return allHours.slice(startIndex, startIndex + 12);
-    }, [weather]);
+    // Hours covered by the horizon, including any past days.
+    const hours = useMemo(() => getHourWindow(weather).hours, [weather]);
 
     // Auto-advance every 6 seconds by GROUP_STEP hours; pause when details are open
     useEffect(() => {
@@ -355,11 +293,23 @@ export default function HourlyForecast({ weather, unitSystem }) {
         setAnimKey((prev) => prev + 1);
     }, [groupIndex]);
 
+    // Timeline stops (every GROUP_STEP hours), grouped by day so long
+    // horizons show one day's stops at a time.
+    const stops = hours
+        .map((hour, index) => ({ hour, index, date: hour.time.slice(0, 10) }))
+        .filter(({ index }) => index % GROUP_STEP === 0);
+    const activeDate = hours[groupIndex]?.time.slice(0, 10);
+    const dayStops = stops.filter(
+        (stop, i) => i === 0 || stops[i - 1].date !== stop.date
+    );
+
     return (
         <div className="space-y-4">
             {/* Header + controls */}
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
-                <h3 className="text-lg font-semibold">Next 12 Hours</h3>
+                <h3 className="text-lg font-semibold">
+                    Hourly — {describeHorizon(normalizeHorizon(weather.horizon))}
+                </h3>
                 <div className="flex items-center gap-3 text-xs text-slate-400">
                     <button
                         type="button"
@@ -510,11 +460,31 @@ export default function HourlyForecast({ weather, unitSystem }) {
                 </div>
             )}
 
+            {/* Day picker for multi-day horizons */}
+            {dayStops.length > 1 && (
+                <div className="flex flex-wrap gap-1.5 text-xs">
+                    {dayStops.map(({ date, index }) => (
+                        <button
+                            key={date}
+                            type="button"
+                            onClick={() => setCurrentIndex(index)}
+                            className={[
+                                "px-2 py-1 rounded-full border transition-colors",
+                                date === activeDate
+                                    ? "bg-slate-100 text-slate-900 border-slate-100"
+                                    : "bg-slate-900/60 text-slate-300 border-slate-700 hover:bg-slate-800",
+                            ].join(" ")}
+                        >
+                            {formatDateLabel(date)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
             {/* Timeline of hours, stepped every 3 hours */}
             <div className="flex flex-wrap gap-1.5 text-xs">
-                {hours
-                    .map((hour, index) => ({ hour, index }))
-                    .filter(({ index }) => index % GROUP_STEP === 0)
+                {stops
+                    .filter(({ date }) => date === activeDate)
                     .map(({ hour, index }) => {
                         const label = formatHourLabel(hour.time, weather.timezone);
                         const isActive = index === groupIndex;
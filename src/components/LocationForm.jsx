@@ -1,10 +1,44 @@
-import { useState } from "react";
+/**
+ * @typedef {import("../services/locationApi").LocationSuggestion} LocationSuggestion
+ */
+
+import { useState, useEffect, useId } from "react";
+import { searchLocations, MIN_SUGGESTION_QUERY_LENGTH } from "../services/locationApi";
+import { isAbortError } from "../services/http";
+import { parseLocationQuery } from "../services/locationQuery";
+
+/** Pause after the last keystroke before asking for suggestions. */
+const SUGGESTION_DEBOUNCE_MS = 250;
+
+/**
+ * Secondary line for a suggestion: region, country, population, elevation.
+ *
+ * @param {LocationSuggestion} s
+ * @returns {string}
+ */
+function describeSuggestion(s) {
+    return [
+        s.admin1,
+        s.country,
+        s.population ? `pop. ${s.population.toLocaleString()}` : null,
+        s.elevation != null ? `${Math.round(s.elevation).toLocaleString()} m` : null,
+    ]
+        .filter(Boolean)
+        .join(" · ");
+}
 
 /**
  * LocationForm component
+ *
+ * While typing, matching places are suggested below the input (debounced).
+ * Arrow keys move through them, Enter picks the highlighted one and Escape
+ * closes the list. Picking a suggestion passes its exact coordinates to
+ * `onSelectLocation`, so the text is not geocoded again.
+ *
  * @param {{
  *   defaultValue?: string,
  *   onSubmitLocation: (value: string) => void,
+ *   onSelectLocation: (location: {lat: number, lon: number, label: string}) => void,
  *   onUseMyLocation: () => void,
  *   loading: boolean
  * }} props
@@ -13,58 +47,124 @@ import { useState } from "react";
 export default function LocationForm({
     defaultValue = "",
     onSubmitLocation,
+    onSelectLocation,
     onUseMyLocation,
     loading,
 }) {
     const [value, setValue] = useState(defaultValue);
     const [error, setError] = useState("");
+    const [suggestionState, setSuggestionState] = useState(null); // { query, results }
+    const [open, setOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const listId = useId();
+
+    // Only show suggestions that belong to what is typed right now.
+    const query = value.trim();
+    const suggestions =
+        suggestionState?.query === query ? suggestionState.results : [];
+    const showSuggestions = open && suggestions.length > 0;
 
-    const ZIP_REGEX = /^\d{5}$/;
-    const CITY_STATE_REGEX = /^([^,]+),\s*([A-Za-z]{2})$/;
+    // Debounced type-ahead lookup; a newer keystroke cancels the last one.
+    useEffect(() => {
+        if (query.length < MIN_SUGGESTION_QUERY_LENGTH) return;
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => {
+            searchLocations(query, { signal: controller.signal })
+                .then((results) => setSuggestionState({ query, results }))
+                .catch((err) => {
+                    if (isAbortError(err)) return;
+                    // Suggestions are a convenience; plain submit still works.
+                    console.warn("Location suggestions failed", err);
+                });
+        }, SUGGESTION_DEBOUNCE_MS);
+
+        return () => {
+            clearTimeout(timeoutId);
+            controller.abort();
+        };
+    }, [query]);
 
     /**
      * Validate the raw input and return a normalized query string
      * or null if invalid.
      *
-     * Accepted formats:
-     *   - "80202"
-     *   - "Denver, CO"
+     * Accepted formats (see parseLocationQuery):
+     *   - "80202", "K1A 0B1", "SW1A 1AA", "10115, DE", "D-10115"
+     *   - "Denver, CO", "Paris, France", "Cambridge, Ontario, Canada"
+     *   - "CWC8+R9 Mountain View, CA" (short Plus Code with its locality)
+     *
+     * Coordinates and grid references never reach this; handleSubmit
+     * decodes them first.
      *
-     * Normalized output:
-     *   - "80202"
-     *   - "Denver, CO"
+     * Normalized output: parts separated by ", " with region and country
+     * codes upper-cased, e.g. "Denver,co" -> "Denver, CO".
      */
     const normalizeLocationInput = (raw) => {
-        const trimmed = raw.trim();
+        const parsed = parseLocationQuery(raw);
+        if (parsed.kind === "generic") return null;
 
-        if (!trimmed) return null;
+        return raw
+            .split(",")
+            .map((part) => part.trim().replace(/\s+/g, " "))
+            .filter(Boolean)
+            .map((part, i) => (i > 0 && /^[a-z]{2,3}$/i.test(part) ? part.toUpperCase() : part))
+            .join(", ");
+    };
 
-        // 5-digit US ZIP
-        if (ZIP_REGEX.test(trimmed)) {
-            // just the ZIP — this worked before with Open-Meteo
-            return trimmed;
-        }
+    /**
+     * Use a suggestion: show its label and hand over its coordinates.
+     * @param {LocationSuggestion} suggestion
+     */
+    const selectSuggestion = (suggestion) => {
+        setValue(suggestion.label);
+        setOpen(false);
+        setActiveIndex(-1);
+        setError("");
+        onSelectLocation({
+            lat: suggestion.lat,
+            lon: suggestion.lon,
+            label: suggestion.label,
+        });
+    };
 
-        // "City, ST" pattern
-        const match = trimmed.match(CITY_STATE_REGEX);
-        if (match) {
-            const city = match[1].trim();
-            const state = match[2].toUpperCase();
-            if (!city) return null;
-            // keep it simple for Open-Meteo: "City, ST"
-            return `${city}, ${state}`;
+    const handleKeyDown = (e) => {
+        if (e.key === "Escape") {
+            setOpen(false);
+            setActiveIndex(-1);
+            return;
         }
+        if (!suggestions.length) return;
 
-        return null;
+        if (e.key === "ArrowDown") {
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex((prev) => (prev + 1) % suggestions.length);
+        } else if (e.key === "ArrowUp") {
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+        } else if (e.key === "Enter" && showSuggestions && activeIndex >= 0) {
+            e.preventDefault();
+            selectSuggestion(suggestions[activeIndex]);
+        }
     };
 
     const handleSubmit = (e) => {
         e.preventDefault();
         setError("");
+        setOpen(false);
 
         const raw = value.trim();
         if (!raw) {
-            setError("Please enter a ZIP code or a city, state.");
+            setError("Please enter a place or a postal code.");
+            return;
+        }
+
+        // Typed positions are decoded here and skip geocoding entirely.
+        const parsed = parseLocationQuery(raw);
+        if (parsed.kind === "coords") {
+            onSelectLocation({ lat: parsed.lat, lon: parsed.lon, label: parsed.label });
             return;
         }
 
@@ -72,7 +172,7 @@ export default function LocationForm({
 
         if (!normalized) {
             setError(
-                "Use a 5-digit ZIP (e.g. 80202) or a city, state (e.g. Denver, CO)."
+                "Use a postal code (e.g. 80202, K1A 0B1), a place with its region or country (e.g. Denver, CO or Paris, France), or coordinates (e.g. 39.74, -104.99)."
             );
             return;
         }
@@ -82,6 +182,8 @@ export default function LocationForm({
 
     const handleChange = (e) => {
         setValue(e.target.value);
+        setOpen(true);
+        setActiveIndex(-1);
         if (error) setError("");
     };
 
@@ -91,18 +193,58 @@ export default function LocationForm({
             className="flex flex-col gap-2 sm:flex-row sm:items-end sm:gap-4"
         >
             {/* Label + input */}
-            <label className="flex-1 flex flex-col gap-1">
+            <label className="relative flex-1 flex flex-col gap-1">
                 <span className="text-xs font-semibold uppercase tracking-wide text-slate-300">
-                    ZIP or City, State
+                    Place, Postal Code or Coordinates
                 </span>
                 <input
                     type="text"
-                    placeholder="e.g. 80202 or Denver, CO"
+                    placeholder="e.g. 80202, Denver, CO or Paris, France"
                     value={value}
                     onChange={handleChange}
+                    onKeyDown={handleKeyDown}
+                    onFocus={() => setOpen(true)}
+                    onBlur={() => setOpen(false)}
                     disabled={loading}
+                    role="combobox"
+                    aria-autocomplete="list"
+                    aria-expanded={showSuggestions}
+                    aria-controls={listId}
+                    aria-activedescendant={
+                        showSuggestions && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined
+                    }
+                    autoComplete="off"
                     className="w-full rounded-xl border border-slate-600 bg-slate-900/70 px-3 py-2 text-sm placeholder:text-slate-500 shadow-inner focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-sky-500 disabled:opacity-60"
                 />
+                {showSuggestions && (
+                    <ul
+                        id={listId}
+                        role="listbox"
+                        className="absolute left-0 right-0 top-full z-20 mt-1 max-h-72 overflow-y-auto rounded-xl border border-slate-600 bg-slate-900 py-1 shadow-lg"
+                    >
+                        {suggestions.map((s, index) => (
+                            <li
+                                key={s.id ?? `${s.lat},${s.lon}`}
+                                id={`${listId}-${index}`}
+                                role="option"
+                                aria-selected={index === activeIndex}
+                                // mousedown (not click) so the input keeps focus.
+                                onMouseDown={(e) => {
+                                    e.preventDefault();
+                                    selectSuggestion(s);
+                                }}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                className={[
+                                    "cursor-pointer px-3 py-1.5",
+                                    index === activeIndex ? "bg-sky-500/20" : "hover:bg-slate-800",
+                                ].join(" ")}
+                            >
+                                <p className="text-sm text-slate-100">{s.name}</p>
+                                <p className="text-xs text-slate-400">{describeSuggestion(s)}</p>
+                            </li>
+                        ))}
+                    </ul>
+                )}
                 {error && (
                     <span className="mt-1 text-xs text-red-400">
                         {error}
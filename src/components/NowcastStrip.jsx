@@ -0,0 +1,69 @@
+/**
+ * @typedef {import("../services/weatherApi").WeatherState} WeatherState
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ */
+
+import { useMemo } from "react";
+import { WiUmbrella } from "react-icons/wi";
+import { buildNowcast, isWetStep } from "../services/nowcast";
+import { formatHourLabel } from "../services/time";
+import { formatPrecipitation } from "../services/units";
+
+/** 15-minute precipitation (mm) drawn as a full-height bar. */
+const FULL_BAR_MM = 2.5;
+
+/**
+ * NowcastStrip
+ * Summarizes up to the next two hours of precipitation in 15-minute steps:
+ * a one-line headline plus a small bar chart of intensity.
+ * Renders nothing when the forecast has no 15-minute data.
+ *
+ * @param {{ weather: WeatherState|null, unitSystem: UnitSystem }} props
+ * @returns {JSX.Element|null}
+ */
+export default function NowcastStrip({ weather, unitSystem }) {
+    const nowcast = useMemo(
+        () => (weather ? buildNowcast(weather.minutely15, weather.timezone) : null),
+        [weather]
+    );
+
+    if (!nowcast) return null;
+
+    return (
+        <div className="mb-4 rounded-xl border border-slate-700 bg-slate-900/60 px-4 py-3">
+            <p className="flex items-center gap-2 text-sm font-medium text-slate-100">
+                <WiUmbrella size={22} className="text-sky-300" />
+                {nowcast.headline}
+            </p>
+
+            <div className="mt-3 flex items-end gap-1 h-12" aria-hidden="true">
+                {nowcast.steps.map((step) => {
+                    const mm = step.precipitation ?? 0;
+                    const height = isWetStep(step)
+                        ? Math.max(10, Math.min(100, (mm / FULL_BAR_MM) * 100))
+                        : 4;
+                    return (
+                        <div
+                            key={step.time}
+                            className="flex-1 flex items-end h-full"
+                            title={`${formatHourLabel(step.time)}: ${formatPrecipitation(mm, unitSystem)}`}
+                        >
+                            <div
+                                className={[
+                                    "w-full rounded-sm",
+                                    isWetStep(step) ? "bg-sky-400" : "bg-slate-700",
+                                ].join(" ")}
+                                style={{ height: `${height}%` }}
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="mt-1 flex justify-between text-[11px] text-slate-400">
+                <span>Now</span>
+                <span>{formatHourLabel(nowcast.steps[nowcast.steps.length - 1].time)}</span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,120 @@
+/**
+ * @typedef {import("../services/searchHistory").SearchHistoryEntry} SearchHistoryEntry
+ */
+
+import { FiClock, FiStar, FiX } from "react-icons/fi";
+import { formatTimestampLabel } from "../services/time";
+
+/**
+ * RecentSearches
+ * The user's recent searches under the search form. Clicking one reopens
+ * its forecast without geocoding again; each can be saved as a place or
+ * removed. A switch turns history off, which also clears it.
+ *
+ * @param {{
+ *   entries: Array<SearchHistoryEntry>,
+ *   enabled: boolean,
+ *   isFavorite: (entry: SearchHistoryEntry) => boolean,
+ *   disabled?: boolean,
+ *   onRun: (entry: SearchHistoryEntry) => void,
+ *   onPin: (entry: SearchHistoryEntry) => void,
+ *   onRemove: (id: string) => void,
+ *   onClear: () => void,
+ *   onToggleEnabled: (enabled: boolean) => void
+ * }} props `disabled` blocks re-runs while a search is loading.
+ * @returns {JSX.Element}
+ */
+export default function RecentSearches({
+    entries,
+    enabled,
+    isFavorite,
+    disabled = false,
+    onRun,
+    onPin,
+    onRemove,
+    onClear,
+    onToggleEnabled,
+}) {
+    return (
+        <div className="space-y-2">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h3 className="flex items-center gap-1.5 text-xs font-semibold uppercase tracking-wide text-slate-300">
+                    <FiClock size={12} aria-hidden="true" />
+                    Recent searches
+                </h3>
+                <div className="flex items-center gap-3 text-xs">
+                    {enabled && entries.length > 0 && (
+                        <button
+                            type="button"
+                            onClick={onClear}
+                            className="text-sky-400 hover:text-sky-300 underline"
+                        >
+                            Clear all
+                        </button>
+                    )}
+                    <label className="inline-flex cursor-pointer items-center gap-1.5 text-slate-400">
+                        <input
+                            type="checkbox"
+                            checked={enabled}
+                            onChange={(e) => onToggleEnabled(e.target.checked)}
+                            className="accent-sky-500"
+                        />
+                        Keep history
+                    </label>
+                </div>
+            </div>
+
+            {!enabled && (
+                <p className="text-xs text-slate-500">
+                    History is off. Searches are not stored on this device.
+                </p>
+            )}
+            {enabled && !entries.length && (
+                <p className="text-xs text-slate-500">Places you search for will show up here.</p>
+            )}
+
+            {enabled && entries.length > 0 && (
+                <ul className="divide-y divide-slate-700/60 rounded-xl border border-slate-700 bg-slate-900/50">
+                    {entries.map((entry) => {
+                        const saved = isFavorite(entry);
+                        return (
+                            <li key={entry.id} className="flex items-center gap-2 px-3 py-2">
+                                <button
+                                    type="button"
+                                    onClick={() => onRun(entry)}
+                                    disabled={disabled}
+                                    className="min-w-0 flex-1 text-left disabled:cursor-not-allowed disabled:opacity-60"
+                                >
+                                    <p className="truncate text-sm text-slate-100">{entry.label}</p>
+                                    <p className="truncate text-xs text-slate-500">
+                                        {entry.query !== entry.label && <>&ldquo;{entry.query}&rdquo; · </>}
+                                        {entry.searchedAt && formatTimestampLabel(entry.searchedAt)}
+                                    </p>
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => onPin(entry)}
+                                    disabled={saved}
+                                    aria-label={saved ? "Saved" : "Save place"}
+                                    title={saved ? "Saved" : "Save place"}
+                                    className="rounded-md p-1 text-slate-400 hover:bg-slate-700 hover:text-slate-100 disabled:text-sky-400 disabled:hover:bg-transparent"
+                                >
+                                    <FiStar size={14} className={saved ? "fill-current" : ""} />
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => onRemove(entry.id)}
+                                    aria-label="Remove from history"
+                                    title="Remove from history"
+                                    className="rounded-md p-1 text-slate-400 hover:bg-slate-700 hover:text-slate-100"
+                                >
+                                    <FiX size={14} />
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+}
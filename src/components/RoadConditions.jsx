@@ -1,11 +1,35 @@
 /**
  * @typedef {import("../services/weatherApi").WeatherState} WeatherState
  * @typedef {import("../services/units").UnitSystem} UnitSystem
+ * @typedef {import("../services/driverHazards").DriverHazard} DriverHazard
+ * @typedef {import("../services/driverHazards").DriverSettings} DriverSettings
  */
 
-import { roadConditionInfo, classifyRoadCondition } from "../services/roadConditions";
-import { formatTemperature, formatPrecipitation } from "../services/units";
+import { useState } from "react";
+import {
+    roadConditionInfo,
+    classifyRoadCondition,
+    classifyHourRoadCondition,
+} from "../services/roadConditions";
+import { estimateRoadSurface } from "../services/roadSurface";
+import { SNOW_ACCUMULATION_HOURS, snowfallTotal } from "../services/snowfall";
+import {
+    VEHICLE_PROFILES,
+    assessHourHazards,
+    loadDriverSettings,
+    saveDriverSettings,
+} from "../services/driverHazards";
+import {
+    formatTemperature,
+    formatPrecipitation,
+    formatSnow,
+    formatElevation,
+    formatVisibility,
+    formatWindSpeed,
+    windDirectionToCompass,
+} from "../services/units";
 import { formatHourLabel } from "../services/time";
+import RoadHazardTimeline from "./RoadHazardTimeline";
 
 /**
  * Given the WeatherState, find the index in hourly that matches "now".
@@ -38,12 +62,51 @@ function getStartIndex(weather) {
     return 0;
 }
 
+const HAZARD_SEVERITY_STYLES = {
+    danger: "border-rose-500/60 bg-rose-500/15 text-rose-100",
+    caution: "border-amber-500/60 bg-amber-500/10 text-amber-100",
+};
+
+/**
+ * Hazards for one hour as small chips, with the detail as a tooltip.
+ *
+ * @param {{ hazards: Array<DriverHazard> }} props
+ * @returns {JSX.Element}
+ */
+function HazardChips({ hazards }) {
+    if (!hazards.length) {
+        return <p className="text-slate-500">No driving hazards</p>;
+    }
+    return (
+        <ul className="flex flex-wrap gap-1">
+            {hazards.map((hazard) => (
+                <li
+                    key={hazard.type}
+                    title={hazard.detail}
+                    className={`rounded-full border px-2 py-0.5 text-[11px] ${HAZARD_SEVERITY_STYLES[hazard.severity]}`}
+                >
+                    {hazard.label}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
 /**
  * RoadConditions component
  * @param {{ weather: WeatherState|null, unitSystem: UnitSystem }} props
  * @returns {JSX.Element}
  */
 export default function RoadConditions({ weather, unitSystem }) {
+    const [driver, setDriver] = useState(loadDriverSettings);
+
+    /** @param {Partial<DriverSettings>} changes */
+    function updateDriver(changes) {
+        const next = { ...driver, ...changes };
+        setDriver(next);
+        saveDriverSettings(next);
+    }
+
     const startIndex = getStartIndex(weather);
     const allHours = weather?.hourly ?? [];
     const upcoming = allHours.slice(startIndex, startIndex + 6);
@@ -60,12 +123,27 @@ export default function RoadConditions({ weather, unitSystem }) {
         weather?.current?.weatherCode ?? currentSource?.weatherCode ?? null;
     const currentPrecip = currentSource?.precipitation ?? null;
 
-    const currentCategory = classifyRoadCondition(
-        currentTemp,
-        currentPrecip,
-        currentCode
-    );
+    // The current hour gets the same heavy snow / black ice checks as the
+    // hourly list; without hourly data only the plain reading is left.
+    const currentIndex = currentSource ? allHours.indexOf(currentSource) : -1;
+    const surface =
+        currentIndex !== -1 ? estimateRoadSurface(allHours, currentIndex, weather.daily) : null;
+    const currentCategory =
+        currentIndex !== -1
+            ? classifyHourRoadCondition(allHours, currentIndex, weather.daily)
+            : classifyRoadCondition(currentTemp, currentPrecip, currentCode);
     const currentInfo = roadConditionInfo(currentCategory);
+    const currentHazards =
+        currentIndex !== -1 ? assessHourHazards(allHours, currentIndex, weather.daily, driver).hazards : null;
+
+    // Running totals from the current hour; null when the provider has no snowfall.
+    const snowTotals = SNOW_ACCUMULATION_HOURS.map((hours) => ({
+        hours,
+        total: snowfallTotal(allHours, startIndex, hours),
+    }));
+    const hasSnowData = snowTotals.some((s) => s.total != null);
+    const snowOnGround = currentSource?.snowDepth ?? null;
+    const freezingLevel = currentSource?.freezingLevel ?? null;
 
     return (
         <div className="space-y-4">
@@ -80,6 +158,82 @@ export default function RoadConditions({ weather, unitSystem }) {
                         immediate precipitation forecasts ({formatPrecipitation(currentPrecip, unitSystem)}).
                     </p>
                 )}
+                {surface?.surfaceTemperature != null && (
+                    <p className="mt-1 text-xs text-slate-400">
+                        Estimated pavement: {formatTemperature(surface.surfaceTemperature, unitSystem)}
+                        {surface.dewPoint != null && <> · dew point {formatTemperature(surface.dewPoint, unitSystem)}</>}
+                        {surface.recentPrecipitation > 0 && (
+                            <> · {formatPrecipitation(surface.recentPrecipitation, unitSystem)} in the last hours</>
+                        )}
+                        {surface.iceRisk === "frost" && " · frost likely"}
+                    </p>
+                )}
+                {currentHazards && (
+                    <div className="mt-3 text-xs">
+                        <HazardChips hazards={currentHazards} />
+                    </div>
+                )}
+            </section>
+
+            {hasSnowData && (
+                <section className="rounded-xl border border-slate-700 bg-slate-800/70 px-3 py-3 text-xs sm:px-4">
+                    <h4 className="text-sm font-semibold text-slate-100">Snow accumulation</h4>
+                    <dl className="mt-2 grid grid-cols-3 gap-2">
+                        {snowTotals.map(({ hours, total }) => (
+                            <div key={hours} className="rounded-lg bg-slate-900/60 px-2 py-1.5">
+                                <dt className="text-slate-400">Next {hours} h</dt>
+                                <dd className="mt-0.5 text-base font-semibold text-slate-100">
+                                    {formatSnow(total, unitSystem)}
+                                </dd>
+                            </div>
+                        ))}
+                    </dl>
+                    {(snowOnGround != null || freezingLevel != null) && (
+                        <p className="mt-2 text-slate-400">
+                            {snowOnGround != null && <>On the ground now: {formatSnow(snowOnGround, unitSystem)}</>}
+                            {snowOnGround != null && freezingLevel != null && " · "}
+                            {freezingLevel != null && <>Freezing level: {formatElevation(freezingLevel, unitSystem)}</>}
+                        </p>
+                    )}
+                </section>
+            )}
+
+            <section className="flex flex-wrap items-end gap-3 text-xs">
+                <label className="flex flex-col gap-1">
+                    <span className="font-semibold uppercase tracking-wide text-slate-300">Vehicle</span>
+                    <select
+                        value={driver.vehicle}
+                        onChange={(e) => updateDriver({ vehicle: e.target.value })}
+                        className="rounded-full bg-slate-800/70 border border-slate-700 px-3 py-1.5 text-xs text-slate-200 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                    >
+                        {VEHICLE_PROFILES.map((profile) => (
+                            <option key={profile.id} value={profile.id}>
+                                {profile.label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className="font-semibold uppercase tracking-wide text-slate-300">Road bearing (°)</span>
+                    <input
+                        type="number"
+                        min="0"
+                        max="359"
+                        value={driver.roadBearing ?? ""}
+                        onChange={(e) =>
+                            updateDriver({
+                                roadBearing: e.target.value === "" ? null : ((Number(e.target.value) % 360) + 360) % 360,
+                            })
+                        }
+                        placeholder="Any"
+                        className="w-24 rounded-full bg-slate-800/70 border border-slate-700 px-3 py-1.5 text-xs text-slate-200 placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                    />
+                </label>
+                <p className="pb-1.5 text-slate-400">
+                    {driver.roadBearing == null
+                        ? "Set the direction your road runs to judge crosswind; otherwise all wind counts."
+                        : `Road runs ${windDirectionToCompass(driver.roadBearing)}–${windDirectionToCompass(driver.roadBearing + 180)}.`}
+                </p>
             </section>
 
             <section className="space-y-2">
@@ -95,12 +249,11 @@ export default function RoadConditions({ weather, unitSystem }) {
                 {upcoming.length > 0 && (
                     <div className="grid gap-2 sm:grid-cols-2">
                         {upcoming.map((hour, idx) => {
-                            const cat = classifyRoadCondition(
-                                hour.temperature,
-                                hour.precipitation,
-                                hour.weatherCode
-                            );
+                            const cat = classifyHourRoadCondition(allHours, startIndex + idx, weather.daily);
                             const info = roadConditionInfo(cat);
+                            const hourSurface = estimateRoadSurface(allHours, startIndex + idx, weather.daily);
+                            const { hazards } = assessHourHazards(allHours, startIndex + idx, weather.daily, driver);
+                            const windFrom = windDirectionToCompass(hour.windDirection);
 
                             const label = formatHourLabel(hour.time, weather.timezone);
 
@@ -115,13 +268,36 @@ export default function RoadConditions({ weather, unitSystem }) {
                                         Temp: {formatTemperature(hour.temperature, unitSystem)} ·
                                         Precip: {formatPrecipitation(hour.precipitation, unitSystem)}
                                     </p>
+                                    {hourSurface.surfaceTemperature != null && (
+                                        <p className="mt-0.5 text-slate-500">
+                                            Pavement ≈ {formatTemperature(hourSurface.surfaceTemperature, unitSystem)}
+                                        </p>
+                                    )}
+                                    {(hour.snowfall > 0 || hour.snowDepth > 0) && (
+                                        <p className="mt-0.5 text-slate-400">
+                                            Snow: {formatSnow(hour.snowfall ?? 0, unitSystem)}
+                                            {hour.snowDepth != null && ` · depth ${formatSnow(hour.snowDepth, unitSystem)}`}
+                                        </p>
+                                    )}
+                                    <p className="mt-0.5 text-slate-500">
+                                        Vis: {formatVisibility(hour.visibility, unitSystem)} ·
+                                        Wind: {formatWindSpeed(hour.windSpeed, unitSystem)}
+                                        {windFrom && ` ${windFrom}`}
+                                        {hour.windGusts != null && `, gusts ${formatWindSpeed(hour.windGusts, unitSystem)}`}
+                                    </p>
+                                    <div className="mt-1.5">
+                                        <HazardChips hazards={hazards} />
+                                    </div>
                                 </div>
                             );
                         })}
                     </div>
                 )}
             </section>
+
+            {upcoming.length > 0 && (
+                <RoadHazardTimeline hourly={allHours} daily={weather.daily} startIndex={startIndex} />
+            )}
         </div>
     );
 }
-
@@ -0,0 +1,140 @@
+/**
+ * @typedef {import("../services/weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("../services/weatherApi").DailyPoint} DailyPoint
+ */
+
+import { roadConditionInfo } from "../services/roadConditions";
+import {
+    buildHazardWindows,
+    findWorstWindow,
+    WORST_WINDOW_LOOKAHEAD_HOURS,
+} from "../services/roadTimeline";
+import { formatHourLabel } from "../services/time";
+import { ROAD_CONDITION_COLORS } from "./roadConditionStyles";
+
+/**
+ * Short weekday for a local timestamp, e.g. "Tue".
+ *
+ * @param {string} time "YYYY-MM-DDTHH:MM"
+ * @returns {string}
+ */
+function weekdayLabel(time) {
+    const [year, month, day] = time.slice(0, 10).split("-").map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: "short" });
+}
+
+/**
+ * Hour without the minutes, e.g. "2 AM".
+ *
+ * @param {string} time
+ * @returns {string}
+ */
+function shortHourLabel(time) {
+    return formatHourLabel(time).replace(":00", "");
+}
+
+/**
+ * Human-readable span, e.g. "2 AM – 9 AM Tue" or "10 PM Mon – 6 AM Tue".
+ *
+ * @param {string} start
+ * @param {string} end
+ * @returns {string}
+ */
+function formatWindowRange(start, end) {
+    // A window ending at midnight still reads as one day: "6 PM – 12 AM Mon".
+    const endsAtMidnight =
+        end.endsWith("T00:00") && Date.parse(`${end}Z`) - Date.parse(`${start}Z`) <= 24 * 60 * 60 * 1000;
+    if (start.slice(0, 10) === end.slice(0, 10) || endsAtMidnight) {
+        return `${shortHourLabel(start)} – ${shortHourLabel(end)} ${weekdayLabel(start)}`;
+    }
+    return `${shortHourLabel(start)} ${weekdayLabel(start)} – ${shortHourLabel(end)} ${weekdayLabel(end)}`;
+}
+
+/**
+ * RoadHazardTimeline
+ * Road conditions over the whole hourly forecast, merged into windows of
+ * the same category: a proportional bar, the worst window in the next day
+ * called out, then every window with the time conditions change.
+ *
+ * @param {{
+ *   hourly: Array<HourlyPoint>,
+ *   daily: Array<DailyPoint>,
+ *   startIndex: number
+ * }} props `startIndex` is the current hour.
+ * @returns {JSX.Element|null}
+ */
+export default function RoadHazardTimeline({ hourly, daily, startIndex }) {
+    const windows = buildHazardWindows(hourly, startIndex, daily);
+    if (!windows.length) return null;
+
+    const worst = findWorstWindow(windows);
+
+    return (
+        <section className="space-y-3">
+            <h4 className="text-sm font-semibold text-slate-100">Hazard timeline</h4>
+
+            <div
+                className="flex h-3 overflow-hidden rounded-full border border-slate-700"
+                role="img"
+                aria-label="Road conditions over the forecast"
+            >
+                {windows.map((w) => (
+                    <div
+                        key={w.start}
+                        style={{ flexGrow: w.hours }}
+                        className={[
+                            ROAD_CONDITION_COLORS[w.category],
+                            w === worst ? "" : "opacity-70",
+                        ].join(" ")}
+                        title={`${roadConditionInfo(w.category).label}: ${formatWindowRange(w.start, w.end)}`}
+                    />
+                ))}
+            </div>
+
+            <p
+                className={[
+                    "rounded-xl border px-3 py-2 text-xs",
+                    worst
+                        ? "border-amber-500/60 bg-amber-500/10 text-amber-100"
+                        : "border-slate-700 bg-slate-900/60 text-slate-300",
+                ].join(" ")}
+            >
+                {worst ? (
+                    <>
+                        <span className="font-semibold">Worst in the next {WORST_WINDOW_LOOKAHEAD_HOURS} hours:</span>{" "}
+                        {roadConditionInfo(worst.category).label} {formatWindowRange(worst.start, worst.end)} (
+                        {worst.hours} h)
+                    </>
+                ) : (
+                    `No road hazards expected in the next ${WORST_WINDOW_LOOKAHEAD_HOURS} hours.`
+                )}
+            </p>
+
+            <ol className="space-y-1">
+                {windows.map((w, idx) => (
+                    <li key={w.start}>
+                        {idx > 0 && (
+                            <p className="py-0.5 pl-4 text-[11px] text-slate-500">
+                                ↓ changes at {shortHourLabel(w.start)} {weekdayLabel(w.start)}
+                            </p>
+                        )}
+                        <div
+                            className={[
+                                "flex items-center gap-2 rounded-lg px-2 py-1.5 text-xs",
+                                w === worst ? "bg-amber-500/10 ring-1 ring-amber-500/60" : "bg-slate-900/60",
+                            ].join(" ")}
+                        >
+                            <span
+                                className={`h-2.5 w-2.5 flex-shrink-0 rounded-full ${ROAD_CONDITION_COLORS[w.category]}`}
+                                aria-hidden="true"
+                            />
+                            <span className="font-medium text-slate-200">{roadConditionInfo(w.category).label}</span>
+                            <span className="text-slate-400">{formatWindowRange(w.start, w.end)}</span>
+                            <span className="ml-auto text-slate-500">{w.hours} h</span>
+                        </div>
+                    </li>
+                ))}
+            </ol>
+        </section>
+    );
+}
@@ -0,0 +1,106 @@
+/**
+ * @typedef {import("../services/routeWeather").RouteSegment} RouteSegment
+ * @typedef {import("../services/roadConditions").RoadConditionCategory} RoadConditionCategory
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ */
+
+import { roadConditionInfo } from "../services/roadConditions";
+import { formatTemperature, formatPrecipitation, formatDistance } from "../services/units";
+import { ROAD_CONDITION_COLORS } from "./roadConditionStyles";
+
+/**
+ * Arrival time at a waypoint, in the viewer's local time.
+ *
+ * @param {string} eta ISO timestamp.
+ * @returns {string}
+ */
+function formatEta(eta) {
+    return new Date(eta).toLocaleString(undefined, {
+        weekday: "short",
+        hour: "numeric",
+        minute: "2-digit",
+    });
+}
+
+/**
+ * RouteHazardStrip
+ * The trip as a coloured bar, one block per waypoint (origin on the left),
+ * followed by the details for each waypoint at its estimated arrival.
+ * Waypoints still loading are shown as placeholders.
+ *
+ * @param {{
+ *   segments: Array<RouteSegment|undefined>,
+ *   unitSystem: UnitSystem
+ * }} props `segments` is indexed by waypoint; gaps are still loading.
+ * @returns {JSX.Element}
+ */
+export default function RouteHazardStrip({ segments, unitSystem }) {
+    return (
+        <div className="space-y-4">
+            <div className="flex h-4 overflow-hidden rounded-full border border-slate-700" role="img" aria-label="Road conditions along the route">
+                {Array.from(segments, (segment, idx) => (
+                    <div
+                        key={idx}
+                        className={[
+                            "flex-1 border-r border-slate-900/40 last:border-r-0",
+                            segment ? ROAD_CONDITION_COLORS[segment.category] : "bg-slate-800 animate-pulse",
+                        ].join(" ")}
+                        title={
+                            segment
+                                ? `${formatDistance(segment.distanceKm * 1000, unitSystem)} · ${formatEta(segment.eta)} · ${roadConditionInfo(segment.category).label}`
+                                : "Loading…"
+                        }
+                    />
+                ))}
+            </div>
+
+            <ol className="space-y-2">
+                {Array.from(segments, (segment, idx) => {
+                    if (!segment) {
+                        return (
+                            <li
+                                key={idx}
+                                className="rounded-xl border border-slate-700 bg-slate-900/60 px-3 py-2 text-xs text-slate-400"
+                            >
+                                Loading<span className="animate-pulse">…</span>
+                            </li>
+                        );
+                    }
+
+                    const info = roadConditionInfo(segment.category);
+                    let note = null;
+                    if (segment.error) note = `Forecast unavailable: ${segment.error}`;
+                    else if (!segment.hour) note = "Arrival is beyond the forecast.";
+
+                    return (
+                        <li
+                            key={idx}
+                            className="flex items-start gap-3 rounded-xl border border-slate-700 bg-slate-900/60 px-3 py-2 text-xs text-slate-200"
+                        >
+                            <span
+                                className={`mt-1 h-2.5 w-2.5 flex-shrink-0 rounded-full ${ROAD_CONDITION_COLORS[segment.category]}`}
+                                aria-hidden="true"
+                            />
+                            <div className="min-w-0">
+                                <p className="font-semibold">
+                                    {formatEta(segment.eta)} ·{" "}
+                                    <span className="font-normal text-slate-400">
+                                        {formatDistance(segment.distanceKm * 1000, unitSystem)}
+                                    </span>
+                                </p>
+                                <p className="mt-1 text-slate-300">{info.label}</p>
+                                {segment.hour && (
+                                    <p className="mt-1 text-slate-400">
+                                        Temp: {formatTemperature(segment.hour.temperature, unitSystem)} ·
+                                        Precip: {formatPrecipitation(segment.hour.precipitation, unitSystem)}
+                                    </p>
+                                )}
+                                {note && <p className="mt-1 text-slate-500">{note}</p>}
+                            </div>
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+}
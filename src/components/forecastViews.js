@@ -0,0 +1,19 @@
+/**
+ * The forecast page's tabs, shared by the tab bar and the page header so a
+ * new tab only has to be added here.
+ *
+ * @typedef {Object} ForecastView
+ * @property {string} id Route segment, /forecast/:id.
+ * @property {string} label Tab text.
+ * @property {string} path
+ * @property {string} viewLabel Shown after "Viewing:" on the page.
+ */
+
+/** @type {Array<ForecastView>} */
+export const FORECAST_VIEWS = [
+    { id: "hourly", label: "Hourly", path: "/forecast/hourly", viewLabel: "Hourly forecast" },
+    { id: "roads", label: "Road Conditions", path: "/forecast/roads", viewLabel: "Road conditions" },
+    { id: "commute", label: "Commute", path: "/forecast/commute", viewLabel: "Commute planner" },
+    { id: "daily", label: "7-Day Forecast", path: "/forecast/daily", viewLabel: "Daily outlook" },
+    { id: "alerts", label: "Alerts", path: "/forecast/alerts", viewLabel: "Weather alerts" },
+];
@@ -0,0 +1,14 @@
+/**
+ * Colour for each road condition, shared by the hazard strips and
+ * timelines so a category looks the same everywhere.
+ *
+ * @type {Record<import("../services/roadConditions").RoadConditionCategory, string>}
+ */
+export const ROAD_CONDITION_COLORS = {
+    dry: "bg-emerald-500",
+    wet: "bg-sky-500",
+    snow_ice_risk: "bg-amber-400",
+    heavy_snow: "bg-rose-500",
+    black_ice_risk: "bg-violet-400",
+    unknown: "bg-slate-600",
+};
@@ -0,0 +1,76 @@
+import {
+    WiDaySunny,
+    WiNightClear,
+    WiCloud,
+    WiCloudy,
+    WiRain,
+    WiShowers,
+    WiSnow,
+    WiSleet,
+    WiFog,
+    WiThunderstorm,
+} from "react-icons/wi";
+
+/**
+ * Routing table from WMO weather codes to icon components.
+ *
+ * - `codes`: list of numeric weather codes this route handles
+ * - `day` / `night`: icon overrides for daytime / nighttime
+ * - `all`: icon to use for both day and night when the same
+ */
+const WEATHER_ICON_ROUTES = [
+    // Clear / mostly clear
+    { codes: [0, 1], day: WiDaySunny, night: WiNightClear },
+
+    // Clouds
+    { codes: [2], all: WiCloud },
+    { codes: [3], all: WiCloudy },
+
+    // Fog
+    { codes: [45, 48], all: WiFog },
+
+    // Drizzle / light rain
+    { codes: [51, 53, 55], all: WiShowers },
+
+    // Rain / showers
+    { codes: [61, 63, 65, 80, 81, 82], all: WiRain },
+
+    // Freezing drizzle / rain / sleet-ish
+    { codes: [56, 57, 66, 67, 77], all: WiSleet },
+
+    // Snow
+    { codes: [71, 73, 75, 85, 86], all: WiSnow },
+
+    // Thunderstorms
+    { codes: [95, 96, 99], all: WiThunderstorm },
+];
+
+const DEFAULT_DAY_ICON = WiDaySunny;
+const DEFAULT_NIGHT_ICON = WiNightClear;
+
+/**
+ * Choose an icon component based on weather code + time of day,
+ * Uses WEATHER_ICON_ROUTES instead of a long if/else chain.
+ *
+ * @param {number|null} code
+ * @param {"day" | "night"} timeOfDay
+ * @returns {React.ComponentType}
+ */
+export function getWeatherIconComponent(code, timeOfDay) {
+    if (code == null) {
+        return timeOfDay === "day" ? DEFAULT_DAY_ICON : DEFAULT_NIGHT_ICON;
+    }
+
+    const route = WEATHER_ICON_ROUTES.find((r) => r.codes.includes(code));
+
+    if (!route) {
+        return timeOfDay === "day" ? DEFAULT_DAY_ICON : DEFAULT_NIGHT_ICON;
+    }
+
+    if (route.all) return route.all;
+    if (timeOfDay === "day" && route.day) return route.day;
+    if (timeOfDay === "night" && route.night) return route.night;
+
+    // Fallback route
+    return timeOfDay === "day" ? DEFAULT_DAY_ICON : DEFAULT_NIGHT_ICON;
+}
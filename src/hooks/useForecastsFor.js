@@ -0,0 +1,86 @@
+/**
+ * @typedef {import("../services/weatherApi").WeatherState} WeatherState
+ * @typedef {import("../services/forecastProviders").ProviderPreference} ProviderPreference
+ * @typedef {import("../services/forecastHorizon").ForecastHorizon} ForecastHorizon
+ */
+
+/**
+ * Forecast for one place. `weather` is the last forecast seen for it, so
+ * a failed refresh keeps showing cached data rather than blanking out.
+ *
+ * @typedef {Object} PlaceForecast
+ * @property {"stale"|"ready"|"error"} status
+ * @property {WeatherState|null} weather
+ */
+
+import { useState, useEffect, useEffectEvent } from "react";
+import { fetchWeatherForCoords } from "../services/weatherApi";
+import { mapWithConcurrency } from "../services/concurrency";
+import { isAbortError } from "../services/http";
+
+/** Forecasts fetched at once; keeps a long list from flooding the provider. */
+const FORECASTS_CONCURRENCY = 3;
+
+/**
+ * Forecasts for a list of places, fetched through the regular weather
+ * service (and its cache) a few at a time. Each entry fills in as its
+ * forecast arrives, stale cached data first when there is some.
+ *
+ * Refetches when the set of places, the provider or the horizon changes,
+ * not when places are renamed or reordered; entries are kept across
+ * refetches so neither blanks a place that already has data.
+ *
+ * @param {Array<{id: string, lat: number, lon: number, label: string}>} places
+ * @param {ProviderPreference} provider
+ * @param {ForecastHorizon} horizon
+ * @returns {Record<string, PlaceForecast>} Forecast by place ID; places
+ *   still loading have no entry.
+ */
+export default function useForecastsFor(places, provider, horizon) {
+    const [forecasts, setForecasts] = useState({});
+
+    const placesKey = places.map((p) => p.id).sort().join("|");
+
+    // Reads the latest places, so a rename only changes the label of the
+    // next fetch instead of starting one.
+    const loadForecasts = useEffectEvent((providerValue, horizonValue, signal) => {
+        const update = (id, entry) => {
+            if (!signal.aborted) setForecasts((prev) => ({ ...prev, [id]: entry }));
+        };
+
+        mapWithConcurrency(
+            places,
+            FORECASTS_CONCURRENCY,
+            async (place) => {
+                try {
+                    const weather = await fetchWeatherForCoords(place.lat, place.lon, place.label, {
+                        provider: providerValue,
+                        horizon: horizonValue,
+                        signal,
+                        onStale: (stale) => update(place.id, { status: "stale", weather: stale }),
+                    });
+                    update(place.id, { status: "ready", weather });
+                } catch (err) {
+                    if (isAbortError(err)) return;
+                    console.warn(`Failed to load forecast for ${place.label}`, err);
+                    if (signal.aborted) return;
+                    setForecasts((prev) => ({
+                        ...prev,
+                        [place.id]: { status: "error", weather: prev[place.id]?.weather ?? null },
+                    }));
+                }
+            },
+            signal
+        );
+    });
+
+    useEffect(() => {
+        if (!placesKey) return;
+
+        const controller = new AbortController();
+        loadForecasts(provider, horizon, controller.signal);
+        return () => controller.abort();
+    }, [placesKey, provider, horizon]);
+
+    return forecasts;
+}
@@ -5,6 +5,7 @@ import ReactDOM from "react-dom/client";
 import { BrowserRouter } from "react-router-dom";
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from "./services/serviceWorker";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
     <React.StrictMode>
@@ -13,3 +14,5 @@ ReactDOM.createRoot(document.getElementById("root")).render(
         </BrowserRouter>
     </React.StrictMode>
 );
+
+registerServiceWorker();
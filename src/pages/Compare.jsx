@@ -0,0 +1,235 @@
+/**
+ * @typedef {import("../services/favorites").Favorite} Favorite
+ * @typedef {import("../services/weatherApi").WeatherState} WeatherState
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ * @typedef {import("../services/forecastProviders").ProviderPreference} ProviderPreference
+ * @typedef {import("../services/forecastHorizon").ForecastHorizon} ForecastHorizon
+ */
+
+import { useState } from "react";
+import { FiX } from "react-icons/fi";
+import CompareTable from "../components/CompareTable";
+import { geocodeLocation } from "../services/locationApi";
+import useForecastsFor from "../hooks/useForecastsFor";
+import { favoriteId } from "../services/favorites";
+import {
+    alignHourly,
+    alignDaily,
+    pickLeaders,
+    HOURLY_COMPARE_METRICS,
+    DAILY_COMPARE_METRICS,
+} from "../services/compare";
+import { formatHourLabel, formatDateLabel } from "../services/time";
+
+/** Most places compared at once; more columns stop fitting on screen. */
+const MAX_COMPARE_PLACES = 4;
+
+/** Hours shown in the hourly comparison. */
+const COMPARE_HOURS = 24;
+
+/**
+ * Compare page component
+ * Forecasts for two or more places on a shared timeline, hour by hour or
+ * day by day, with the place that is warmer, drier or less windy in each
+ * period highlighted.
+ *
+ * @param {{
+ *   unitSystem: UnitSystem,
+ *   provider: ProviderPreference,
+ *   horizon: ForecastHorizon,
+ *   favorites: Array<Favorite>,
+ *   currentLocation: {lat: number, lon: number, label: string}|null
+ * }} props `currentLocation` seeds the list with the place being viewed.
+ * @returns {JSX.Element} Compare page component
+ */
+export default function Compare({ unitSystem, provider, horizon, favorites, currentLocation }) {
+    const [places, setPlaces] = useState(() =>
+        currentLocation ? [{ ...currentLocation, id: favoriteId(currentLocation.lat, currentLocation.lon) }] : []
+    );
+    const [query, setQuery] = useState("");
+    const [adding, setAdding] = useState(false);
+    const [error, setError] = useState("");
+    const [view, setView] = useState(/** @type {"hourly"|"daily"} */ ("hourly"));
+
+    const results = useForecastsFor(places, provider, horizon);
+
+    const full = places.length >= MAX_COMPARE_PLACES;
+
+    const addPlace = (place) => {
+        const id = favoriteId(place.lat, place.lon);
+        setPlaces((prev) =>
+            prev.some((p) => p.id === id) || prev.length >= MAX_COMPARE_PLACES
+                ? prev
+                : [...prev, { id, lat: place.lat, lon: place.lon, label: place.label }]
+        );
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        if (!query.trim() || full) return;
+        setAdding(true);
+        setError("");
+        try {
+            addPlace(await geocodeLocation(query));
+            setQuery("");
+        } catch (err) {
+            setError(err?.message || "Couldn't find that place.");
+        } finally {
+            setAdding(false);
+        }
+    };
+
+    // Only places with a forecast take part in the comparison.
+    const loaded = places.filter((p) => results[p.id]?.weather);
+    const states = loaded.map((p) => results[p.id].weather);
+    const placeLabels = loaded.map((p) => p.label);
+    const pending = places.some((p) => !results[p.id]);
+
+    const metrics = view === "hourly" ? HOURLY_COMPARE_METRICS : DAILY_COMPARE_METRICS;
+    const rows =
+        view === "hourly"
+            ? alignHourly(states)
+                .slice(0, COMPARE_HOURS)
+                .map((h) => ({ key: String(h.epoch), label: formatHourLabel(h.time), points: h.points }))
+            : alignDaily(states).map((d) => ({ key: d.date, label: formatDateLabel(d.date), points: d.points }));
+
+    // How many periods each place leads on each measure.
+    const wins = metrics.map((metric) => {
+        const counts = loaded.map(() => 0);
+        for (const row of rows) {
+            const values = row.points.map((p) => (p ? metric.value(p) : null));
+            for (const idx of pickLeaders(values, metric.better)) counts[idx]++;
+        }
+        return counts;
+    });
+
+    const suggestions = favorites.filter((f) => !places.some((p) => p.id === f.id));
+
+    return (
+        <main className="space-y-6 sm:space-y-8">
+            <section className="bg-slate-800/70 border border-slate-700 rounded-2xl shadow-lg p-4 sm:p-6 space-y-4">
+                <div>
+                    <h2 className="text-xl sm:text-2xl font-semibold">Compare Places</h2>
+                    <p className="text-sm text-slate-400">
+                        Up to {MAX_COMPARE_PLACES} forecasts side by side on one timeline.
+                    </p>
+                </div>
+
+                <ul className="flex flex-wrap gap-2">
+                    {places.map((place) => {
+                        const status = results[place.id]?.status ?? "loading";
+                        return (
+                            <li
+                                key={place.id}
+                                className="inline-flex items-center gap-1.5 rounded-full border border-slate-600 bg-slate-900/70 py-1 pl-3 pr-1.5 text-xs text-slate-200"
+                            >
+                                {place.label}
+                                {status === "loading" && <span className="animate-pulse text-slate-400">…</span>}
+                                {status === "error" && <span className="text-red-400">(failed)</span>}
+                                <button
+                                    type="button"
+                                    onClick={() => setPlaces((prev) => prev.filter((p) => p.id !== place.id))}
+                                    aria-label={`Remove ${place.label}`}
+                                    className="rounded-full p-0.5 text-slate-400 hover:bg-slate-700 hover:text-slate-100"
+                                >
+                                    <FiX size={12} />
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <form onSubmit={handleAdd} className="flex flex-col gap-2 sm:flex-row">
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder={full ? `At most ${MAX_COMPARE_PLACES} places` : "Add a place, e.g. Boulder, CO"}
+                        disabled={full || adding}
+                        aria-label="Place to compare"
+                        className="flex-1 rounded-xl border border-slate-600 bg-slate-900/70 px-3 py-2 text-sm placeholder:text-slate-500 shadow-inner focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-sky-500 disabled:opacity-60"
+                    />
+                    <button
+                        type="submit"
+                        disabled={full || adding || !query.trim()}
+                        className="inline-flex items-center justify-center rounded-xl bg-sky-500 px-4 py-2 text-sm font-medium text-slate-900 shadow hover:bg-sky-400 disabled:cursor-not-allowed disabled:bg-slate-600 transition-colors"
+                    >
+                        {adding ? "Adding…" : "Add"}
+                    </button>
+                </form>
+                {error && <p className="text-sm text-red-400">{error}</p>}
+
+                {!full && suggestions.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+                        Saved:
+                        {suggestions.map((f) => (
+                            <button
+                                key={f.id}
+                                type="button"
+                                onClick={() => addPlace({ ...f, label: f.name })}
+                                className="rounded-full border border-slate-700 px-2.5 py-1 text-slate-300 hover:bg-slate-700"
+                            >
+                                + {f.name}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </section>
+
+            {loaded.length >= 2 ? (
+                <section className="bg-slate-800/70 border border-slate-700 rounded-2xl shadow-lg p-4 sm:p-6 space-y-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div className="inline-flex rounded-full bg-slate-900/70 p-1 border border-slate-700" role="tablist">
+                            {["hourly", "daily"].map((id) => (
+                                <button
+                                    key={id}
+                                    type="button"
+                                    role="tab"
+                                    aria-selected={view === id}
+                                    onClick={() => setView(id)}
+                                    className={[
+                                        "px-4 py-1.5 text-sm font-medium rounded-full transition-colors",
+                                        view === id ? "bg-sky-500 text-slate-900 shadow" : "text-slate-300 hover:bg-slate-800",
+                                    ].join(" ")}
+                                >
+                                    {id === "hourly" ? `Next ${COMPARE_HOURS} hours` : "Daily"}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-xs text-slate-400">
+                            Highlighted: {metrics.map((m) => m.label.toLowerCase()).join(", ")}.
+                            {view === "hourly"
+                                ? ` Times are for ${placeLabels[0]}.`
+                                : " Each place's own local day; temperature is the high."}
+                        </p>
+                    </div>
+
+                    <ul className="grid gap-2 text-xs sm:grid-cols-2">
+                        {loaded.map((place, placeIdx) => (
+                            <li key={place.id} className="rounded-xl border border-slate-700 bg-slate-900/60 px-3 py-2">
+                                <p className="truncate font-semibold text-slate-100">{place.label}</p>
+                                <p className="mt-1 text-slate-400">
+                                    {metrics
+                                        .map((m, metricIdx) => `${m.label} in ${wins[metricIdx][placeIdx]} of ${rows.length}`)
+                                        .join(" · ")}
+                                </p>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <CompareTable placeLabels={placeLabels} rows={rows} metrics={metrics} unitSystem={unitSystem} />
+                </section>
+            ) : (
+                <p className="text-sm text-slate-300">
+                    {places.length < 2 && "Add at least two places to compare them."}
+                    {places.length >= 2 && pending && (
+                        <>
+                            Loading forecasts<span className="animate-pulse">…</span>
+                        </>
+                    )}
+                    {places.length >= 2 && !pending && "Forecasts for at least two places are needed to compare."}
+                </p>
+            )}
+        </main>
+    );
+}
@@ -0,0 +1,98 @@
+/**
+ * @typedef {import("../services/favorites").Favorite} Favorite
+ * @typedef {import("../services/weatherApi").WeatherState} WeatherState
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ * @typedef {import("../services/forecastProviders").ProviderPreference} ProviderPreference
+ * @typedef {import("../services/forecastHorizon").ForecastHorizon} ForecastHorizon
+ */
+
+import { Link } from "react-router-dom";
+import FavoriteCard from "../components/FavoriteCard";
+import useForecastsFor from "../hooks/useForecastsFor";
+import { getTimeOfDayFromString } from "../services/time";
+import { getWeatherIconComponent } from "../components/weatherIcons";
+
+/**
+ * Dashboard page component
+ * Current conditions for every saved place. Forecasts go through the
+ * regular weather service (and its cache), a few at a time; each card
+ * fills in as its forecast arrives.
+ *
+ * @param {{
+ *   favorites: Array<Favorite>,
+ *   unitSystem: UnitSystem,
+ *   provider: ProviderPreference,
+ *   horizon: ForecastHorizon,
+ *   onOpenFavorite: (favorite: Favorite) => void,
+ *   onRenameFavorite: (id: string, name: string) => void,
+ *   onMoveFavorite: (id: string, offset: number) => void,
+ *   onRemoveFavorite: (id: string) => void
+ * }} props
+ * @returns {JSX.Element} Dashboard page component
+ */
+export default function Dashboard({
+    favorites,
+    unitSystem,
+    provider,
+    horizon,
+    onOpenFavorite,
+    onRenameFavorite,
+    onMoveFavorite,
+    onRemoveFavorite,
+}) {
+    // Card data by favorite ID; renaming or reordering never blanks a card.
+    const cards = useForecastsFor(favorites, provider, horizon);
+
+    return (
+        <main className="space-y-6 sm:space-y-8">
+            <section className="bg-slate-800/70 border border-slate-700 rounded-2xl shadow-lg p-4 sm:p-6">
+                <div className="mb-4">
+                    <h2 className="text-xl sm:text-2xl font-semibold">Saved Places</h2>
+                    <p className="text-sm text-slate-400">
+                        Current conditions everywhere you follow. Pick a place to open its forecast.
+                    </p>
+                </div>
+
+                {!favorites.length ? (
+                    <p className="text-sm text-slate-300">
+                        No saved places yet. Open a{" "}
+                        <Link to="/" className="text-sky-400 hover:text-sky-300 underline">
+                            forecast
+                        </Link>{" "}
+                        and choose &ldquo;Save place&rdquo; to add it here.
+                    </p>
+                ) : (
+                    <ul className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+                        {favorites.map((favorite, idx) => {
+                            const card = cards[favorite.id];
+                            const weather = card?.weather ?? null;
+                            return (
+                                <FavoriteCard
+                                    key={favorite.id}
+                                    favorite={favorite}
+                                    weather={weather}
+                                    status={card?.status ?? "loading"}
+                                    unitSystem={unitSystem}
+                                    Icon={
+                                        weather?.current
+                                            ? getWeatherIconComponent(
+                                                weather.current.weatherCode,
+                                                getTimeOfDayFromString(weather.current.time)
+                                            )
+                                            : null
+                                    }
+                                    isFirst={idx === 0}
+                                    isLast={idx === favorites.length - 1}
+                                    onOpen={onOpenFavorite}
+                                    onRename={onRenameFavorite}
+                                    onMove={onMoveFavorite}
+                                    onRemove={onRemoveFavorite}
+                                />
+                            );
+                        })}
+                    </ul>
+                )}
+            </section>
+        </main>
+    );
+}
@@ -1,13 +1,19 @@
 /**
  * @typedef {import("../services/weatherApi").WeatherState} WeatherState
  * @typedef {import("../services/units").UnitSystem} UnitSystem
+ * @typedef {import("../services/alertsApi").AlertsResult} AlertsResult
+ * @typedef {import("../services/historyApi").HistoryComparison} HistoryComparison
  */
 
-import { useParams, Navigate, Link } from "react-router-dom";
+import { useParams, useLocation, Navigate, Link } from "react-router-dom";
+import { FiStar } from "react-icons/fi";
 import ForecastTabs from "../components/ForecastTabs";
+import { FORECAST_VIEWS } from "../components/forecastViews";
 import RadarMap from "../components/RadarMap";
-
-const VALID_TYPES = ["hourly", "roads", "daily"];
+import AlertsBanner from "../components/AlertsBanner";
+import HistoryCard from "../components/HistoryCard";
+import { getForecastProvider } from "../services/forecastProviders";
+import { formatTimestampLabel } from "../services/time";
 
 /**
  * Forecast page component
@@ -15,22 +21,38 @@ const VALID_TYPES = ["hourly", "roads", "daily"];
  *   loading: boolean,
  *   error: string|null,
  *   weather: WeatherState|null,
+ *   refreshing: boolean,
+ *   alerts: AlertsResult|null,
+ *   history: HistoryComparison|null,
  *   locationLabel: string|null,
- *   unitSystem: UnitSystem
+ *   unitSystem: UnitSystem,
+ *   isFavorite: boolean,
+ *   onToggleFavorite: () => void
  * }} props
  * @returns {JSX.Element} Forecast page component
  */
-export default function Forecast({ loading, error, weather, locationLabel, unitSystem }) {
+export default function Forecast({
+    loading,
+    error,
+    weather,
+    refreshing,
+    alerts,
+    history,
+    locationLabel,
+    unitSystem,
+    isFavorite,
+    onToggleFavorite,
+}) {
     const { type } = useParams();
+    const { search } = useLocation();
 
-    if (!VALID_TYPES.includes(type)) {
-        // Redirect unknown tab types to hourly
-        return <Navigate to="/forecast/hourly" replace />;
+    const view = FORECAST_VIEWS.find((v) => v.id === type);
+    if (!view) {
+        // Redirect unknown tab types to hourly, keeping the place in the URL
+        return <Navigate to={{ pathname: "/forecast/hourly", search }} replace />;
     }
 
-    let viewLabel = "Road conditions";
-    if (type === "hourly") viewLabel = "Hourly forecast";
-    else if (type === "daily") viewLabel = "7-day outlook";
+    const providerLabel = getForecastProvider(weather?.provider)?.label ?? null;
 
     return (
         <main className="space-y-6 sm:space-y-8">
@@ -42,7 +64,7 @@ export default function Forecast({ loading, error, weather, locationLabel, unitS
                 )}
 
                 {!loading && error && (
-                    <div className="rounded-lg border border-red-500/60 bg-red-500/10 px-3 py-2 text-sm text-red-100">
+                    <div className="mb-4 rounded-lg border border-red-500/60 bg-red-500/10 px-3 py-2 text-sm text-red-100">
                         {error}
                     </div>
                 )}
@@ -59,20 +81,68 @@ export default function Forecast({ loading, error, weather, locationLabel, unitS
                     </div>
                 )}
 
-                {!loading && !error && weather && (
+                {!loading && weather && (
                     <>
+                        {weather.offline && (
+                            <div className="mb-4 rounded-lg border border-amber-500/60 bg-amber-500/10 px-3 py-2 text-sm text-amber-100">
+                                Offline — last updated at {formatTimestampLabel(weather.fetchedAt)}.
+                                This forecast will refresh when you're back online.
+                            </div>
+                        )}
                         <div className="mb-4 flex flex-col sm:flex-row sm:items-baseline sm:justify-between gap-2">
                             <div>
-                                <h2 className="text-xl sm:text-2xl font-semibold">
-                                    {locationLabel ?? "Forecast"}
-                                </h2>
+                                <div className="flex items-center gap-2">
+                                    <h2 className="text-xl sm:text-2xl font-semibold">
+                                        {locationLabel ?? "Forecast"}
+                                    </h2>
+                                    <button
+                                        type="button"
+                                        onClick={onToggleFavorite}
+                                        aria-pressed={isFavorite}
+                                        title={isFavorite ? "Remove from saved places" : "Save place"}
+                                        className={[
+                                            "inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs transition-colors",
+                                            isFavorite
+                                                ? "border-amber-400/60 bg-amber-400/10 text-amber-200"
+                                                : "border-slate-600 text-slate-300 hover:border-sky-500 hover:text-sky-300",
+                                        ].join(" ")}
+                                    >
+                                        <FiStar
+                                            size={12}
+                                            className={isFavorite ? "fill-current" : ""}
+                                            aria-hidden="true"
+                                        />
+                                        {isFavorite ? "Saved" : "Save place"}
+                                    </button>
+                                </div>
                                 <p className="text-sm text-slate-400">
-                                    Viewing: {viewLabel}
+                                    Viewing: {view.viewLabel}
                                 </p>
                             </div>
+                            <div className="flex flex-col gap-1 sm:items-end">
+                                {refreshing ? (
+                                    <span className="inline-flex w-fit items-center rounded-full border border-sky-500/60 bg-sky-500/10 px-2 py-0.5 text-xs text-sky-200">
+                                        Refreshing<span className="animate-pulse">…</span>
+                                    </span>
+                                ) : (
+                                    weather.fetchedAt && (
+                                        <p className="text-xs text-slate-500">
+                                            Updated {formatTimestampLabel(weather.fetchedAt)}
+                                        </p>
+                                    )
+                                )}
+                                {providerLabel && (
+                                    <p className="text-xs text-slate-500">
+                                        Forecast data: {providerLabel}
+                                    </p>
+                                )}
+                            </div>
                         </div>
 
-                        <ForecastTabs weather={weather} unitSystem={unitSystem} />
+                        {type !== "alerts" && <AlertsBanner alerts={alerts} />}
+
+                        <ForecastTabs weather={weather} unitSystem={unitSystem} alerts={alerts} />
+                        <HistoryCard history={history} unitSystem={unitSystem} />
                         <RadarMap coords={weather.coords} locationLabel={locationLabel || undefined} />
                     </>
                 )}
@@ -1,5 +1,10 @@
+/**
+ * @typedef {import("../services/searchHistory").SearchHistoryEntry} SearchHistoryEntry
+ */
+
 import { useNavigate } from "react-router-dom";
 import LocationForm from "../components/LocationForm";
+import RecentSearches from "../components/RecentSearches";
 
 /**
  * Landing page component
@@ -8,7 +13,16 @@ import LocationForm from "../components/LocationForm";
  *   loading: boolean,
  *   error: string|null,
  *   onSubmitLocation: (value: string) => void,
- *   onUseMyLocation: () => void
+ *   onSelectLocation: (location: {lat: number, lon: number, label: string}) => void,
+ *   onUseMyLocation: () => void,
+ *   recentSearches: Array<SearchHistoryEntry>,
+ *   searchHistoryEnabled: boolean,
+ *   isSearchSaved: (entry: SearchHistoryEntry) => boolean,
+ *   onRunSearch: (entry: SearchHistoryEntry) => void,
+ *   onPinSearch: (entry: SearchHistoryEntry) => void,
+ *   onRemoveSearch: (id: string) => void,
+ *   onClearSearches: () => void,
+ *   onToggleSearchHistory: (enabled: boolean) => void
  * }} props
  * @returns {JSX.Element} Landing page component
  */
@@ -17,7 +31,16 @@ export default function Landing({
     loading,
     error,
     onSubmitLocation,
+    onSelectLocation,
     onUseMyLocation,
+    recentSearches,
+    searchHistoryEnabled,
+    isSearchSaved,
+    onRunSearch,
+    onPinSearch,
+    onRemoveSearch,
+    onClearSearches,
+    onToggleSearchHistory,
 }) {
     const navigate = useNavigate();
 
@@ -26,17 +49,28 @@ export default function Landing({
         navigate("/forecast/hourly");
     };
 
+    const handleSelectLocation = (location) => {
+        onSelectLocation(location);
+        navigate("/forecast/hourly");
+    };
+
     const handleUseMyLocation = () => {
         onUseMyLocation();
         navigate("/forecast/hourly");
     };
 
+    const handleRunSearch = (entry) => {
+        onRunSearch(entry);
+        navigate("/forecast/hourly");
+    };
+
     return (
         <main className="space-y-6 sm:space-y-8">
             <section className="bg-slate-800/70 border border-slate-700 rounded-2xl shadow-lg p-4 sm:p-6">
                 <LocationForm
                     defaultValue={query}
                     onSubmitLocation={handleSubmitLocation}
+                    onSelectLocation={handleSelectLocation}
                     onUseMyLocation={handleUseMyLocation}
                     loading={loading}
                 />
@@ -46,12 +80,26 @@ export default function Landing({
                         {error}
                     </div>
                 )}
+
+                <div className="mt-5">
+                    <RecentSearches
+                        entries={recentSearches}
+                        enabled={searchHistoryEnabled}
+                        isFavorite={isSearchSaved}
+                        disabled={loading}
+                        onRun={handleRunSearch}
+                        onPin={onPinSearch}
+                        onRemove={onRemoveSearch}
+                        onClear={onClearSearches}
+                        onToggleEnabled={onToggleSearchHistory}
+                    />
+                </div>
             </section>
 
             <section className="bg-slate-800/70 border border-slate-700 rounded-2xl shadow-lg p-4 sm:p-6">
                 <p className="text-sm text-slate-300">
                     Enter a city or ZIP code, or use your location to see an hourly
-                    forecast, 7-day outlook, and road conditions. Results will appear on
+                    forecast, daily outlook, and road conditions. Results will appear on
                     the forecast page.
                 </p>
             </section>
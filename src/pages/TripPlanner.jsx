@@ -0,0 +1,271 @@
+/**
+ * @typedef {import("../services/routeWeather").RoutePoint} RoutePoint
+ * @typedef {import("../services/routeWeather").RouteSegment} RouteSegment
+ * @typedef {import("../services/units").UnitSystem} UnitSystem
+ * @typedef {import("../services/forecastProviders").ProviderPreference} ProviderPreference
+ */
+
+import { useState, useEffect, useRef } from "react";
+import RouteHazardStrip from "../components/RouteHazardStrip";
+import { geocodeLocation } from "../services/locationApi";
+import { sampleRoute, parseGpxTrack, planRouteWeather } from "../services/routeWeather";
+import { isAbortError } from "../services/http";
+import { formatDistance, speedFromKmh, speedToKmh } from "../services/units";
+
+/** Average driving speed offered by default, km/h. */
+const DEFAULT_SPEED_KMH = 80;
+
+const inputClassName =
+    "w-full rounded-xl border border-slate-600 bg-slate-900/70 px-3 py-2 text-sm placeholder:text-slate-500 shadow-inner focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-sky-500 disabled:opacity-60";
+
+/**
+ * Current local time in the format a datetime-local input expects.
+ *
+ * @returns {string} "YYYY-MM-DDTHH:mm"
+ */
+function localDateTimeNow() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Labelled form field.
+ *
+ * @param {{ label: string, children: React.ReactNode }} props
+ * @returns {JSX.Element}
+ */
+function Field({ label, children }) {
+    return (
+        <label className="flex flex-col gap-1">
+            <span className="text-xs font-semibold uppercase tracking-wide text-slate-300">{label}</span>
+            {children}
+        </label>
+    );
+}
+
+/**
+ * TripPlanner page component
+ * Road conditions along a drive. The route is the great circle between
+ * origin and destination, or a track imported from a GPX file; each
+ * waypoint is classified for the hour the car should reach it.
+ *
+ * @param {{
+ *   unitSystem: UnitSystem,
+ *   provider: ProviderPreference
+ * }} props
+ * @returns {JSX.Element} TripPlanner page component
+ */
+export default function TripPlanner({ unitSystem, provider }) {
+    const [origin, setOrigin] = useState("");
+    const [destination, setDestination] = useState("");
+    const [departure, setDeparture] = useState(localDateTimeNow);
+    // Kept in km/h so toggling units converts it rather than reinterpreting
+    // it; null while the field is empty.
+    const [speedKmh, setSpeedKmh] = useState(/** @type {number|null} */ (DEFAULT_SPEED_KMH));
+    const [gpx, setGpx] = useState(/** @type {{name: string, points: Array<RoutePoint>}|null} */ (null));
+
+    const [segments, setSegments] = useState(/** @type {Array<RouteSegment|undefined>} */ ([]));
+    const [summary, setSummary] = useState(/** @type {{totalKm: number, arrival: string}|null} */ (null));
+    const [planning, setPlanning] = useState(false);
+    const [error, setError] = useState("");
+
+    const controllerRef = useRef(/** @type {AbortController|null} */ (null));
+
+    // Abort an in-flight plan when leaving the page.
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const speedUnit = unitSystem === "imperial" ? "mph" : "km/h";
+    const speedInput = speedKmh == null ? "" : Math.round(speedFromKmh(speedKmh, unitSystem));
+
+    const handleSpeedChange = (e) => {
+        const value = e.target.value;
+        setSpeedKmh(value === "" ? null : speedToKmh(Number(value), unitSystem));
+    };
+
+    const handleGpxFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+            setGpx({ name: file.name, points: parseGpxTrack(await file.text()) });
+            setError("");
+        } catch (err) {
+            setGpx(null);
+            setError(err?.message || "Couldn't read that GPX file.");
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const start = new Date(departure);
+        if (!(speedKmh > 0)) {
+            setError("Enter an average speed above zero.");
+            return;
+        }
+        if (Number.isNaN(start.getTime())) {
+            setError("Enter a departure date and time.");
+            return;
+        }
+        if (!gpx && (!origin.trim() || !destination.trim())) {
+            setError("Enter both a start and a destination, or import a GPX track.");
+            return;
+        }
+
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        const { signal } = controller;
+
+        setPlanning(true);
+        setError("");
+        setSummary(null);
+        setSegments([]);
+
+        try {
+            let path = gpx?.points;
+            if (!path) {
+                const [from, to] = await Promise.all([
+                    geocodeLocation(origin, { signal }),
+                    geocodeLocation(destination, { signal }),
+                ]);
+                path = [from, to];
+            }
+            if (signal.aborted) return;
+
+            setSegments(new Array(sampleRoute(path).length));
+            const plan = await planRouteWeather(path, {
+                departure: start,
+                speedKmh,
+                provider,
+                signal,
+                onSegment: (segment) => {
+                    if (signal.aborted) return;
+                    setSegments((prev) => {
+                        const next = [...prev];
+                        next[segment.index] = segment;
+                        return next;
+                    });
+                },
+            });
+            if (signal.aborted) return;
+            setSummary({ totalKm: plan.totalKm, arrival: plan.arrival });
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error(err);
+            setError(err?.message || "Couldn't plan that route.");
+            setSegments([]);
+        } finally {
+            if (controllerRef.current === controller) setPlanning(false);
+        }
+    };
+
+    return (
+        <main className="space-y-6 sm:space-y-8">
+            <section className="bg-slate-800/70 border border-slate-700 rounded-2xl shadow-lg p-4 sm:p-6">
+                <div className="mb-4">
+                    <h2 className="text-xl sm:text-2xl font-semibold">Trip Planner</h2>
+                    <p className="text-sm text-slate-400">
+                        Road conditions along your drive, for the time you&apos;ll reach each stretch.
+                    </p>
+                </div>
+
+                <form onSubmit={handleSubmit} className="grid gap-3 sm:grid-cols-2">
+                    <Field label="Start">
+                        <input
+                            type="text"
+                            value={origin}
+                            onChange={(e) => setOrigin(e.target.value)}
+                            placeholder="Denver, CO"
+                            disabled={Boolean(gpx)}
+                            className={inputClassName}
+                        />
+                    </Field>
+                    <Field label="Destination">
+                        <input
+                            type="text"
+                            value={destination}
+                            onChange={(e) => setDestination(e.target.value)}
+                            placeholder="Salt Lake City, UT"
+                            disabled={Boolean(gpx)}
+                            className={inputClassName}
+                        />
+                    </Field>
+                    <Field label="Departure">
+                        <input
+                            type="datetime-local"
+                            value={departure}
+                            onChange={(e) => setDeparture(e.target.value)}
+                            className={inputClassName}
+                        />
+                    </Field>
+                    <Field label={`Average speed (${speedUnit})`}>
+                        <input
+                            type="number"
+                            min="1"
+                            value={speedInput}
+                            onChange={handleSpeedChange}
+                            className={inputClassName}
+                        />
+                    </Field>
+
+                    <div className="flex flex-wrap items-center gap-3 text-xs text-slate-300 sm:col-span-2">
+                        <label className="inline-flex cursor-pointer items-center rounded-xl border border-slate-500 px-3 py-1.5 hover:bg-slate-700">
+                            Import GPX track
+                            <input type="file" accept=".gpx,application/gpx+xml" onChange={handleGpxFile} className="sr-only" />
+                        </label>
+                        {gpx && (
+                            <>
+                                <span>
+                                    {gpx.name} · {gpx.points.length} points
+                                </span>
+                                <button
+                                    type="button"
+                                    onClick={() => setGpx(null)}
+                                    className="text-sky-400 hover:text-sky-300 underline"
+                                >
+                                    Clear
+                                </button>
+                            </>
+                        )}
+                    </div>
+
+                    <div className="sm:col-span-2">
+                        <button
+                            type="submit"
+                            disabled={planning}
+                            className="inline-flex items-center justify-center rounded-xl bg-sky-500 px-4 py-2 text-sm font-medium text-slate-900 shadow hover:bg-sky-400 disabled:cursor-not-allowed disabled:bg-slate-600 transition-colors"
+                        >
+                            {planning ? "Planning…" : "Check route"}
+                        </button>
+                    </div>
+                </form>
+
+                {error && <p className="mt-3 text-sm text-red-400">{error}</p>}
+            </section>
+
+            {segments.length > 0 && (
+                <section className="bg-slate-800/70 border border-slate-700 rounded-2xl shadow-lg p-4 sm:p-6 space-y-3">
+                    <div className="flex flex-wrap items-baseline justify-between gap-2">
+                        <h3 className="text-lg font-semibold">Along the Route</h3>
+                        {summary && (
+                            <p className="text-xs text-slate-400">
+                                {formatDistance(summary.totalKm * 1000, unitSystem)} · arrive{" "}
+                                {new Date(summary.arrival).toLocaleString(undefined, {
+                                    weekday: "short",
+                                    hour: "numeric",
+                                    minute: "2-digit",
+                                })}
+                            </p>
+                        )}
+                    </div>
+                    <p className="text-xs text-slate-500">
+                        Arrival times assume a constant average speed and no stops. Distances are measured along the
+                        {gpx ? " imported track" : " straight-line path"}, not the road.
+                    </p>
+                    <RouteHazardStrip segments={segments} unitSystem={unitSystem} />
+                </section>
+            )}
+        </main>
+    );
+}
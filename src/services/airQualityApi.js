@@ -1,4 +1,5 @@
 import { fetchJson } from "./http.js";
+import { readCache, writeCache } from "./cache.js";
 
 const AIR_QUALITY_BASE_URL =
     "https://air-quality-api.open-meteo.com/v1/air-quality";
@@ -90,12 +91,20 @@ export function classifyUsAqi(usAqi) {
  * Returns a map keyed by ISO hour string ("YYYY-MM-DDTHH:MM") so callers
  * can join this data with the hourly forecast by timestamp.
  *
+ * Results are cached per location and timezone under the "airQuality"
+ * cache source; only fresh entries are reused.
+ *
  * @param {number} lat Latitude in decimal degrees.
  * @param {number} lon Longitude in decimal degrees.
  * @param {string} [timezone] IANA timezone ID; defaults to "auto".
+ * @param {{ signal?: AbortSignal }} [options]
  * @returns {Promise<HourlyAirQualityByTime>}
  */
-export async function fetchAirQuality(lat, lon, timezone) {
+export async function fetchAirQuality(lat, lon, timezone, options = {}) {
+    const cacheKey = `${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}:${timezone || "auto"}`;
+    const cached = await readCache("airQuality", cacheKey);
+    if (cached?.fresh) return cached.value;
+
     const url = new URL(AIR_QUALITY_BASE_URL);
 
     url.searchParams.set("latitude", String(lat));
@@ -106,7 +115,7 @@ export async function fetchAirQuality(lat, lon, timezone) {
     );
     url.searchParams.set("timezone", timezone || "auto");
 
-    const data = await fetchJson(url.toString());
+    const data = await fetchJson(url.toString(), { signal: options.signal });
     const hourly = data?.hourly || {};
     const times = Array.isArray(hourly.time) ? hourly.time : [];
 
@@ -135,5 +144,6 @@ export async function fetchAirQuality(lat, lon, timezone) {
         };
     }
 
+    await writeCache("airQuality", cacheKey, byTime);
     return byTime;
 }
@@ -0,0 +1,237 @@
+import { fetchJson, HttpStatusError } from "./http.js";
+import { readCache, writeCache } from "./cache.js";
+import { nwsProvider } from "./providers/nws.js";
+
+const NWS_ALERTS_URL = "https://api.weather.gov/alerts/active";
+const MET_ALERTS_URL = "https://api.met.no/weatherapi/metalerts/2.0/current.json";
+
+/**
+ * Normalized CAP severity, most to least severe.
+ * @typedef {"extreme"|"severe"|"moderate"|"minor"|"unknown"} AlertSeverity
+ */
+
+/**
+ * Normalized CAP urgency, most to least urgent.
+ * @typedef {"immediate"|"expected"|"future"|"past"|"unknown"} AlertUrgency
+ */
+
+/**
+ * Agency an alerts lookup was answered by.
+ * @typedef {"nws"|"met"} AlertSource
+ */
+
+/**
+ * A single active watch, warning or advisory.
+ *
+ * Timestamps are ISO strings with offsets, as sent by NWS and MET Norway.
+ *
+ * @typedef {Object} WeatherAlert
+ * @property {string} id
+ * @property {string} event e.g. "Winter Storm Warning"
+ * @property {string|null} headline
+ * @property {string|null} description
+ * @property {string|null} instruction
+ * @property {AlertSeverity} severity
+ * @property {AlertUrgency} urgency
+ * @property {string|null} certainty
+ * @property {string|null} onset When the hazard begins.
+ * @property {string|null} expires When this message expires.
+ * @property {string|null} ends When the hazard ends, if known.
+ * @property {string|null} areaDesc
+ * @property {string|null} senderName
+ */
+
+/**
+ * Result of an alerts lookup.
+ *
+ * `supported` is false outside NWS and MET Norway coverage, where "no
+ * alerts" would be misleading.
+ *
+ * @typedef {Object} AlertsResult
+ * @property {boolean} supported
+ * @property {AlertSource} [source] Set when supported.
+ * @property {Array<WeatherAlert>} alerts Most severe first.
+ * @property {boolean} [error] Set by callers when the lookup failed, so the
+ *   UI can say alerts are unavailable rather than absent.
+ */
+
+const SEVERITY_ORDER = ["extreme", "severe", "moderate", "minor", "unknown"];
+const URGENCY_ORDER = ["immediate", "expected", "future", "past", "unknown"];
+
+/**
+ * Lowercase a CAP enum value and check it against the allowed values.
+ *
+ * @param {any} value
+ * @param {Array<string>} allowed
+ * @returns {string}
+ */
+function normalizeEnum(value, allowed) {
+    const lower = typeof value === "string" ? value.toLowerCase() : "";
+    return allowed.includes(lower) ? lower : "unknown";
+}
+
+/**
+ * Rough coverage check for MET Norway MetAlerts: mainland Norway and
+ * Svalbard. Points just across the border get an empty list, the same as
+ * a quiet day.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {boolean}
+ */
+function metAlertsSupports(lat, lon) {
+    const mainland = lat >= 57.5 && lat <= 71.5 && lon >= 4 && lon <= 31.5;
+    const svalbard = lat >= 74 && lat <= 81 && lon >= 10 && lon <= 35;
+    return mainland || svalbard;
+}
+
+/**
+ * Human-readable label for a severity value.
+ *
+ * @param {AlertSeverity} severity
+ * @returns {string}
+ */
+export function describeAlertSeverity(severity) {
+    switch (severity) {
+        case "extreme":
+            return "Extreme";
+        case "severe":
+            return "Severe";
+        case "moderate":
+            return "Moderate";
+        case "minor":
+            return "Minor";
+        default:
+            return "Unknown severity";
+    }
+}
+
+/**
+ * Normalize an alerts GeoJSON payload into WeatherAlerts.
+ *
+ * Accepts both NWS alerts/active and MET Norway MetAlerts collections.
+ * Both carry CAP fields in `properties`; MetAlerts names a few of them
+ * differently (`type`, `title`, `area`, `eventAwarenessName`) and puts the
+ * hazard window in `when.interval` instead of onset/ends.
+ *
+ * - Drops test/exercise messages (status other than "Actual") and
+ *   cancellations
+ * - Drops alerts whose end/expiry is already in the past
+ * - Sorts by severity, then urgency, then onset
+ *
+ * Pure, so it can be run against recorded CAP fixtures.
+ *
+ * @param {any} data FeatureCollection from api.weather.gov or api.met.no.
+ * @param {number} [now] Epoch ms used for the expiry check.
+ * @returns {Array<WeatherAlert>}
+ */
+export function normalizeAlerts(data, now = Date.now()) {
+    const features = Array.isArray(data?.features) ? data.features : [];
+
+    /** @type {Array<WeatherAlert>} */
+    const alerts = [];
+
+    for (const feature of features) {
+        const p = feature?.properties;
+        if (!p) continue;
+        if (p.status && p.status !== "Actual") continue;
+        if ((p.messageType ?? p.type) === "Cancel") continue;
+
+        const interval = Array.isArray(feature.when?.interval) ? feature.when.interval : [];
+        const onset = p.onset || p.effective || interval[0] || null;
+        const ends = p.ends || interval[1] || null;
+
+        const endsAt = Date.parse(ends || p.expires || "");
+        if (!Number.isNaN(endsAt) && endsAt < now) continue;
+
+        const event = p.eventAwarenessName || p.event || "Weather alert";
+        alerts.push({
+            id: p.id || feature.id || `${event}-${onset}`,
+            event,
+            headline: p.headline ?? p.title ?? null,
+            description: p.description ?? null,
+            instruction: p.instruction ?? null,
+            severity: /** @type {AlertSeverity} */ (normalizeEnum(p.severity, SEVERITY_ORDER)),
+            urgency: /** @type {AlertUrgency} */ (normalizeEnum(p.urgency, URGENCY_ORDER)),
+            certainty: p.certainty ?? null,
+            onset,
+            expires: p.expires ?? null,
+            ends,
+            areaDesc: p.areaDesc ?? p.area ?? null,
+            senderName: p.senderName ?? null,
+        });
+    }
+
+    return alerts.sort(
+        (a, b) =>
+            SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+            URGENCY_ORDER.indexOf(a.urgency) - URGENCY_ORDER.indexOf(b.urgency) ||
+            String(a.onset).localeCompare(String(b.onset))
+    );
+}
+
+/**
+ * Build the alerts request for a point, or null outside coverage.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {{ source: AlertSource, url: string, accept: string }|null}
+ */
+function alertsRequestFor(lat, lon) {
+    if (nwsProvider.supports(lat, lon)) {
+        const url = new URL(NWS_ALERTS_URL);
+        url.searchParams.set("point", `${lat.toFixed(4)},${lon.toFixed(4)}`);
+        return { source: "nws", url: url.toString(), accept: "application/geo+json" };
+    }
+    if (metAlertsSupports(lat, lon)) {
+        const url = new URL(MET_ALERTS_URL);
+        url.searchParams.set("lat", lat.toFixed(4));
+        url.searchParams.set("lon", lon.toFixed(4));
+        return { source: "met", url: url.toString(), accept: "application/json" };
+    }
+    return null;
+}
+
+/**
+ * Fetch active watches/warnings/advisories for a point: from NWS in the
+ * US, from MET Norway in Norway.
+ *
+ * Outside both this resolves to `{ supported: false }` without a request;
+ * a 404 from the API is treated the same way. Results are cached for a few
+ * minutes under the "alerts" cache source.
+ *
+ * @param {number} lat Latitude in decimal degrees.
+ * @param {number} lon Longitude in decimal degrees.
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<AlertsResult>}
+ */
+export async function fetchAlerts(lat, lon, options = {}) {
+    const request = alertsRequestFor(lat, lon);
+    if (!request) {
+        return { supported: false, alerts: [] };
+    }
+
+    const { source } = request;
+    const cacheKey = `${source}:${lat.toFixed(4)},${lon.toFixed(4)}`;
+    const cached = await readCache("alerts", cacheKey);
+    if (cached?.fresh) {
+        return { supported: true, source, alerts: normalizeAlerts(cached.value) };
+    }
+
+    let data;
+    try {
+        data = await fetchJson(request.url, {
+            headers: { Accept: request.accept },
+            signal: options.signal,
+        });
+    } catch (err) {
+        if (err instanceof HttpStatusError && err.status === 404) {
+            return { supported: false, alerts: [] };
+        }
+        throw err;
+    }
+
+    // Cache the raw payload so expiry is re-evaluated on every read.
+    await writeCache("alerts", cacheKey, data);
+    return { supported: true, source, alerts: normalizeAlerts(data) };
+}
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { normalizeAlerts } from "./alertsApi.js";
+
+/** @param {string} name */
+function fixture(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+}
+
+// Both fixtures are snapshots from 14 January 2026.
+const NOW = Date.parse("2026-01-14T15:00:00Z");
+
+test("NWS alerts drop tests, cancellations and expired messages", () => {
+    const alerts = normalizeAlerts(fixture("nws-alerts-active.json"), NOW);
+
+    assert.deepEqual(
+        alerts.map((a) => a.event),
+        ["Lake Effect Snow Warning", "Winter Weather Advisory"]
+    );
+});
+
+test("NWS alerts keep the CAP fields", () => {
+    const [warning] = normalizeAlerts(fixture("nws-alerts-active.json"), NOW);
+
+    assert.equal(warning.id, "urn:oid:2.49.0.1.840.0.9b3f0e51.002.1");
+    assert.equal(warning.severity, "severe");
+    assert.equal(warning.urgency, "expected");
+    assert.equal(warning.certainty, "Likely");
+    assert.equal(warning.onset, "2026-01-15T00:00:00-06:00");
+    assert.equal(warning.ends, "2026-01-16T06:00:00-06:00");
+    assert.equal(warning.areaDesc, "Lake; Porter; LaPorte");
+    assert.equal(warning.senderName, "NWS Northern Indiana");
+    assert.match(warning.headline, /^Lake Effect Snow Warning issued/);
+});
+
+test("MET Norway alerts drop cancellations and expired messages", () => {
+    const alerts = normalizeAlerts(fixture("met-metalerts-current.json"), NOW);
+
+    assert.deepEqual(
+        alerts.map((a) => a.event),
+        ["Regn", "Vind"]
+    );
+});
+
+test("MET Norway alerts take timing and area from MetAlerts fields", () => {
+    const [, wind] = normalizeAlerts(fixture("met-metalerts-current.json"), NOW);
+
+    assert.equal(wind.id, "2.49.0.1.578.0.20260114120211.047");
+    assert.equal(wind.severity, "moderate");
+    assert.equal(wind.urgency, "unknown");
+    assert.equal(wind.onset, "2026-01-14T18:00:00+00:00");
+    assert.equal(wind.ends, "2026-01-15T09:00:00+00:00");
+    assert.equal(wind.expires, null);
+    assert.equal(wind.areaDesc, "Bergen og omegn");
+    assert.match(wind.headline, /^Vind, gult nivå/);
+});
+
+test("payloads without features normalize to no alerts", () => {
+    assert.deepEqual(normalizeAlerts(null, NOW), []);
+    assert.deepEqual(normalizeAlerts({ type: "FeatureCollection" }, NOW), []);
+});
@@ -0,0 +1,320 @@
+/**
+ * Kinds of data kept in the cache, each with its own lifetime.
+ *
+ * @typedef {"forecast"|"airQuality"|"geocode"|"reverseGeocode"|"alerts"|"history"} CacheSource
+ */
+
+/**
+ * Stored cache record.
+ *
+ * @typedef {Object} CacheRecord
+ * @property {string} id "<source>:<key>", the IndexedDB primary key.
+ * @property {CacheSource} source
+ * @property {any} value
+ * @property {number} storedAt Epoch ms when the value was written.
+ * @property {number} accessedAt Epoch ms of the last read, used for eviction.
+ * @property {number} size Approximate size in bytes (serialized length).
+ */
+
+/**
+ * Result of a cache lookup.
+ *
+ * `fresh` is false once the source TTL has passed; such values are still
+ * returned so callers can show them while revalidating.
+ *
+ * @typedef {Object} CacheHit
+ * @property {any} value
+ * @property {number} storedAt
+ * @property {boolean} fresh
+ */
+
+const DB_NAME = "weather-cache";
+const DB_VERSION = 1;
+const STORE_NAME = "entries";
+const LEGACY_STORAGE_KEY = "weather_cache_v1";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Per-source lifetimes.
+ *
+ * - ttlMs: how long a value counts as fresh
+ * - maxStaleMs: how long a stale value is kept around for
+ *   stale-while-revalidate before it is dropped for good
+ *
+ * @type {Record<CacheSource, {ttlMs: number, maxStaleMs: number}>}
+ */
+export const CACHE_POLICIES = {
+    forecast: { ttlMs: 15 * MINUTE_MS, maxStaleMs: 3 * DAY_MS },
+    airQuality: { ttlMs: HOUR_MS, maxStaleMs: DAY_MS },
+    geocode: { ttlMs: 30 * DAY_MS, maxStaleMs: 90 * DAY_MS },
+    reverseGeocode: { ttlMs: 7 * DAY_MS, maxStaleMs: 30 * DAY_MS },
+    alerts: { ttlMs: 5 * MINUTE_MS, maxStaleMs: HOUR_MS },
+    // Past observations barely change; the key changes every new year anyway.
+    history: { ttlMs: 90 * DAY_MS, maxStaleMs: 90 * DAY_MS },
+};
+
+/** Total cache budget; least recently read records are evicted past this. */
+const CACHE_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * In-memory stand-in used when IndexedDB is unavailable (private browsing,
+ * non-browser environments).
+ * @type {Map<string, CacheRecord>}
+ */
+const memoryStore = new Map();
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise.
+ *
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Drop the old 5-entry localStorage cache this module replaces.
+ */
+function removeLegacyCache() {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        window.localStorage.removeItem(LEGACY_STORAGE_KEY);
+    } catch {
+        // Ignore; the legacy blob is simply left behind.
+    }
+}
+
+/**
+ * Open (once) the cache database.
+ *
+ * Resolves to null when IndexedDB cannot be used, in which case the
+ * in-memory store is used instead.
+ *
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined") {
+            resolve(null);
+            return;
+        }
+
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, {
+                    keyPath: "id",
+                });
+                store.createIndex("accessedAt", "accessedAt");
+            };
+            request.onsuccess = () => {
+                removeLegacyCache();
+                resolve(request.result);
+            };
+            request.onerror = () => resolve(null);
+        } catch {
+            resolve(null);
+        }
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a callback against the object store in a transaction.
+ *
+ * @template T
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withStore(mode, fn) {
+    const db = await openDb();
+    if (!db) throw new Error("IndexedDB unavailable");
+    const tx = db.transaction(STORE_NAME, mode);
+    return fn(tx.objectStore(STORE_NAME));
+}
+
+/**
+ * Read a single record.
+ *
+ * @param {string} id
+ * @returns {Promise<CacheRecord|null>}
+ */
+async function getRecord(id) {
+    const db = await openDb();
+    if (!db) return memoryStore.get(id) ?? null;
+    return withStore("readonly", (store) => requestToPromise(store.get(id))).then(
+        (record) => record ?? null
+    );
+}
+
+/**
+ * Write a single record.
+ *
+ * @param {CacheRecord} record
+ * @returns {Promise<void>}
+ */
+async function putRecord(record) {
+    const db = await openDb();
+    if (!db) {
+        memoryStore.set(record.id, record);
+        return;
+    }
+    await withStore("readwrite", (store) => requestToPromise(store.put(record)));
+}
+
+/**
+ * Delete records by ID.
+ *
+ * @param {Array<string>} ids
+ * @returns {Promise<void>}
+ */
+async function deleteRecords(ids) {
+    if (!ids.length) return;
+    const db = await openDb();
+    if (!db) {
+        for (const id of ids) memoryStore.delete(id);
+        return;
+    }
+    await withStore("readwrite", (store) =>
+        Promise.all(ids.map((id) => requestToPromise(store.delete(id))))
+    );
+}
+
+/**
+ * List every record, least recently read first.
+ *
+ * @returns {Promise<Array<CacheRecord>>}
+ */
+async function listRecords() {
+    const db = await openDb();
+    const records = db
+        ? await withStore("readonly", (store) =>
+            requestToPromise(store.index("accessedAt").getAll())
+        )
+        : Array.from(memoryStore.values());
+    return records.sort((a, b) => a.accessedAt - b.accessedAt);
+}
+
+/**
+ * Whether a record is past the point where even stale reads are allowed.
+ *
+ * @param {CacheRecord} record
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isExpired(record, now) {
+    const policy = CACHE_POLICIES[record.source];
+    if (!policy) return true;
+    return now - record.storedAt > policy.ttlMs + policy.maxStaleMs;
+}
+
+/**
+ * Remove expired records, then evict least recently read records until
+ * the cache fits within CACHE_MAX_BYTES.
+ *
+ * @returns {Promise<void>}
+ */
+async function evict() {
+    const now = Date.now();
+    const records = await listRecords();
+
+    const doomed = [];
+    let total = 0;
+    const kept = [];
+
+    for (const record of records) {
+        if (isExpired(record, now)) {
+            doomed.push(record.id);
+        } else {
+            kept.push(record);
+            total += record.size;
+        }
+    }
+
+    // kept is oldest-read first, so trim from the front.
+    for (const record of kept) {
+        if (total <= CACHE_MAX_BYTES) break;
+        doomed.push(record.id);
+        total -= record.size;
+    }
+
+    await deleteRecords(doomed);
+}
+
+/**
+ * Look up a cached value.
+ *
+ * Returns stale values (with `fresh: false`) until they pass the source's
+ * maxStaleMs, so callers can render them while fetching a replacement.
+ * Storage failures are treated as a miss.
+ *
+ * @param {CacheSource} source
+ * @param {string} key
+ * @returns {Promise<CacheHit|null>}
+ */
+export async function readCache(source, key) {
+    const id = `${source}:${key}`;
+    try {
+        const record = await getRecord(id);
+        if (!record) return null;
+
+        const now = Date.now();
+        if (isExpired(record, now)) {
+            await deleteRecords([id]);
+            return null;
+        }
+
+        // Touch for LRU eviction; failures here do not affect the read.
+        putRecord({ ...record, accessedAt: now }).catch(() => {});
+
+        return {
+            value: record.value,
+            storedAt: record.storedAt,
+            fresh: now - record.storedAt <= CACHE_POLICIES[source].ttlMs,
+        };
+    } catch (err) {
+        console.warn("Cache read failed", err);
+        return null;
+    }
+}
+
+/**
+ * Store a value, then evict to stay within the size budget.
+ *
+ * Best effort: storage failures are logged and ignored.
+ *
+ * @param {CacheSource} source
+ * @param {string} key
+ * @param {any} value Any structured-cloneable value.
+ * @returns {Promise<void>}
+ */
+export async function writeCache(source, key, value) {
+    const now = Date.now();
+    try {
+        await putRecord({
+            id: `${source}:${key}`,
+            source,
+            value,
+            storedAt: now,
+            accessedAt: now,
+            size: JSON.stringify(value)?.length ?? 0,
+        });
+        await evict();
+    } catch (err) {
+        console.warn("Cache write failed", err);
+    }
+}
@@ -0,0 +1,261 @@
+/**
+ * Saved commute windows and the weekly commute plan: for each day, the
+ * departure inside each window with the least hazardous roads.
+ *
+ * Windows are clock times in the forecast's own timezone, so "7:00" means
+ * 7 AM where the forecast is, whatever the device clock says. Like
+ * favorites.js, functions that change the list return a new array.
+ *
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("./weatherApi").DailyPoint} DailyPoint
+ * @typedef {import("./roadConditions").RoadConditionCategory} RoadConditionCategory
+ */
+
+/**
+ * @typedef {Object} CommuteWindow
+ * @property {string} id Days and times, so the same window is never saved twice.
+ * @property {string} label e.g. "Out" or "Back".
+ * @property {Array<number>} days Weekdays it applies to, 0 = Sunday.
+ * @property {string} start "HH:MM", earliest departure.
+ * @property {string} end "HH:MM", latest departure; after `start`.
+ *
+ * @typedef {Object} CommuteDeparture
+ * @property {string} time Local "YYYY-MM-DDTHH:MM".
+ * @property {RoadConditionCategory} category Road condition in that hour.
+ * @property {number} severity HAZARD_SEVERITY of the category.
+ * @property {number} precipitation mm in that hour, the tie-breaker.
+ *
+ * @typedef {Object} CommuteTrip
+ * @property {CommuteWindow} window
+ * @property {"planned"|"past"|"no_forecast"} status
+ * @property {CommuteDeparture|null} best Least hazardous departure, earliest on ties.
+ * @property {CommuteDeparture|null} worst
+ * @property {boolean} hazardous No departure in the window avoids a hazard.
+ *
+ * @typedef {Object} CommuteDay
+ * @property {string} date "YYYY-MM-DD"
+ * @property {Array<CommuteTrip>} trips In window start order.
+ * @property {boolean} allHazardous Every trip still ahead that day is hazardous.
+ */
+
+import { classifyHourRoadCondition } from "./roadConditions.js";
+import { HAZARD_SEVERITY } from "./roadTimeline.js";
+
+/** Minutes between candidate departures inside a window. */
+export const COMMUTE_STEP_MINUTES = 30;
+
+/** Days shown in the commute view, today first. */
+export const COMMUTE_DAYS = 7;
+
+export const MAX_COMMUTE_WINDOWS = 6;
+
+/** @type {Array<Omit<CommuteWindow, "id">>} */
+export const SUGGESTED_COMMUTE_WINDOWS = [
+    { label: "Out", days: [1, 2, 3, 4, 5], start: "07:00", end: "08:30" },
+    { label: "Back", days: [1, 2, 3, 4, 5], start: "16:30", end: "18:00" },
+];
+
+const COMMUTE_WINDOWS_STORAGE_KEY = "weather_commute_windows_v1";
+
+const CLOCK_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Minutes since midnight for an "HH:MM" clock time.
+ *
+ * @param {string} clock
+ * @returns {number|null} Null when it is not a valid time.
+ */
+function clockMinutes(clock) {
+    const match = CLOCK_REGEX.exec(clock ?? "");
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * "HH:MM" for minutes since midnight.
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Build a valid window, or null when the times are invalid, `end` is not
+ * after `start`, or no day is picked.
+ *
+ * @param {{ label?: string, days: Array<number>, start: string, end: string }} values
+ * @returns {CommuteWindow|null}
+ */
+export function makeCommuteWindow({ label = "", days, start, end }) {
+    const from = clockMinutes(start);
+    const to = clockMinutes(end);
+    const uniqueDays = Array.from(new Set(days ?? []))
+        .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        .sort((a, b) => a - b);
+    if (from == null || to == null || to <= from || !uniqueDays.length) return null;
+
+    return {
+        id: `${uniqueDays.join("")}@${start}-${end}`,
+        label: label.trim() || "Commute",
+        days: uniqueDays,
+        start,
+        end,
+    };
+}
+
+/**
+ * Add a window, replacing one with the same days and times. A new window
+ * is not added once the list holds MAX_COMMUTE_WINDOWS.
+ *
+ * @param {Array<CommuteWindow>} windows
+ * @param {CommuteWindow} commuteWindow
+ * @returns {Array<CommuteWindow>} Sorted by start time; `windows` itself
+ *   when the list is full.
+ */
+export function addCommuteWindow(windows, commuteWindow) {
+    const others = windows.filter((w) => w.id !== commuteWindow.id);
+    if (others.length >= MAX_COMMUTE_WINDOWS) return windows;
+    return [...others, commuteWindow].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+}
+
+/**
+ * @param {Array<CommuteWindow>} windows
+ * @param {string} id
+ * @returns {Array<CommuteWindow>}
+ */
+export function removeCommuteWindow(windows, id) {
+    return windows.filter((w) => w.id !== id);
+}
+
+/**
+ * Weekday of a "YYYY-MM-DD" date, 0 = Sunday.
+ *
+ * @param {string} date
+ * @returns {number}
+ */
+function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Evaluate every departure in one window on one date.
+ *
+ * @param {CommuteWindow} commuteWindow
+ * @param {string} date
+ * @param {string} now Local "YYYY-MM-DDTHH:MM" in the forecast timezone.
+ * @param {Array<HourlyPoint>} hourly
+ * @param {Map<string, number>} indexByHour Hour time -> index in `hourly`.
+ * @param {Array<DailyPoint>} daily
+ * @returns {CommuteTrip}
+ */
+function evaluateWindow(commuteWindow, date, now, hourly, indexByHour, daily) {
+    const trip = { window: commuteWindow, status: "planned", best: null, worst: null, hazardous: false };
+    const from = clockMinutes(commuteWindow.start);
+    const to = clockMinutes(commuteWindow.end);
+
+    /** @type {Array<CommuteDeparture>} */
+    const departures = [];
+    let anyAhead = false;
+    for (let minutes = from; minutes <= to; minutes += COMMUTE_STEP_MINUTES) {
+        const time = `${date}T${formatClock(minutes)}`;
+        // Departures already gone today are no longer options.
+        if (time < now.slice(0, 16)) continue;
+        anyAhead = true;
+
+        const index = indexByHour.get(`${time.slice(0, 13)}:00`);
+        if (index == null) continue;
+        const category = classifyHourRoadCondition(hourly, index, daily);
+        departures.push({
+            time,
+            category,
+            severity: HAZARD_SEVERITY[category] ?? 0,
+            precipitation: hourly[index].precipitation ?? 0,
+        });
+    }
+
+    if (!anyAhead) return { ...trip, status: "past" };
+    if (!departures.length) return { ...trip, status: "no_forecast" };
+
+    // Least severe, then least precipitation; the scan keeps the earliest on ties.
+    let best = departures[0];
+    let worst = departures[0];
+    for (const d of departures) {
+        if (d.severity < best.severity || (d.severity === best.severity && d.precipitation < best.precipitation)) {
+            best = d;
+        }
+        if (d.severity > worst.severity || (d.severity === worst.severity && d.precipitation > worst.precipitation)) {
+            worst = d;
+        }
+    }
+    return { ...trip, best, worst, hazardous: best.severity > 0 };
+}
+
+/**
+ * Plan the week: for each of the next COMMUTE_DAYS days, every window that
+ * applies that weekday with its best departure.
+ *
+ * @param {Array<CommuteWindow>} windows
+ * @param {Array<HourlyPoint>} hourly
+ * @param {Array<DailyPoint>} daily
+ * @param {string} now Local "YYYY-MM-DDTHH:MM" in the forecast timezone.
+ * @returns {Array<CommuteDay>}
+ */
+export function planCommuteWeek(windows, hourly, daily, now) {
+    const indexByHour = new Map(hourly.map((h, i) => [h.time.slice(0, 13) + ":00", i]));
+    const firstDay = Date.parse(`${now.slice(0, 10)}T00:00:00Z`);
+
+    return Array.from({ length: COMMUTE_DAYS }, (_, offset) => {
+        const date = new Date(firstDay + offset * DAY_MS).toISOString().slice(0, 10);
+        const weekday = weekdayOf(date);
+        const trips = windows
+            .filter((w) => w.days.includes(weekday))
+            .map((w) => evaluateWindow(w, date, now, hourly, indexByHour, daily));
+        const ahead = trips.filter((t) => t.status === "planned");
+        return {
+            date,
+            trips,
+            allHazardous: ahead.length > 0 && ahead.every((t) => t.hazardous),
+        };
+    });
+}
+
+/**
+ * Read saved commute windows, dropping malformed ones.
+ *
+ * @returns {Array<CommuteWindow>}
+ */
+export function loadCommuteWindows() {
+    if (typeof window === "undefined" || !window.localStorage) return [];
+    try {
+        const raw = window.localStorage.getItem(COMMUTE_WINDOWS_STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        if (!Array.isArray(parsed)) return [];
+        return parsed
+            .map((w) => makeCommuteWindow({ label: String(w?.label ?? ""), days: w?.days, start: w?.start, end: w?.end }))
+            .filter(Boolean)
+            .slice(0, MAX_COMMUTE_WINDOWS);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Persist commute windows (best effort). An empty list removes the key.
+ *
+ * @param {Array<CommuteWindow>} windows
+ */
+export function saveCommuteWindows(windows) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        if (windows.length) {
+            window.localStorage.setItem(COMMUTE_WINDOWS_STORAGE_KEY, JSON.stringify(windows));
+        } else {
+            window.localStorage.removeItem(COMMUTE_WINDOWS_STORAGE_KEY);
+        }
+    } catch {
+        // Swallow storage errors; the windows still work for this session.
+    }
+}
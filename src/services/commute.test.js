@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    MAX_COMMUTE_WINDOWS,
+    makeCommuteWindow,
+    addCommuteWindow,
+    planCommuteWeek,
+} from "./commute.js";
+
+// 2026-01-05 is a Monday.
+const MONDAY = "2026-01-05";
+
+const WET = { temperature: 5, precipitation: 2, weatherCode: 63 };
+const SNOW = { temperature: -2, precipitation: 1, weatherCode: 73 };
+
+/**
+ * A week of mild, dry, overcast hours from Monday midnight, with some
+ * hours overridden.
+ *
+ * @param {Record<string, Partial<import("./weatherApi").HourlyPoint>>} [overrides] By "YYYY-MM-DDTHH:00".
+ */
+function forecast(overrides = {}) {
+    const start = Date.parse(`${MONDAY}T00:00:00Z`);
+    const hourly = Array.from({ length: 7 * 24 }, (_, i) => {
+        const time = new Date(start + i * 3600000).toISOString().slice(0, 16);
+        return {
+            time,
+            temperature: 10,
+            precipitation: 0,
+            weatherCode: 3,
+            humidity: 60,
+            dewPoint: 2,
+            cloudCover: 100,
+            windSpeed: 15,
+            snowfall: 0,
+            ...overrides[time],
+        };
+    });
+    const daily = Array.from({ length: 7 }, (_, d) => {
+        const date = new Date(start + d * 86400000).toISOString().slice(0, 10);
+        return { date, sunrise: `${date}T07:30`, sunset: `${date}T16:30` };
+    });
+    return { hourly, daily };
+}
+
+const weekdays = makeCommuteWindow({ label: "Out", days: [1, 2, 3, 4, 5], start: "07:00", end: "08:30" });
+
+test("windows are planned on the weekdays they apply to", () => {
+    const sunday = makeCommuteWindow({ label: "Church", days: [0], start: "09:00", end: "10:00" });
+    const { hourly, daily } = forecast();
+    const week = planCommuteWeek([weekdays, sunday], hourly, daily, `${MONDAY}T06:00`);
+
+    assert.equal(week.length, 7);
+    assert.deepEqual(
+        week.map((day) => [day.date, day.trips.map((t) => t.window.label)]),
+        [
+            ["2026-01-05", ["Out"]],
+            ["2026-01-06", ["Out"]],
+            ["2026-01-07", ["Out"]],
+            ["2026-01-08", ["Out"]],
+            ["2026-01-09", ["Out"]],
+            ["2026-01-10", []],
+            ["2026-01-11", ["Church"]],
+        ]
+    );
+});
+
+test("departures that have already gone are skipped", () => {
+    const { hourly, daily } = forecast({ [`${MONDAY}T07:00`]: WET });
+    const early = makeCommuteWindow({ days: [1], start: "06:00", end: "07:00" });
+    const [today] = planCommuteWeek([early, weekdays], hourly, daily, `${MONDAY}T07:15`);
+
+    const [gone, out] = today.trips;
+    assert.equal(gone.status, "past");
+    assert.equal(gone.best, null);
+
+    // 07:00 has gone; 07:30 is the only wet departure left.
+    assert.equal(out.status, "planned");
+    assert.equal(out.worst.time, `${MONDAY}T07:30`);
+    assert.equal(out.best.time, `${MONDAY}T08:00`);
+});
+
+test("ties go to the earliest departure, then to less precipitation", () => {
+    const dry = forecast();
+    const [calm] = planCommuteWeek([weekdays], dry.hourly, dry.daily, `${MONDAY}T06:00`);
+    assert.equal(calm.trips[0].best.time, `${MONDAY}T07:00`);
+    assert.equal(calm.trips[0].worst.time, `${MONDAY}T07:00`);
+    assert.equal(calm.trips[0].hazardous, false);
+
+    const rain = forecast({
+        [`${MONDAY}T07:00`]: { ...WET, precipitation: 3 },
+        [`${MONDAY}T08:00`]: { ...WET, precipitation: 0.5 },
+    });
+    const [wet] = planCommuteWeek(
+        [makeCommuteWindow({ days: [1], start: "07:00", end: "08:00" })],
+        rain.hourly,
+        rain.daily,
+        `${MONDAY}T06:00`
+    );
+    assert.equal(wet.trips[0].best.time, `${MONDAY}T08:00`);
+    assert.equal(wet.trips[0].best.category, "wet");
+    assert.equal(wet.trips[0].worst.time, `${MONDAY}T07:00`);
+    assert.equal(wet.trips[0].hazardous, true);
+});
+
+test("a day is all hazardous only when every trip still ahead is", () => {
+    const back = makeCommuteWindow({ label: "Back", days: [1], start: "17:00", end: "17:30" });
+    const snowyEvening = { [`${MONDAY}T17:00`]: SNOW };
+    const windows = [weekdays, back];
+
+    const mixed = forecast(snowyEvening);
+    assert.equal(planCommuteWeek(windows, mixed.hourly, mixed.daily, `${MONDAY}T06:00`)[0].allHazardous, false);
+
+    // Once the dry morning has gone, only the snowy evening is left.
+    assert.equal(planCommuteWeek(windows, mixed.hourly, mixed.daily, `${MONDAY}T09:00`)[0].allHazardous, true);
+
+    // With nothing left ahead there is nothing to warn about.
+    assert.equal(planCommuteWeek(windows, mixed.hourly, mixed.daily, `${MONDAY}T18:00`)[0].allHazardous, false);
+});
+
+test("departures past the end of the forecast have no forecast", () => {
+    const { hourly, daily } = forecast();
+    const week = planCommuteWeek([weekdays], hourly.slice(0, 24), daily, `${MONDAY}T06:00`);
+    assert.equal(week[1].trips[0].status, "no_forecast");
+});
+
+test("adding a window keeps the list sorted and replaces the same window", () => {
+    const late = makeCommuteWindow({ label: "Late", days: [1], start: "18:00", end: "19:00" });
+    const list = addCommuteWindow(addCommuteWindow([], late), weekdays);
+    assert.deepEqual(list.map((w) => w.label), ["Out", "Late"]);
+
+    const renamed = { ...weekdays, label: "To work" };
+    assert.deepEqual(addCommuteWindow(list, renamed).map((w) => w.label), ["To work", "Late"]);
+});
+
+test("a full list rejects new windows instead of dropping one", () => {
+    let full = [];
+    for (let hour = 10; full.length < MAX_COMMUTE_WINDOWS; hour++) {
+        full = addCommuteWindow(full, makeCommuteWindow({ days: [1], start: `${hour}:00`, end: `${hour}:30` }));
+    }
+
+    assert.equal(addCommuteWindow(full, weekdays), full);
+    assert.equal(addCommuteWindow(full, makeCommuteWindow({ days: [2], start: "23:00", end: "23:30" })), full);
+
+    const renamed = { ...full[0], label: "Renamed" };
+    assert.equal(addCommuteWindow(full, renamed)[0].label, "Renamed");
+});
@@ -0,0 +1,154 @@
+/**
+ * Line up forecasts for several places so they can be read side by side,
+ * and pick the place that comes out ahead on each measure.
+ *
+ * Hourly series are aligned on absolute time, so 3 PM in Denver sits next
+ * to 5 PM in New York. Daily series are aligned by calendar date, each
+ * place's day being its own local day.
+ *
+ * @typedef {import("./weatherApi").WeatherState} WeatherState
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("./weatherApi").DailyPoint} DailyPoint
+ */
+
+/**
+ * One hour on the shared timeline.
+ *
+ * @typedef {Object} AlignedHour
+ * @property {number} epoch Start of the hour, epoch ms.
+ * @property {string} time Wall-clock time in the first place's timezone.
+ * @property {Array<HourlyPoint|null>} points One per place, in input order;
+ *   null where that place has no data for the hour.
+ */
+
+/**
+ * One calendar date across places.
+ *
+ * @typedef {Object} AlignedDay
+ * @property {string} date "YYYY-MM-DD"
+ * @property {Array<DailyPoint|null>} points One per place, in input order.
+ */
+
+/**
+ * A measure places are ranked on.
+ *
+ * @typedef {Object} CompareMetric
+ * @property {string} id
+ * @property {string} label Describes the winner ("Warmer").
+ * @property {"high"|"low"} better Whether the higher or lower value wins.
+ */
+
+import { formatZonedIsoTime, zonedIsoTimeToEpoch } from "./time.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Measures compared per hour, read from HourlyPoint.
+ *
+ * @type {Array<CompareMetric & { value: (p: HourlyPoint) => number|null }>}
+ */
+export const HOURLY_COMPARE_METRICS = [
+    { id: "temperature", label: "Warmer", better: "high", value: (p) => p.temperature },
+    { id: "precipitation", label: "Drier", better: "low", value: (p) => p.precipitation },
+    { id: "wind", label: "Less windy", better: "low", value: (p) => p.windSpeed },
+];
+
+/**
+ * Measures compared per day, read from DailyPoint.
+ *
+ * @type {Array<CompareMetric & { value: (p: DailyPoint) => number|null }>}
+ */
+export const DAILY_COMPARE_METRICS = [
+    { id: "temperature", label: "Warmer", better: "high", value: (p) => p.tempMax },
+    { id: "precipitation", label: "Drier", better: "low", value: (p) => p.precipitationSum ?? null },
+    { id: "wind", label: "Less windy", better: "low", value: (p) => p.windSpeedMax ?? null },
+];
+
+/**
+ * Align the hourly series of several places on one timeline.
+ *
+ * The timeline covers every hour any place has, from the current hour on
+ * (past hours are dropped), labelled in the first place's timezone.
+ *
+ * @param {Array<WeatherState>} states
+ * @param {number} [now] Epoch ms.
+ * @returns {Array<AlignedHour>}
+ */
+export function alignHourly(states, now = Date.now()) {
+    if (!states.length) return [];
+
+    const fromEpoch = Math.floor(now / HOUR_MS) * HOUR_MS;
+    const byPlace = states.map((state) => {
+        const map = new Map();
+        for (const point of state.hourly) {
+            // Snap to whole UTC hours so half-hour zones (India, Newfoundland…)
+            // still line up with everyone else.
+            const epoch = Math.floor(zonedIsoTimeToEpoch(point.time, state.timezone) / HOUR_MS) * HOUR_MS;
+            if (!Number.isNaN(epoch)) map.set(epoch, point);
+        }
+        return map;
+    });
+
+    const epochs = new Set();
+    for (const map of byPlace) {
+        for (const epoch of map.keys()) {
+            if (epoch >= fromEpoch) epochs.add(epoch);
+        }
+    }
+
+    return Array.from(epochs)
+        .sort((a, b) => a - b)
+        .map((epoch) => {
+            const points = byPlace.map((map) => map.get(epoch) ?? null);
+            return {
+                epoch,
+                time: points[0]?.time ?? formatZonedIsoTime(epoch, states[0].timezone),
+                points,
+            };
+        });
+}
+
+/**
+ * Align the daily series of several places by date.
+ *
+ * @param {Array<WeatherState>} states
+ * @returns {Array<AlignedDay>} Every date any place has, in order.
+ */
+export function alignDaily(states) {
+    const byPlace = states.map((state) => new Map(state.daily.map((d) => [d.date, d])));
+
+    const dates = new Set();
+    for (const map of byPlace) {
+        for (const date of map.keys()) dates.add(date);
+    }
+
+    return Array.from(dates)
+        .sort()
+        .map((date) => ({
+            date,
+            points: byPlace.map((map) => map.get(date) ?? null),
+        }));
+}
+
+/**
+ * Places that come out ahead on one measure.
+ *
+ * Ties share the win. Returns an empty list when fewer than two places
+ * have a value, or all values are equal, since there is nothing to
+ * highlight.
+ *
+ * @param {Array<number|null|undefined>} values One per place.
+ * @param {"high"|"low"} better
+ * @returns {Array<number>} Indexes of the winning places.
+ */
+export function pickLeaders(values, better) {
+    const present = values
+        .map((value, index) => ({ value, index }))
+        .filter((v) => typeof v.value === "number" && Number.isFinite(v.value));
+    if (present.length < 2) return [];
+
+    const pick = better === "high" ? Math.max : Math.min;
+    const best = pick(...present.map((v) => v.value));
+    const leaders = present.filter((v) => v.value === best).map((v) => v.index);
+    return leaders.length === present.length ? [] : leaders;
+}
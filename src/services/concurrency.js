@@ -0,0 +1,38 @@
+/**
+ * Run `worker` over every item with at most `limit` calls in flight.
+ *
+ * Results come back in input order, settled like Promise.allSettled(), so
+ * one failing item does not stop the rest. Once `signal` aborts, items not
+ * yet started are rejected with the abort reason instead of being run.
+ *
+ * @template T, R
+ * @param {Array<T>} items
+ * @param {number} limit Maximum concurrent calls (at least 1).
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array<PromiseSettledResult<R>>>}
+ */
+export async function mapWithConcurrency(items, limit, worker, signal) {
+    /** @type {Array<PromiseSettledResult<R>>} */
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runLane = async () => {
+        while (next < items.length) {
+            const index = next++;
+            if (signal?.aborted) {
+                results[index] = { status: "rejected", reason: signal.reason };
+                continue;
+            }
+            try {
+                results[index] = { status: "fulfilled", value: await worker(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: "rejected", reason };
+            }
+        }
+    };
+
+    const lanes = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: lanes }, runLane));
+    return results;
+}
@@ -0,0 +1,419 @@
+/**
+ * Decoding of typed positions: decimal degrees, degrees-minutes-seconds,
+ * Open Location Codes (Plus Codes) and MGRS/UTM grid references.
+ *
+ * Everything here is pure math on the input string; no network.
+ */
+
+/**
+ * A decoded position.
+ *
+ * @typedef {Object} DecodedPosition
+ * @property {number} lat Latitude in decimal degrees.
+ * @property {number} lon Longitude in decimal degrees.
+ */
+
+/* ------------------------------------------------------------------ */
+/* Decimal degrees and DMS                                             */
+/* ------------------------------------------------------------------ */
+
+/** "39.74, -104.99", "39.74 -104.99", "39.74N 104.99W", "W104.99 N39.74". */
+const DECIMAL_PAIR_REGEX =
+    /^([NSEW])?\s*([+-]?\d{1,3}(?:\.\d+)?)\s*°?\s*([NSEW])?\s*[,;\s]\s*([NSEW])?\s*([+-]?\d{1,3}(?:\.\d+)?)\s*°?\s*([NSEW])?$/i;
+
+/** One DMS component, e.g. "39°44'26.4\"N", "N 39° 44.44'", "-104d59m". */
+const DMS_COMPONENT =
+    "([NSEW])?\\s*(-?\\d{1,3}(?:\\.\\d+)?)\\s*(?:°|d|deg)\\s*" +
+    "(?:(\\d{1,2}(?:\\.\\d+)?)\\s*(?:'|m|min)\\s*)?" +
+    "(?:(\\d{1,2}(?:\\.\\d+)?)\\s*(?:\"|s|sec)\\s*)?([NSEW])?";
+
+const DMS_PAIR_REGEX = new RegExp(`^${DMS_COMPONENT}\\s*[,;]?\\s*${DMS_COMPONENT}$`, "i");
+
+/**
+ * Whether a latitude/longitude pair is on the globe.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {boolean}
+ */
+function isValidPosition(lat, lon) {
+    return (
+        Number.isFinite(lat) &&
+        Number.isFinite(lon) &&
+        Math.abs(lat) <= 90 &&
+        Math.abs(lon) <= 180
+    );
+}
+
+/**
+ * Apply hemisphere letters to a pair of values.
+ *
+ * Letters may come in either order ("104.99W 39.74N"); the N/S value is
+ * the latitude. Without letters the first value is the latitude.
+ *
+ * @param {number} first
+ * @param {string|undefined} firstHemi
+ * @param {number} second
+ * @param {string|undefined} secondHemi
+ * @returns {DecodedPosition|null} Null for contradictory letters or values off the globe.
+ */
+function applyHemispheres(first, firstHemi, second, secondHemi) {
+    const h1 = firstHemi?.toUpperCase();
+    const h2 = secondHemi?.toUpperCase();
+    const isLat = (h) => h === "N" || h === "S";
+    const isLon = (h) => h === "E" || h === "W";
+
+    const latFirst = isLat(h1) || isLon(h2);
+    const lonFirst = isLon(h1) || isLat(h2);
+    if (latFirst && lonFirst) return null;
+
+    let lat = lonFirst ? second : first;
+    let lon = lonFirst ? first : second;
+    const latHemi = lonFirst ? h2 : h1;
+    const lonHemi = lonFirst ? h1 : h2;
+
+    if (latHemi === "S") lat = -Math.abs(lat);
+    if (lonHemi === "W") lon = -Math.abs(lon);
+
+    return isValidPosition(lat, lon) ? { lat, lon } : null;
+}
+
+/**
+ * Degrees, minutes and seconds to decimal degrees, keeping the sign of
+ * the degrees.
+ *
+ * @param {string} deg
+ * @param {string|undefined} min
+ * @param {string|undefined} sec
+ * @returns {number|null} Null when minutes or seconds are out of range.
+ */
+function dmsToDecimal(deg, min, sec) {
+    const d = Number(deg);
+    const m = min ? Number(min) : 0;
+    const s = sec ? Number(sec) : 0;
+    if (m >= 60 || s >= 60) return null;
+    const value = Math.abs(d) + m / 60 + s / 3600;
+    return deg.startsWith("-") ? -value : value;
+}
+
+/**
+ * Parse a latitude/longitude pair in decimal degrees or DMS.
+ *
+ * @param {string} text
+ * @returns {DecodedPosition|null}
+ */
+export function parseCoordinatePair(text) {
+    const normalized = text.trim().replace(/[′’]/g, "'").replace(/[″”]|''/g, '"');
+
+    const decimal = normalized.match(DECIMAL_PAIR_REGEX);
+    if (decimal) {
+        const [, pre1, v1, post1, pre2, v2, post2] = decimal;
+        if ((pre1 && post1) || (pre2 && post2)) return null;
+        return applyHemispheres(Number(v1), pre1 || post1, Number(v2), pre2 || post2);
+    }
+
+    const dms = normalized.match(DMS_PAIR_REGEX);
+    if (dms) {
+        let [, pre1, d1, m1, s1, post1, pre2, d2, m2, s2, post2] = dms;
+        // Without a comma the second value's leading letter reads as the
+        // first one's trailing letter ("N 39° 44' W 104° 59'").
+        if (pre1 && post1 && !pre2) [post1, pre2] = [undefined, post1];
+        if ((pre1 && post1) || (pre2 && post2)) return null;
+        const first = dmsToDecimal(d1, m1, s1);
+        const second = dmsToDecimal(d2, m2, s2);
+        if (first == null || second == null) return null;
+        return applyHemispheres(first, pre1 || post1, second, pre2 || post2);
+    }
+
+    return null;
+}
+
+/**
+ * Readable label for a position, e.g. "39.7400°N, 104.9900°W".
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string}
+ */
+export function formatLatLon(lat, lon) {
+    const latText = `${Math.abs(lat).toFixed(4)}°${lat < 0 ? "S" : "N"}`;
+    const lonText = `${Math.abs(lon).toFixed(4)}°${lon < 0 ? "W" : "E"}`;
+    return `${latText}, ${lonText}`;
+}
+
+/* ------------------------------------------------------------------ */
+/* Open Location Code (Plus Codes)                                     */
+/* ------------------------------------------------------------------ */
+
+const OLC_ALPHABET = "23456789CFGHJMPQRVWX";
+const OLC_SEPARATOR_INDEX = 8;
+const OLC_PAIR_CODE_LENGTH = 10;
+const OLC_GRID_ROWS = 5;
+const OLC_GRID_COLUMNS = 4;
+
+/** Full code ("85FPQXGF+2X", "85FP0000+") or short code ("QXGF+2X"). */
+const PLUS_CODE_REGEX = /^[23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]*$/i;
+
+/**
+ * Shape of a Plus Code: "full", "short" (needs a reference location), or
+ * null when the text is not a valid code.
+ *
+ * @param {string} code
+ * @returns {"full"|"short"|null}
+ */
+export function classifyPlusCode(code) {
+    const upper = code.toUpperCase();
+    if (!PLUS_CODE_REGEX.test(upper)) return null;
+
+    const separator = upper.indexOf("+");
+    const [head, tail] = upper.split("+");
+    if (separator % 2 !== 0 || tail.length === 1) return null;
+
+    const padding = head.indexOf("0");
+    if (padding >= 0) {
+        // Padded codes are full codes with nothing after the separator.
+        if (separator !== OLC_SEPARATOR_INDEX || tail || padding % 2 !== 0) return null;
+        if (!/^0+$/.test(head.slice(padding))) return null;
+    }
+
+    if (separator < OLC_SEPARATOR_INDEX) return padding >= 0 ? null : "short";
+    if (separator > OLC_SEPARATOR_INDEX) return null;
+
+    // First latitude digit covers 20° bands up to 90°, longitude up to 180°.
+    if (OLC_ALPHABET.indexOf(upper[0]) >= 9 || OLC_ALPHABET.indexOf(upper[1]) >= 18) return null;
+    return "full";
+}
+
+/**
+ * Decode a full Plus Code to the centre of its area.
+ *
+ * @param {string} code A code for which classifyPlusCode() returns "full".
+ * @returns {DecodedPosition}
+ */
+export function decodePlusCode(code) {
+    const digits = code.toUpperCase().replace("+", "").replace(/0+$/, "");
+
+    let lat = -90;
+    let lon = -180;
+    let latRes = 400;
+    let lonRes = 400;
+
+    for (let i = 0; i < Math.min(digits.length, OLC_PAIR_CODE_LENGTH); i += 2) {
+        latRes /= 20;
+        lonRes /= 20;
+        lat += OLC_ALPHABET.indexOf(digits[i]) * latRes;
+        lon += OLC_ALPHABET.indexOf(digits[i + 1]) * lonRes;
+    }
+
+    for (let i = OLC_PAIR_CODE_LENGTH; i < digits.length; i++) {
+        const value = OLC_ALPHABET.indexOf(digits[i]);
+        latRes /= OLC_GRID_ROWS;
+        lonRes /= OLC_GRID_COLUMNS;
+        lat += Math.floor(value / OLC_GRID_COLUMNS) * latRes;
+        lon += (value % OLC_GRID_COLUMNS) * lonRes;
+    }
+
+    return {
+        lat: Math.min(90, lat + latRes / 2),
+        lon: Math.min(180, lon + lonRes / 2),
+    };
+}
+
+/**
+ * First `length` digits of the Plus Code for a position.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} length Even, at most 8.
+ * @returns {string}
+ */
+function encodePlusCodePrefix(lat, lon, length) {
+    let latValue = Math.min(Math.max(lat, -90), 90 - 1e-9) + 90;
+    let lonValue = ((((lon + 180) % 360) + 360) % 360);
+    let prefix = "";
+
+    for (let i = 0, placeValue = 20; i < length; i += 2, placeValue /= 20) {
+        const latDigit = Math.floor(latValue / placeValue);
+        const lonDigit = Math.floor(lonValue / placeValue);
+        latValue -= latDigit * placeValue;
+        lonValue -= lonDigit * placeValue;
+        prefix += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lonDigit];
+    }
+    return prefix;
+}
+
+/**
+ * Turn a short Plus Code into the full code nearest a reference position,
+ * as the Open Location Code spec describes.
+ *
+ * @param {string} shortCode A code for which classifyPlusCode() returns "short".
+ * @param {number} refLat
+ * @param {number} refLon
+ * @returns {{ code: string } & DecodedPosition}
+ */
+export function recoverPlusCode(shortCode, refLat, refLon) {
+    const upper = shortCode.toUpperCase();
+    const paddingLength = OLC_SEPARATOR_INDEX - upper.indexOf("+");
+    const resolution = Math.pow(20, 2 - paddingLength / 2);
+    const halfResolution = resolution / 2;
+
+    const code = encodePlusCodePrefix(refLat, refLon, paddingLength) + upper;
+    let { lat, lon } = decodePlusCode(code);
+
+    // The prefix names the cell the reference is in; the nearest match may
+    // be in the neighbouring cell.
+    if (refLat + halfResolution < lat && lat - resolution >= -90) lat -= resolution;
+    else if (refLat - halfResolution > lat && lat + resolution <= 90) lat += resolution;
+
+    if (refLon + halfResolution < lon) lon -= resolution;
+    else if (refLon - halfResolution > lon) lon += resolution;
+    if (lon > 180) lon -= 360;
+    if (lon < -180) lon += 360;
+
+    const prefix = encodePlusCodePrefix(lat, lon, paddingLength);
+    return { code: prefix + upper, lat, lon };
+}
+
+/* ------------------------------------------------------------------ */
+/* UTM and MGRS (WGS84)                                                */
+/* ------------------------------------------------------------------ */
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const UTM_SCALE = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+
+/**
+ * Northing (m) at which each MGRS latitude band starts, used to pick the
+ * right 2,000 km cycle for the 100 km row letter.
+ */
+const MGRS_BAND_MIN_NORTHING = {
+    C: 1100000, D: 2000000, E: 2800000, F: 3700000, G: 4600000,
+    H: 5500000, J: 6400000, K: 7300000, L: 8200000, M: 9100000,
+    N: 0, P: 800000, Q: 1700000, R: 2600000, S: 3500000,
+    T: 4400000, U: 5300000, V: 6200000, W: 7000000, X: 7900000,
+};
+
+const MGRS_COLUMN_SETS = ["STUVWXYZ", "ABCDEFGH", "JKLMNPQR"];
+const MGRS_ROW_LETTERS = "ABCDEFGHJKLMNPQRSTUV";
+
+/** "13S 501234 4398765", "13S 501234mE 4398765mN". */
+const UTM_REGEX = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d{1,7}(?:\.\d+)?)\s*(?:m\s*E)?\s*[,\s]\s*(\d{1,8}(?:\.\d+)?)\s*(?:m\s*N)?$/i;
+
+/** "13SDD1234567890", "13S DD 12345 67890", "4QFJ1234". */
+const MGRS_REGEX = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d{0,10}|\d{1,5}\s+\d{1,5})$/i;
+
+/**
+ * Inverse transverse Mercator for WGS84 UTM coordinates.
+ *
+ * @param {number} zone 1–60.
+ * @param {boolean} southern
+ * @param {number} easting Meters.
+ * @param {number} northing Meters.
+ * @returns {DecodedPosition}
+ */
+function utmToLatLon(zone, southern, easting, northing) {
+    const e2 = WGS84_F * (2 - WGS84_F);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const x = easting - UTM_FALSE_EASTING;
+    const y = southern ? northing - UTM_FALSE_NORTHING_SOUTH : northing;
+
+    const mu = y / UTM_SCALE / (WGS84_A * (1 - e2 / 4 - (3 * e2 * e2) / 64 - (5 * e2 ** 3) / 256));
+    const phi1 =
+        mu +
+        ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+        ((21 * e1 * e1) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+        ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+        ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+    const sinPhi = Math.sin(phi1);
+    const cosPhi = Math.cos(phi1);
+    const tanPhi = Math.tan(phi1);
+    const n1 = WGS84_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const t1 = tanPhi * tanPhi;
+    const c1 = ep2 * cosPhi * cosPhi;
+    const r1 = (WGS84_A * (1 - e2)) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+    const d = x / (n1 * UTM_SCALE);
+
+    const lat =
+        phi1 -
+        ((n1 * tanPhi) / r1) *
+            ((d * d) / 2 -
+                ((5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * d ** 4) / 24 +
+                ((61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * d ** 6) / 720);
+
+    const lon =
+        (d -
+            ((1 + 2 * t1 + c1) * d ** 3) / 6 +
+            ((5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * d ** 5) / 120) /
+        cosPhi;
+
+    const centralMeridian = (zone - 1) * 6 - 180 + 3;
+    return {
+        lat: (lat * 180) / Math.PI,
+        lon: centralMeridian + (lon * 180) / Math.PI,
+    };
+}
+
+/**
+ * Parse a UTM reference with a latitude band ("13S 501234 4398765").
+ *
+ * @param {string} text
+ * @returns {DecodedPosition|null}
+ */
+export function parseUtm(text) {
+    const match = text.trim().match(UTM_REGEX);
+    if (!match) return null;
+
+    const zone = Number(match[1]);
+    const band = match[2].toUpperCase();
+    if (zone < 1 || zone > 60) return null;
+
+    const position = utmToLatLon(zone, band < "N", Number(match[3]), Number(match[4]));
+    return isValidPosition(position.lat, position.lon) ? position : null;
+}
+
+/**
+ * Parse an MGRS grid reference to the centre of the square it names
+ * ("13SDD1234567890" is 1 m, "13SDD123678" 100 m, "13SDD" 100 km).
+ *
+ * @param {string} text
+ * @returns {DecodedPosition|null}
+ */
+export function parseMgrs(text) {
+    const match = text.trim().match(MGRS_REGEX);
+    if (!match) return null;
+
+    const zone = Number(match[1]);
+    const band = match[2].toUpperCase();
+    const columnLetter = match[3].toUpperCase();
+    const rowLetter = match[4].toUpperCase();
+    const digitParts = match[5].trim().split(/\s+/).filter(Boolean);
+    if (zone < 1 || zone > 60) return null;
+
+    const digits = digitParts.join("");
+    if (digits.length % 2 !== 0) return null;
+    if (digitParts.length === 2 && digitParts[0].length !== digitParts[1].length) return null;
+
+    const column = MGRS_COLUMN_SETS[zone % 3].indexOf(columnLetter);
+    if (column < 0) return null;
+
+    // Even zones start their row letters at F.
+    const rowOffset = zone % 2 === 0 ? 5 : 0;
+    const row = (MGRS_ROW_LETTERS.indexOf(rowLetter) - rowOffset + 20) % 20;
+
+    const precision = digits.length / 2;
+    const cellSize = Math.pow(10, 5 - precision);
+    const eastingInSquare = precision ? Number(digits.slice(0, precision)) * cellSize : 0;
+    const northingInSquare = precision ? Number(digits.slice(precision)) * cellSize : 0;
+
+    const easting = (column + 1) * 100000 + eastingInSquare + cellSize / 2;
+    let northing = row * 100000 + northingInSquare + cellSize / 2;
+    while (northing < MGRS_BAND_MIN_NORTHING[band]) northing += 2000000;
+
+    const position = utmToLatLon(zone, band < "N", easting, northing);
+    return isValidPosition(position.lat, position.lon) ? position : null;
+}
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseCoordinatePair,
+    classifyPlusCode,
+    decodePlusCode,
+    recoverPlusCode,
+    parseUtm,
+    parseMgrs,
+} from "./coordinateFormats.js";
+
+/**
+ * Assert a decoded position is within about 10 m of the expected one.
+ *
+ * @param {{lat: number, lon: number}|null} actual
+ * @param {number} lat
+ * @param {number} lon
+ */
+function assertNear(actual, lat, lon) {
+    assert.ok(actual, `expected ${lat}, ${lon} but got null`);
+    assert.ok(Math.abs(actual.lat - lat) < 1e-4, `lat ${actual.lat} is not ${lat}`);
+    assert.ok(Math.abs(actual.lon - lon) < 1e-4, `lon ${actual.lon} is not ${lon}`);
+}
+
+test("decimal and DMS pairs, with hemisphere letters in either order", () => {
+    assertNear(parseCoordinatePair("39.7392, -104.9903"), 39.7392, -104.9903);
+    assertNear(parseCoordinatePair("151.2153E, 33.8568S"), -33.8568, 151.2153);
+    assertNear(parseCoordinatePair(`33°51'24.5"S 151°12'55.1"E`), -33.856806, 151.215306);
+    assertNear(parseCoordinatePair("N 39° 44.44' W 104° 59.42'"), 39.740667, -104.990333);
+    assertNear(parseCoordinatePair("N 39° 44.44', W 104° 59.42'"), 39.740667, -104.990333);
+});
+
+test("malformed coordinate pairs are rejected", () => {
+    assert.equal(parseCoordinatePair("91, 10"), null);
+    assert.equal(parseCoordinatePair("10, 181"), null);
+    assert.equal(parseCoordinatePair("39.7N 104.9N"), null);
+    assert.equal(parseCoordinatePair(`39°44'61"N 104°59'W`), null);
+    assert.equal(parseCoordinatePair("Denver"), null);
+});
+
+test("full Plus Codes decode to the centre of their area", () => {
+    assert.equal(classifyPlusCode("849VCWC8+R9"), "full");
+    assertNear(decodePlusCode("849VCWC8+R9"), 37.4221, -122.0841);
+    assert.equal(classifyPlusCode("849VCW00+"), "full");
+});
+
+test("short Plus Codes are recovered near the reference", () => {
+    assert.equal(classifyPlusCode("CWC8+R9"), "short");
+    const recovered = recoverPlusCode("CWC8+R9", 37.4, -122.1);
+    assert.equal(recovered.code, "849VCWC8+R9");
+    assertNear(recovered, 37.4221, -122.0841);
+});
+
+test("malformed Plus Codes are rejected", () => {
+    assert.equal(classifyPlusCode("849VCWC8+R"), null);
+    assert.equal(classifyPlusCode("F49VCWC8+R9"), null);
+    assert.equal(classifyPlusCode("849VCW0+"), null);
+    assert.equal(classifyPlusCode("849VCWC8R9"), null);
+});
+
+test("UTM references in both hemispheres", () => {
+    assertNear(parseUtm("18S 323478 4306472"), 38.8894, -77.0353);
+    assertNear(parseUtm("18S 323478mE 4306472mN"), 38.8894, -77.0353);
+    assertNear(parseUtm("56H 334901 6252289"), -33.8568, 151.2153);
+    assertNear(parseUtm("23K 683477 7460687"), -22.9519, -43.2105);
+    assertNear(parseUtm("17M 776882 9975660"), -0.22, -78.5125);
+});
+
+test("UTM references at a zone edge use the zone given", () => {
+    assertNear(parseUtm("31T 736367 4987327"), 45.0, 5.999);
+    assertNear(parseUtm("32V 329620 6599587"), 59.5, 5.99);
+});
+
+test("MGRS references in both hemispheres", () => {
+    assertNear(parseMgrs("18SUJ2338306479"), 38.8894, -77.0364);
+    assertNear(parseMgrs("18S UJ 23383 06479"), 38.8894, -77.0364);
+    assertNear(parseMgrs("56HLH3490052288"), -33.8568, 151.2153);
+    assertNear(parseMgrs("23KPQ8347660687"), -22.9519, -43.2105);
+    assertNear(parseMgrs("34HBH6066538945"), -33.9628, 18.4098);
+});
+
+test("MGRS row letters pick the right 2,000 km cycle for the band", () => {
+    assertNear(parseMgrs("37MBV5513498893"), -0.01, 36.8);
+    assertNear(parseMgrs("37NBA5513401106"), 0.01, 36.8);
+    assertNear(parseMgrs("12SWA0944441548"), 32.01, -110.9);
+    assertNear(parseMgrs("58CEU3923257811"), -77.85, 166.67);
+    assertNear(parseMgrs("33XWG1481383004"), 78.22, 15.65);
+});
+
+test("shorter MGRS references decode to the centre of their square", () => {
+    const square = parseMgrs("18SUJ");
+    const metre = parseMgrs("18SUJ5000050000");
+    assertNear(square, metre.lat, metre.lon);
+    const hundredMetres = parseMgrs("18SUJ233064");
+    const centre = parseMgrs("18SUJ2335006450");
+    assertNear(hundredMetres, centre.lat, centre.lon);
+});
+
+test("malformed UTM and MGRS references are rejected", () => {
+    assert.equal(parseUtm("61S 323478 4306472"), null);
+    assert.equal(parseUtm("18I 323478 4306472"), null);
+    assert.equal(parseMgrs("18SUI2338306479"), null);
+    assert.equal(parseMgrs("18SUJ233830647"), null);
+    assert.equal(parseMgrs("61SUJ23383064"), null);
+    assert.equal(parseMgrs("18SUJ 2338 306479"), null);
+    assert.equal(parseMgrs("18SAJ2338306479"), null);
+});
@@ -0,0 +1,262 @@
+/**
+ * Hazards for drivers beyond the road surface: fog and low visibility, and
+ * wind across the road for the chosen vehicle. Each forecast hour gets a
+ * list of every hazard that applies rather than a single label, so a wet,
+ * foggy, gusty hour reads as all three.
+ *
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("./weatherApi").DailyPoint} DailyPoint
+ * @typedef {import("./roadConditions").RoadConditionCategory} RoadConditionCategory
+ */
+
+/**
+ * @typedef {"car"|"high_profile"|"motorcycle"|"trailer"} VehicleProfileId
+ *
+ * @typedef {Object} VehicleProfile
+ * @property {VehicleProfileId} id
+ * @property {string} label
+ * @property {number} cautionKmh Crosswind (km/h, gusts where known) worth slowing for.
+ * @property {number} dangerKmh Crosswind at which the vehicle may be pushed off line or over.
+ *
+ * @typedef {Object} DriverSettings
+ * @property {number|null} roadBearing Direction the road runs, degrees 0–359.
+ *   Null when unknown; the whole wind is then treated as crosswind.
+ * @property {VehicleProfileId} vehicle
+ *
+ * @typedef {"wet"|"snow_ice_risk"|"heavy_snow"|"black_ice_risk"|"fog"|"low_visibility"|"crosswind"} DriverHazardType
+ *
+ * @typedef {Object} DriverHazard
+ * @property {DriverHazardType} type
+ * @property {"caution"|"danger"} severity
+ * @property {string} label
+ * @property {string} detail
+ *
+ * @typedef {Object} HourHazards
+ * @property {RoadConditionCategory} surface The road surface on its own.
+ * @property {Array<DriverHazard>} hazards Most severe first; empty when clear.
+ * @property {number|null} crosswind km/h across the road, gusts where known.
+ */
+
+import { classifyHourRoadCondition } from "./roadConditions.js";
+
+/**
+ * Crosswind limits per vehicle, loosely after highway wind advisories:
+ * high-sided vehicles, towed caravans and motorcycles are affected well
+ * before cars are.
+ *
+ * @type {Array<VehicleProfile>}
+ */
+export const VEHICLE_PROFILES = [
+    { id: "car", label: "Car", cautionKmh: 60, dangerKmh: 90 },
+    { id: "high_profile", label: "High-profile truck / van", cautionKmh: 45, dangerKmh: 65 },
+    { id: "motorcycle", label: "Motorcycle", cautionKmh: 35, dangerKmh: 55 },
+    { id: "trailer", label: "Towing a trailer / caravan", cautionKmh: 40, dangerKmh: 60 },
+];
+
+/** @type {DriverSettings} */
+export const DEFAULT_DRIVER_SETTINGS = { roadBearing: null, vehicle: "car" };
+
+/** Visibility (m) below which it counts as fog. */
+const FOG_VISIBILITY_M = 1000;
+
+/** Fog this thick calls for the lowest speeds. */
+const DENSE_FOG_VISIBILITY_M = 200;
+
+/** Visibility (m) below which haze, rain or snow is worth flagging. */
+const LOW_VISIBILITY_M = 4000;
+
+/** WMO codes for fog and depositing rime fog. */
+const FOG_CODES = [45, 48];
+
+const DRIVER_SETTINGS_STORAGE_KEY = "weather_driver_settings_v1";
+
+/**
+ * Look up a vehicle profile, falling back to a car.
+ *
+ * @param {string} id
+ * @returns {VehicleProfile}
+ */
+export function getVehicleProfile(id) {
+    return VEHICLE_PROFILES.find((p) => p.id === id) ?? VEHICLE_PROFILES[0];
+}
+
+/**
+ * The part of the wind blowing across a road. A road runs both ways, so
+ * only the angle between the wind and the road matters, not which end the
+ * wind comes from.
+ *
+ * @param {number|null} windKmh
+ * @param {number|null} windDirection Degrees the wind blows from.
+ * @param {number|null} roadBearing Degrees; null counts all the wind.
+ * @returns {number|null}
+ */
+export function crosswindComponent(windKmh, windDirection, roadBearing) {
+    if (windKmh == null) return null;
+    if (windDirection == null || roadBearing == null) return windKmh;
+    const angle = ((windDirection - roadBearing) * Math.PI) / 180;
+    return Math.abs(windKmh * Math.sin(angle));
+}
+
+/**
+ * Surface hazards as DriverHazards; dry and unknown roads add nothing.
+ *
+ * @param {RoadConditionCategory} surface
+ * @returns {DriverHazard|null}
+ */
+function surfaceHazard(surface) {
+    switch (surface) {
+        case "wet":
+            return {
+                type: "wet",
+                severity: "caution",
+                label: "Wet roads",
+                detail: "Longer stopping distances and spray.",
+            };
+        case "snow_ice_risk":
+            return {
+                type: "snow_ice_risk",
+                severity: "danger",
+                label: "Snow / ice",
+                detail: "Wintry precipitation or freezing temperatures on the road.",
+            };
+        case "heavy_snow":
+            return {
+                type: "heavy_snow",
+                severity: "danger",
+                label: "Heavy snow",
+                detail: "Snow building up on the road faster than it is likely to be cleared.",
+            };
+        case "black_ice_risk":
+            return {
+                type: "black_ice_risk",
+                severity: "danger",
+                label: "Black ice / frost",
+                detail: "Pavement estimated at or below freezing with moisture on it.",
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Fog or reduced visibility, from the visibility forecast or a fog weather
+ * code when the provider has no visibility.
+ *
+ * @param {HourlyPoint} hour
+ * @returns {DriverHazard|null}
+ */
+function visibilityHazard(hour) {
+    const visibility = hour.visibility;
+    const fogCode = hour.weatherCode != null && FOG_CODES.includes(hour.weatherCode);
+
+    if (fogCode || (visibility != null && visibility < FOG_VISIBILITY_M)) {
+        const dense = visibility != null && visibility < DENSE_FOG_VISIBILITY_M;
+        return {
+            type: "fog",
+            severity: dense ? "danger" : "caution",
+            label: dense ? "Dense fog" : "Fog",
+            detail: hour.weatherCode === 48
+                ? "Freezing fog can also leave rime ice on the road."
+                : "Use low beams and leave extra distance.",
+        };
+    }
+    if (visibility != null && visibility < LOW_VISIBILITY_M) {
+        return {
+            type: "low_visibility",
+            severity: "caution",
+            label: "Low visibility",
+            detail: "Haze, rain or snow is cutting how far ahead you can see.",
+        };
+    }
+    return null;
+}
+
+/**
+ * Wind across the road against the vehicle's limits. Gusts are what push a
+ * vehicle off line, so they are used when the forecast has them.
+ *
+ * @param {HourlyPoint} hour
+ * @param {DriverSettings} settings
+ * @returns {{ hazard: DriverHazard|null, crosswind: number|null }}
+ */
+function windHazard(hour, settings) {
+    const profile = getVehicleProfile(settings.vehicle);
+    const crosswind = crosswindComponent(
+        hour.windGusts ?? hour.windSpeed,
+        hour.windDirection,
+        settings.roadBearing
+    );
+    if (crosswind == null || crosswind < profile.cautionKmh) return { hazard: null, crosswind };
+
+    const danger = crosswind >= profile.dangerKmh;
+    const what = settings.roadBearing == null ? "wind" : "crosswind";
+    return {
+        crosswind,
+        hazard: {
+            type: "crosswind",
+            severity: danger ? "danger" : "caution",
+            label: settings.roadBearing == null ? "High wind" : "Strong crosswind",
+            detail: danger
+                ? `Gusty ${what} strong enough to push a ${profile.label.toLowerCase()} off line.`
+                : `Expect ${what} buffeting; keep a firm grip and slow down.`,
+        },
+    };
+}
+
+/**
+ * Every hazard for one forecast hour, given the driver's road and vehicle.
+ *
+ * @param {Array<HourlyPoint>} hourly
+ * @param {number} index
+ * @param {Array<DailyPoint>} daily Used by the pavement model.
+ * @param {DriverSettings} settings
+ * @returns {HourHazards}
+ */
+export function assessHourHazards(hourly, index, daily, settings) {
+    const hour = hourly[index];
+    if (!hour) return { surface: "unknown", hazards: [], crosswind: null };
+
+    const surface = classifyHourRoadCondition(hourly, index, daily);
+    const wind = windHazard(hour, settings);
+    const hazards = [surfaceHazard(surface), visibilityHazard(hour), wind.hazard].filter(Boolean);
+    // Stable sort keeps surface, then visibility, then wind among equals.
+    hazards.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "danger" ? -1 : 1));
+
+    return { surface, hazards, crosswind: wind.crosswind };
+}
+
+/**
+ * Read the saved road bearing and vehicle from localStorage.
+ *
+ * @returns {DriverSettings}
+ */
+export function loadDriverSettings() {
+    if (typeof window === "undefined" || !window.localStorage) return DEFAULT_DRIVER_SETTINGS;
+    try {
+        const raw = window.localStorage.getItem(DRIVER_SETTINGS_STORAGE_KEY);
+        if (!raw) return DEFAULT_DRIVER_SETTINGS;
+        const parsed = JSON.parse(raw);
+        const bearing = Number(parsed?.roadBearing);
+        return {
+            roadBearing:
+                parsed?.roadBearing != null && Number.isFinite(bearing) ? ((bearing % 360) + 360) % 360 : null,
+            vehicle: getVehicleProfile(parsed?.vehicle).id,
+        };
+    } catch {
+        return DEFAULT_DRIVER_SETTINGS;
+    }
+}
+
+/**
+ * Persist the road bearing and vehicle (best effort).
+ *
+ * @param {DriverSettings} settings
+ */
+export function saveDriverSettings(settings) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        window.localStorage.setItem(DRIVER_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+        // Swallow storage errors; preference is best-effort only.
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Saved places, kept in localStorage so they survive reloads.
+ *
+ * Every function that changes the list returns a new array and leaves the
+ * input untouched, so callers can hand the result straight to React state.
+ *
+ * @typedef {Object} Favorite
+ * @property {string} id Stable ID derived from the coordinates.
+ * @property {string} name User-facing name; starts as the geocoder label
+ *   and can be renamed.
+ * @property {string} label Original location label, kept for lookups.
+ * @property {number} lat
+ * @property {number} lon
+ */
+
+const FAVORITES_STORAGE_KEY = "weather_favorites_v1";
+
+/**
+ * ID for a place: coordinates rounded to 4 decimals (~10 m), so saving the
+ * same place twice is a no-op.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string}
+ */
+export function favoriteId(lat, lon) {
+    return `${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`;
+}
+
+/**
+ * Read saved places from localStorage, dropping malformed entries.
+ *
+ * @returns {Array<Favorite>}
+ */
+export function loadFavorites() {
+    if (typeof window === "undefined" || !window.localStorage) return [];
+    try {
+        const raw = window.localStorage.getItem(FAVORITES_STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        if (!Array.isArray(parsed)) return [];
+        return parsed
+            .filter((f) => typeof f?.lat === "number" && typeof f?.lon === "number")
+            .map((f) => {
+                const label = typeof f.label === "string" ? f.label : "";
+                return {
+                    id: favoriteId(f.lat, f.lon),
+                    name: typeof f.name === "string" && f.name ? f.name : label,
+                    label,
+                    lat: f.lat,
+                    lon: f.lon,
+                };
+            });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Persist saved places to localStorage (best effort).
+ *
+ * @param {Array<Favorite>} favorites
+ */
+export function saveFavorites(favorites) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        window.localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+    } catch {
+        // Swallow storage errors; the list still works for this session.
+    }
+}
+
+/**
+ * Add a place at the end of the list, unless it is already saved.
+ *
+ * @param {Array<Favorite>} favorites
+ * @param {{lat: number, lon: number, label: string}} location
+ * @returns {Array<Favorite>}
+ */
+export function addFavorite(favorites, location) {
+    const id = favoriteId(location.lat, location.lon);
+    if (favorites.some((f) => f.id === id)) return favorites;
+    return [
+        ...favorites,
+        { id, name: location.label, label: location.label, lat: location.lat, lon: location.lon },
+    ];
+}
+
+/**
+ * Rename a saved place. An empty name restores the original label.
+ *
+ * @param {Array<Favorite>} favorites
+ * @param {string} id
+ * @param {string} name
+ * @returns {Array<Favorite>}
+ */
+export function renameFavorite(favorites, id, name) {
+    return favorites.map((f) => (f.id === id ? { ...f, name: name.trim() || f.label } : f));
+}
+
+/**
+ * Move a saved place up (negative offset) or down the list, clamped to
+ * the ends.
+ *
+ * @param {Array<Favorite>} favorites
+ * @param {string} id
+ * @param {number} offset
+ * @returns {Array<Favorite>}
+ */
+export function moveFavorite(favorites, id, offset) {
+    const from = favorites.findIndex((f) => f.id === id);
+    if (from < 0) return favorites;
+    const to = Math.min(favorites.length - 1, Math.max(0, from + offset));
+    if (to === from) return favorites;
+
+    const next = [...favorites];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    return next;
+}
+
+/**
+ * Remove a saved place.
+ *
+ * @param {Array<Favorite>} favorites
+ * @param {string} id
+ * @returns {Array<Favorite>}
+ */
+export function removeFavorite(favorites, id) {
+    return favorites.filter((f) => f.id !== id);
+}
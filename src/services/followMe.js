@@ -0,0 +1,73 @@
+/**
+ * Rules for follow-me mode: when a new position fix is worth a new
+ * forecast, and the user's chosen distance threshold.
+ *
+ * @typedef {Object} PositionFix
+ * @property {number} lat
+ * @property {number} lon
+ * @property {number|null} accuracy Radius of the 95% confidence circle, meters.
+ * @property {number} timestamp Epoch ms when the fix was taken.
+ *
+ * @typedef {Object} FollowFetch
+ * @property {number} lat Where the last forecast was loaded for.
+ * @property {number} lon
+ * @property {number} at Epoch ms when it was requested.
+ */
+
+import { CACHE_POLICIES } from "./cache.js";
+import { distanceKm } from "./geo.js";
+
+/** Distances (km) the user can pick as the refetch threshold. */
+export const FOLLOW_DISTANCE_OPTIONS_KM = [0.5, 1, 2, 5, 10, 25];
+
+export const DEFAULT_FOLLOW_DISTANCE_KM = 2;
+
+/** Refetch at the same place once the forecast would count as stale. */
+export const FOLLOW_MAX_AGE_MS = CACHE_POLICIES.forecast.ttlMs;
+
+const FOLLOW_DISTANCE_STORAGE_KEY = "weather_follow_distance_v1";
+
+/**
+ * Whether a fix calls for a new forecast: there is none yet, the device
+ * has moved at least `minDistanceKm`, or the last one has gone stale.
+ *
+ * @param {FollowFetch|null} lastFetch
+ * @param {PositionFix} fix
+ * @param {number} minDistanceKm
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function shouldRefetchForFix(lastFetch, fix, minDistanceKm, now = Date.now()) {
+    if (!lastFetch) return true;
+    if (now - lastFetch.at >= FOLLOW_MAX_AGE_MS) return true;
+    return distanceKm(lastFetch, fix) >= minDistanceKm;
+}
+
+/**
+ * Read the saved refetch distance from localStorage.
+ *
+ * @returns {number} One of FOLLOW_DISTANCE_OPTIONS_KM.
+ */
+export function loadFollowDistance() {
+    if (typeof window === "undefined" || !window.localStorage) return DEFAULT_FOLLOW_DISTANCE_KM;
+    try {
+        const value = Number(window.localStorage.getItem(FOLLOW_DISTANCE_STORAGE_KEY));
+        return FOLLOW_DISTANCE_OPTIONS_KM.includes(value) ? value : DEFAULT_FOLLOW_DISTANCE_KM;
+    } catch {
+        return DEFAULT_FOLLOW_DISTANCE_KM;
+    }
+}
+
+/**
+ * Persist the refetch distance to localStorage (best effort).
+ *
+ * @param {number} km
+ */
+export function saveFollowDistance(km) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        window.localStorage.setItem(FOLLOW_DISTANCE_STORAGE_KEY, String(km));
+    } catch {
+        // Swallow storage errors; preference is best-effort only.
+    }
+}
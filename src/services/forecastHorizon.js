@@ -0,0 +1,97 @@
+/**
+ * How far ahead (and back) a forecast request covers.
+ *
+ * @typedef {Object} ForecastHorizon
+ * @property {number} forecastDays Days ahead, including today (1–16).
+ * @property {number} pastDays Days before today (0–7).
+ */
+
+export const MIN_FORECAST_DAYS = 1;
+export const MAX_FORECAST_DAYS = 16;
+export const MAX_PAST_DAYS = 7;
+
+/** @type {ForecastHorizon} */
+export const DEFAULT_HORIZON = { forecastDays: 7, pastDays: 0 };
+
+const HORIZON_STORAGE_KEY = "weather_horizon_v1";
+
+/**
+ * Clamp an integer into [min, max], using the fallback for non-numbers.
+ *
+ * @param {any} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clampInt(value, min, max, fallback) {
+    const n = Math.round(Number(value));
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Coerce any partial or out-of-range horizon into a valid one.
+ *
+ * @param {Partial<ForecastHorizon>|null|undefined} horizon
+ * @returns {ForecastHorizon}
+ */
+export function normalizeHorizon(horizon) {
+    return {
+        forecastDays: clampInt(
+            horizon?.forecastDays,
+            MIN_FORECAST_DAYS,
+            MAX_FORECAST_DAYS,
+            DEFAULT_HORIZON.forecastDays
+        ),
+        pastDays: clampInt(horizon?.pastDays, 0, MAX_PAST_DAYS, DEFAULT_HORIZON.pastDays),
+    };
+}
+
+/**
+ * Short label for a horizon, e.g. "Next 7 days" or "Past 2 days + next 14 days".
+ *
+ * @param {ForecastHorizon} horizon
+ * @returns {string}
+ */
+export function describeHorizon(horizon) {
+    const { forecastDays, pastDays } = normalizeHorizon(horizon);
+    if (!pastDays) return forecastDays === 1 ? "Today" : `Next ${forecastDays} days`;
+
+    const ahead = forecastDays === 1 ? "today" : `next ${forecastDays} days`;
+    return `Past ${pastDays} day${pastDays === 1 ? "" : "s"} + ${ahead}`;
+}
+
+/**
+ * Read the saved horizon from localStorage.
+ *
+ * Missing or invalid values fall back to DEFAULT_HORIZON.
+ *
+ * @returns {ForecastHorizon}
+ */
+export function loadHorizonPreference() {
+    if (typeof window === "undefined" || !window.localStorage) return DEFAULT_HORIZON;
+    try {
+        const raw = window.localStorage.getItem(HORIZON_STORAGE_KEY);
+        return raw ? normalizeHorizon(JSON.parse(raw)) : DEFAULT_HORIZON;
+    } catch {
+        return DEFAULT_HORIZON;
+    }
+}
+
+/**
+ * Persist the horizon to localStorage (best effort).
+ *
+ * @param {ForecastHorizon} horizon
+ */
+export function saveHorizonPreference(horizon) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        window.localStorage.setItem(
+            HORIZON_STORAGE_KEY,
+            JSON.stringify(normalizeHorizon(horizon))
+        );
+    } catch {
+        // Swallow storage errors; preference is best-effort only.
+    }
+}
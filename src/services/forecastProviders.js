@@ -0,0 +1,170 @@
+/**
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("./weatherApi").DailyPoint} DailyPoint
+ * @typedef {import("./weatherApi").MinutelyPoint} MinutelyPoint
+ */
+
+/**
+ * Normalized forecast returned by every provider adapter.
+ *
+ * This is the provider-specific part of a WeatherState; weatherApi adds
+ * coords, label, fetchedAt and air quality on top.
+ *
+ * @typedef {Object} ProviderForecast
+ * @property {string} timezone IANA timezone ID the hourly times are local to.
+ * @property {{time:string, temperature:number, weatherCode:number}|null} current
+ * @property {Array<MinutelyPoint>} [minutely15] 15-minute nowcast, if the
+ *   provider has one.
+ * @property {Array<HourlyPoint>} hourly
+ * @property {Array<DailyPoint>} daily
+ */
+
+/**
+ * Options passed to a provider's fetchForecast.
+ *
+ * Providers without past data ignore `pastDays`; providers that cannot
+ * reach `forecastDays` return as many days as they have.
+ *
+ * @typedef {Object} ProviderFetchOptions
+ * @property {AbortSignal} [signal]
+ * @property {number} [forecastDays] Days ahead, including today.
+ * @property {number} [pastDays] Days before today.
+ */
+
+/**
+ * A forecast source that can be queried for a location.
+ *
+ * @typedef {Object} ForecastProvider
+ * @property {string} id Stable identifier, stored in preferences and cache keys.
+ * @property {string} label Human-readable name for the UI.
+ * @property {(lat: number, lon: number) => boolean} supports Whether the
+ *   provider covers these coordinates.
+ * @property {(lat: number, lon: number, options?: ProviderFetchOptions) => Promise<ProviderForecast>} fetchForecast
+ */
+
+/**
+ * User-facing provider choice: a specific provider ID, or "auto".
+ * @typedef {string} ProviderPreference
+ */
+
+import { openMeteoProvider } from "./providers/openMeteo.js";
+import { nwsProvider } from "./providers/nws.js";
+import { metNorwayProvider } from "./providers/metNorway.js";
+import { isAbortError } from "./http.js";
+
+export const AUTO_PROVIDER = "auto";
+
+const PROVIDER_STORAGE_KEY = "weather_provider_v1";
+
+/**
+ * Registered providers in default fallback order.
+ * @type {Array<ForecastProvider>}
+ */
+const PROVIDERS = [openMeteoProvider, nwsProvider, metNorwayProvider];
+
+/**
+ * List the registered providers, in fallback order.
+ *
+ * @returns {Array<ForecastProvider>}
+ */
+export function listForecastProviders() {
+    return PROVIDERS;
+}
+
+/**
+ * Look up a provider by ID.
+ *
+ * @param {string|null|undefined} id
+ * @returns {ForecastProvider|null}
+ */
+export function getForecastProvider(id) {
+    return PROVIDERS.find((p) => p.id === id) ?? null;
+}
+
+/**
+ * Read the saved provider preference from localStorage.
+ *
+ * Unknown or missing values fall back to "auto".
+ *
+ * @returns {ProviderPreference}
+ */
+export function loadProviderPreference() {
+    if (typeof window === "undefined" || !window.localStorage) return AUTO_PROVIDER;
+    try {
+        const saved = window.localStorage.getItem(PROVIDER_STORAGE_KEY);
+        return getForecastProvider(saved) ? saved : AUTO_PROVIDER;
+    } catch {
+        return AUTO_PROVIDER;
+    }
+}
+
+/**
+ * Persist the provider preference to localStorage (best effort).
+ *
+ * @param {ProviderPreference} preference
+ */
+export function saveProviderPreference(preference) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        window.localStorage.setItem(PROVIDER_STORAGE_KEY, preference);
+    } catch {
+        // Swallow storage errors; preference is best-effort only.
+    }
+}
+
+/**
+ * Fetch a forecast, trying providers in order until one succeeds.
+ *
+ * With a specific preference, that provider is tried first and the others
+ * act as fallbacks. With "auto", the default order is used. Providers that
+ * do not cover the coordinates are skipped.
+ *
+ * Throws if every candidate fails; the first failure is kept as `cause`.
+ * Aborting `signal` stops the fallback chain immediately. The horizon in
+ * `options` is passed through to each provider.
+ *
+ * @param {number} lat Latitude in decimal degrees.
+ * @param {number} lon Longitude in decimal degrees.
+ * @param {ProviderPreference} [preference] Provider ID or "auto".
+ * @param {ProviderFetchOptions} [options]
+ * @returns {Promise<{providerId: string, forecast: ProviderForecast}>}
+ */
+export async function fetchForecastFromProviders(
+    lat,
+    lon,
+    preference = AUTO_PROVIDER,
+    options = {}
+) {
+    const preferred = getForecastProvider(preference);
+    const candidates = (
+        preferred
+            ? [preferred, ...PROVIDERS.filter((p) => p !== preferred)]
+            : PROVIDERS
+    ).filter((p) => p.supports(lat, lon));
+
+    /** @type {Array<{provider: ForecastProvider, error: any}>} */
+    const failures = [];
+
+    for (const provider of candidates) {
+        try {
+            const forecast = await provider.fetchForecast(lat, lon, {
+                signal: options.signal,
+                forecastDays: options.forecastDays,
+                pastDays: options.pastDays,
+            });
+            if (!forecast.hourly.length) {
+                throw new Error("Provider returned no hourly data.");
+            }
+            return { providerId: provider.id, forecast };
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.warn(`Forecast provider ${provider.id} failed`, err);
+            failures.push({ provider, error: err });
+        }
+    }
+
+    const tried = failures.map((f) => f.provider.label).join(", ");
+    throw new Error(`All forecast providers failed (${tried || "none available"}).`, {
+        cause: failures[0]?.error,
+    });
+}
@@ -0,0 +1,92 @@
+/**
+ * Forecast state carried in the URL query string, so forecast pages can be
+ * reloaded, bookmarked and shared:
+ *
+ *   /forecast/daily?lat=39.7392&lon=-104.9903&label=Denver%2C+Colorado%2C+US&units=imperial
+ *
+ * The view (hourly, daily…) is the route itself. Links may give a search
+ * query instead of coordinates (`?q=Denver, CO`); it is geocoded on load
+ * and the URL is then rewritten with the coordinates it resolved to.
+ *
+ * @typedef {import("./units").UnitSystem} UnitSystem
+ */
+
+/**
+ * What a forecast URL asks for. Missing or invalid parts are null.
+ *
+ * @typedef {Object} ForecastUrlState
+ * @property {{lat: number, lon: number, label: string|undefined}|null} location
+ * @property {string|null} query Free-form search, used when there are no coordinates.
+ * @property {UnitSystem|null} unitSystem
+ */
+
+const UNIT_SYSTEMS = ["metric", "imperial"];
+
+/**
+ * Read a coordinate parameter, rejecting values off the globe.
+ *
+ * @param {URLSearchParams} params
+ * @param {string} name
+ * @param {number} limit 90 for latitude, 180 for longitude.
+ * @returns {number|null}
+ */
+function readCoordinate(params, name, limit) {
+    const raw = params.get(name);
+    if (raw == null || raw.trim() === "") return null;
+    const value = Number(raw);
+    return Number.isFinite(value) && Math.abs(value) <= limit ? value : null;
+}
+
+/**
+ * Parse the query string of a forecast URL.
+ *
+ * @param {string} search `location.search`, with or without the leading "?".
+ * @returns {ForecastUrlState}
+ */
+export function parseForecastSearch(search) {
+    const params = new URLSearchParams(search);
+    const lat = readCoordinate(params, "lat", 90);
+    const lon = readCoordinate(params, "lon", 180);
+    const label = params.get("label")?.trim();
+    const query = params.get("q")?.trim();
+    const units = params.get("units");
+
+    return {
+        location: lat != null && lon != null ? { lat, lon, label: label || undefined } : null,
+        query: query || null,
+        unitSystem: UNIT_SYSTEMS.includes(units) ? /** @type {UnitSystem} */ (units) : null,
+    };
+}
+
+/**
+ * Whether two locations are the same place once rounded the way forecast
+ * URLs round them, so a URL built from a forecast matches it again.
+ *
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @returns {boolean}
+ */
+export function isSameForecastPlace(a, b) {
+    return (
+        Number(a.lat).toFixed(4) === Number(b.lat).toFixed(4) &&
+        Number(a.lon).toFixed(4) === Number(b.lon).toFixed(4)
+    );
+}
+
+/**
+ * Build the query string for a forecast URL.
+ *
+ * Coordinates are rounded to 4 decimals (~10 m) to keep links short.
+ *
+ * @param {{lat: number, lon: number, label?: string|null}} location
+ * @param {UnitSystem} unitSystem
+ * @returns {string} Query string including the leading "?".
+ */
+export function buildForecastSearch(location, unitSystem) {
+    const params = new URLSearchParams();
+    params.set("lat", Number(location.lat).toFixed(4));
+    params.set("lon", Number(location.lon).toFixed(4));
+    if (location.label) params.set("label", location.label);
+    params.set("units", unitSystem);
+    return `?${params.toString()}`;
+}
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseForecastSearch, buildForecastSearch, isSameForecastPlace } from "./forecastUrl.js";
+
+test("a built forecast search parses back to the same place and units", () => {
+    const search = buildForecastSearch({ lat: 39.73915, lon: -104.9847, label: "Denver, Colorado, US" }, "imperial");
+    assert.equal(search, "?lat=39.7392&lon=-104.9847&label=Denver%2C+Colorado%2C+US&units=imperial");
+
+    assert.deepEqual(parseForecastSearch(search), {
+        location: { lat: 39.7392, lon: -104.9847, label: "Denver, Colorado, US" },
+        query: null,
+        unitSystem: "imperial",
+    });
+});
+
+test("the parsed place matches the forecast it was built from", () => {
+    const coords = { lat: -33.868820, lon: 151.209296 };
+    const { location } = parseForecastSearch(buildForecastSearch(coords, "metric"));
+    assert.equal(location.label, undefined);
+    assert.ok(isSameForecastPlace(location, coords));
+    assert.ok(!isSameForecastPlace(location, { lat: -33.87, lon: 151.2093 }));
+});
+
+test("a search query is used when there are no coordinates", () => {
+    assert.deepEqual(parseForecastSearch("q=Denver%2C%20CO"), {
+        location: null,
+        query: "Denver, CO",
+        unitSystem: null,
+    });
+});
+
+test("invalid coordinates and units are ignored", () => {
+    assert.deepEqual(parseForecastSearch("?lat=91&lon=10&units=kelvin"), {
+        location: null,
+        query: null,
+        unitSystem: null,
+    });
+    assert.equal(parseForecastSearch("?lat=&lon=10").location, null);
+    assert.equal(parseForecastSearch("?lat=10&lon=abc").location, null);
+});
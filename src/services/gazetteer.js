@@ -0,0 +1,433 @@
+/**
+ * Small offline gazetteer of populated places, used to label a position
+ * with the nearest town when the reverse-geocoding service cannot be
+ * reached. Coverage is capitals and regional centres: dense in North
+ * America, sparser elsewhere. Coordinates are to 0.01° (~1 km).
+ *
+ * Loaded on demand (see locationApi.reverseGeocodeCoords) so it stays out
+ * of the main bundle.
+ */
+
+import { distanceKm } from "./geo.js";
+
+/** Within this distance the position is labelled as the place itself. */
+const SAME_PLACE_KM = 25;
+
+/** Beyond this distance the nearest place is too far to be a useful label. */
+const MAX_NEAREST_KM = 250;
+
+/**
+ * [name, region, country code, lat, lon]; region is "" where there is no
+ * common first-level name to give.
+ *
+ * @type {Array<[string, string, string, number, number]>}
+ */
+const PLACES = [
+    // United States
+    ["Montgomery", "Alabama", "US", 32.38, -86.3],
+    ["Birmingham", "Alabama", "US", 33.52, -86.8],
+    ["Mobile", "Alabama", "US", 30.69, -88.04],
+    ["Juneau", "Alaska", "US", 58.3, -134.42],
+    ["Anchorage", "Alaska", "US", 61.22, -149.9],
+    ["Fairbanks", "Alaska", "US", 64.84, -147.72],
+    ["Phoenix", "Arizona", "US", 33.45, -112.07],
+    ["Tucson", "Arizona", "US", 32.22, -110.97],
+    ["Flagstaff", "Arizona", "US", 35.2, -111.65],
+    ["Little Rock", "Arkansas", "US", 34.75, -92.29],
+    ["Fayetteville", "Arkansas", "US", 36.06, -94.16],
+    ["Sacramento", "California", "US", 38.58, -121.49],
+    ["Los Angeles", "California", "US", 34.05, -118.24],
+    ["San Francisco", "California", "US", 37.77, -122.42],
+    ["San Diego", "California", "US", 32.72, -117.16],
+    ["San Jose", "California", "US", 37.34, -121.89],
+    ["Fresno", "California", "US", 36.74, -119.79],
+    ["Bakersfield", "California", "US", 35.37, -119.02],
+    ["Redding", "California", "US", 40.59, -122.39],
+    ["Eureka", "California", "US", 40.8, -124.16],
+    ["Denver", "Colorado", "US", 39.74, -104.99],
+    ["Colorado Springs", "Colorado", "US", 38.83, -104.82],
+    ["Fort Collins", "Colorado", "US", 40.59, -105.08],
+    ["Grand Junction", "Colorado", "US", 39.06, -108.55],
+    ["Durango", "Colorado", "US", 37.28, -107.88],
+    ["Hartford", "Connecticut", "US", 41.76, -72.67],
+    ["Dover", "Delaware", "US", 39.16, -75.52],
+    ["Washington", "District of Columbia", "US", 38.91, -77.04],
+    ["Tallahassee", "Florida", "US", 30.44, -84.28],
+    ["Jacksonville", "Florida", "US", 30.33, -81.66],
+    ["Miami", "Florida", "US", 25.76, -80.19],
+    ["Tampa", "Florida", "US", 27.95, -82.46],
+    ["Orlando", "Florida", "US", 28.54, -81.38],
+    ["Pensacola", "Florida", "US", 30.42, -87.22],
+    ["Atlanta", "Georgia", "US", 33.75, -84.39],
+    ["Savannah", "Georgia", "US", 32.08, -81.09],
+    ["Honolulu", "Hawaii", "US", 21.31, -157.86],
+    ["Hilo", "Hawaii", "US", 19.72, -155.09],
+    ["Boise", "Idaho", "US", 43.62, -116.2],
+    ["Idaho Falls", "Idaho", "US", 43.49, -112.03],
+    ["Springfield", "Illinois", "US", 39.78, -89.65],
+    ["Chicago", "Illinois", "US", 41.88, -87.63],
+    ["Indianapolis", "Indiana", "US", 39.77, -86.16],
+    ["Fort Wayne", "Indiana", "US", 41.08, -85.14],
+    ["Des Moines", "Iowa", "US", 41.59, -93.62],
+    ["Cedar Rapids", "Iowa", "US", 41.98, -91.67],
+    ["Topeka", "Kansas", "US", 39.05, -95.68],
+    ["Wichita", "Kansas", "US", 37.69, -97.34],
+    ["Dodge City", "Kansas", "US", 37.75, -100.02],
+    ["Frankfort", "Kentucky", "US", 38.2, -84.87],
+    ["Louisville", "Kentucky", "US", 38.25, -85.76],
+    ["Baton Rouge", "Louisiana", "US", 30.45, -91.19],
+    ["New Orleans", "Louisiana", "US", 29.95, -90.07],
+    ["Shreveport", "Louisiana", "US", 32.53, -93.75],
+    ["Augusta", "Maine", "US", 44.31, -69.78],
+    ["Portland", "Maine", "US", 43.66, -70.26],
+    ["Bangor", "Maine", "US", 44.8, -68.77],
+    ["Annapolis", "Maryland", "US", 38.98, -76.49],
+    ["Baltimore", "Maryland", "US", 39.29, -76.61],
+    ["Boston", "Massachusetts", "US", 42.36, -71.06],
+    ["Springfield", "Massachusetts", "US", 42.1, -72.59],
+    ["Lansing", "Michigan", "US", 42.73, -84.56],
+    ["Detroit", "Michigan", "US", 42.33, -83.05],
+    ["Grand Rapids", "Michigan", "US", 42.96, -85.67],
+    ["Traverse City", "Michigan", "US", 44.76, -85.62],
+    ["Marquette", "Michigan", "US", 46.54, -87.4],
+    ["Saint Paul", "Minnesota", "US", 44.95, -93.09],
+    ["Minneapolis", "Minnesota", "US", 44.98, -93.27],
+    ["Duluth", "Minnesota", "US", 46.79, -92.1],
+    ["Jackson", "Mississippi", "US", 32.3, -90.18],
+    ["Gulfport", "Mississippi", "US", 30.37, -89.09],
+    ["Jefferson City", "Missouri", "US", 38.58, -92.17],
+    ["Kansas City", "Missouri", "US", 39.1, -94.58],
+    ["St. Louis", "Missouri", "US", 38.63, -90.2],
+    ["Springfield", "Missouri", "US", 37.21, -93.29],
+    ["Helena", "Montana", "US", 46.59, -112.04],
+    ["Billings", "Montana", "US", 45.78, -108.5],
+    ["Missoula", "Montana", "US", 46.87, -113.99],
+    ["Great Falls", "Montana", "US", 47.5, -111.3],
+    ["Lincoln", "Nebraska", "US", 40.81, -96.7],
+    ["Omaha", "Nebraska", "US", 41.26, -95.94],
+    ["North Platte", "Nebraska", "US", 41.12, -100.77],
+    ["Carson City", "Nevada", "US", 39.16, -119.77],
+    ["Las Vegas", "Nevada", "US", 36.17, -115.14],
+    ["Reno", "Nevada", "US", 39.53, -119.81],
+    ["Elko", "Nevada", "US", 40.83, -115.76],
+    ["Concord", "New Hampshire", "US", 43.21, -71.54],
+    ["Trenton", "New Jersey", "US", 40.22, -74.76],
+    ["Newark", "New Jersey", "US", 40.74, -74.17],
+    ["Santa Fe", "New Mexico", "US", 35.69, -105.94],
+    ["Albuquerque", "New Mexico", "US", 35.08, -106.65],
+    ["Las Cruces", "New Mexico", "US", 32.31, -106.78],
+    ["Albany", "New York", "US", 42.65, -73.75],
+    ["New York", "New York", "US", 40.71, -74.01],
+    ["Buffalo", "New York", "US", 42.89, -78.88],
+    ["Syracuse", "New York", "US", 43.05, -76.15],
+    ["Raleigh", "North Carolina", "US", 35.78, -78.64],
+    ["Charlotte", "North Carolina", "US", 35.23, -80.84],
+    ["Asheville", "North Carolina", "US", 35.6, -82.55],
+    ["Bismarck", "North Dakota", "US", 46.81, -100.78],
+    ["Fargo", "North Dakota", "US", 46.88, -96.79],
+    ["Minot", "North Dakota", "US", 48.23, -101.3],
+    ["Columbus", "Ohio", "US", 39.96, -83.0],
+    ["Cleveland", "Ohio", "US", 41.5, -81.69],
+    ["Cincinnati", "Ohio", "US", 39.1, -84.51],
+    ["Oklahoma City", "Oklahoma", "US", 35.47, -97.52],
+    ["Tulsa", "Oklahoma", "US", 36.15, -95.99],
+    ["Salem", "Oregon", "US", 44.94, -123.04],
+    ["Portland", "Oregon", "US", 45.52, -122.68],
+    ["Bend", "Oregon", "US", 44.06, -121.32],
+    ["Medford", "Oregon", "US", 42.33, -122.87],
+    ["Pendleton", "Oregon", "US", 45.67, -118.79],
+    ["Harrisburg", "Pennsylvania", "US", 40.27, -76.88],
+    ["Philadelphia", "Pennsylvania", "US", 39.95, -75.17],
+    ["Pittsburgh", "Pennsylvania", "US", 40.44, -80.0],
+    ["Erie", "Pennsylvania", "US", 42.13, -80.09],
+    ["Providence", "Rhode Island", "US", 41.82, -71.41],
+    ["Columbia", "South Carolina", "US", 34.0, -81.03],
+    ["Charleston", "South Carolina", "US", 32.78, -79.93],
+    ["Pierre", "South Dakota", "US", 44.37, -100.35],
+    ["Sioux Falls", "South Dakota", "US", 43.54, -96.73],
+    ["Rapid City", "South Dakota", "US", 44.08, -103.23],
+    ["Nashville", "Tennessee", "US", 36.16, -86.78],
+    ["Memphis", "Tennessee", "US", 35.15, -90.05],
+    ["Knoxville", "Tennessee", "US", 35.96, -83.92],
+    ["Austin", "Texas", "US", 30.27, -97.74],
+    ["Houston", "Texas", "US", 29.76, -95.37],
+    ["Dallas", "Texas", "US", 32.78, -96.8],
+    ["San Antonio", "Texas", "US", 29.42, -98.49],
+    ["El Paso", "Texas", "US", 31.76, -106.49],
+    ["Amarillo", "Texas", "US", 35.22, -101.83],
+    ["Lubbock", "Texas", "US", 33.58, -101.86],
+    ["Midland", "Texas", "US", 32.0, -102.08],
+    ["Corpus Christi", "Texas", "US", 27.8, -97.4],
+    ["Salt Lake City", "Utah", "US", 40.76, -111.89],
+    ["St. George", "Utah", "US", 37.1, -113.58],
+    ["Moab", "Utah", "US", 38.57, -109.55],
+    ["Montpelier", "Vermont", "US", 44.26, -72.58],
+    ["Burlington", "Vermont", "US", 44.48, -73.21],
+    ["Richmond", "Virginia", "US", 37.54, -77.44],
+    ["Norfolk", "Virginia", "US", 36.85, -76.29],
+    ["Roanoke", "Virginia", "US", 37.27, -79.94],
+    ["Olympia", "Washington", "US", 47.04, -122.9],
+    ["Seattle", "Washington", "US", 47.61, -122.33],
+    ["Spokane", "Washington", "US", 47.66, -117.43],
+    ["Yakima", "Washington", "US", 46.6, -120.51],
+    ["Charleston", "West Virginia", "US", 38.35, -81.63],
+    ["Madison", "Wisconsin", "US", 43.07, -89.4],
+    ["Milwaukee", "Wisconsin", "US", 43.04, -87.91],
+    ["Green Bay", "Wisconsin", "US", 44.51, -88.01],
+    ["Cheyenne", "Wyoming", "US", 41.14, -104.82],
+    ["Casper", "Wyoming", "US", 42.87, -106.31],
+    ["Jackson", "Wyoming", "US", 43.48, -110.76],
+    ["San Juan", "Puerto Rico", "PR", 18.47, -66.11],
+
+    // Canada
+    ["Ottawa", "Ontario", "CA", 45.42, -75.7],
+    ["Toronto", "Ontario", "CA", 43.65, -79.38],
+    ["Sudbury", "Ontario", "CA", 46.49, -80.99],
+    ["Thunder Bay", "Ontario", "CA", 48.38, -89.25],
+    ["Montreal", "Quebec", "CA", 45.5, -73.57],
+    ["Quebec City", "Quebec", "CA", 46.81, -71.21],
+    ["Halifax", "Nova Scotia", "CA", 44.65, -63.57],
+    ["Fredericton", "New Brunswick", "CA", 45.96, -66.64],
+    ["Charlottetown", "Prince Edward Island", "CA", 46.24, -63.13],
+    ["St. John's", "Newfoundland and Labrador", "CA", 47.56, -52.71],
+    ["Winnipeg", "Manitoba", "CA", 49.9, -97.14],
+    ["Regina", "Saskatchewan", "CA", 50.45, -104.61],
+    ["Saskatoon", "Saskatchewan", "CA", 52.13, -106.67],
+    ["Calgary", "Alberta", "CA", 51.05, -114.07],
+    ["Edmonton", "Alberta", "CA", 53.55, -113.49],
+    ["Vancouver", "British Columbia", "CA", 49.28, -123.12],
+    ["Victoria", "British Columbia", "CA", 48.43, -123.37],
+    ["Kelowna", "British Columbia", "CA", 49.89, -119.5],
+    ["Prince George", "British Columbia", "CA", 53.92, -122.75],
+    ["Whitehorse", "Yukon", "CA", 60.72, -135.06],
+    ["Yellowknife", "Northwest Territories", "CA", 62.45, -114.37],
+    ["Iqaluit", "Nunavut", "CA", 63.75, -68.52],
+
+    // Mexico, Central America and the Caribbean
+    ["Mexico City", "Ciudad de México", "MX", 19.43, -99.13],
+    ["Guadalajara", "Jalisco", "MX", 20.67, -103.35],
+    ["Monterrey", "Nuevo León", "MX", 25.69, -100.32],
+    ["Tijuana", "Baja California", "MX", 32.51, -117.04],
+    ["Chihuahua", "Chihuahua", "MX", 28.63, -106.07],
+    ["Mérida", "Yucatán", "MX", 20.97, -89.62],
+    ["Cancún", "Quintana Roo", "MX", 21.16, -86.85],
+    ["Guatemala City", "", "GT", 14.63, -90.51],
+    ["San José", "", "CR", 9.93, -84.08],
+    ["Panama City", "", "PA", 8.98, -79.52],
+    ["Havana", "", "CU", 23.11, -82.37],
+    ["Santo Domingo", "", "DO", 18.49, -69.93],
+    ["Kingston", "", "JM", 18.02, -76.8],
+
+    // South America
+    ["São Paulo", "São Paulo", "BR", -23.55, -46.63],
+    ["Rio de Janeiro", "Rio de Janeiro", "BR", -22.91, -43.17],
+    ["Brasília", "Federal District", "BR", -15.79, -47.88],
+    ["Salvador", "Bahia", "BR", -12.97, -38.5],
+    ["Manaus", "Amazonas", "BR", -3.12, -60.02],
+    ["Porto Alegre", "Rio Grande do Sul", "BR", -30.03, -51.23],
+    ["Buenos Aires", "", "AR", -34.6, -58.38],
+    ["Córdoba", "Córdoba", "AR", -31.42, -64.18],
+    ["Mendoza", "Mendoza", "AR", -32.89, -68.83],
+    ["Santiago", "Santiago Metropolitan", "CL", -33.45, -70.67],
+    ["Lima", "", "PE", -12.05, -77.04],
+    ["Bogotá", "", "CO", 4.71, -74.07],
+    ["Quito", "", "EC", -0.18, -78.47],
+    ["Caracas", "", "VE", 10.48, -66.9],
+    ["La Paz", "", "BO", -16.5, -68.15],
+    ["Montevideo", "", "UY", -34.9, -56.16],
+    ["Asunción", "", "PY", -25.26, -57.58],
+
+    // Europe
+    ["London", "England", "GB", 51.51, -0.13],
+    ["Birmingham", "England", "GB", 52.49, -1.89],
+    ["Manchester", "England", "GB", 53.48, -2.24],
+    ["Newcastle upon Tyne", "England", "GB", 54.98, -1.61],
+    ["Edinburgh", "Scotland", "GB", 55.95, -3.19],
+    ["Glasgow", "Scotland", "GB", 55.86, -4.25],
+    ["Inverness", "Scotland", "GB", 57.48, -4.22],
+    ["Cardiff", "Wales", "GB", 51.48, -3.18],
+    ["Belfast", "Northern Ireland", "GB", 54.6, -5.93],
+    ["Dublin", "Leinster", "IE", 53.35, -6.26],
+    ["Cork", "Munster", "IE", 51.9, -8.47],
+    ["Paris", "Île-de-France", "FR", 48.86, 2.35],
+    ["Lyon", "Auvergne-Rhône-Alpes", "FR", 45.76, 4.84],
+    ["Marseille", "Provence-Alpes-Côte d'Azur", "FR", 43.3, 5.37],
+    ["Bordeaux", "Nouvelle-Aquitaine", "FR", 44.84, -0.58],
+    ["Toulouse", "Occitanie", "FR", 43.6, 1.44],
+    ["Nantes", "Pays de la Loire", "FR", 47.22, -1.55],
+    ["Lille", "Hauts-de-France", "FR", 50.63, 3.06],
+    ["Strasbourg", "Grand Est", "FR", 48.57, 7.75],
+    ["Berlin", "Berlin", "DE", 52.52, 13.4],
+    ["Hamburg", "Hamburg", "DE", 53.55, 9.99],
+    ["Hanover", "Lower Saxony", "DE", 52.37, 9.73],
+    ["Cologne", "North Rhine-Westphalia", "DE", 50.94, 6.96],
+    ["Frankfurt", "Hesse", "DE", 50.11, 8.68],
+    ["Stuttgart", "Baden-Württemberg", "DE", 48.78, 9.18],
+    ["Munich", "Bavaria", "DE", 48.14, 11.58],
+    ["Dresden", "Saxony", "DE", 51.05, 13.74],
+    ["Amsterdam", "North Holland", "NL", 52.37, 4.9],
+    ["Brussels", "Brussels-Capital", "BE", 50.85, 4.35],
+    ["Luxembourg", "", "LU", 49.61, 6.13],
+    ["Zurich", "Zurich", "CH", 47.38, 8.54],
+    ["Bern", "Bern", "CH", 46.95, 7.45],
+    ["Geneva", "Geneva", "CH", 46.2, 6.14],
+    ["Vienna", "Vienna", "AT", 48.21, 16.37],
+    ["Salzburg", "Salzburg", "AT", 47.81, 13.04],
+    ["Innsbruck", "Tyrol", "AT", 47.27, 11.4],
+    ["Madrid", "Community of Madrid", "ES", 40.42, -3.7],
+    ["Barcelona", "Catalonia", "ES", 41.39, 2.17],
+    ["Valencia", "Valencian Community", "ES", 39.47, -0.38],
+    ["Seville", "Andalusia", "ES", 37.39, -5.98],
+    ["Bilbao", "Basque Country", "ES", 43.26, -2.93],
+    ["Lisbon", "Lisbon", "PT", 38.72, -9.14],
+    ["Porto", "Porto", "PT", 41.15, -8.61],
+    ["Rome", "Lazio", "IT", 41.9, 12.5],
+    ["Milan", "Lombardy", "IT", 45.46, 9.19],
+    ["Turin", "Piedmont", "IT", 45.07, 7.69],
+    ["Venice", "Veneto", "IT", 45.44, 12.32],
+    ["Florence", "Tuscany", "IT", 43.77, 11.26],
+    ["Naples", "Campania", "IT", 40.85, 14.27],
+    ["Palermo", "Sicily", "IT", 38.12, 13.36],
+    ["Copenhagen", "Capital Region", "DK", 55.68, 12.57],
+    ["Oslo", "Oslo", "NO", 59.91, 10.75],
+    ["Bergen", "Vestland", "NO", 60.39, 5.32],
+    ["Trondheim", "Trøndelag", "NO", 63.43, 10.4],
+    ["Tromsø", "Troms", "NO", 69.65, 18.96],
+    ["Stockholm", "Stockholm", "SE", 59.33, 18.07],
+    ["Gothenburg", "Västra Götaland", "SE", 57.71, 11.97],
+    ["Kiruna", "Norrbotten", "SE", 67.86, 20.23],
+    ["Helsinki", "Uusimaa", "FI", 60.17, 24.94],
+    ["Oulu", "North Ostrobothnia", "FI", 65.01, 25.47],
+    ["Reykjavík", "", "IS", 64.15, -21.94],
+    ["Tallinn", "", "EE", 59.44, 24.75],
+    ["Riga", "", "LV", 56.95, 24.11],
+    ["Vilnius", "", "LT", 54.69, 25.28],
+    ["Warsaw", "Masovian", "PL", 52.23, 21.01],
+    ["Kraków", "Lesser Poland", "PL", 50.06, 19.94],
+    ["Gdańsk", "Pomeranian", "PL", 54.35, 18.65],
+    ["Prague", "Prague", "CZ", 50.08, 14.44],
+    ["Bratislava", "", "SK", 48.15, 17.11],
+    ["Budapest", "", "HU", 47.5, 19.04],
+    ["Ljubljana", "", "SI", 46.06, 14.51],
+    ["Zagreb", "", "HR", 45.81, 15.98],
+    ["Belgrade", "", "RS", 44.79, 20.45],
+    ["Sarajevo", "", "BA", 43.86, 18.41],
+    ["Tirana", "", "AL", 41.33, 19.82],
+    ["Skopje", "", "MK", 42.0, 21.43],
+    ["Sofia", "", "BG", 42.7, 23.32],
+    ["Bucharest", "", "RO", 44.43, 26.1],
+    ["Cluj-Napoca", "Cluj", "RO", 46.77, 23.6],
+    ["Chișinău", "", "MD", 47.01, 28.86],
+    ["Athens", "Attica", "GR", 37.98, 23.73],
+    ["Thessaloniki", "Central Macedonia", "GR", 40.64, 22.94],
+    ["Istanbul", "Istanbul", "TR", 41.01, 28.98],
+    ["Ankara", "Ankara", "TR", 39.93, 32.86],
+    ["Kyiv", "", "UA", 50.45, 30.52],
+    ["Lviv", "Lviv Oblast", "UA", 49.84, 24.03],
+    ["Minsk", "", "BY", 53.9, 27.56],
+    ["Moscow", "Moscow", "RU", 55.76, 37.62],
+    ["Saint Petersburg", "Saint Petersburg", "RU", 59.94, 30.32],
+    ["Yekaterinburg", "Sverdlovsk Oblast", "RU", 56.84, 60.61],
+    ["Novosibirsk", "Novosibirsk Oblast", "RU", 55.01, 82.93],
+    ["Vladivostok", "Primorsky Krai", "RU", 43.12, 131.89],
+
+    // Asia and the Middle East
+    ["Tokyo", "Tokyo", "JP", 35.68, 139.69],
+    ["Osaka", "Osaka", "JP", 34.69, 135.5],
+    ["Sapporo", "Hokkaido", "JP", 43.06, 141.35],
+    ["Fukuoka", "Fukuoka", "JP", 33.59, 130.4],
+    ["Seoul", "", "KR", 37.57, 126.98],
+    ["Busan", "", "KR", 35.18, 129.08],
+    ["Beijing", "Beijing", "CN", 39.9, 116.41],
+    ["Shanghai", "Shanghai", "CN", 31.23, 121.47],
+    ["Guangzhou", "Guangdong", "CN", 23.13, 113.26],
+    ["Chengdu", "Sichuan", "CN", 30.57, 104.07],
+    ["Wuhan", "Hubei", "CN", 30.59, 114.31],
+    ["Harbin", "Heilongjiang", "CN", 45.8, 126.53],
+    ["Hong Kong", "", "HK", 22.32, 114.17],
+    ["Taipei", "", "TW", 25.03, 121.57],
+    ["Manila", "Metro Manila", "PH", 14.6, 120.98],
+    ["Hanoi", "", "VN", 21.03, 105.85],
+    ["Ho Chi Minh City", "", "VN", 10.82, 106.63],
+    ["Bangkok", "", "TH", 13.76, 100.5],
+    ["Kuala Lumpur", "", "MY", 3.14, 101.69],
+    ["Singapore", "", "SG", 1.35, 103.82],
+    ["Jakarta", "", "ID", -6.21, 106.85],
+    ["Delhi", "Delhi", "IN", 28.61, 77.21],
+    ["Mumbai", "Maharashtra", "IN", 19.08, 72.88],
+    ["Bengaluru", "Karnataka", "IN", 12.97, 77.59],
+    ["Chennai", "Tamil Nadu", "IN", 13.08, 80.27],
+    ["Kolkata", "West Bengal", "IN", 22.57, 88.36],
+    ["Karachi", "Sindh", "PK", 24.86, 67.01],
+    ["Lahore", "Punjab", "PK", 31.55, 74.34],
+    ["Dhaka", "", "BD", 23.81, 90.41],
+    ["Kathmandu", "", "NP", 27.72, 85.32],
+    ["Colombo", "", "LK", 6.93, 79.86],
+    ["Tehran", "", "IR", 35.69, 51.39],
+    ["Riyadh", "", "SA", 24.71, 46.68],
+    ["Dubai", "Dubai", "AE", 25.2, 55.27],
+    ["Tel Aviv", "", "IL", 32.09, 34.78],
+    ["Almaty", "", "KZ", 43.24, 76.89],
+    ["Tashkent", "", "UZ", 41.3, 69.24],
+    ["Ulaanbaatar", "", "MN", 47.89, 106.91],
+
+    // Africa
+    ["Cairo", "", "EG", 30.04, 31.24],
+    ["Casablanca", "", "MA", 33.57, -7.59],
+    ["Algiers", "", "DZ", 36.75, 3.06],
+    ["Tunis", "", "TN", 36.81, 10.18],
+    ["Dakar", "", "SN", 14.72, -17.47],
+    ["Accra", "", "GH", 5.6, -0.19],
+    ["Lagos", "Lagos", "NG", 6.52, 3.38],
+    ["Addis Ababa", "", "ET", 9.03, 38.74],
+    ["Nairobi", "", "KE", -1.29, 36.82],
+    ["Dar es Salaam", "", "TZ", -6.79, 39.21],
+    ["Kinshasa", "", "CD", -4.44, 15.27],
+    ["Luanda", "", "AO", -8.84, 13.23],
+    ["Johannesburg", "Gauteng", "ZA", -26.2, 28.05],
+    ["Durban", "KwaZulu-Natal", "ZA", -29.86, 31.03],
+    ["Cape Town", "Western Cape", "ZA", -33.92, 18.42],
+    ["Antananarivo", "", "MG", -18.88, 47.51],
+
+    // Oceania
+    ["Sydney", "New South Wales", "AU", -33.87, 151.21],
+    ["Melbourne", "Victoria", "AU", -37.81, 144.96],
+    ["Brisbane", "Queensland", "AU", -27.47, 153.03],
+    ["Cairns", "Queensland", "AU", -16.92, 145.77],
+    ["Adelaide", "South Australia", "AU", -34.93, 138.6],
+    ["Perth", "Western Australia", "AU", -31.95, 115.86],
+    ["Darwin", "Northern Territory", "AU", -12.46, 130.84],
+    ["Alice Springs", "Northern Territory", "AU", -23.7, 133.88],
+    ["Hobart", "Tasmania", "AU", -42.88, 147.33],
+    ["Auckland", "Auckland", "NZ", -36.85, 174.76],
+    ["Wellington", "Wellington", "NZ", -41.29, 174.78],
+    ["Christchurch", "Canterbury", "NZ", -43.53, 172.64],
+];
+
+/**
+ * Label a position with the nearest place in the gazetteer.
+ *
+ * Positions close to a place get its label ("Denver, Colorado, US");
+ * further out it is prefixed with "Near". Returns null when nothing is
+ * within MAX_NEAREST_KM.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string|null}
+ */
+export function nearestPlaceLabel(lat, lon) {
+    let best = null;
+    let bestKm = Infinity;
+    for (const place of PLACES) {
+        const km = distanceKm({ lat, lon }, { lat: place[3], lon: place[4] });
+        if (km < bestKm) {
+            best = place;
+            bestKm = km;
+        }
+    }
+    if (!best || bestKm > MAX_NEAREST_KM) return null;
+
+    const [name, region, countryCode] = best;
+    const label = [name, region, countryCode].filter(Boolean).join(", ");
+    return bestKm <= SAME_PLACE_KM ? label : `Near ${label}`;
+}
@@ -0,0 +1,51 @@
+/**
+ * Spherical-earth helpers for distances and paths between coordinates.
+ * Accurate to well under 1% — plenty for weather sampling.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * Great-circle distance between two points (haversine).
+ *
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @returns {number} Kilometers.
+ */
+export function distanceKm(a, b) {
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Point a fraction of the way along the great circle from `a` to `b`.
+ *
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @param {number} fraction 0 = a, 1 = b.
+ * @returns {{lat: number, lon: number}}
+ */
+export function interpolateGreatCircle(a, b, fraction) {
+    const delta = distanceKm(a, b) / EARTH_RADIUS_KM;
+    if (delta === 0) return { lat: a.lat, lon: a.lon };
+
+    const lat1 = toRad(a.lat);
+    const lon1 = toRad(a.lon);
+    const lat2 = toRad(b.lat);
+    const lon2 = toRad(b.lon);
+
+    const w1 = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+    const w2 = Math.sin(fraction * delta) / Math.sin(delta);
+    const x = w1 * Math.cos(lat1) * Math.cos(lon1) + w2 * Math.cos(lat2) * Math.cos(lon2);
+    const y = w1 * Math.cos(lat1) * Math.sin(lon1) + w2 * Math.cos(lat2) * Math.sin(lon2);
+    const z = w1 * Math.sin(lat1) + w2 * Math.sin(lat2);
+
+    return { lat: toDeg(Math.atan2(z, Math.hypot(x, y))), lon: toDeg(Math.atan2(y, x)) };
+}
@@ -0,0 +1,215 @@
+import { fetchJson } from "./http.js";
+import { readCache, writeCache } from "./cache.js";
+
+const ARCHIVE_BASE_URL = "https://archive-api.open-meteo.com/v1/archive";
+
+/** How many past years to compare against by default. */
+export const DEFAULT_HISTORY_YEARS = 30;
+
+/**
+ * Observed weather for one calendar date in a past year.
+ *
+ * Units match the forecast: °C and mm.
+ *
+ * @typedef {Object} HistoricalDay
+ * @property {number} year
+ * @property {string} date ISO date string "YYYY-MM-DD"
+ * @property {number|null} tempMax
+ * @property {number|null} tempMin
+ * @property {number|null} precipitation Daily total in mm.
+ */
+
+/**
+ * How one of today's values compares with the same date in past years.
+ *
+ * `rank` counts from the top (1 = highest), with today included among
+ * the `count` values; it is null when today's value is unknown.
+ *
+ * @typedef {Object} HistoryStat
+ * @property {number|null} value Today's value.
+ * @property {number|null} min Lowest past value.
+ * @property {number|null} max Highest past value.
+ * @property {number|null} median Median of past values.
+ * @property {number|null} rank
+ * @property {number} count Number of values ranked (past years + today).
+ */
+
+/**
+ * Today's forecast set against the same date in past years.
+ *
+ * @typedef {Object} HistoryComparison
+ * @property {string} date Today's date, "YYYY-MM-DD".
+ * @property {number|null} firstYear Earliest year with data.
+ * @property {number|null} lastYear Latest year with data.
+ * @property {HistoryStat} tempMax
+ * @property {HistoryStat} tempMin
+ * @property {HistoryStat} precipitation
+ */
+
+/**
+ * Daily archive for a place, stored column-wise to keep decades of data
+ * small in the cache.
+ *
+ * @typedef {Object} DailyArchive
+ * @property {Array<string>} time
+ * @property {Array<number|null>} tempMax
+ * @property {Array<number|null>} tempMin
+ * @property {Array<number|null>} precipitation
+ */
+
+/**
+ * Safely read an array element by index.
+ *
+ * Returns null instead of throwing if the array is missing or too short.
+ *
+ * @param {Array<any>|null|undefined} arr
+ * @param {number} i
+ * @returns {any|null}
+ */
+function safeArrVal(arr, i) {
+    return Array.isArray(arr) ? arr[i] ?? null : null;
+}
+
+/**
+ * Fetch the daily archive for whole years [startYear, endYear].
+ *
+ * Every date of every year is fetched in one request and cached under the
+ * "history" source, so looking up another date for the same place later
+ * needs no network at all. Coordinates are rounded to 2 decimals (about
+ * 1 km), well below the archive's grid spacing.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} startYear
+ * @param {number} endYear
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<DailyArchive>}
+ */
+async function fetchDailyArchive(lat, lon, startYear, endYear, options = {}) {
+    const cacheKey = `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}:${startYear}-${endYear}`;
+    const cached = await readCache("history", cacheKey);
+    if (cached?.fresh) return cached.value;
+
+    const url = new URL(ARCHIVE_BASE_URL);
+    url.searchParams.set("latitude", Number(lat).toFixed(2));
+    url.searchParams.set("longitude", Number(lon).toFixed(2));
+    url.searchParams.set("start_date", `${startYear}-01-01`);
+    url.searchParams.set("end_date", `${endYear}-12-31`);
+    url.searchParams.set("daily", "temperature_2m_max,temperature_2m_min,precipitation_sum");
+    url.searchParams.set("timezone", "auto");
+
+    // Decades of daily data is a large response; allow it more time.
+    const data = await fetchJson(url.toString(), { signal: options.signal, timeoutMs: 30000 });
+    const daily = data?.daily || {};
+    const times = Array.isArray(daily.time) ? daily.time : [];
+
+    /** @type {DailyArchive} */
+    const archive = {
+        time: times,
+        tempMax: times.map((_, i) => safeArrVal(daily.temperature_2m_max, i)),
+        tempMin: times.map((_, i) => safeArrVal(daily.temperature_2m_min, i)),
+        precipitation: times.map((_, i) => safeArrVal(daily.precipitation_sum, i)),
+    };
+
+    await writeCache("history", cacheKey, archive);
+    return archive;
+}
+
+/**
+ * Fetch observed weather for the same calendar date in each of the last
+ * `years` years before `date`'s year.
+ *
+ * Years without that date (Feb 29) or without data are left out.
+ *
+ * @param {number} lat Latitude in decimal degrees.
+ * @param {number} lon Longitude in decimal degrees.
+ * @param {string} date Reference date, "YYYY-MM-DD".
+ * @param {{ years?: number, signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<HistoricalDay>>} Oldest year first.
+ */
+export async function fetchDayHistory(lat, lon, date, options = {}) {
+    const years = options.years ?? DEFAULT_HISTORY_YEARS;
+    const endYear = Number(date.slice(0, 4)) - 1;
+    const startYear = endYear - years + 1;
+    const monthDay = date.slice(5, 10);
+
+    const archive = await fetchDailyArchive(lat, lon, startYear, endYear, {
+        signal: options.signal,
+    });
+
+    /** @type {Array<HistoricalDay>} */
+    const days = [];
+    archive.time.forEach((time, i) => {
+        if (time.slice(5, 10) !== monthDay) return;
+        const day = {
+            year: Number(time.slice(0, 4)),
+            date: time,
+            tempMax: archive.tempMax[i],
+            tempMin: archive.tempMin[i],
+            precipitation: archive.precipitation[i],
+        };
+        if (day.tempMax == null && day.tempMin == null && day.precipitation == null) return;
+        days.push(day);
+    });
+
+    return days;
+}
+
+/**
+ * Median of a non-empty list of numbers.
+ *
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Summarize past values and place today's value among them.
+ *
+ * @param {Array<number|null>} past
+ * @param {number|null|undefined} value
+ * @returns {HistoryStat}
+ */
+function buildStat(past, value) {
+    const values = past.filter((v) => v != null);
+    if (!values.length) {
+        return { value: value ?? null, min: null, max: null, median: null, rank: null, count: 0 };
+    }
+
+    const hasValue = value != null;
+    return {
+        value: value ?? null,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        median: median(values),
+        rank: hasValue ? 1 + values.filter((v) => v > value).length : null,
+        count: values.length + (hasValue ? 1 : 0),
+    };
+}
+
+/**
+ * Compare today's forecast with the same date in past years.
+ *
+ * @param {Array<HistoricalDay>} history From fetchDayHistory().
+ * @param {string} date Today's date, "YYYY-MM-DD".
+ * @param {{tempMax?: number|null, tempMin?: number|null, precipitationSum?: number|null}|null} today
+ *   Today's DailyPoint, if the forecast has one.
+ * @returns {HistoryComparison}
+ */
+export function compareWithHistory(history, date, today) {
+    return {
+        date,
+        firstYear: history.length ? history[0].year : null,
+        lastYear: history.length ? history[history.length - 1].year : null,
+        tempMax: buildStat(history.map((d) => d.tempMax), today?.tempMax),
+        tempMin: buildStat(history.map((d) => d.tempMin), today?.tempMin),
+        precipitation: buildStat(
+            history.map((d) => d.precipitation),
+            today?.precipitationSum
+        ),
+    };
+}
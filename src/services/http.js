@@ -1,14 +1,317 @@
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Minimum gap between requests to hosts with a published usage limit.
+ * Nominatim allows at most one request per second per application.
+ *
+ * @type {Record<string, number>}
+ */
+const HOST_MIN_INTERVAL_MS = {
+    "nominatim.openstreetmap.org": 1100,
+};
+
+/**
+ * Earliest time (epoch ms) the next request to each rate-limited host may
+ * start. Callers reserve slots in arrival order, which makes this a FIFO
+ * queue per host.
+ *
+ * @type {Map<string, number>}
+ */
+const nextHostSlot = new Map();
+
+/**
+ * Options accepted by fetchJson.
+ *
+ * @typedef {Object} FetchJsonOptions
+ * @property {number} [timeoutMs] Per-attempt timeout; defaults to 10 s.
+ * @property {number} [retries] Extra attempts for 429/5xx and network
+ *   failures; defaults to 2.
+ * @property {number} [retryBaseMs] Base delay for exponential backoff.
+ * @property {AbortSignal} [signal] Caller-controlled cancellation.
+ * @property {Record<string, string>} [headers] Extra request headers.
+ */
+
+/**
+ * Base class for every failure raised by fetchJson.
+ */
+export class RequestError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} url
+     * @param {{ cause?: any }} [options]
+     */
+    constructor(message, url, options) {
+        super(message, options);
+        this.name = "RequestError";
+        this.url = url;
+    }
+}
+
+/** The request never got a response (offline, DNS, CORS, reset…). */
+export class NetworkError extends RequestError {
+    constructor(url, options) {
+        super("Network request failed", url, options);
+        this.name = "NetworkError";
+    }
+}
+
+/** No response arrived within the timeout. */
+export class TimeoutError extends RequestError {
+    /**
+     * @param {string} url
+     * @param {number} timeoutMs
+     */
+    constructor(url, timeoutMs) {
+        super(`Request timed out after ${timeoutMs} ms`, url);
+        this.name = "TimeoutError";
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/** The server answered with a non-2xx status. */
+export class HttpStatusError extends RequestError {
+    /**
+     * @param {string} url
+     * @param {number} status
+     */
+    constructor(url, status) {
+        super(`Request failed with status ${status}`, url);
+        this.name = "HttpStatusError";
+        this.status = status;
+    }
+}
+
+/** The response body was not valid JSON. */
+export class ParseError extends RequestError {
+    constructor(url, options) {
+        super("Response was not valid JSON", url, options);
+        this.name = "ParseError";
+    }
+}
+
+/**
+ * Whether an error came from the caller aborting the request.
+ *
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+    return err?.name === "AbortError";
+}
+
+/**
+ * Whether an error means the service could not be reached at all
+ * (offline, spotty coverage), as opposed to the service answering badly.
+ * Wrapped errors are checked through their `cause`.
+ *
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isConnectivityError(err) {
+    for (let e = err; e; e = e.cause) {
+        if (e instanceof NetworkError || e instanceof TimeoutError) return true;
+    }
+    return false;
+}
+
+/**
+ * Whether the browser reports being offline.
+ *
+ * @returns {boolean}
+ */
+export function isBrowserOffline() {
+    return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/**
+ * Whether an HTTP status is worth retrying (rate limit or server error).
+ *
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into ms.
+ *
+ * @param {string|null} header
+ * @returns {number|null}
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay in
+ * [0, base * 2^attempt], capped at MAX_RETRY_DELAY_MS.
+ *
+ * @param {number} attempt Zero-based retry number.
+ * @param {number} baseMs
+ * @returns {number}
+ */
+function backoffDelay(attempt, baseMs) {
+    const ceiling = Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** attempt);
+    return Math.random() * ceiling;
+}
+
+/**
+ * Wait for the given delay, rejecting early if the signal aborts.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const id = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(id);
+            reject(signal.reason);
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Wait for this request's turn at a rate-limited host.
+ *
+ * Hosts without a limit return immediately. A slot reserved by a caller
+ * that then aborts is not given back; the queue just runs a little slow.
+ *
+ * @param {string} url
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+async function waitForHostSlot(url, signal) {
+    let host;
+    try {
+        host = new URL(url).host;
+    } catch {
+        return;
+    }
+    const interval = HOST_MIN_INTERVAL_MS[host];
+    if (!interval) return;
+
+    const now = Date.now();
+    const slot = Math.max(now, nextHostSlot.get(host) ?? 0);
+    nextHostSlot.set(host, slot + interval);
+    if (slot > now) await sleep(slot - now, signal);
+}
+
+/**
+ * Perform a single fetch attempt with a timeout.
+ *
+ * @param {string} url
+ * @param {FetchJsonOptions} options
+ * @param {number} timeoutMs
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options, timeoutMs) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+
+    const onAbort = () => controller.abort(options.signal.reason);
+    options.signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+        return await fetch(url, {
+            headers: options.headers,
+            signal: controller.signal,
+        });
+    } catch (err) {
+        if (timedOut) throw new TimeoutError(url, timeoutMs);
+        if (options.signal?.aborted || isAbortError(err)) throw err;
+        throw new NetworkError(url, { cause: err });
+    } finally {
+        clearTimeout(timeoutId);
+        options.signal?.removeEventListener("abort", onAbort);
+    }
+}
+
 /**
  * Fetch JSON data from a URL.
+ *
+ * - Each attempt is limited by `timeoutMs`.
+ * - 429/5xx responses and network failures are retried with exponential
+ *   backoff and jitter; a Retry-After header takes precedence. If the
+ *   server asks to wait longer than 30 s, the error is raised instead.
+ * - Requests to hosts with a usage limit (Nominatim) are queued so that
+ *   attempts, retries included, stay under it.
+ * - Aborting `signal` rejects immediately with the abort reason (an
+ *   "AbortError"), without retrying.
+ *
+ * Failures are raised as NetworkError, TimeoutError, HttpStatusError or
+ * ParseError, all subclasses of RequestError.
+ *
  * @param {string} url
+ * @param {FetchJsonOptions} [options]
  * @returns {Promise<any>}
  */
-export async function fetchJson(url) {
-    const res = await fetch(url);
+export async function fetchJson(url, options = {}) {
+    const {
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        retries = DEFAULT_RETRIES,
+        retryBaseMs = DEFAULT_RETRY_BASE_MS,
+        signal,
+    } = options;
 
-    if (!res.ok) {
-        throw new Error(`Request failed with status ${res.status}`);
-    }
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw signal.reason;
+
+        await waitForHostSlot(url, signal);
 
-    return res.json();
+        let res;
+        try {
+            res = await fetchWithTimeout(url, options, timeoutMs);
+        } catch (err) {
+            if (err instanceof NetworkError && attempt < retries) {
+                await sleep(backoffDelay(attempt, retryBaseMs), signal);
+                continue;
+            }
+            throw err;
+        }
+
+        if (!res.ok) {
+            const error = new HttpStatusError(url, res.status);
+            if (!isRetryableStatus(res.status) || attempt >= retries) throw error;
+
+            const retryAfter = parseRetryAfter(res.headers?.get("Retry-After"));
+            if (retryAfter != null && retryAfter > MAX_RETRY_DELAY_MS) throw error;
+
+            await sleep(retryAfter ?? backoffDelay(attempt, retryBaseMs), signal);
+            continue;
+        }
+
+        try {
+            return await res.json();
+        } catch (err) {
+            if (signal?.aborted) throw signal.reason;
+            throw new ParseError(url, { cause: err });
+        }
+    }
 }
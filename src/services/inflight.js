@@ -0,0 +1,87 @@
+/**
+ * Shared in-flight request bookkeeping.
+ *
+ * @typedef {Object} InFlightEntry
+ * @property {Promise<any>} promise The shared underlying work.
+ * @property {AbortController} controller Aborts the shared work.
+ * @property {number} subscribers Callers still waiting on the result.
+ */
+
+/** @type {Map<string, InFlightEntry>} */
+const IN_FLIGHT = new Map();
+
+/**
+ * Build an AbortError matching what fetch() rejects with.
+ *
+ * @param {AbortSignal} signal
+ * @returns {any}
+ */
+function abortReason(signal) {
+    return signal.reason ?? new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * Run `work` once per key, sharing the promise between concurrent callers.
+ *
+ * Each caller may pass its own AbortSignal. Aborting it rejects only that
+ * caller's promise; the shared work is aborted once every caller waiting on
+ * it has given up. The entry is removed as soon as the work settles, so
+ * this only coalesces requests that overlap in time (caching is separate).
+ *
+ * @template T
+ * @param {string} key Identity of the work, e.g. a cache key.
+ * @param {(signal: AbortSignal) => Promise<T>} work
+ * @param {AbortSignal} [signal] Caller's cancellation signal.
+ * @returns {Promise<T>}
+ */
+export function sharedRequest(key, work, signal) {
+    if (signal?.aborted) return Promise.reject(abortReason(signal));
+
+    let entry = IN_FLIGHT.get(key);
+    if (!entry) {
+        const controller = new AbortController();
+        const promise = work(controller.signal).finally(() => {
+            if (IN_FLIGHT.get(key) === entry) IN_FLIGHT.delete(key);
+        });
+        entry = { promise, controller, subscribers: 0 };
+        IN_FLIGHT.set(key, entry);
+    }
+
+    const current = entry;
+    current.subscribers++;
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+
+        const release = () => {
+            settled = true;
+            current.subscribers--;
+            signal?.removeEventListener("abort", onAbort);
+        };
+
+        const onAbort = () => {
+            if (settled) return;
+            release();
+            if (current.subscribers === 0) {
+                current.controller.abort(abortReason(signal));
+                if (IN_FLIGHT.get(key) === current) IN_FLIGHT.delete(key);
+            }
+            reject(abortReason(signal));
+        };
+
+        signal?.addEventListener("abort", onAbort, { once: true });
+
+        current.promise.then(
+            (value) => {
+                if (settled) return;
+                release();
+                resolve(value);
+            },
+            (err) => {
+                if (settled) return;
+                release();
+                reject(err);
+            }
+        );
+    });
+}
@@ -0,0 +1,50 @@
+/**
+ * Last location the user viewed, so the app can reopen it (from cache when
+ * offline) instead of starting blank.
+ *
+ * @typedef {Object} LastLocation
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} label
+ */
+
+const LAST_LOCATION_STORAGE_KEY = "weather_last_location_v1";
+
+/**
+ * Read the last viewed location from localStorage.
+ *
+ * @returns {LastLocation|null}
+ */
+export function loadLastLocation() {
+    if (typeof window === "undefined" || !window.localStorage) return null;
+    try {
+        const raw = window.localStorage.getItem(LAST_LOCATION_STORAGE_KEY);
+        if (!raw) return null;
+        const parsed = JSON.parse(raw);
+        if (typeof parsed?.lat !== "number" || typeof parsed?.lon !== "number") return null;
+        return {
+            lat: parsed.lat,
+            lon: parsed.lon,
+            label: typeof parsed.label === "string" ? parsed.label : "",
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Persist the last viewed location to localStorage (best effort).
+ *
+ * @param {LastLocation} location
+ */
+export function saveLastLocation(location) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        window.localStorage.setItem(
+            LAST_LOCATION_STORAGE_KEY,
+            JSON.stringify({ lat: location.lat, lon: location.lon, label: location.label })
+        );
+    } catch {
+        // Swallow storage errors; this is a convenience only.
+    }
+}
@@ -1,82 +1,19 @@
-import { fetchJson } from "./http.js";
+/**
+ * @typedef {import("./locationQuery").ParsedLocationQuery} ParsedLocationQuery
+ * @typedef {import("./locationQuery").PlaceAttempt} PlaceAttempt
+ */
+
+import { fetchJson, isAbortError, isBrowserOffline } from "./http.js";
+import { sharedRequest } from "./inflight.js";
+import { readCache, writeCache } from "./cache.js";
+import { parseLocationQuery } from "./locationQuery.js";
+import { recoverPlusCode, formatLatLon } from "./coordinateFormats.js";
 
 const GEO_BASE_URL = "https://geocoding-api.open-meteo.com/v1/search";
 const NOMINATIM_REVERSE_URL = "https://nominatim.openstreetmap.org/reverse";
 
-/** 5-digit US ZIP code. */
-const ZIP_REGEX = /^\d{5}$/;
-
-/** "City, ST" where ST is a 2-letter US state code. */
-const CITY_STATE_REGEX = /^([^,]+),\s*([A-Za-z]{2})$/;
-
-const US_STATE_NAMES = {
-    AL: "Alabama",
-    AK: "Alaska",
-    AZ: "Arizona",
-    AR: "Arkansas",
-    CA: "California",
-    CO: "Colorado",
-    CT: "Connecticut",
-    DE: "Delaware",
-    FL: "Florida",
-    GA: "Georgia",
-    HI: "Hawaii",
-    ID: "Idaho",
-    IL: "Illinois",
-    IN: "Indiana",
-    IA: "Iowa",
-    KS: "Kansas",
-    KY: "Kentucky",
-    LA: "Louisiana",
-    ME: "Maine",
-    MD: "Maryland",
-    MA: "Massachusetts",
-    MI: "Michigan",
-    MN: "Minnesota",
-    MS: "Mississippi",
-    MO: "Missouri",
-    MT: "Montana",
-    NE: "Nebraska",
-    NV: "Nevada",
-    NH: "New Hampshire",
-    NJ: "New Jersey",
-    NM: "New Mexico",
-    NY: "New York",
-    NC: "North Carolina",
-    ND: "North Dakota",
-    OH: "Ohio",
-    OK: "Oklahoma",
-    OR: "Oregon",
-    PA: "Pennsylvania",
-    RI: "Rhode Island",
-    SC: "South Carolina",
-    SD: "South Dakota",
-    TN: "Tennessee",
-    TX: "Texas",
-    UT: "Utah",
-    VT: "Vermont",
-    VA: "Virginia",
-    WA: "Washington",
-    WV: "West Virginia",
-    WI: "Wisconsin",
-    WY: "Wyoming",
-    DC: "District of Columbia",
-};
-
-/**
- * Parsed form of a free-form location query.
- *
- * kind:
- * - "zip":     5-digit US ZIP ("80202")
- * - "city_state": "City, ST" ("Denver, CO")
- * - "generic": everything else
- *
- * @typedef {(
- *   { kind: "zip", zip: string } |
- *   { kind: "city_state", city: string, stateCode: string } |
- *   { kind: "generic", raw: string }
- * )} ParsedLocationQuery
- */
+/** Contact address sent with Nominatim requests, per its usage policy. */
+const NOMINATIM_CONTACT_EMAIL = import.meta.env?.VITE_NOMINATIM_EMAIL || "";
 
 /**
  * Result of a successful geocode lookup.
@@ -91,143 +28,349 @@ const US_STATE_NAMES = {
  */
 
 /**
- * Classify a free-form query string into ZIP, "City, ST", or generic.
- *
- * Example inputs:
- * - "80202"      -> { kind: "zip", zip: "80202" }
- * - "Denver, CO" -> { kind: "city_state", city: "Denver", stateCode: "CO" }
- * - "Berlin"     -> { kind: "generic", raw: "Berlin" }
+ * A candidate place for type-ahead suggestions.
  *
- * @param {string} query
- * @returns {ParsedLocationQuery}
+ * @typedef {Object} LocationSuggestion
+ * @property {number} id Geocoder ID, stable across searches.
+ * @property {string} name Place name, e.g. "Springfield".
+ * @property {string|null} admin1 State/region, e.g. "Illinois".
+ * @property {string|null} country Country name, e.g. "United States".
+ * @property {string|null} countryCode ISO 3166-1 alpha-2 code.
+ * @property {number|null} population
+ * @property {number|null} elevation Meters above sea level.
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} label Same format as GeocodedLocation.label.
  */
-function parseLocationQuery(query) {
-    const trimmed = query.trim();
-    if (!trimmed) return { kind: "generic", raw: "" };
-
-    if (ZIP_REGEX.test(trimmed)) {
-        return { kind: "zip", zip: trimmed };
-    }
-
-    const match = trimmed.match(CITY_STATE_REGEX);
-    if (match) {
-        const city = match[1].trim();
-        const stateCode = match[2].toUpperCase();
-        return { kind: "city_state", city, stateCode };
-    }
 
-    return { kind: "generic", raw: trimmed };
-}
+/** Minimum query length the geocoder will search for. */
+export const MIN_SUGGESTION_QUERY_LENGTH = 2;
 
 /**
- * Geocode a location query string to latitude/longitude and a display label.
+ * Build the geocoder search URL for a parsed query.
  *
- * Uses the Open-Meteo Geocoding API and applies some US-specific behavior:
- * - ZIP queries are constrained to US and limited to 1 result.
- * - "City, ST" queries prefer matching the expected state name when possible.
- *
- * Throws if no results are found.
+ * ZIP and postal code queries are constrained to their country and
+ * limited to 1 result. Place queries ask for several results, filtered to
+ * the attempt's country if it has one, so the caller can pick the one in
+ * the right region.
  *
- * @param {string} query Free-form user input (ZIP, "City, ST", or other).
- * @returns {Promise<GeocodedLocation>}
+ * @param {ParsedLocationQuery} parsed
+ * @param {number} count Results to ask for (ignored for postal codes).
+ * @param {PlaceAttempt|null} [attempt] Scope for "place" queries.
+ * @returns {URL}
  */
-export async function geocodeLocation(query) {
-    const parsed = parseLocationQuery(query);
-
+function buildSearchUrl(parsed, count, attempt = null) {
     const url = new URL(GEO_BASE_URL);
     url.searchParams.set("language", "en");
     url.searchParams.set("format", "json");
 
-    /** @type {string | null} */
-    let desiredStateName = null;
-
     if (parsed.kind === "zip") {
         url.searchParams.set("name", parsed.zip);
         url.searchParams.set("count", "1");
         url.searchParams.set("countryCode", "US");
-    } else if (parsed.kind === "city_state") {
+    } else if (parsed.kind === "postal") {
+        url.searchParams.set("name", parsed.postalCode);
+        url.searchParams.set("count", "1");
+        url.searchParams.set("countryCode", parsed.countryCode);
+    } else if (parsed.kind === "place") {
         url.searchParams.set("name", parsed.city);
-        url.searchParams.set("count", "10");
-        url.searchParams.set("countryCode", "US");
-
-        desiredStateName = US_STATE_NAMES[parsed.stateCode] || null;
+        url.searchParams.set("count", String(Math.max(count, 10)));
+        if (attempt?.countryCode) url.searchParams.set("countryCode", attempt.countryCode);
     } else {
         url.searchParams.set("name", parsed.raw);
-        url.searchParams.set("count", "1");
+        url.searchParams.set("count", String(count));
     }
 
-    const data = await fetchJson(url.toString());
+    return url;
+}
 
-    if (!data.results || data.results.length === 0) {
-        throw new Error(`No results found for "${query}".`);
+/**
+ * Whether a geocoder result lies in the country and region an attempt
+ * asked for. Attempts without a region match on country alone.
+ *
+ * @param {any} result
+ * @param {PlaceAttempt} attempt
+ * @returns {boolean}
+ */
+function matchesAttempt(result, attempt) {
+    if (attempt.countryCode && result.country_code !== attempt.countryCode) return false;
+    if (!attempt.region) return !!attempt.countryCode;
+    return (
+        typeof result.admin1 === "string" &&
+        result.admin1.toLowerCase() === attempt.region.toLowerCase()
+    );
+}
+
+/**
+ * User-facing label for a geocoder result, e.g. "Denver, Colorado, US".
+ *
+ * @param {any} result
+ * @returns {string}
+ */
+function formatResultLabel(result) {
+    return [result.name, result.admin1, result.country_code].filter(Boolean).join(", ");
+}
+
+/**
+ * Run the geocoder search for a parsed query and pick the best result.
+ *
+ * Place queries try each attempt in order and stop at the first result in
+ * the requested region ("Denver, CO" checks Colorado before Colombia). If
+ * no attempt matches, the first result of the first search that returned
+ * anything is used.
+ *
+ * @param {ParsedLocationQuery} parsed
+ * @param {AbortSignal|undefined} signal
+ * @returns {Promise<any|null>} Raw geocoder result, or null if none.
+ */
+async function findBestResult(parsed, signal) {
+    if (parsed.kind !== "place") {
+        const data = await fetchJson(buildSearchUrl(parsed, 1).toString(), { signal });
+        return data?.results?.[0] ?? null;
     }
 
-    /** @type {any} */
-    let result = data.results[0];
-
-    // For "City, ST" queries, try to pick a result whose admin1 matches the
-    // expected full state name (e.g. "Colorado").
-    if (desiredStateName) {
-        const desiredLower = desiredStateName.toLowerCase();
-        const match = data.results.find(
-            (r) =>
-                typeof r.admin1 === "string" &&
-                r.admin1.toLowerCase() === desiredLower
-        );
-        if (match) result = match;
+    let fallback = null;
+    for (const attempt of parsed.attempts) {
+        const url = buildSearchUrl(parsed, 10, attempt);
+        const data = await fetchJson(url.toString(), { signal });
+        const results = Array.isArray(data?.results) ? data.results : [];
+
+        const match = results.find((r) => matchesAttempt(r, attempt));
+        if (match) return match;
+        fallback ??= results[0] ?? null;
     }
+    return fallback;
+}
 
-    const labelParts = [
-        result.name,
-        result.admin1,
-        result.country_code,
-    ].filter(Boolean);
+/**
+ * Resolve a short Plus Code against the place it was given with,
+ * e.g. "CWC8+R9 Mountain View, CA".
+ *
+ * @param {{ code: string, locality: string }} parsed
+ * @param {AbortSignal|undefined} signal
+ * @returns {Promise<GeocodedLocation>}
+ */
+async function geocodePlusCode(parsed, signal) {
+    const reference = await findBestResult(parseLocationQuery(parsed.locality), signal);
+    if (!reference) {
+        throw new Error(`No results found for "${parsed.locality}".`);
+    }
+
+    const { code, lat, lon } = recoverPlusCode(parsed.code, reference.latitude, reference.longitude);
+    return {
+        lat,
+        lon,
+        label: `${code} near ${formatResultLabel(reference)} (${formatLatLon(lat, lon)})`,
+    };
+}
+
+/**
+ * Geocode a location query string to latitude/longitude and a display label.
+ *
+ * Uses the Open-Meteo Geocoding API, scoped by what the query contains
+ * (see parseLocationQuery):
+ * - US ZIP and other postal codes are constrained to their country and
+ *   limited to 1 result.
+ * - "City, Region" and "City, Country" queries prefer results in that
+ *   region or country.
+ * - Typed positions (lat/lon, DMS, full Plus Codes, MGRS, UTM) are decoded
+ *   locally without a request. Short Plus Codes geocode their locality and
+ *   recover the full code nearest to it.
+ *
+ * Results are cached by normalized query under the "geocode" cache source.
+ *
+ * Throws if no results are found.
+ *
+ * @param {string} query Free-form user input ("80202", "Denver, CO", "K1A 0B1", "Paris, France"…).
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<GeocodedLocation>}
+ */
+export async function geocodeLocation(query, options = {}) {
+    const cacheKey = query.trim().toLowerCase();
+    const cached = await readCache("geocode", cacheKey);
+    if (cached?.fresh) return cached.value;
+
+    const parsed = parseLocationQuery(query);
+    if (parsed.kind === "coords") {
+        return { lat: parsed.lat, lon: parsed.lon, label: parsed.label };
+    }
+    if (parsed.kind === "plus_code") {
+        const location = await geocodePlusCode(parsed, options.signal);
+        await writeCache("geocode", cacheKey, location);
+        return location;
+    }
+
+    const result = await findBestResult(parsed, options.signal);
+
+    if (!result) {
+        throw new Error(`No results found for "${query}".`);
+    }
 
-    return /** @type {GeocodedLocation} */ ({
+    /** @type {GeocodedLocation} */
+    const location = {
         lat: result.latitude,
         lon: result.longitude,
-        label: labelParts.join(", "),
-    });
+        label: formatResultLabel(result),
+    };
+
+    await writeCache("geocode", cacheKey, location);
+    return location;
 }
 
 /**
- * Reverse-geocode coordinates into a human-readable label using Nominatim.
+ * Search for places matching a partial query, for type-ahead suggestions.
  *
- * This is optional for geolocation:
- * failure is logged and returns null rather than throwing.
+ * Unlike geocodeLocation, every candidate is returned so the user can
+ * tell apart places that share a name ("Springfield", "Portland"). For
+ * "City, Region" or "City, Country" input, results there are listed
+ * first. When a short code is ambiguous ("CO": Colorado or Colombia) the
+ * search is not filtered by country, so both can be offered.
  *
- * Example output: "Denver, Colorado, US".
+ * Results are cached under the "geocode" source alongside full lookups.
+ * Queries shorter than MIN_SUGGESTION_QUERY_LENGTH, and typed positions
+ * (coordinates, Plus Codes, grid references), return no results without
+ * a request.
  *
- * @param {number} lat Latitude in decimal degrees.
- * @param {number} lon Longitude in decimal degrees.
- * @returns {Promise<string|null>}
+ * @param {string} query Partial user input.
+ * @param {{ signal?: AbortSignal, count?: number }} [options]
+ * @returns {Promise<Array<LocationSuggestion>>}
+ */
+export async function searchLocations(query, options = {}) {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_SUGGESTION_QUERY_LENGTH) return [];
+
+    const count = options.count ?? 8;
+    const cacheKey = `suggest:${count}:${trimmed.toLowerCase()}`;
+    const cached = await readCache("geocode", cacheKey);
+    if (cached?.fresh) return cached.value;
+
+    const parsed = parseLocationQuery(trimmed);
+    // Typed positions are decoded on submit; the geocoder has nothing to add.
+    if (parsed.kind === "coords" || parsed.kind === "plus_code") return [];
+
+    const attempts = parsed.kind === "place" ? parsed.attempts : [];
+    const url = buildSearchUrl(parsed, count, attempts.length === 1 ? attempts[0] : null);
+    const data = await fetchJson(url.toString(), { signal: options.signal });
+    const results = Array.isArray(data?.results) ? data.results : [];
+
+    /** @type {Array<LocationSuggestion>} */
+    const suggestions = results
+        .map((r, i) => ({ r, i, preferred: attempts.some((a) => matchesAttempt(r, a)) }))
+        .sort((a, b) => Number(b.preferred) - Number(a.preferred) || a.i - b.i)
+        .slice(0, count)
+        .map(({ r }) => ({
+            id: r.id,
+            name: r.name,
+            admin1: r.admin1 ?? null,
+            country: r.country ?? null,
+            countryCode: r.country_code ?? null,
+            population: r.population ?? null,
+            elevation: r.elevation ?? null,
+            lat: r.latitude,
+            lon: r.longitude,
+            label: formatResultLabel(r),
+        }));
+
+    await writeCache("geocode", cacheKey, suggestions);
+    return suggestions;
+}
+
+/**
+ * Ask Nominatim for the place at a position.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {AbortSignal} signal
+ * @returns {Promise<string|null>} Null when Nominatim has no place there (open sea).
  */
-export async function reverseGeocodeCoords(lat, lon) {
+async function fetchReverseLabel(lat, lon, signal) {
     const url = new URL(NOMINATIM_REVERSE_URL);
     url.searchParams.set("lat", String(lat));
     url.searchParams.set("lon", String(lon));
     url.searchParams.set("format", "jsonv2");
     url.searchParams.set("zoom", "10");
+    if (NOMINATIM_CONTACT_EMAIL) url.searchParams.set("email", NOMINATIM_CONTACT_EMAIL);
+
+    // The label is optional, so don't keep "Use My Location" waiting on
+    // many retries, each spaced out by the rate limit.
+    const data = await fetchJson(url.toString(), { signal, retries: 1 });
+    const address = data?.address || {};
+
+    const parts = [
+        address.city ||
+        address.town ||
+        address.village ||
+        address.hamlet ||
+        address.suburb,
+        address.state,
+        address.country_code?.toUpperCase(),
+    ].filter(Boolean);
+
+    return parts.length ? parts.join(", ") : null;
+}
 
+/**
+ * Label a position from the bundled gazetteer, loaded on first use.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Promise<string|null>}
+ */
+async function offlineReverseLabel(lat, lon) {
     try {
-        const data = await fetchJson(url.toString());
-        const address = data?.address || {};
-
-        const parts = [
-            address.city ||
-            address.town ||
-            address.village ||
-            address.hamlet ||
-            address.suburb,
-            address.state,
-            address.country_code?.toUpperCase(),
-        ].filter(Boolean);
-
-        if (!parts.length) return null;
-
-        return parts.join(", ");
+        const { nearestPlaceLabel } = await import("./gazetteer.js");
+        return nearestPlaceLabel(lat, lon);
     } catch (err) {
-        console.warn("reverseGeocodeCoords failed", err);
+        console.warn("Offline gazetteer unavailable", err);
         return null;
     }
 }
+
+/**
+ * Reverse-geocode coordinates into a human-readable label using Nominatim.
+ *
+ * This is optional for geolocation: it never throws, except with the abort
+ * error when `signal` is aborted.
+ *
+ * - Labels are cached under the "reverseGeocode" cache source, keyed on
+ *   coordinates rounded to 2 decimals (~1 km, finer than the town-level
+ *   answer), so repeat lookups nearby make no request.
+ * - Requests go through fetchJson's per-host queue, which keeps to
+ *   Nominatim's one-request-per-second policy, and identical lookups in
+ *   flight are shared. Set VITE_NOMINATIM_EMAIL to identify the app to
+ *   Nominatim beyond the Referer header the browser sends.
+ * - When Nominatim cannot be reached or has no answer, an expired cached
+ *   label is used, then the nearest town from the bundled gazetteer
+ *   ("Near Boulder, Colorado, US"), then null.
+ *
+ * Example output: "Denver, Colorado, US".
+ *
+ * @param {number} lat Latitude in decimal degrees.
+ * @param {number} lon Longitude in decimal degrees.
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string|null>}
+ */
+export async function reverseGeocodeCoords(lat, lon, options = {}) {
+    const cacheKey = `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+    const cached = await readCache("reverseGeocode", cacheKey);
+    if (cached?.fresh) return cached.value;
+
+    if (!isBrowserOffline()) {
+        try {
+            const label = await sharedRequest(
+                `reverseGeocode:${cacheKey}`,
+                (signal) => fetchReverseLabel(lat, lon, signal),
+                options.signal
+            );
+            if (label) {
+                await writeCache("reverseGeocode", cacheKey, label);
+                return label;
+            }
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.warn("reverseGeocodeCoords failed; using offline fallback", err);
+        }
+    }
+
+    return cached?.value ?? offlineReverseLabel(lat, lon);
+}
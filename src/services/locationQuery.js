@@ -0,0 +1,451 @@
+/**
+ * Parsing of free-form location queries ("80202", "Denver, CO",
+ * "Cambridge, Ontario, Canada", "SW1A 1AA", "39.74, -104.99"…) into a
+ * structured form the geocoder can be scoped with. Typed positions are
+ * decoded here directly. Pure and synchronous; no network.
+ */
+
+import {
+    parseCoordinatePair,
+    parseMgrs,
+    parseUtm,
+    classifyPlusCode,
+    decodePlusCode,
+    formatLatLon,
+} from "./coordinateFormats.js";
+
+/** US ZIP code, optionally ZIP+4 ("80202", "80202-1234"). */
+const ZIP_REGEX = /^(\d{5})(?:-\d{4})?$/;
+
+/**
+ * Canadian postal code: the forward sortation area (FSA), optionally
+ * followed by the local delivery unit ("K1A", "K1A 0B1").
+ */
+const CA_POSTAL_REGEX = /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])(?:\s*\d[ABCEGHJ-NPRSTV-Z]\d)?$/i;
+
+/**
+ * UK postcode: the outward code, optionally followed by the inward code
+ * ("M1", "SW1A", "SW1A 1AA"). Single-letter areas are limited to the
+ * ones that exist, and the letter-digit-letter form to the London
+ * districts that use it ("E1W", "N1C", "W1A"), so other Canadian FSAs are
+ * not mistaken for UK codes.
+ */
+const UK_POSTAL_REGEX =
+    /^((?:[BEGLMNSW]\d{1,2}|[A-Z]{2}\d{1,2}|[ENW]1[A-Z]|(?:EC|NW|SE|SW|WC)\d[A-Z]))(?:\s*\d[A-Z]{2})?$/i;
+
+/** Postal code prefixed with a country ("DE-10115", "D-10115", "FR 75001"). */
+const PREFIXED_POSTAL_REGEX = /^([A-Z]{1,2})[-\s](\d{4,6})$/i;
+
+/** Something that looks like a postal code rather than a place name. */
+const POSTAL_LIKE_REGEX = /^(?=.*\d)[A-Z\d][A-Z\d\s-]{1,9}$/i;
+
+const US_STATE_NAMES = {
+    AL: "Alabama",
+    AK: "Alaska",
+    AZ: "Arizona",
+    AR: "Arkansas",
+    CA: "California",
+    CO: "Colorado",
+    CT: "Connecticut",
+    DE: "Delaware",
+    FL: "Florida",
+    GA: "Georgia",
+    HI: "Hawaii",
+    ID: "Idaho",
+    IL: "Illinois",
+    IN: "Indiana",
+    IA: "Iowa",
+    KS: "Kansas",
+    KY: "Kentucky",
+    LA: "Louisiana",
+    ME: "Maine",
+    MD: "Maryland",
+    MA: "Massachusetts",
+    MI: "Michigan",
+    MN: "Minnesota",
+    MS: "Mississippi",
+    MO: "Missouri",
+    MT: "Montana",
+    NE: "Nebraska",
+    NV: "Nevada",
+    NH: "New Hampshire",
+    NJ: "New Jersey",
+    NM: "New Mexico",
+    NY: "New York",
+    NC: "North Carolina",
+    ND: "North Dakota",
+    OH: "Ohio",
+    OK: "Oklahoma",
+    OR: "Oregon",
+    PA: "Pennsylvania",
+    RI: "Rhode Island",
+    SC: "South Carolina",
+    SD: "South Dakota",
+    TN: "Tennessee",
+    TX: "Texas",
+    UT: "Utah",
+    VT: "Vermont",
+    VA: "Virginia",
+    WA: "Washington",
+    WV: "West Virginia",
+    WI: "Wisconsin",
+    WY: "Wyoming",
+    DC: "District of Columbia",
+};
+
+const CA_PROVINCE_NAMES = {
+    AB: "Alberta",
+    BC: "British Columbia",
+    MB: "Manitoba",
+    NB: "New Brunswick",
+    NL: "Newfoundland and Labrador",
+    NS: "Nova Scotia",
+    NT: "Northwest Territories",
+    NU: "Nunavut",
+    ON: "Ontario",
+    PE: "Prince Edward Island",
+    QC: "Quebec",
+    SK: "Saskatchewan",
+    YT: "Yukon",
+};
+
+/** Region abbreviations per country, expanded to the geocoder's admin1. */
+const REGION_NAMES_BY_COUNTRY = {
+    US: US_STATE_NAMES,
+    CA: CA_PROVINCE_NAMES,
+};
+
+/**
+ * Country spellings Intl.DisplayNames does not produce, plus the most
+ * common ISO alpha-3 codes.
+ */
+const COUNTRY_ALIASES = {
+    UK: "GB",
+    "GREAT BRITAIN": "GB",
+    BRITAIN: "GB",
+    ENGLAND: "GB",
+    SCOTLAND: "GB",
+    WALES: "GB",
+    "NORTHERN IRELAND": "GB",
+    USA: "US",
+    "U.S.": "US",
+    "U.S.A.": "US",
+    AMERICA: "US",
+    "UNITED STATES OF AMERICA": "US",
+    HOLLAND: "NL",
+    "THE NETHERLANDS": "NL",
+    "CZECH REPUBLIC": "CZ",
+    D: "DE",
+    MYANMAR: "MM",
+    BURMA: "MM",
+    F: "FR",
+    GBR: "GB",
+    DEU: "DE",
+    FRA: "FR",
+    CAN: "CA",
+    AUS: "AU",
+    NZL: "NZ",
+    IRL: "IE",
+    NLD: "NL",
+    BEL: "BE",
+    CHE: "CH",
+    AUT: "AT",
+    ITA: "IT",
+    ESP: "ES",
+    PRT: "PT",
+    SWE: "SE",
+    NOR: "NO",
+    DNK: "DK",
+    FIN: "FI",
+    POL: "PL",
+    MEX: "MX",
+    JPN: "JP",
+    IND: "IN",
+};
+
+/** Region codes that Intl knows but are not countries. */
+const NON_COUNTRY_CODES = new Set(["EU", "EZ", "UN", "QO", "XA", "XB", "ZZ"]);
+
+/**
+ * Withdrawn or reserved codes that Intl still names, often with the name of
+ * today's country (DD is "Germany", VD "Vietnam"). Left out so names map to
+ * the current ISO 3166-1 code.
+ */
+const DEPRECATED_COUNTRY_CODES = new Set([
+    "AN", "BU", "CS", "DD", "DY", "FX", "HV", "NH", "RH", "SU", "TP", "UK", "VD", "YD", "YU", "ZR",
+]);
+
+/** @type {Map<string, string>|null} Upper-cased country name -> ISO code. */
+let countryNameIndex = null;
+
+/** @type {Set<string>|null} Every code in countryNameIndex. */
+let knownCountryCodes = null;
+
+/**
+ * Build (once) the country-name lookup from the runtime's region names,
+ * so every country is covered without shipping a table.
+ *
+ * @returns {Map<string, string>}
+ */
+function getCountryNameIndex() {
+    if (countryNameIndex) return countryNameIndex;
+
+    countryNameIndex = new Map();
+    try {
+        const names = new Intl.DisplayNames(["en"], { type: "region" });
+        for (let a = 65; a <= 90; a++) {
+            for (let b = 65; b <= 90; b++) {
+                const code = String.fromCharCode(a, b);
+                if (NON_COUNTRY_CODES.has(code) || DEPRECATED_COUNTRY_CODES.has(code)) continue;
+                const name = names.of(code);
+                if (!name || name === code) continue;
+                // First code wins if two current codes ever share a name.
+                if (!countryNameIndex.has(name.toUpperCase())) {
+                    countryNameIndex.set(name.toUpperCase(), code);
+                }
+            }
+        }
+    } catch {
+        // No Intl.DisplayNames: only codes and aliases are recognized.
+    }
+    knownCountryCodes = new Set(countryNameIndex.values());
+    return countryNameIndex;
+}
+
+/**
+ * Resolve a country name, alias or ISO alpha-2 code to an alpha-2 code.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function resolveCountryCode(text) {
+    const upper = text.trim().toUpperCase();
+    if (!upper) return null;
+    if (COUNTRY_ALIASES[upper]) return COUNTRY_ALIASES[upper];
+
+    const index = getCountryNameIndex();
+    if (index.has(upper)) return index.get(upper);
+    if (/^[A-Z]{2}$/.test(upper) && !NON_COUNTRY_CODES.has(upper)) {
+        // Accept any code the runtime knows; without Intl, trust the input.
+        return index.size === 0 || knownCountryCodes.has(upper) ? upper : null;
+    }
+    return null;
+}
+
+/**
+ * Expand a region abbreviation ("CO", "ON") to the full admin1 name for
+ * the given country; full names pass through unchanged.
+ *
+ * @param {string} region
+ * @param {string|null} countryCode
+ * @returns {string}
+ */
+function expandRegion(region, countryCode) {
+    const names = countryCode ? REGION_NAMES_BY_COUNTRY[countryCode] : null;
+    return names?.[region.toUpperCase()] ?? region;
+}
+
+/**
+ * Find the country whose region list has this name or abbreviation, e.g.
+ * "Ontario" -> CA, "co" -> US.
+ *
+ * @param {string} region
+ * @returns {{countryCode: string, region: string}|null}
+ */
+function findRegionCountry(region) {
+    const upper = region.toUpperCase();
+    for (const [countryCode, names] of Object.entries(REGION_NAMES_BY_COUNTRY)) {
+        if (names[upper]) return { countryCode, region: names[upper] };
+        const full = Object.values(names).find((n) => n.toUpperCase() === upper);
+        if (full) return { countryCode, region: full };
+    }
+    return null;
+}
+
+/**
+ * One way to scope a place search: a country filter and/or an admin1
+ * (state/province/region) name the result should match.
+ *
+ * @typedef {Object} PlaceAttempt
+ * @property {string|null} countryCode ISO alpha-2 code to filter by.
+ * @property {string|null} region Full admin1 name to prefer.
+ */
+
+/**
+ * Parsed form of a free-form location query.
+ *
+ * kind:
+ * - "zip":     US ZIP ("80202")
+ * - "postal":  non-US postal code with its country ("K1A", "SW1A", "10115, DE")
+ * - "place":   a place name scoped by region and/or country
+ *              ("Denver, CO", "Paris, France", "Cambridge, Ontario, Canada").
+ *              `attempts` are tried in order until one matches its region;
+ *              ambiguous two-letter codes ("CO": Colorado or Colombia)
+ *              produce more than one.
+ * - "coords":  a typed position, already decoded ("39.74, -104.99", DMS,
+ *              full Plus Code, MGRS or UTM); `label` is readable
+ * - "plus_code": a short Plus Code with the locality it is relative to
+ *              ("CWC8+R9 Denver, CO"); the locality must be geocoded to
+ *              recover the full code
+ * - "generic": a bare name, searched worldwide
+ *
+ * @typedef {(
+ *   { kind: "coords", lat: number, lon: number, label: string } |
+ *   { kind: "plus_code", code: string, locality: string } |
+ *   { kind: "zip", zip: string } |
+ *   { kind: "postal", postalCode: string, countryCode: string } |
+ *   { kind: "place", city: string, attempts: Array<PlaceAttempt> } |
+ *   { kind: "generic", raw: string }
+ * )} ParsedLocationQuery
+ */
+
+/**
+ * Parse a bare postal code whose country can be told from its shape.
+ *
+ * @param {string} text
+ * @returns {ParsedLocationQuery|null}
+ */
+function parsePostalCode(text) {
+    const zip = text.match(ZIP_REGEX);
+    if (zip) return { kind: "zip", zip: zip[1] };
+
+    const prefixed = text.match(PREFIXED_POSTAL_REGEX);
+    if (prefixed) {
+        const countryCode = resolveCountryCode(prefixed[1]);
+        if (countryCode) return { kind: "postal", postalCode: prefixed[2], countryCode };
+    }
+
+    // Geocoders index Canada by FSA and the UK by outward code only. The
+    // UK pattern goes first: the few bare codes that fit both ("E1W",
+    // "N1C") are London districts far more often than New Brunswick or
+    // Ontario ones, which can still be searched as "E1W, Canada".
+    const uk = text.match(UK_POSTAL_REGEX);
+    if (uk) return { kind: "postal", postalCode: uk[1].toUpperCase(), countryCode: "GB" };
+
+    const ca = text.match(CA_POSTAL_REGEX);
+    if (ca) return { kind: "postal", postalCode: ca[1].toUpperCase(), countryCode: "CA" };
+
+    return null;
+}
+
+/**
+ * Scope "City, X" where X is a region or a country.
+ *
+ * @param {string} second
+ * @returns {Array<PlaceAttempt>}
+ */
+function attemptsForSecondPart(second) {
+    /** @type {Array<PlaceAttempt>} */
+    const attempts = [];
+    const upper = second.toUpperCase();
+
+    // Two-letter codes were always US states here; keep that first and
+    // fall back to the country with the same code ("Denver, CO").
+    if (/^[A-Z]{2}$/.test(upper) && US_STATE_NAMES[upper]) {
+        attempts.push({ countryCode: "US", region: US_STATE_NAMES[upper] });
+    }
+
+    const countryCode = resolveCountryCode(second);
+    if (countryCode) attempts.push({ countryCode, region: null });
+
+    if (!attempts.length) {
+        const regionCountry = findRegionCountry(second);
+        attempts.push(regionCountry ?? { countryCode: null, region: second });
+    }
+
+    return attempts;
+}
+
+/**
+ * Decode a typed position: lat/lon pair, Plus Code, MGRS or UTM.
+ *
+ * @param {string} text
+ * @returns {ParsedLocationQuery|null}
+ */
+function parsePosition(text) {
+    const pair = parseCoordinatePair(text);
+    if (pair) return { kind: "coords", ...pair, label: formatLatLon(pair.lat, pair.lon) };
+
+    // Plus Codes may be followed by a locality: "CWC8+R9 Denver, CO".
+    const code = text.split(/[\s,]+/)[0];
+    const locality = text.slice(code.length).replace(/^[\s,]+/, "");
+    const plusCodeKind = classifyPlusCode(code);
+    if (plusCodeKind === "full") {
+        const { lat, lon } = decodePlusCode(code);
+        return { kind: "coords", lat, lon, label: `${code.toUpperCase()} (${formatLatLon(lat, lon)})` };
+    }
+    if (plusCodeKind === "short" && locality) {
+        return { kind: "plus_code", code: code.toUpperCase(), locality };
+    }
+
+    const mgrs = parseMgrs(text);
+    if (mgrs) {
+        const reference = text.replace(/\s+/g, "").toUpperCase();
+        return { kind: "coords", ...mgrs, label: `MGRS ${reference} (${formatLatLon(mgrs.lat, mgrs.lon)})` };
+    }
+
+    const utm = parseUtm(text);
+    if (utm) {
+        return { kind: "coords", ...utm, label: `UTM ${text.toUpperCase()} (${formatLatLon(utm.lat, utm.lon)})` };
+    }
+
+    return null;
+}
+
+/**
+ * Classify a free-form query string.
+ *
+ * Example inputs:
+ * - "80202"                      -> zip
+ * - "K1A 0B1", "SW1A 1AA"        -> postal (CA "K1A", GB "SW1A")
+ * - "10115, Germany", "D-10115"  -> postal (DE)
+ * - "Denver, CO"                 -> place: Colorado, US, then Colombia
+ * - "Paris, France", "Paris, FR" -> place in FR
+ * - "Cambridge, ON, Canada"      -> place in Ontario, CA
+ * - "39.74, -104.99", "39°44'N 104°59'W", "849VCWC8+R9", "13SDE0158"
+ *                                -> coords
+ * - "CWC8+R9 Mountain View"      -> plus_code
+ * - "Berlin"                     -> generic
+ *
+ * @param {string} query
+ * @returns {ParsedLocationQuery}
+ */
+export function parseLocationQuery(query) {
+    const trimmed = query.trim().replace(/\s+/g, " ");
+    if (!trimmed) return { kind: "generic", raw: "" };
+
+    const position = parsePosition(trimmed);
+    if (position) return position;
+
+    const postal = parsePostalCode(trimmed);
+    if (postal) return postal;
+
+    const parts = trimmed.split(",").map((p) => p.trim()).filter(Boolean);
+
+    if (parts.length === 2) {
+        const [first, second] = parts;
+
+        // "10115, DE" / "75001, France": postal code with an explicit country.
+        const countryCode = resolveCountryCode(second);
+        if (countryCode && POSTAL_LIKE_REGEX.test(first)) {
+            return { kind: "postal", postalCode: first.toUpperCase(), countryCode };
+        }
+
+        return { kind: "place", city: first, attempts: attemptsForSecondPart(second) };
+    }
+
+    if (parts.length >= 3) {
+        const city = parts[0];
+        const region = parts[parts.length - 2];
+        const countryCode = resolveCountryCode(parts[parts.length - 1]);
+        if (countryCode) {
+            return {
+                kind: "place",
+                city,
+                attempts: [{ countryCode, region: expandRegion(region, countryCode) }],
+            };
+        }
+    }
+
+    return { kind: "generic", raw: trimmed };
+}
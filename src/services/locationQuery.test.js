@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLocationQuery, resolveCountryCode } from "./locationQuery.js";
+
+test("country names resolve to current ISO codes, not withdrawn ones", () => {
+    assert.equal(resolveCountryCode("Germany"), "DE");
+    assert.equal(resolveCountryCode("Vietnam"), "VN");
+    assert.equal(resolveCountryCode("Yemen"), "YE");
+    assert.equal(resolveCountryCode("Serbia"), "RS");
+    assert.equal(resolveCountryCode("Myanmar"), "MM");
+    assert.equal(resolveCountryCode("Zimbabwe"), "ZW");
+    assert.equal(resolveCountryCode("Vanuatu"), "VU");
+    assert.equal(resolveCountryCode("Curaçao"), "CW");
+    assert.equal(resolveCountryCode("France"), "FR");
+});
+
+test("current codes are accepted and withdrawn ones rejected", () => {
+    for (const code of ["DE", "VN", "YE", "RS", "MM", "ZW", "VU", "CW"]) {
+        assert.equal(resolveCountryCode(code), code);
+    }
+    for (const code of ["DD", "VD", "YD", "CS", "BU", "RH", "NH", "AN"]) {
+        assert.equal(resolveCountryCode(code), null);
+    }
+});
+
+test("place with a country name is scoped to that country", () => {
+    assert.deepEqual(parseLocationQuery("Berlin, Germany"), {
+        kind: "place",
+        city: "Berlin",
+        attempts: [{ countryCode: "DE", region: null }],
+    });
+});
+
+test("postal code with a country name or code", () => {
+    const expected = { kind: "postal", postalCode: "10115", countryCode: "DE" };
+    assert.deepEqual(parseLocationQuery("10115, Germany"), expected);
+    assert.deepEqual(parseLocationQuery("10115, DE"), expected);
+});
+
+test("a two-letter code that is also a US state tries both", () => {
+    const parsed = parseLocationQuery("Hamburg, DE");
+    assert.equal(parsed.kind, "place");
+    assert.deepEqual(
+        parsed.attempts.map((a) => a.countryCode),
+        ["US", "DE"]
+    );
+});
+
+test("London outward codes that look like Canadian FSAs resolve to GB", () => {
+    for (const code of ["E1W", "N1C", "W1A"]) {
+        assert.deepEqual(parseLocationQuery(code), { kind: "postal", postalCode: code, countryCode: "GB" });
+    }
+    assert.deepEqual(parseLocationQuery("SW1A 1AA"), { kind: "postal", postalCode: "SW1A", countryCode: "GB" });
+    assert.deepEqual(parseLocationQuery("E1W 1AA"), { kind: "postal", postalCode: "E1W", countryCode: "GB" });
+});
+
+test("Canadian postal codes still resolve to CA", () => {
+    assert.deepEqual(parseLocationQuery("M5V"), { kind: "postal", postalCode: "M5V", countryCode: "CA" });
+    assert.deepEqual(parseLocationQuery("K1A 0B1"), { kind: "postal", postalCode: "K1A", countryCode: "CA" });
+    assert.deepEqual(parseLocationQuery("E1C 4M3"), { kind: "postal", postalCode: "E1C", countryCode: "CA" });
+});
@@ -0,0 +1,158 @@
+/**
+ * @typedef {import("./weatherApi").MinutelyPoint} MinutelyPoint
+ */
+
+/**
+ * Plain-language summary of the next couple of hours.
+ *
+ * @typedef {Object} Nowcast
+ * @property {string} headline e.g. "Rain starting in about 20 minutes."
+ * @property {Array<MinutelyPoint>} steps The steps the headline covers.
+ * @property {boolean} wetNow Whether it is precipitating at the first step.
+ */
+
+import { formatZonedIsoTime } from "./time.js";
+
+/** Window the nowcast talks about. */
+const NOWCAST_WINDOW_MINUTES = 120;
+const STEP_MINUTES = 15;
+
+/** Minimum 15-minute precipitation (mm) that counts as "wet". */
+const WET_THRESHOLD_MM = 0.1;
+
+const SNOW_CODES = [71, 73, 75, 77, 85, 86];
+const FREEZING_CODES = [56, 57, 66, 67];
+const DRIZZLE_CODES = [51, 53, 55];
+
+/**
+ * Minutes between two local "YYYY-MM-DDTHH:MM" strings.
+ *
+ * Both are parsed as if UTC; they share a timezone, so the offset cancels.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function minutesBetween(from, to) {
+    return (Date.parse(`${to}:00Z`) - Date.parse(`${from}:00Z`)) / 60000;
+}
+
+/**
+ * Whether a step has meaningful precipitation.
+ *
+ * @param {MinutelyPoint} step
+ * @returns {boolean}
+ */
+export function isWetStep(step) {
+    return (step.precipitation ?? 0) >= WET_THRESHOLD_MM;
+}
+
+/**
+ * Name the precipitation type for a run of wet steps, from their weather
+ * codes ("Snow", "Freezing rain", "Drizzle" or "Rain").
+ *
+ * @param {Array<MinutelyPoint>} steps
+ * @returns {string}
+ */
+function describePrecipKind(steps) {
+    const codes = steps.map((s) => s.weatherCode).filter((c) => c != null);
+    if (codes.some((c) => FREEZING_CODES.includes(c))) return "Freezing rain";
+    if (codes.some((c) => SNOW_CODES.includes(c))) return "Snow";
+    if (codes.length && codes.every((c) => DRIZZLE_CODES.includes(c))) return "Drizzle";
+    return "Rain";
+}
+
+/**
+ * Phrase a lead time like "in about 20 minutes".
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function describeLeadTime(minutes) {
+    if (minutes < 10) return "any minute now";
+    if (minutes >= 60) {
+        const hours = Math.round(minutes / 30) / 2;
+        return `in about ${hours} hour${hours === 1 ? "" : "s"}`;
+    }
+    return `in about ${Math.round(minutes / 5) * 5} minutes`;
+}
+
+/**
+ * Phrase how far ahead the steps reach, like "the next 45 minutes".
+ * Rounds down so the headline never claims more than the data covers.
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function describeSpan(minutes) {
+    if (minutes >= 60) {
+        const hours = Math.floor(minutes / 30) / 2;
+        return hours === 1 ? "the next hour" : `the next ${hours} hours`;
+    }
+    const rounded = minutes >= 5 ? Math.floor(minutes / 5) * 5 : Math.max(1, Math.floor(minutes));
+    return `the next ${rounded} minute${rounded === 1 ? "" : "s"}`;
+}
+
+/**
+ * Build a nowcast for up to the next two hours from 15-minute steps.
+ *
+ * Each step's precipitation covers the 15 minutes before its timestamp,
+ * so the first relevant step is the one ending after "now". A cached
+ * forecast may have fewer steps left; the headline then only speaks for
+ * the time they cover.
+ *
+ * Returns null when there is no usable nowcast data (e.g. the forecast
+ * came from a provider without 15-minute data).
+ *
+ * @param {Array<MinutelyPoint>|undefined} minutely15
+ * @param {string} timezone IANA timezone the step times are local to.
+ * @param {Date} [now]
+ * @returns {Nowcast|null}
+ */
+export function buildNowcast(minutely15, timezone, now = new Date()) {
+    if (!Array.isArray(minutely15) || !minutely15.length) return null;
+
+    const nowLocal = formatZonedIsoTime(now, timezone);
+    const steps = minutely15
+        .filter((s) => s.time > nowLocal)
+        .filter((s) => minutesBetween(nowLocal, s.time) <= NOWCAST_WINDOW_MINUTES + STEP_MINUTES);
+
+    if (!steps.length) return null;
+
+    const coveredMinutes = Math.min(
+        NOWCAST_WINDOW_MINUTES,
+        minutesBetween(nowLocal, steps[steps.length - 1].time)
+    );
+    const span = describeSpan(coveredMinutes);
+
+    const wetNow = isWetStep(steps[0]);
+    const changeIdx = steps.findIndex((s) => isWetStep(s) !== wetNow);
+    // Minutes until the step in which the change happens begins.
+    const minutesUntil = (idx) =>
+        Math.max(0, minutesBetween(nowLocal, steps[idx].time) - STEP_MINUTES);
+
+    let headline;
+
+    if (wetNow) {
+        const kind = describePrecipKind(steps.filter(isWetStep));
+        headline =
+            changeIdx === -1
+                ? `${kind} continuing for at least ${span}.`
+                : `${kind} stopping ${describeLeadTime(minutesUntil(changeIdx))}.`;
+    } else if (changeIdx === -1) {
+        headline = `No precipitation expected in ${span}.`;
+    } else {
+        const rest = steps.slice(changeIdx);
+        const stopIdx = rest.findIndex((s) => !isWetStep(s));
+        const wetRun = stopIdx === -1 ? rest : rest.slice(0, stopIdx);
+        const kind = describePrecipKind(wetRun);
+
+        headline = `${kind} starting ${describeLeadTime(minutesUntil(changeIdx))}`;
+        headline +=
+            stopIdx === -1
+                ? "."
+                : `, lasting about ${wetRun.length * STEP_MINUTES} minutes.`;
+    }
+
+    return { headline, steps, wetNow };
+}
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildNowcast } from "./nowcast.js";
+
+const NOW = new Date("2026-01-05T12:00:00Z");
+
+/**
+ * Dry 15-minute steps from 12:15 UTC onwards.
+ *
+ * @param {number} count
+ */
+function drySteps(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const minutes = 12 * 60 + (i + 1) * 15;
+        const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+        const mm = String(minutes % 60).padStart(2, "0");
+        return { time: `2026-01-05T${hh}:${mm}`, precipitation: 0, weatherCode: 3 };
+    });
+}
+
+test("a full set of steps speaks for the next 2 hours", () => {
+    const nowcast = buildNowcast(drySteps(12), "UTC", NOW);
+    assert.equal(nowcast.headline, "No precipitation expected in the next 2 hours.");
+});
+
+test("a cached forecast with fewer steps left only speaks for what they cover", () => {
+    assert.equal(
+        buildNowcast(drySteps(3), "UTC", NOW).headline,
+        "No precipitation expected in the next 45 minutes."
+    );
+    assert.equal(
+        buildNowcast(drySteps(5), "UTC", NOW).headline,
+        "No precipitation expected in the next hour."
+    );
+});
+
+test("ongoing rain is only promised for the covered span", () => {
+    const steps = drySteps(6).map((s) => ({ ...s, precipitation: 0.4, weatherCode: 61 }));
+    assert.equal(
+        buildNowcast(steps, "UTC", NOW).headline,
+        "Rain continuing for at least the next 1.5 hours."
+    );
+});
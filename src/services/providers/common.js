@@ -0,0 +1,211 @@
+/**
+ * @typedef {import("../weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("../weatherApi").DailyPoint} DailyPoint
+ */
+
+import { formatZonedIsoTime } from "../time.js";
+
+const ISO_DURATION_REGEX =
+    /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/;
+
+/**
+ * Build an HourlyPoint with every field present, defaulting to null.
+ *
+ * Adapters only fill in what their upstream API provides, so the UI can
+ * rely on the same keys regardless of which provider answered.
+ *
+ * @param {string} time Local "YYYY-MM-DDTHH:MM" timestamp.
+ * @param {Partial<HourlyPoint>} values
+ * @returns {HourlyPoint}
+ */
+export function makeHourlyPoint(time, values) {
+    return {
+        time,
+        temperature: null,
+        apparentTemperature: null,
+        precipitation: null,
+        humidity: null,
+        dewPoint: null,
+        windSpeed: null,
+        windDirection: null,
+        windGusts: null,
+        cloudCover: null,
+        visibility: null,
+        snowfall: null,
+        snowDepth: null,
+        freezingLevel: null,
+        uvIndex: null,
+        weatherCode: null,
+        ...values,
+        airQuality: null,
+        airQualitySummary: null,
+    };
+}
+
+/**
+ * Parse the subset of ISO 8601 durations used by weather APIs
+ * ("PT1H", "PT6H", "P1DT12H") into whole hours.
+ *
+ * Returns 1 for anything it cannot parse so a single bad interval does not
+ * drop data.
+ *
+ * @param {string} duration
+ * @returns {number}
+ */
+export function parseDurationHours(duration) {
+    const match = ISO_DURATION_REGEX.exec(duration || "");
+    if (!match) return 1;
+
+    const days = Number(match[1] || 0);
+    const hours = Number(match[2] || 0);
+    const minutes = Number(match[3] || 0);
+
+    return Math.max(1, days * 24 + hours + Math.round(minutes / 60));
+}
+
+/**
+ * Pick the "current" conditions from a list of hourly points: the point
+ * for the present hour in the forecast timezone, or the first point.
+ *
+ * @param {Array<HourlyPoint>} hourly
+ * @param {string} timezone IANA timezone ID.
+ * @returns {{time:string, temperature:number, weatherCode:number}|null}
+ */
+export function pickCurrentFromHourly(hourly, timezone) {
+    if (!hourly.length) return null;
+
+    const nowHour = formatZonedIsoTime(new Date(), timezone).slice(0, 13);
+    const point =
+        hourly.find((h) => h.time.slice(0, 13) === nowHour) ?? hourly[0];
+
+    return {
+        time: point.time,
+        temperature: point.temperature,
+        weatherCode: point.weatherCode,
+    };
+}
+
+/**
+ * Drop points past the last requested forecast day, for providers whose
+ * API has no forecast-length parameter. Days are counted in the forecast
+ * timezone, with today as day 1.
+ *
+ * @template {{time: string}} T
+ * @param {Array<T>} points
+ * @param {string} timezone IANA timezone ID.
+ * @param {number|undefined} forecastDays
+ * @returns {Array<T>}
+ */
+export function limitToForecastDays(points, timezone, forecastDays) {
+    if (!forecastDays) return points;
+
+    const today = formatZonedIsoTime(new Date(), timezone).slice(0, 10);
+    const end = new Date(Date.parse(`${today}T00:00:00Z`) + forecastDays * 86400000)
+        .toISOString()
+        .slice(0, 10);
+    return points.filter((p) => p.time.slice(0, 10) < end);
+}
+
+/**
+ * Aggregate hourly points into DailyPoints for providers that do not
+ * return a daily summary of their own.
+ *
+ * - tempMax / tempMin: extremes of the hourly temperatures
+ * - weatherCode: the highest WMO code of the day (codes grow roughly with
+ *   severity, so this surfaces rain/snow/storms over clear hours)
+ * - uvIndexMax: highest hourly UV index, if any
+ * - precipitationSum: total of the hourly amounts
+ * - windSpeedMax / windGustsMax: highest hourly values
+ * - windDirectionDominant: speed-weighted vector mean of the hourly
+ *   directions, so calm hours barely count
+ * - sunrise / sunset / daylightDuration / precipitationProbabilityMax:
+ *   not derivable, always null
+ *
+ * @param {Array<Pick<HourlyPoint, "time"|"temperature"|"weatherCode"> & Partial<HourlyPoint>>} points
+ * @returns {Array<DailyPoint>}
+ */
+export function buildDailyFromHourly(points) {
+    /** @type {Map<string, DailyPoint>} */
+    const byDate = new Map();
+    /** Per-day wind vector sums for the dominant direction. */
+    const windVectors = new Map();
+
+    for (const point of points) {
+        const date = point.time.slice(0, 10);
+        let day = byDate.get(date);
+        if (!day) {
+            day = {
+                date,
+                tempMax: null,
+                tempMin: null,
+                weatherCode: null,
+                sunrise: null,
+                sunset: null,
+                uvIndexMax: null,
+                precipitationSum: null,
+                precipitationProbabilityMax: null,
+                windSpeedMax: null,
+                windGustsMax: null,
+                windDirectionDominant: null,
+                daylightDuration: null,
+            };
+            byDate.set(date, day);
+            windVectors.set(date, { x: 0, y: 0 });
+        }
+
+        if (point.temperature != null) {
+            day.tempMax =
+                day.tempMax == null ? point.temperature : Math.max(day.tempMax, point.temperature);
+            day.tempMin =
+                day.tempMin == null ? point.temperature : Math.min(day.tempMin, point.temperature);
+        }
+        if (point.weatherCode != null) {
+            day.weatherCode =
+                day.weatherCode == null ? point.weatherCode : Math.max(day.weatherCode, point.weatherCode);
+        }
+        if (point.uvIndex != null) {
+            day.uvIndexMax =
+                day.uvIndexMax == null ? point.uvIndex : Math.max(day.uvIndexMax, point.uvIndex);
+        }
+        if (point.precipitation != null) {
+            day.precipitationSum = (day.precipitationSum ?? 0) + point.precipitation;
+        }
+        if (point.windSpeed != null) {
+            day.windSpeedMax =
+                day.windSpeedMax == null ? point.windSpeed : Math.max(day.windSpeedMax, point.windSpeed);
+            if (point.windDirection != null) {
+                const rad = (point.windDirection * Math.PI) / 180;
+                const vector = windVectors.get(date);
+                vector.x += point.windSpeed * Math.sin(rad);
+                vector.y += point.windSpeed * Math.cos(rad);
+            }
+        }
+        if (point.windGusts != null) {
+            day.windGustsMax =
+                day.windGustsMax == null ? point.windGusts : Math.max(day.windGustsMax, point.windGusts);
+        }
+    }
+
+    for (const [date, { x, y }] of windVectors) {
+        if (x === 0 && y === 0) continue;
+        const deg = (Math.atan2(x, y) * 180) / Math.PI;
+        byDate.get(date).windDirectionDominant = Math.round((deg + 360) % 360);
+    }
+
+    return Array.from(byDate.values()).sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+/**
+ * Approximate a WMO weather code from cloud cover alone, used when a
+ * provider reports no precipitation type for an hour.
+ *
+ * @param {number|null} cloudCover Percent, 0–100.
+ * @returns {number|null}
+ */
+export function cloudCoverToWeatherCode(cloudCover) {
+    if (cloudCover == null) return null;
+    if (cloudCover < 20) return 0;
+    if (cloudCover < 50) return 1;
+    if (cloudCover < 85) return 2;
+    return 3;
+}
@@ -0,0 +1,144 @@
+/**
+ * @typedef {import("../weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("../forecastProviders").ProviderForecast} ProviderForecast
+ */
+
+import { fetchJson } from "../http.js";
+import { formatZonedIsoTime } from "../time.js";
+import {
+    makeHourlyPoint,
+    pickCurrentFromHourly,
+    buildDailyFromHourly,
+    limitToForecastDays,
+} from "./common.js";
+
+const MET_LOCATIONFORECAST_URL =
+    "https://api.met.no/weatherapi/locationforecast/2.0/complete";
+
+/**
+ * MET Norway symbol codes (without the _day/_night/_polartwilight suffix)
+ * mapped to the closest WMO weather code.
+ *
+ * Sleet has no WMO equivalent; it is mapped to freezing rain so the road
+ * classifier still treats it as an ice risk.
+ *
+ * @type {Record<string, number>}
+ */
+const MET_SYMBOL_CODES = {
+    clearsky: 0,
+    fair: 1,
+    partlycloudy: 2,
+    cloudy: 3,
+    fog: 45,
+    lightrainshowers: 80,
+    rainshowers: 81,
+    heavyrainshowers: 82,
+    lightrain: 61,
+    rain: 63,
+    heavyrain: 65,
+    lightsleetshowers: 66,
+    sleetshowers: 66,
+    heavysleetshowers: 67,
+    lightsleet: 66,
+    sleet: 66,
+    heavysleet: 67,
+    lightsnowshowers: 85,
+    snowshowers: 85,
+    heavysnowshowers: 86,
+    lightsnow: 71,
+    snow: 73,
+    heavysnow: 75,
+};
+
+/**
+ * Convert a MET Norway symbol code such as "lightrain_night" into a WMO
+ * weather code. Any thunder variant maps to 95.
+ *
+ * @param {string|null|undefined} symbolCode
+ * @returns {number|null}
+ */
+function symbolToWeatherCode(symbolCode) {
+    if (!symbolCode) return null;
+    const base = symbolCode.split("_")[0];
+    if (base.includes("thunder")) return 95;
+    return MET_SYMBOL_CODES[base] ?? null;
+}
+
+/**
+ * Fetch and normalize a MET Norway locationforecast.
+ *
+ * The API returns UTC instants with no timezone for the location, so
+ * timestamps are localized to the browser's timezone. That matches the
+ * common case of looking up where you are; for far-away places the hour
+ * labels are shifted, which is acceptable for a fallback provider.
+ *
+ * Hourly points come from the hourly part of the series (next_1_hours);
+ * the later 6-hourly steps only feed the daily aggregation. The series
+ * runs about 10 days ahead with no past data, so `pastDays` is ignored.
+ *
+ * @param {number} lat Latitude in decimal degrees.
+ * @param {number} lon Longitude in decimal degrees.
+ * @param {import("../forecastProviders").ProviderFetchOptions} [options]
+ * @returns {Promise<ProviderForecast>}
+ */
+async function fetchForecast(lat, lon, options = {}) {
+    const url = new URL(MET_LOCATIONFORECAST_URL);
+    // MET asks clients to use at most 4 decimals.
+    url.searchParams.set("lat", lat.toFixed(4));
+    url.searchParams.set("lon", lon.toFixed(4));
+
+    const data = await fetchJson(url.toString(), { signal: options.signal });
+    const series = Array.isArray(data?.properties?.timeseries)
+        ? data.properties.timeseries
+        : [];
+
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+    /** @type {Array<HourlyPoint>} */
+    const hourly = [];
+    /** @type {Array<HourlyPoint>} */
+    const allSteps = [];
+
+    for (const step of series) {
+        const instant = step?.data?.instant?.details || {};
+        const next1 = step?.data?.next_1_hours;
+        const next6 = step?.data?.next_6_hours;
+        const next = next1 || next6;
+
+        const point = makeHourlyPoint(formatZonedIsoTime(Date.parse(step.time), timezone), {
+            temperature: instant.air_temperature ?? null,
+            humidity: instant.relative_humidity ?? null,
+            dewPoint: instant.dew_point_temperature ?? null,
+            windSpeed: instant.wind_speed != null ? instant.wind_speed * 3.6 : null,
+            windDirection: instant.wind_from_direction ?? null,
+            windGusts:
+                instant.wind_speed_of_gust != null ? instant.wind_speed_of_gust * 3.6 : null,
+            cloudCover: instant.cloud_area_fraction ?? null,
+            uvIndex: instant.ultraviolet_index_clear_sky ?? null,
+            // Past the hourly range, the 6-hour amount stands in so daily
+            // totals still cover the whole day.
+            precipitation: (next1 || next6)?.details?.precipitation_amount ?? null,
+            weatherCode: symbolToWeatherCode(next?.summary?.symbol_code),
+        });
+
+        allSteps.push(point);
+        if (next1) hourly.push(point);
+    }
+
+    return {
+        timezone,
+        current: pickCurrentFromHourly(hourly, timezone),
+        hourly: limitToForecastDays(hourly, timezone, options.forecastDays),
+        daily: buildDailyFromHourly(
+            limitToForecastDays(allSteps, timezone, options.forecastDays)
+        ),
+    };
+}
+
+/** @type {import("../forecastProviders").ForecastProvider} */
+export const metNorwayProvider = {
+    id: "met-norway",
+    label: "MET Norway",
+    supports: () => true,
+    fetchForecast,
+};
@@ -0,0 +1,234 @@
+/**
+ * @typedef {import("../weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("../forecastProviders").ProviderForecast} ProviderForecast
+ */
+
+import { fetchJson } from "../http.js";
+import { formatZonedIsoTime } from "../time.js";
+import {
+    makeHourlyPoint,
+    parseDurationHours,
+    pickCurrentFromHourly,
+    buildDailyFromHourly,
+    cloudCoverToWeatherCode,
+    limitToForecastDays,
+} from "./common.js";
+
+const NWS_POINTS_URL = "https://api.weather.gov/points";
+const HOUR_MS = 60 * 60 * 1000;
+const NWS_HEADERS = { Accept: "application/geo+json" };
+
+/**
+ * Layer names in the gridpoint payload that are stored as instantaneous
+ * values (repeated across their valid interval) vs. accumulations (spread
+ * evenly across their valid interval).
+ */
+const INSTANT_LAYERS = [
+    "temperature",
+    "apparentTemperature",
+    "relativeHumidity",
+    "dewpoint",
+    "windSpeed",
+    "windDirection",
+    "windGust",
+    "skyCover",
+    "visibility",
+];
+const ACCUMULATED_LAYERS = ["quantitativePrecipitation", "snowfallAmount"];
+
+/**
+ * Map of NWS weather "weather" tokens to WMO codes, indexed by intensity.
+ * Missing intensities fall back to "moderate".
+ */
+const NWS_WEATHER_CODES = {
+    thunderstorms: { light: 95, moderate: 95, heavy: 95 },
+    freezing_rain: { light: 66, moderate: 66, heavy: 67 },
+    freezing_drizzle: { light: 56, moderate: 56, heavy: 57 },
+    freezing_spray: { light: 56, moderate: 56, heavy: 57 },
+    ice_pellets: { light: 77, moderate: 77, heavy: 77 },
+    snow_showers: { light: 85, moderate: 85, heavy: 86 },
+    snow: { light: 71, moderate: 73, heavy: 75 },
+    blowing_snow: { light: 71, moderate: 73, heavy: 75 },
+    rain_showers: { light: 80, moderate: 81, heavy: 82 },
+    rain: { light: 61, moderate: 63, heavy: 65 },
+    drizzle: { light: 51, moderate: 53, heavy: 55 },
+    freezing_fog: { light: 48, moderate: 48, heavy: 48 },
+    fog: { light: 45, moderate: 45, heavy: 45 },
+};
+
+/**
+ * Rough coverage check for NWS: the US, its territories in the Caribbean
+ * and the Pacific. The API itself returns 404 for anything else; this just
+ * avoids a pointless round trip.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {boolean}
+ */
+function supports(lat, lon) {
+    const usAndCaribbean = lat >= 17 && lat <= 72 && lon >= -180 && lon <= -64;
+    const pacificTerritories = lat >= 13 && lat <= 21 && lon >= 144 && lon <= 146;
+    return usAndCaribbean || pacificTerritories;
+}
+
+/**
+ * Convert a gridpoint value to the metric units used by WeatherState.
+ *
+ * @param {number|null} value
+ * @param {string} [uom] WMO unit code, e.g. "wmoUnit:degC".
+ * @returns {number|null}
+ */
+function toMetric(value, uom) {
+    if (value == null) return null;
+    switch (uom) {
+        case "wmoUnit:degF":
+            return (value - 32) * 5 / 9;
+        case "wmoUnit:m_s-1":
+            return value * 3.6;
+        default:
+            // degC, km_h-1, m, mm, percent and degrees are already metric.
+            return value;
+    }
+}
+
+/**
+ * Expand a gridpoint layer ({ uom, values: [{ validTime, value }] }) into
+ * a map of UTC hour epoch -> metric value.
+ *
+ * validTime is "start/duration", e.g. "2025-12-05T16:00:00+00:00/PT3H".
+ *
+ * @param {{uom?: string, values?: Array<{validTime: string, value: any}>}|undefined} layer
+ * @param {boolean} accumulated Spread the value across the interval instead
+ *   of repeating it.
+ * @returns {Map<number, any>}
+ */
+function expandLayer(layer, accumulated) {
+    /** @type {Map<number, any>} */
+    const byHour = new Map();
+    const values = Array.isArray(layer?.values) ? layer.values : [];
+
+    for (const entry of values) {
+        const [startStr, durationStr] = String(entry.validTime || "").split("/");
+        const start = Date.parse(startStr);
+        if (Number.isNaN(start)) continue;
+
+        const hours = parseDurationHours(durationStr);
+        let value = entry.value;
+        if (typeof value === "number") {
+            value = toMetric(value, layer.uom);
+            if (accumulated) value = value / hours;
+        }
+
+        for (let h = 0; h < hours; h++) {
+            byHour.set(start + h * HOUR_MS, value);
+        }
+    }
+
+    return byHour;
+}
+
+/**
+ * Derive a WMO weather code from an NWS "weather" entry, falling back to
+ * cloud cover when no precipitation or obstruction is reported.
+ *
+ * @param {Array<{weather: string|null, intensity: string|null}>|null|undefined} conditions
+ * @param {number|null} cloudCover
+ * @returns {number|null}
+ */
+function nwsWeatherToCode(conditions, cloudCover) {
+    let best = null;
+
+    for (const condition of Array.isArray(conditions) ? conditions : []) {
+        const codes = NWS_WEATHER_CODES[condition?.weather];
+        if (!codes) continue;
+        const code = codes[condition.intensity] ?? codes.moderate;
+        if (best == null || code > best) best = code;
+    }
+
+    return best ?? cloudCoverToWeatherCode(cloudCover);
+}
+
+/**
+ * Fetch and normalize a US National Weather Service gridpoint forecast.
+ *
+ * This is a two-step lookup: /points resolves the coordinates to a
+ * forecast office grid cell, then the raw gridpoint layers are expanded
+ * to hourly values and converted to local time in the grid's timezone.
+ *
+ * The gridpoint data has no sunrise/sunset or UV, so those stay null. It
+ * covers about 7 days ahead and nothing in the past, so `pastDays` is
+ * ignored and longer horizons are cut short.
+ *
+ * @param {number} lat Latitude in decimal degrees.
+ * @param {number} lon Longitude in decimal degrees.
+ * @param {import("../forecastProviders").ProviderFetchOptions} [options]
+ * @returns {Promise<ProviderForecast>}
+ */
+async function fetchForecast(lat, lon, options = {}) {
+    const pointUrl = `${NWS_POINTS_URL}/${lat.toFixed(4)},${lon.toFixed(4)}`;
+    const point = await fetchJson(pointUrl, {
+        headers: NWS_HEADERS,
+        signal: options.signal,
+    });
+
+    const gridUrl = point?.properties?.forecastGridData;
+    const timezone = point?.properties?.timeZone;
+    if (!gridUrl || !timezone) {
+        throw new Error("NWS has no forecast grid for this location.");
+    }
+
+    const grid = await fetchJson(gridUrl, {
+        headers: NWS_HEADERS,
+        signal: options.signal,
+    });
+    const props = grid?.properties || {};
+
+    /** @type {Record<string, Map<number, any>>} */
+    const layers = {};
+    for (const name of INSTANT_LAYERS) layers[name] = expandLayer(props[name], false);
+    for (const name of ACCUMULATED_LAYERS) layers[name] = expandLayer(props[name], true);
+    const weatherLayer = expandLayer(props.weather, false);
+
+    // Only emit hours from now on, keyed off the temperature layer.
+    const currentHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const hours = Array.from(layers.temperature.keys())
+        .filter((t) => t >= currentHour)
+        .sort((a, b) => a - b);
+
+    /** @type {Array<HourlyPoint>} */
+    const allHourly = hours.map((t) => {
+        const cloudCover = layers.skyCover.get(t) ?? null;
+        const snowfallMm = layers.snowfallAmount.get(t);
+        return makeHourlyPoint(formatZonedIsoTime(t, timezone), {
+            temperature: layers.temperature.get(t) ?? null,
+            apparentTemperature: layers.apparentTemperature.get(t) ?? null,
+            precipitation: layers.quantitativePrecipitation.get(t) ?? null,
+            humidity: layers.relativeHumidity.get(t) ?? null,
+            dewPoint: layers.dewpoint.get(t) ?? null,
+            windSpeed: layers.windSpeed.get(t) ?? null,
+            windDirection: layers.windDirection.get(t) ?? null,
+            windGusts: layers.windGust.get(t) ?? null,
+            cloudCover,
+            visibility: layers.visibility.get(t) ?? null,
+            snowfall: snowfallMm != null ? snowfallMm / 10 : null,
+            weatherCode: nwsWeatherToCode(weatherLayer.get(t), cloudCover),
+        });
+    });
+
+    const hourly = limitToForecastDays(allHourly, timezone, options.forecastDays);
+
+    return {
+        timezone,
+        current: pickCurrentFromHourly(hourly, timezone),
+        hourly,
+        daily: buildDailyFromHourly(hourly),
+    };
+}
+
+/** @type {import("../forecastProviders").ForecastProvider} */
+export const nwsProvider = {
+    id: "nws",
+    label: "US National Weather Service",
+    supports,
+    fetchForecast,
+};
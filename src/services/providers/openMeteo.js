@@ -0,0 +1,173 @@
+/**
+ * @typedef {import("../weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("../weatherApi").DailyPoint} DailyPoint
+ * @typedef {import("../weatherApi").MinutelyPoint} MinutelyPoint
+ * @typedef {import("../forecastProviders").ProviderForecast} ProviderForecast
+ */
+
+import { fetchJson } from "../http.js";
+
+const FORECAST_BASE_URL = "https://api.open-meteo.com/v1/forecast";
+
+/** 15-minute steps to request for the nowcast (3 hours). */
+const NOWCAST_STEPS = 12;
+
+/**
+ * Safely read an array element by index.
+ * Returns null instead of throwing if the array is missing or too short.
+ *
+ * @param {Array<any>|null|undefined} arr
+ * @param {number} i
+ * @returns {any|null}
+ */
+function safeArrVal(arr, i) {
+    return Array.isArray(arr) ? arr[i] ?? null : null;
+}
+
+/**
+ * Fetch and normalize an Open-Meteo forecast.
+ *
+ * Open-Meteo already returns metric units and local timestamps for the
+ * requested timezone, so this is mostly a column-to-field mapping. Both
+ * the forecast length and past days are requested directly.
+ *
+ * @param {number} lat Latitude in decimal degrees.
+ * @param {number} lon Longitude in decimal degrees.
+ * @param {import("../forecastProviders").ProviderFetchOptions} [options]
+ * @returns {Promise<ProviderForecast>}
+ */
+async function fetchForecast(lat, lon, options = {}) {
+    const url = new URL(FORECAST_BASE_URL);
+    url.searchParams.set("latitude", String(lat));
+    url.searchParams.set("longitude", String(lon));
+    url.searchParams.set(
+        "hourly",
+        [
+            "temperature_2m",
+            "apparent_temperature",
+            "precipitation",
+            "relative_humidity_2m",
+            "dew_point_2m",
+            "wind_speed_10m",
+            "wind_direction_10m",
+            "wind_gusts_10m",
+            "cloudcover",
+            "visibility",
+            "snowfall",
+            "snow_depth",
+            "freezing_level_height",
+            "uv_index",
+            "weathercode",
+        ].join(",")
+    );
+    url.searchParams.set(
+        "daily",
+        [
+            "temperature_2m_max",
+            "temperature_2m_min",
+            "weathercode",
+            "sunrise",
+            "sunset",
+            "uv_index_max",
+            "precipitation_sum",
+            "precipitation_probability_max",
+            "wind_speed_10m_max",
+            "wind_gusts_10m_max",
+            "wind_direction_10m_dominant",
+            "daylight_duration",
+        ].join(",")
+    );
+    url.searchParams.set("minutely_15", "precipitation,weather_code");
+    url.searchParams.set("forecast_minutely_15", String(NOWCAST_STEPS));
+    if (options.forecastDays != null) {
+        url.searchParams.set("forecast_days", String(options.forecastDays));
+    }
+    if (options.pastDays) {
+        url.searchParams.set("past_days", String(options.pastDays));
+    }
+    url.searchParams.set("current_weather", "true");
+    url.searchParams.set("timezone", "auto");
+
+    const data = await fetchJson(url.toString(), { signal: options.signal });
+
+    // Build hourly points.
+    const hourlyData = data.hourly || {};
+    const hourlyTimes = Array.isArray(hourlyData.time) ? hourlyData.time : [];
+
+    /** @type {Array<HourlyPoint>} */
+    const hourly = hourlyTimes.map((time, i) => ({
+        time,
+        temperature: safeArrVal(hourlyData.temperature_2m, i),
+        apparentTemperature: safeArrVal(hourlyData.apparent_temperature, i),
+        precipitation: safeArrVal(hourlyData.precipitation, i),
+        humidity: safeArrVal(hourlyData.relative_humidity_2m, i),
+        dewPoint: safeArrVal(hourlyData.dew_point_2m, i),
+        windSpeed: safeArrVal(hourlyData.wind_speed_10m, i),
+        windDirection: safeArrVal(hourlyData.wind_direction_10m, i),
+        windGusts: safeArrVal(hourlyData.wind_gusts_10m, i),
+        cloudCover: safeArrVal(hourlyData.cloudcover, i),
+        visibility: safeArrVal(hourlyData.visibility, i),
+        snowfall: safeArrVal(hourlyData.snowfall, i),
+        // Open-Meteo reports snow depth in meters; everything else snowy is cm.
+        snowDepth: hourlyData.snow_depth?.[i] != null ? hourlyData.snow_depth[i] * 100 : null,
+        freezingLevel: safeArrVal(hourlyData.freezing_level_height, i),
+        uvIndex: safeArrVal(hourlyData.uv_index, i),
+        weatherCode: safeArrVal(hourlyData.weathercode, i),
+        airQuality: null,
+        airQualitySummary: null,
+    }));
+
+    // Build 15-minute nowcast steps.
+    const minutelyData = data.minutely_15 || {};
+    const minutelyTimes = Array.isArray(minutelyData.time) ? minutelyData.time : [];
+
+    /** @type {Array<MinutelyPoint>} */
+    const minutely15 = minutelyTimes.map((time, i) => ({
+        time,
+        precipitation: safeArrVal(minutelyData.precipitation, i),
+        weatherCode: safeArrVal(minutelyData.weather_code, i),
+    }));
+
+    // Build daily points.
+    const dailyData = data.daily || {};
+    const dailyTimes = Array.isArray(dailyData.time) ? dailyData.time : [];
+
+    /** @type {Array<DailyPoint>} */
+    const daily = dailyTimes.map((d, i) => ({
+        date: d,
+        tempMax: safeArrVal(dailyData.temperature_2m_max, i),
+        tempMin: safeArrVal(dailyData.temperature_2m_min, i),
+        weatherCode: safeArrVal(dailyData.weathercode, i),
+        sunrise: safeArrVal(dailyData.sunrise, i),
+        sunset: safeArrVal(dailyData.sunset, i),
+        uvIndexMax: safeArrVal(dailyData.uv_index_max, i),
+        precipitationSum: safeArrVal(dailyData.precipitation_sum, i),
+        precipitationProbabilityMax: safeArrVal(dailyData.precipitation_probability_max, i),
+        windSpeedMax: safeArrVal(dailyData.wind_speed_10m_max, i),
+        windGustsMax: safeArrVal(dailyData.wind_gusts_10m_max, i),
+        windDirectionDominant: safeArrVal(dailyData.wind_direction_10m_dominant, i),
+        daylightDuration: safeArrVal(dailyData.daylight_duration, i),
+    }));
+
+    return {
+        timezone: data.timezone,
+        current: data.current_weather
+            ? {
+                time: data.current_weather.time,
+                temperature: data.current_weather.temperature,
+                weatherCode: data.current_weather.weathercode,
+            }
+            : null,
+        minutely15,
+        hourly,
+        daily,
+    };
+}
+
+/** @type {import("../forecastProviders").ForecastProvider} */
+export const openMeteoProvider = {
+    id: "open-meteo",
+    label: "Open-Meteo",
+    supports: () => true,
+    fetchForecast,
+};
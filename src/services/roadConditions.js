@@ -1,8 +1,13 @@
 /**
  * Simple derived road condition categories.
- * @typedef {"dry" | "wet" | "snow_ice_risk" | "unknown"} RoadConditionCategory
+ * @typedef {"dry" | "wet" | "snow_ice_risk" | "heavy_snow" | "black_ice_risk" | "unknown"} RoadConditionCategory
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("./weatherApi").DailyPoint} DailyPoint
  */
 
+import { estimateRoadSurface } from "./roadSurface.js";
+import { isHeavySnowHour } from "./snowfall.js";
+
 /**
  * Derive a rough road condition category from weather data.
  *
@@ -46,6 +51,33 @@ export function classifyRoadCondition(temperatureC, precipitationMm, weatherCode
     return "dry";
 }
 
+/**
+ * Road condition for one forecast hour, adding two things to
+ * classifyRoadCondition: snow falling heavily or piling up over the last
+ * few hours is heavy snow rather than a general snow / ice risk, and when
+ * the air is above freezing and looks dry or wet but the pavement model
+ * puts the surface at or below freezing with rain or dew on it, the hour
+ * is flagged as black ice / frost risk.
+ *
+ * @param {Array<HourlyPoint>} hourly
+ * @param {number} index
+ * @param {Array<DailyPoint>} daily Used for sunrise/sunset.
+ * @returns {RoadConditionCategory}
+ */
+export function classifyHourRoadCondition(hourly, index, daily) {
+    const hour = hourly[index];
+    if (!hour) return "unknown";
+    if (isHeavySnowHour(hourly, index)) return "heavy_snow";
+
+    const category = classifyRoadCondition(hour.temperature, hour.precipitation, hour.weatherCode);
+    if (category !== "dry" && category !== "wet") return category;
+    // Black ice is the hazard air temperature hides; below 0 °C the air
+    // already tells the story, so those hours stay as they are.
+    if (hour.temperature == null || hour.temperature <= 0) return category;
+
+    return estimateRoadSurface(hourly, index, daily).iceRisk !== "none" ? "black_ice_risk" : category;
+}
+
 /**
  * Create a human-friendly label and explanation for a road condition category.
  * @param {RoadConditionCategory} category
@@ -71,6 +103,18 @@ export function roadConditionInfo(category) {
                 detail:
                     "Below-freezing temperatures or wintry precipitation increase the risk of snow and ice on road surfaces.",
             };
+        case "heavy_snow":
+            return {
+                label: "Heavy snow accumulation",
+                detail:
+                    "Snow is falling fast enough, or has been falling long enough, to build up on roads. Expect snow-covered lanes until plows and treatment catch up.",
+            };
+        case "black_ice_risk":
+            return {
+                label: "Black ice / frost risk",
+                detail:
+                    "The air is above freezing, but clear, calm conditions are likely cooling the pavement below it. Moisture from recent rain or dew can freeze into a thin, nearly invisible layer, especially on bridges and shaded stretches.",
+            };
         default:
             return {
                 label: "Conditions unknown",
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyHourRoadCondition } from "./roadConditions.js";
+
+/**
+ * Hourly points starting at midnight, with sunrise 07:00 and sunset 17:00.
+ *
+ * @param {Array<Partial<import("./weatherApi").HourlyPoint>>} values
+ */
+function forecast(values) {
+    const hourly = values.map((v, i) => ({
+        time: `2026-01-05T${String(i).padStart(2, "0")}:00`,
+        temperature: 1.5,
+        precipitation: 0,
+        weatherCode: 0,
+        cloudCover: 0,
+        windSpeed: 0,
+        humidity: 80,
+        dewPoint: null,
+        snowfall: null,
+        ...v,
+    }));
+    const daily = [{ date: "2026-01-05", sunrise: "2026-01-05T07:00", sunset: "2026-01-05T17:00" }];
+    return { hourly, daily };
+}
+
+test("rain then a clear, calm night above freezing is black ice risk", () => {
+    const { hourly, daily } = forecast([
+        { precipitation: 1, weatherCode: 61, cloudCover: 100 },
+        { precipitation: 1, weatherCode: 61, cloudCover: 100 },
+        {},
+        {},
+    ]);
+    assert.equal(classifyHourRoadCondition(hourly, 3, daily), "black_ice_risk");
+});
+
+test("a cold, clear hour after snow stays dry, not black ice", () => {
+    const { hourly, daily } = forecast([
+        { temperature: -10, precipitation: 1, weatherCode: 73, snowfall: 0.7 },
+        { temperature: -10, precipitation: 1, weatherCode: 73, snowfall: 0.7 },
+        { temperature: -10 },
+        { temperature: -10 },
+    ]);
+    assert.equal(classifyHourRoadCondition(hourly, 3, daily), "dry");
+});
+
+test("snow does not count as the moisture that freezes into black ice", () => {
+    const { hourly, daily } = forecast([
+        { temperature: 0.5, precipitation: 1, weatherCode: 73, snowfall: 0.7 },
+        { temperature: 0.5, precipitation: 1, weatherCode: 73 },
+        { humidity: 40 },
+        { humidity: 40 },
+    ]);
+    assert.equal(classifyHourRoadCondition(hourly, 3, daily), "dry");
+});
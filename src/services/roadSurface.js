@@ -0,0 +1,193 @@
+/**
+ * Rough pavement temperature and ice model.
+ *
+ * Air temperature alone misses the classic black-ice night: rain clears,
+ * the sky goes clear and calm, and the road radiates heat away until it is
+ * colder than the air. This estimates how far the surface runs below (at
+ * night) or above (by day) the air, then checks for moisture that could
+ * freeze on it: rain in the last few hours, or dew forming because the
+ * surface has dropped to the dew point.
+ *
+ * The numbers are rules of thumb, not a heat-balance model; they are meant
+ * to flag risk, not to forecast the pavement to the degree.
+ *
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("./weatherApi").DailyPoint} DailyPoint
+ */
+
+/**
+ * What the model thinks the road surface is doing in one hour.
+ *
+ * @typedef {Object} RoadSurfaceEstimate
+ * @property {number|null} surfaceTemperature Estimated pavement temperature, °C.
+ * @property {number|null} dewPoint °C; from the forecast, or derived from humidity.
+ * @property {number} recentPrecipitation mm of rain (not snow) over this hour and the
+ *   RECENT_PRECIP_HOURS before it.
+ * @property {number|null} hoursSinceSunset Null in daylight or without sun times.
+ * @property {"none"|"frost"|"black_ice"} iceRisk
+ */
+
+/** Hours of earlier precipitation that can still leave the road wet. */
+export const RECENT_PRECIP_HOURS = 6;
+
+/** Rain (mm) over that window that leaves the pavement wet. */
+const WET_PAVEMENT_MM = 0.2;
+
+/** How far a clear, calm night can cool pavement below the air, °C. */
+const MAX_NIGHT_DEFICIT_C = 4;
+
+/** Hours after sunset for night cooling to fully set in. */
+const NIGHT_COOLING_RAMP_HOURS = 4;
+
+/** How far clear-sky sun can warm pavement above the air, °C. */
+const MAX_DAY_GAIN_C = 3;
+
+/** Hours after sunrise for the sun to fully warm the road. */
+const DAY_WARMING_RAMP_HOURS = 3;
+
+/**
+ * Wind (km/h) mixes warmer air down to the road: no effect below the calm
+ * limit, most of the night cooling gone above the windy one.
+ */
+const CALM_WIND_KMH = 10;
+const WINDY_KMH = 30;
+
+/** Pavement this close to 0 °C counts as freezing, given the model's slack. */
+const FREEZE_MARGIN_C = 0.5;
+
+/** WMO codes for snow, whose precipitation does not wet the road the way rain does. */
+const SNOW_CODES = [71, 73, 75, 77, 85, 86];
+
+/** Snow (cm) per mm of water, the ratio Open-Meteo uses for `snowfall`. */
+const SNOW_CM_PER_MM = 0.7;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Read a local "YYYY-MM-DDTHH:MM" string as if it were UTC. Differences
+ * between two local times then come out right (outside DST changes),
+ * which is all this model needs.
+ *
+ * @param {string|null|undefined} time
+ * @returns {number} Epoch-like ms, or NaN.
+ */
+function localMs(time) {
+    return time ? Date.parse(`${time}Z`) : NaN;
+}
+
+/**
+ * The liquid part of an hour's precipitation. Snowfall is taken out when
+ * the forecast has it; without it, a snow weather code counts the whole
+ * hour as snow.
+ *
+ * @param {HourlyPoint|undefined} hour
+ * @returns {number} mm
+ */
+function liquidPrecipitation(hour) {
+    const total = hour?.precipitation ?? 0;
+    if (hour?.snowfall != null) return Math.max(0, total - hour.snowfall / SNOW_CM_PER_MM);
+    return hour?.weatherCode != null && SNOW_CODES.includes(hour.weatherCode) ? 0 : total;
+}
+
+/**
+ * Dew point from temperature and relative humidity (Magnus formula).
+ *
+ * @param {number|null} temperatureC
+ * @param {number|null} humidity Percent.
+ * @returns {number|null}
+ */
+export function dewPointFromHumidity(temperatureC, humidity) {
+    if (temperatureC == null || humidity == null || humidity <= 0) return null;
+    const a = 17.62;
+    const b = 243.12;
+    const gamma = Math.log(Math.min(humidity, 100) / 100) + (a * temperatureC) / (b + temperatureC);
+    return (b * gamma) / (a - gamma);
+}
+
+/**
+ * Where an hour sits relative to the sun: hours since sunset at night, or
+ * hours since sunrise by day.
+ *
+ * @param {string} time Local hour.
+ * @param {Array<DailyPoint>} daily
+ * @returns {{ night: boolean, hoursSinceSunset: number|null, hoursSinceSunrise: number|null }|null}
+ *   Null without sunrise/sunset for the day.
+ */
+function sunPosition(time, daily) {
+    const date = time.slice(0, 10);
+    const dayIndex = daily.findIndex((d) => d.date === date);
+    const day = daily[dayIndex];
+    const sunrise = localMs(day?.sunrise);
+    const sunset = localMs(day?.sunset);
+    if (Number.isNaN(sunrise) || Number.isNaN(sunset)) return null;
+
+    const t = localMs(time);
+    if (t >= sunrise && t < sunset) {
+        return { night: false, hoursSinceSunset: null, hoursSinceSunrise: (t - sunrise) / HOUR_MS };
+    }
+    if (t >= sunset) {
+        return { night: true, hoursSinceSunset: (t - sunset) / HOUR_MS, hoursSinceSunrise: null };
+    }
+
+    // Before sunrise: count from the previous evening, or assume it set at
+    // about the same time yesterday.
+    const previousSunset = localMs(daily[dayIndex - 1]?.sunset);
+    const lastSunset = Number.isNaN(previousSunset) ? sunset - 24 * HOUR_MS : previousSunset;
+    return { night: true, hoursSinceSunset: (t - lastSunset) / HOUR_MS, hoursSinceSunrise: null };
+}
+
+/**
+ * Estimate the road surface for one forecast hour.
+ *
+ * @param {Array<HourlyPoint>} hourly
+ * @param {number} index Hour to estimate; earlier hours supply recent rain.
+ * @param {Array<DailyPoint>} daily Sunrise/sunset; without them the
+ *   surface is taken to be at air temperature.
+ * @returns {RoadSurfaceEstimate}
+ */
+export function estimateRoadSurface(hourly, index, daily) {
+    const hour = hourly[index];
+    const air = hour?.temperature ?? null;
+
+    let recentPrecipitation = 0;
+    for (let i = Math.max(0, index - RECENT_PRECIP_HOURS); i <= index; i++) {
+        recentPrecipitation += liquidPrecipitation(hourly[i]);
+    }
+
+    const dewPoint = hour?.dewPoint ?? dewPointFromHumidity(air, hour?.humidity ?? null);
+
+    if (air == null) {
+        return { surfaceTemperature: null, dewPoint, recentPrecipitation, hoursSinceSunset: null, iceRisk: "none" };
+    }
+
+    const clearness = hour.cloudCover == null ? 0.5 : 1 - Math.min(100, Math.max(0, hour.cloudCover)) / 100;
+    const wind = hour.windSpeed ?? 0;
+    const calmness =
+        wind <= CALM_WIND_KMH
+            ? 1
+            : Math.max(0.3, 1 - (0.7 * (wind - CALM_WIND_KMH)) / (WINDY_KMH - CALM_WIND_KMH));
+
+    const sun = sunPosition(hour.time, daily);
+    let surfaceTemperature = air;
+    if (sun?.night) {
+        const ramp = Math.min(1, sun.hoursSinceSunset / NIGHT_COOLING_RAMP_HOURS);
+        surfaceTemperature = air - MAX_NIGHT_DEFICIT_C * clearness * calmness * ramp;
+    } else if (sun) {
+        const ramp = Math.min(1, sun.hoursSinceSunrise / DAY_WARMING_RAMP_HOURS);
+        surfaceTemperature = air + MAX_DAY_GAIN_C * clearness * ramp;
+    }
+
+    let iceRisk = /** @type {RoadSurfaceEstimate["iceRisk"]} */ ("none");
+    if (surfaceTemperature <= FREEZE_MARGIN_C) {
+        if (recentPrecipitation >= WET_PAVEMENT_MM) iceRisk = "black_ice";
+        else if (dewPoint != null && surfaceTemperature <= dewPoint) iceRisk = "frost";
+    }
+
+    return {
+        surfaceTemperature,
+        dewPoint,
+        recentPrecipitation,
+        hoursSinceSunset: sun?.hoursSinceSunset ?? null,
+        iceRisk,
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Road conditions as a timeline of windows: consecutive hours with the
+ * same category merged into one span, so hazard periods read as "Snow /
+ * ice risk 2 AM – 9 AM Tue" rather than hour by hour.
+ *
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("./weatherApi").DailyPoint} DailyPoint
+ * @typedef {import("./roadConditions").RoadConditionCategory} RoadConditionCategory
+ */
+
+/**
+ * A run of hours with the same road condition.
+ *
+ * @typedef {Object} HazardWindow
+ * @property {RoadConditionCategory} category
+ * @property {string} start Local "YYYY-MM-DDTHH:MM" of the first hour.
+ * @property {string} end Local time the last hour ends (exclusive).
+ * @property {number} hours
+ * @property {number} startIndex Index of the first hour in `hourly`.
+ */
+
+import { classifyHourRoadCondition } from "./roadConditions.js";
+
+/**
+ * How much a category matters when picking the worst window. Dry and
+ * unknown are not hazards.
+ *
+ * @type {Record<RoadConditionCategory, number>}
+ */
+export const HAZARD_SEVERITY = {
+    dry: 0,
+    unknown: 0,
+    wet: 1,
+    black_ice_risk: 2,
+    snow_ice_risk: 3,
+    heavy_snow: 4,
+};
+
+/** Span searched for the worst window, hours from the first one. */
+export const WORST_WINDOW_LOOKAHEAD_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Local time one hour after a local "YYYY-MM-DDTHH:MM" time.
+ *
+ * @param {string} time
+ * @returns {string}
+ */
+function addHour(time) {
+    return new Date(Date.parse(`${time}Z`) + HOUR_MS).toISOString().slice(0, 16);
+}
+
+/**
+ * Merge the hourly forecast from `startIndex` to the end into windows of
+ * the same road condition.
+ *
+ * @param {Array<HourlyPoint>} hourly
+ * @param {number} startIndex First hour to include (usually the current one).
+ * @param {Array<DailyPoint>} daily Sunrise/sunset for the pavement model.
+ * @returns {Array<HazardWindow>} In time order.
+ */
+export function buildHazardWindows(hourly, startIndex, daily) {
+    /** @type {Array<HazardWindow>} */
+    const windows = [];
+
+    for (let i = Math.max(0, startIndex); i < hourly.length; i++) {
+        const category = classifyHourRoadCondition(hourly, i, daily);
+        const last = windows[windows.length - 1];
+        // Only extend across contiguous hours; a gap in the data starts a new window.
+        if (last && last.category === category && last.end === hourly[i].time) {
+            last.hours++;
+            last.end = addHour(hourly[i].time);
+        } else {
+            windows.push({
+                category,
+                start: hourly[i].time,
+                end: addHour(hourly[i].time),
+                hours: 1,
+                startIndex: i,
+            });
+        }
+    }
+    return windows;
+}
+
+/**
+ * The window that most needs planning around within the lookahead: the
+ * most severe category, then the longest, then the earliest.
+ *
+ * @param {Array<HazardWindow>} windows From buildHazardWindows.
+ * @returns {HazardWindow|null} Null when there is no hazard in the lookahead.
+ */
+export function findWorstWindow(windows) {
+    if (!windows.length) return null;
+    const cutoff = Date.parse(`${windows[0].start}Z`) + WORST_WINDOW_LOOKAHEAD_HOURS * HOUR_MS;
+
+    let worst = null;
+    for (const window of windows) {
+        if (Date.parse(`${window.start}Z`) >= cutoff) break;
+        const severity = HAZARD_SEVERITY[window.category] ?? 0;
+        if (severity === 0) continue;
+        if (
+            !worst ||
+            severity > HAZARD_SEVERITY[worst.category] ||
+            (severity === HAZARD_SEVERITY[worst.category] && window.hours > worst.hours)
+        ) {
+            worst = window;
+        }
+    }
+    return worst;
+}
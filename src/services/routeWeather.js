@@ -0,0 +1,232 @@
+/**
+ * Weather along a drive: sample waypoints on the route, estimate when the
+ * car reaches each one, and classify the road surface for that hour.
+ *
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ * @typedef {import("./roadConditions").RoadConditionCategory} RoadConditionCategory
+ * @typedef {import("./forecastProviders").ProviderPreference} ProviderPreference
+ */
+
+/**
+ * A point on a route.
+ *
+ * @typedef {Object} RoutePoint
+ * @property {number} lat
+ * @property {number} lon
+ */
+
+/**
+ * A sampled waypoint, with its distance from the start.
+ *
+ * @typedef {Object} RouteWaypoint
+ * @property {number} lat
+ * @property {number} lon
+ * @property {number} distanceKm Along the route from the origin.
+ */
+
+/**
+ * Forecast road conditions at one waypoint at its estimated arrival time.
+ *
+ * `hour` is null when the arrival falls outside the forecast, or the
+ * forecast for this waypoint failed (`error` is then set).
+ *
+ * @typedef {Object} RouteSegment
+ * @property {number} index
+ * @property {number} lat
+ * @property {number} lon
+ * @property {number} distanceKm
+ * @property {string} eta ISO timestamp of the estimated arrival.
+ * @property {HourlyPoint|null} hour Forecast hour containing the arrival.
+ * @property {RoadConditionCategory} category
+ * @property {string|null} error
+ */
+
+/**
+ * @typedef {Object} RoutePlan
+ * @property {Array<RouteSegment>} segments Origin first, destination last.
+ * @property {number} totalKm
+ * @property {string} departure ISO timestamp.
+ * @property {string} arrival ISO timestamp.
+ */
+
+import { fetchWeatherForCoords } from "./weatherApi.js";
+import { classifyHourRoadCondition } from "./roadConditions.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { distanceKm, interpolateGreatCircle } from "./geo.js";
+import { formatZonedIsoTime } from "./time.js";
+import { normalizeHorizon } from "./forecastHorizon.js";
+import { isAbortError } from "./http.js";
+
+/** Most waypoints fetched for one trip; longer trips are sampled wider. */
+export const MAX_ROUTE_WAYPOINTS = 24;
+
+/** Closest spacing between waypoints, roughly a forecast grid cell or two. */
+const MIN_WAYPOINT_SPACING_KM = 20;
+
+/** Forecasts fetched at once for a trip. */
+const ROUTE_CONCURRENCY = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Resample a route into evenly spaced waypoints, always keeping the first
+ * and last point. Spacing widens for long routes so there are at most
+ * MAX_ROUTE_WAYPOINTS. Legs between points follow great circles, so a
+ * two-point route is the great-circle path itself.
+ *
+ * @param {Array<RoutePoint>} path At least two points.
+ * @returns {Array<RouteWaypoint>}
+ */
+export function sampleRoute(path) {
+    const legs = [];
+    let totalKm = 0;
+    for (let i = 1; i < path.length; i++) {
+        const length = distanceKm(path[i - 1], path[i]);
+        legs.push({ from: path[i - 1], to: path[i], start: totalKm, length });
+        totalKm += length;
+    }
+
+    const spacing = Math.max(MIN_WAYPOINT_SPACING_KM, totalKm / (MAX_ROUTE_WAYPOINTS - 1));
+    const count = Math.max(1, Math.round(totalKm / spacing));
+
+    /** @type {Array<RouteWaypoint>} */
+    const waypoints = [];
+    let legIndex = 0;
+    for (let i = 0; i <= count; i++) {
+        const target = (totalKm * i) / count;
+        while (legIndex < legs.length - 1 && legs[legIndex].start + legs[legIndex].length < target) {
+            legIndex++;
+        }
+        const leg = legs[legIndex];
+        const fraction = leg && leg.length > 0 ? (target - leg.start) / leg.length : 0;
+        const point = leg
+            ? interpolateGreatCircle(leg.from, leg.to, Math.min(1, Math.max(0, fraction)))
+            : path[0];
+        waypoints.push({ lat: point.lat, lon: point.lon, distanceKm: target });
+    }
+    return waypoints;
+}
+
+/**
+ * Read the track (or, failing that, route) points from a GPX file.
+ *
+ * @param {string} xmlText GPX document.
+ * @returns {Array<RoutePoint>}
+ * @throws {Error} If the file is not GPX or has fewer than two points.
+ */
+export function parseGpxTrack(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) {
+        throw new Error("That file is not valid GPX.");
+    }
+
+    const readPoints = (tag) =>
+        Array.from(doc.getElementsByTagName(tag))
+            .map((el) => ({
+                lat: Number(el.getAttribute("lat")),
+                lon: Number(el.getAttribute("lon")),
+            }))
+            .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+
+    const track = readPoints("trkpt");
+    const points = track.length >= 2 ? track : readPoints("rtept");
+    if (points.length < 2) {
+        throw new Error("The GPX file has no track or route with at least two points.");
+    }
+    return points;
+}
+
+/**
+ * Index of the hourly point covering a moment, matched in the forecast's
+ * own timezone.
+ *
+ * @param {Array<HourlyPoint>} hourly
+ * @param {Date} when
+ * @param {string} timezone
+ * @returns {number} -1 when the moment is outside the forecast.
+ */
+function findHourIndexAt(hourly, when, timezone) {
+    const hourKey = formatZonedIsoTime(when, timezone).slice(0, 13);
+    return hourly.findIndex((h) => h.time.slice(0, 13) === hourKey);
+}
+
+/**
+ * Forecast road conditions along a route for a given departure time.
+ *
+ * Arrival at each waypoint is estimated from the distance travelled at a
+ * constant average speed. Forecasts go through the regular weather service
+ * (and its cache), a few at a time; a failed waypoint is reported in its
+ * segment rather than failing the whole trip.
+ *
+ * @param {Array<RoutePoint>} path Origin, optional intermediate points, destination.
+ * @param {{
+ *   departure: Date,
+ *   speedKmh: number,
+ *   provider?: ProviderPreference,
+ *   signal?: AbortSignal,
+ *   onSegment?: (segment: RouteSegment) => void
+ * }} options `onSegment` is called as each waypoint's forecast arrives.
+ * @returns {Promise<RoutePlan>}
+ */
+export async function planRouteWeather(path, options) {
+    const { departure, speedKmh, provider, signal, onSegment } = options;
+    const waypoints = sampleRoute(path);
+    const totalKm = waypoints[waypoints.length - 1].distanceKm;
+    const arrival = new Date(departure.getTime() + (totalKm / speedKmh) * HOUR_MS);
+
+    // Ask for enough days to cover the arrival.
+    const horizon = normalizeHorizon({
+        forecastDays: Math.ceil((arrival.getTime() - Date.now()) / DAY_MS) + 1,
+        pastDays: 0,
+    });
+
+    const results = await mapWithConcurrency(
+        waypoints,
+        ROUTE_CONCURRENCY,
+        async (waypoint, index) => {
+            const eta = new Date(departure.getTime() + (waypoint.distanceKm / speedKmh) * HOUR_MS);
+            /** @type {RouteSegment} */
+            const segment = {
+                index,
+                lat: waypoint.lat,
+                lon: waypoint.lon,
+                distanceKm: waypoint.distanceKm,
+                eta: eta.toISOString(),
+                hour: null,
+                category: "unknown",
+                error: null,
+            };
+
+            try {
+                const weather = await fetchWeatherForCoords(waypoint.lat, waypoint.lon, undefined, {
+                    provider,
+                    horizon,
+                    signal,
+                });
+                const hourIndex = findHourIndexAt(weather.hourly, eta, weather.timezone);
+                if (hourIndex !== -1) {
+                    segment.hour = weather.hourly[hourIndex];
+                    segment.category = classifyHourRoadCondition(weather.hourly, hourIndex, weather.daily);
+                }
+            } catch (err) {
+                if (isAbortError(err)) throw err;
+                console.warn(`Route forecast failed at waypoint ${index}`, err);
+                segment.error = err?.message || "Forecast unavailable";
+            }
+
+            onSegment?.(segment);
+            return segment;
+        },
+        signal
+    );
+
+    if (signal?.aborted) throw signal.reason;
+
+    return {
+        segments: results.map((r) => (r.status === "fulfilled" ? r.value : null)).filter(Boolean),
+        totalKm,
+        departure: departure.toISOString(),
+        arrival: arrival.toISOString(),
+    };
+}
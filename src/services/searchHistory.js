@@ -0,0 +1,134 @@
+/**
+ * Recent searches, kept in localStorage so they survive reloads, plus the
+ * user's choice to keep no history at all.
+ *
+ * Like favorites.js, every function that changes the list returns a new
+ * array and leaves the input untouched.
+ *
+ * @typedef {Object} SearchHistoryEntry
+ * @property {string} id Coordinates rounded to 4 decimals, as favoriteId.
+ * @property {string} query Text the user typed (or the label they picked).
+ * @property {string} label Label of the place it resolved to.
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} searchedAt ISO timestamp of the latest search.
+ */
+
+import { favoriteId } from "./favorites.js";
+
+const SEARCH_HISTORY_STORAGE_KEY = "weather_search_history_v1";
+const SEARCH_HISTORY_ENABLED_STORAGE_KEY = "weather_search_history_enabled_v1";
+
+/** Most entries kept; the oldest drop off. */
+export const MAX_SEARCH_HISTORY = 10;
+
+/**
+ * Read recent searches from localStorage, newest first, dropping
+ * malformed entries.
+ *
+ * @returns {Array<SearchHistoryEntry>}
+ */
+export function loadSearchHistory() {
+    if (typeof window === "undefined" || !window.localStorage) return [];
+    try {
+        const raw = window.localStorage.getItem(SEARCH_HISTORY_STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        if (!Array.isArray(parsed)) return [];
+        return parsed
+            .filter((e) => typeof e?.lat === "number" && typeof e?.lon === "number")
+            .map((e) => {
+                const label = typeof e.label === "string" ? e.label : "";
+                return {
+                    id: favoriteId(e.lat, e.lon),
+                    query: typeof e.query === "string" && e.query ? e.query : label,
+                    label,
+                    lat: e.lat,
+                    lon: e.lon,
+                    searchedAt: typeof e.searchedAt === "string" ? e.searchedAt : "",
+                };
+            })
+            .slice(0, MAX_SEARCH_HISTORY);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Persist recent searches to localStorage (best effort). An empty list
+ * removes the stored key altogether.
+ *
+ * @param {Array<SearchHistoryEntry>} entries
+ */
+export function saveSearchHistory(entries) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        if (entries.length) {
+            window.localStorage.setItem(SEARCH_HISTORY_STORAGE_KEY, JSON.stringify(entries));
+        } else {
+            window.localStorage.removeItem(SEARCH_HISTORY_STORAGE_KEY);
+        }
+    } catch {
+        // Swallow storage errors; the list still works for this session.
+    }
+}
+
+/**
+ * Whether search history is turned on (the default).
+ *
+ * @returns {boolean}
+ */
+export function loadSearchHistoryEnabled() {
+    if (typeof window === "undefined" || !window.localStorage) return true;
+    try {
+        return window.localStorage.getItem(SEARCH_HISTORY_ENABLED_STORAGE_KEY) !== "false";
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Persist the search history setting (best effort).
+ *
+ * @param {boolean} enabled
+ */
+export function saveSearchHistoryEnabled(enabled) {
+    if (typeof window === "undefined" || !window.localStorage) return;
+    try {
+        window.localStorage.setItem(SEARCH_HISTORY_ENABLED_STORAGE_KEY, String(enabled));
+    } catch {
+        // Swallow storage errors; preference is best-effort only.
+    }
+}
+
+/**
+ * Put a search at the top of the list. Searching the same place again
+ * moves its entry up and updates it rather than adding a duplicate.
+ *
+ * @param {Array<SearchHistoryEntry>} entries
+ * @param {{query: string, label: string, lat: number, lon: number}} search
+ * @param {Date} [now]
+ * @returns {Array<SearchHistoryEntry>}
+ */
+export function recordSearch(entries, search, now = new Date()) {
+    const id = favoriteId(search.lat, search.lon);
+    const entry = {
+        id,
+        query: search.query.trim() || search.label,
+        label: search.label,
+        lat: search.lat,
+        lon: search.lon,
+        searchedAt: now.toISOString(),
+    };
+    return [entry, ...entries.filter((e) => e.id !== id)].slice(0, MAX_SEARCH_HISTORY);
+}
+
+/**
+ * Remove one search.
+ *
+ * @param {Array<SearchHistoryEntry>} entries
+ * @param {string} id
+ * @returns {Array<SearchHistoryEntry>}
+ */
+export function removeSearch(entries, id) {
+    return entries.filter((e) => e.id !== id);
+}
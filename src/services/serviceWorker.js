@@ -0,0 +1,20 @@
+/**
+ * Register the offline service worker (public/sw.js).
+ *
+ * Production builds only: the worker precaches the files listed in the
+ * build's precache-manifest.js, which the dev server does not produce.
+ */
+export function registerServiceWorker() {
+    if (!import.meta.env.PROD) return;
+    if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+
+    window.addEventListener("load", () => {
+        navigator.serviceWorker
+            .register(`${import.meta.env.BASE_URL}sw.js`, {
+                scope: import.meta.env.BASE_URL,
+            })
+            .catch((err) => {
+                console.warn("Service worker registration failed", err);
+            });
+    });
+}
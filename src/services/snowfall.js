@@ -0,0 +1,53 @@
+/**
+ * Snow amounts for the road view: how much falls over the next few hours,
+ * and whether an hour is part of heavy, accumulating snow rather than
+ * passing flurries.
+ *
+ * @typedef {import("./weatherApi").HourlyPoint} HourlyPoint
+ */
+
+/** Spans (hours ahead) shown as running snowfall totals. */
+export const SNOW_ACCUMULATION_HOURS = [6, 12, 24];
+
+/** Snowfall rate (cm/h) that is heavy on its own, about an inch an hour. */
+const HEAVY_SNOW_RATE_CM = 2.5;
+
+/** Snow (cm) over the trailing HEAVY_SNOW_WINDOW_HOURS that builds up on roads. */
+const HEAVY_SNOW_TOTAL_CM = 5;
+const HEAVY_SNOW_WINDOW_HOURS = 6;
+
+/**
+ * Total snowfall over `hours` hours starting at `startIndex`.
+ *
+ * @param {Array<HourlyPoint>} hourly
+ * @param {number} startIndex May be negative; hours before the data are skipped.
+ * @param {number} hours
+ * @returns {number|null} cm; null when the forecast has no snowfall data
+ *   for any of those hours (provider without it, or an old cached forecast).
+ */
+export function snowfallTotal(hourly, startIndex, hours) {
+    let total = null;
+    for (let i = Math.max(0, startIndex); i < Math.min(hourly.length, startIndex + hours); i++) {
+        const snowfall = hourly[i].snowfall;
+        if (snowfall != null) total = (total ?? 0) + snowfall;
+    }
+    return total;
+}
+
+/**
+ * Whether snow is falling in this hour hard enough, or long enough, to
+ * build up on the road: a heavy rate, or a large total over the last few
+ * hours that is still growing.
+ *
+ * @param {Array<HourlyPoint>} hourly
+ * @param {number} index
+ * @returns {boolean}
+ */
+export function isHeavySnowHour(hourly, index) {
+    const snowfall = hourly[index]?.snowfall;
+    if (snowfall == null || snowfall <= 0) return false;
+    if (snowfall >= HEAVY_SNOW_RATE_CM) return true;
+
+    const recent = snowfallTotal(hourly, index - HEAVY_SNOW_WINDOW_HOURS + 1, HEAVY_SNOW_WINDOW_HOURS);
+    return (recent ?? 0) >= HEAVY_SNOW_TOTAL_CM;
+}
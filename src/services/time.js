@@ -102,4 +102,99 @@ export function formatDateLabel(dateStr) {
             day: "numeric",
         });
     }
-}
\ No newline at end of file
+}
+
+/** Cached Intl formatters keyed by IANA timezone ID. */
+const ZONED_FORMATTERS = new Map();
+
+/**
+ * Format an absolute instant as a wall-clock "YYYY-MM-DDTHH:MM" string in
+ * the given IANA timezone. This matches the local timestamps Open-Meteo
+ * returns, so providers that report UTC instants can be joined with the
+ * rest of the app by time string.
+ *
+ * Example: (2025-12-05T23:00Z, "America/Denver") -> "2025-12-05T16:00"
+ *
+ * @param {Date|number} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function formatZonedIsoTime(date, timeZone) {
+    let formatter = ZONED_FORMATTERS.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat("en-CA", {
+            timeZone,
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            hour12: false,
+        });
+        ZONED_FORMATTERS.set(timeZone, formatter);
+    }
+
+    const parts = formatter.formatToParts(date);
+    const get = (type) => parts.find((p) => p.type === type)?.value;
+
+    // Some engines render midnight as "24" with hour12: false.
+    const hour = get("hour") === "24" ? "00" : get("hour");
+
+    return `${get("year")}-${get("month")}-${get("day")}T${hour}:${get("minute")}`;
+}
+
+/**
+ * Inverse of formatZonedIsoTime: the absolute instant at which a wall-clock
+ * "YYYY-MM-DDTHH:MM" string occurs in the given IANA timezone. Lets series
+ * from places in different timezones be lined up on one timeline.
+ *
+ * Example: ("2025-12-05T16:00", "America/Denver") -> 2025-12-05T23:00Z
+ *
+ * @param {string} timeStr
+ * @param {string} timeZone
+ * @returns {number} Epoch ms, or NaN if the string cannot be parsed.
+ */
+export function zonedIsoTimeToEpoch(timeStr, timeZone) {
+    const asUtc = Date.parse(`${timeStr}Z`);
+    if (Number.isNaN(asUtc)) return NaN;
+
+    // Offset of the zone at a given instant, in ms.
+    const offsetAt = (epoch) => Date.parse(`${formatZonedIsoTime(epoch, timeZone)}Z`) - epoch;
+
+    // Two passes settle on the right offset next to DST changes.
+    let epoch = asUtc - offsetAt(asUtc);
+    epoch = asUtc - offsetAt(epoch);
+    return epoch;
+}
+
+/**
+ * Format an absolute ISO timestamp (e.g. WeatherState.fetchedAt) as a short
+ * label in the user's own timezone, like "Fri 4:05 PM".
+ *
+ * @param {string} isoStr
+ * @returns {string}
+ */
+export function formatTimestampLabel(isoStr) {
+    const date = new Date(isoStr);
+    if (Number.isNaN(date.getTime())) return isoStr;
+
+    return date.toLocaleString(undefined, {
+        weekday: "short",
+        hour: "numeric",
+        minute: "2-digit",
+    });
+}
+
+/**
+ * Format a duration in seconds as hours and minutes, e.g. "10h 32m".
+ *
+ * @param {number|null|undefined} seconds
+ * @returns {string}
+ */
+export function formatDurationHm(seconds) {
+    if (seconds == null || Number.isNaN(seconds)) return "–";
+    const totalMinutes = Math.round(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${hours}h ${minutes.toString().padStart(2, "0")}m`;
+}
@@ -36,6 +36,39 @@ export function formatPrecipitation(precipMm, unitSystem) {
     return `${inches.toFixed(2)} in`;
 }
 
+/**
+ * Format a snowfall amount or snow depth in centimeters.
+ * @param {number|null|undefined} snowCm
+ * @param {UnitSystem} unitSystem
+ * @returns {string}
+ */
+export function formatSnow(snowCm, unitSystem) {
+    if (snowCm == null) return "–";
+
+    if (unitSystem === "metric") {
+        return `${snowCm < 10 ? snowCm.toFixed(1) : Math.round(snowCm)} cm`;
+    }
+
+    const inches = snowCm / 2.54;
+    return `${inches < 10 ? inches.toFixed(1) : Math.round(inches)} in`;
+}
+
+/**
+ * Format a height above sea level (e.g. the freezing level) in m or ft.
+ * @param {number|null|undefined} meters
+ * @param {UnitSystem} unitSystem
+ * @returns {string}
+ */
+export function formatElevation(meters, unitSystem) {
+    if (meters == null || Number.isNaN(meters)) return "—";
+
+    if (unitSystem === "metric") {
+        return `${Math.round(meters).toLocaleString()} m`;
+    }
+
+    return `${Math.round(meters * 3.28084).toLocaleString()} ft`;
+}
+
 
 /**
  * Convert a wind speed in km/h to a display string.
@@ -55,6 +88,29 @@ export function formatWindSpeed(speedKmh, unitSystem) {
     return `${Math.round(mph)} mph`;
 }
 
+/**
+ * Convert a speed in km/h to the number shown in the given unit system
+ * (km/h or mph), e.g. to fill a form field.
+ *
+ * @param {number} speedKmh
+ * @param {UnitSystem} unitSystem
+ * @returns {number}
+ */
+export function speedFromKmh(speedKmh, unitSystem) {
+    return unitSystem === "metric" ? speedKmh : speedKmh / 1.609344;
+}
+
+/**
+ * Convert a speed entered in the given unit system back to km/h.
+ *
+ * @param {number} speed km/h or mph
+ * @param {UnitSystem} unitSystem
+ * @returns {number}
+ */
+export function speedToKmh(speed, unitSystem) {
+    return unitSystem === "metric" ? speed : speed * 1.609344;
+}
+
 /**
  * Convert visibility in meters to a display string.
  *
@@ -73,4 +129,39 @@ export function formatVisibility(meters, unitSystem) {
     const miles = meters * (6.27137 * 10 ** -4);
     return `${miles.toFixed(1)} mi`;
 
-}
\ No newline at end of file
+}
+
+/**
+ * Convert a wind direction in degrees (0–360) to a compass label.
+ *
+ * @param {number|null} deg
+ * @returns {string|null} "N", "NE", "E", … or null if unknown
+ */
+export function windDirectionToCompass(deg) {
+    if (deg == null || Number.isNaN(deg)) return null;
+    const dirs = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+    const index = Math.round((deg % 360) / 45) % 8;
+    return dirs[index];
+}
+
+/**
+ * Convert a distance in meters to a display string, using m/ft below
+ * 1 km / 0.1 mi and km/mi above.
+ *
+ * @param {number|null|undefined} meters
+ * @param {UnitSystem} unitSystem
+ * @returns {string}
+ */
+export function formatDistance(meters, unitSystem) {
+    if (meters == null || Number.isNaN(meters)) return "—";
+
+    if (unitSystem === "metric") {
+        if (meters < 1000) return `${Math.round(meters)} m`;
+        const km = meters / 1000;
+        return `${km < 10 ? km.toFixed(1).replace(/\.0$/, "") : Math.round(km)} km`;
+    }
+
+    const miles = meters / 1609.344;
+    if (miles < 0.1) return `${Math.round(meters * 3.28084)} ft`;
+    return `${miles < 10 ? miles.toFixed(1).replace(/\.0$/, "") : Math.round(miles)} mi`;
+}
@@ -17,10 +17,12 @@
  * Single hourly forecast point.
  *
  * All values are normalized to metric units:
- * - temperature / apparentTemperature: °C
+ * - temperature / apparentTemperature / dewPoint: °C
  * - precipitation: mm
  * - windSpeed / windGusts: km/h
  * - visibility: meters
+ * - snowfall / snowDepth: cm
+ * - freezingLevel: meters above sea level
  *
  * @typedef {Object} HourlyPoint
  * @property {string} time ISO-like timestamp "YYYY-MM-DDTHH:MM"
@@ -29,16 +31,31 @@
  * @property {number|null} precipitation
  * @property {number|null} weatherCode
  * @property {number|null} humidity
+ * @property {number|null} [dewPoint] Missing in forecasts cached before it was added.
  * @property {number|null} windSpeed
  * @property {number|null} windDirection
  * @property {number|null} windGusts
  * @property {number|null} cloudCover
  * @property {number|null} visibility
+ * @property {number|null} [snowfall] New snow this hour. Missing in forecasts cached before it was added.
+ * @property {number|null} [snowDepth] Snow on the ground. Missing in older cached forecasts.
+ * @property {number|null} [freezingLevel] Height of the 0 °C level. Missing in older cached forecasts.
  * @property {number|null} uvIndex
  * @property {HourlyAirQuality|undefined} airQuality
  * @property {string|undefined} airQualitySummary
  */
 
+/**
+ * Single 15-minute nowcast step.
+ *
+ * precipitation is the sum over the 15 minutes leading up to `time`, in mm.
+ *
+ * @typedef {Object} MinutelyPoint
+ * @property {string} time ISO-like timestamp "YYYY-MM-DDTHH:MM"
+ * @property {number|null} precipitation
+ * @property {number|null} weatherCode
+ */
+
 /**
  * Single daily forecast point.
  *
@@ -52,6 +69,12 @@
  * @property {string|null} sunrise
  * @property {string|null} sunset
  * @property {number|null} uvIndexMax
+ * @property {number|null} [precipitationSum] Total precipitation in mm.
+ * @property {number|null} [precipitationProbabilityMax] Percent, 0–100.
+ * @property {number|null} [windSpeedMax] km/h
+ * @property {number|null} [windGustsMax] km/h
+ * @property {number|null} [windDirectionDominant] Degrees the wind blows from.
+ * @property {number|null} [daylightDuration] Seconds between sunrise and sunset.
  */
 
 /**
@@ -63,87 +86,68 @@
  * @typedef {Object} WeatherState
  * @property {{lat:number, lon:number}} coords
  * @property {string} locationLabel Human-readable label for the location.
- * @property {string} timezone IANA timezone ID from Open-Meteo.
+ * @property {string} timezone IANA timezone ID of the forecast location.
  * @property {string} fetchedAt ISO timestamp when this state was built.
+ * @property {string} provider ID of the forecast provider that answered.
+ * @property {ForecastHorizon} [horizon] Horizon that was requested; the
+ *   provider may have returned fewer days.
+ * @property {boolean} [offline] Set when this is the last-known forecast,
+ *   served from cache because the network was unreachable.
  * @property {{time:string, temperature:number, weatherCode:number}|null} current
+ * @property {Array<MinutelyPoint>} minutely15 Short-range 15-minute
+ *   steps; empty when the provider has no nowcast.
  * @property {Array<HourlyPoint>} hourly
  * @property {Array<DailyPoint>} daily
  */
 
 /**
- * LocalStorage cache entry for a single weather result.
- *
- * @typedef {Object} WeatherCacheEntry
- * @property {string} key Cache key ("coords:…" or "query:…").
- * @property {string} fetchedAt ISO timestamp, used for trimming.
- * @property {number} expiresAt Epoch ms when this entry should be invalidated.
- * @property {WeatherState} weather
+ * @typedef {import("./forecastProviders").ProviderPreference} ProviderPreference
+ * @typedef {import("./forecastHorizon").ForecastHorizon} ForecastHorizon
  */
 
-import { fetchJson } from "./http.js";
-import { geocodeLocation, reverseGeocodeCoords } from "./locationApi.js";
-import { fetchAirQuality } from "./airQualityApi.js";
-
-const FORECAST_BASE_URL = "https://api.open-meteo.com/v1/forecast";
-const WEATHER_CACHE_STORAGE_KEY = "weather_cache_v1";
-const WEATHER_CACHE_TTL_MS = 15 * 60 * 1000; // 15 minutes
-const WEATHER_CACHE_MAX_ENTRIES = 5;
-
 /**
- * Read the weather cache from localStorage, dropping any expired entries.
+ * Options shared by the fetchWeatherFor* helpers.
  *
- * @returns {Array<WeatherCacheEntry>}
+ * @typedef {Object} FetchWeatherOptions
+ * @property {ProviderPreference} [provider] Provider ID or "auto".
+ * @property {ForecastHorizon} [horizon] Days ahead/back to request;
+ *   defaults to DEFAULT_HORIZON.
+ * @property {AbortSignal} [signal] Cancels this caller's wait.
+ * @property {(weather: WeatherState) => void} [onStale] Called right away
+ *   with a cached forecast that is past its TTL, before the fresh one is
+ *   fetched (stale-while-revalidate). Without it, stale data is ignored.
  */
-function loadWeatherCache() {
-    if (typeof window === "undefined" || !window.localStorage) return [];
-    try {
-        const raw = window.localStorage.getItem(WEATHER_CACHE_STORAGE_KEY);
-        if (!raw) return [];
-        const parsed = JSON.parse(raw);
-        if (!Array.isArray(parsed)) return [];
-        const now = Date.now();
-        // Only keep entries that have not expired yet.
-        return parsed.filter((e) => e && e.expiresAt > now);
-    } catch {
-        return [];
-    }
-}
 
-/**
- * Persist the given cache entries to localStorage.
- *
- * @param {Array<WeatherCacheEntry>} entries
- */
-function saveWeatherCache(entries) {
-    if (typeof window === "undefined" || !window.localStorage) return;
-    try {
-        window.localStorage.setItem(
-            WEATHER_CACHE_STORAGE_KEY,
-            JSON.stringify(entries)
-        );
-    } catch {
-        // Swallow storage errors; cache is best-effort only.
-    }
-}
+import { geocodeLocation, reverseGeocodeCoords } from "./locationApi.js";
+import { fetchAirQuality } from "./airQualityApi.js";
+import { fetchForecastFromProviders, AUTO_PROVIDER } from "./forecastProviders.js";
+import { isAbortError, isConnectivityError, isBrowserOffline } from "./http.js";
+import { sharedRequest } from "./inflight.js";
+import { readCache, writeCache } from "./cache.js";
+import { normalizeHorizon } from "./forecastHorizon.js";
 
 /**
  * Build a cache key for coordinate-based lookups.
  *
  * Coordinates are rounded to 4 decimal places to avoid tiny variations
- * causing separate cache entries.
+ * causing separate cache entries. The provider preference and horizon are
+ * part of the key so switching either does not serve mismatched data.
  *
  * @param {number} lat
  * @param {number} lon
+ * @param {ProviderPreference} provider
+ * @param {ForecastHorizon} horizon
  * @returns {string}
  */
-function makeCoordsCacheKey(lat, lon) {
+function makeCoordsCacheKey(lat, lon, provider, horizon) {
     const latStr = Number(lat).toFixed(4);
     const lonStr = Number(lon).toFixed(4);
-    return `coords:${latStr},${lonStr}`;
+    const span = `${horizon.forecastDays}d-${horizon.pastDays}p`;
+    return `coords:${provider}:${span}:${latStr},${lonStr}`;
 }
 
 /**
- * Build a cache key for query-based lookups.
+ * Build a key for query-based lookups.
  *
  * Query strings are normalized to lowercase and trimmed.
  *
@@ -155,168 +159,27 @@ function makeQueryCacheKey(query) {
 }
 
 /**
- * Look up a WeatherState from the cache using a cache key.
- *
- * Returns null if not found or expired.
- *
- * @param {string} key
- * @returns {WeatherState|null}
- */
-function getCachedWeather(key) {
-    const entries = loadWeatherCache();
-    const entry = entries.find((e) => e.key === key);
-    if (!entry) return null;
-    if (entry.expiresAt <= Date.now()) {
-        // Drop this entry and persist the updated list.
-        saveWeatherCache(entries.filter((e) => e.key !== key));
-        return null;
-    }
-    return entry.weather;
-}
-
-/**
- * Store a WeatherState in the cache under the given key, trimming the cache
- * to the most recent WEATHER_CACHE_MAX_ENTRIES.
- *
- * @param {string} key
- * @param {WeatherState} weather
- */
-function setCachedWeather(key, weather) {
-    const now = Date.now();
-    const expiresAt = now + WEATHER_CACHE_TTL_MS;
-
-    /** @type {Array<WeatherCacheEntry>} */
-    let entries = loadWeatherCache().filter((e) => e.key !== key);
-
-    entries.push({
-        key,
-        fetchedAt: weather.fetchedAt || new Date().toISOString(),
-        expiresAt,
-        weather,
-    });
-
-    // Trim to the most recent WEATHER_CACHE_MAX_ENTRIES by fetchedAt.
-    if (entries.length > WEATHER_CACHE_MAX_ENTRIES) {
-        entries.sort((a, b) => (a.fetchedAt < b.fetchedAt ? -1 : 1));
-        entries = entries.slice(entries.length - WEATHER_CACHE_MAX_ENTRIES);
-    }
-
-    saveWeatherCache(entries);
-}
-
-/**
- * Safely read an array element by index.
- * Returns null instead of throwing if the array is missing or too short.
- *
- * @param {Array<any>|null|undefined} arr
- * @param {number} i
- * @returns {any|null}
- */
-function safeArrVal(arr, i) {
-    return Array.isArray(arr) ? arr[i] ?? null : null;
-}
-
-/**
- * Fetch weather and air-quality data for the given coordinates.
- *
- * This is the core function that:
- * - Calls Open-Meteo forecast API for hourly/daily/current data
- * - Normalizes it into a WeatherState
- * - Merges hourly air-quality data from airQualityApi
- * - Caches the result in localStorage under a coordinate-based key
+ * Fetch a forecast from the providers, merge air quality and cache it.
  *
- * If a cached value is found and still valid, it is returned instead of
- * hitting the network. An optional labelOverride lets callers replace the
- * cached location label without re-fetching data.
+ * This is the uncached network path behind fetchWeatherForCoords; it is
+ * run at most once at a time per cache key (see inflight.js).
  *
- * @param {number} lat Latitude in decimal degrees.
- * @param {number} lon Longitude in decimal degrees.
- * @param {string} [labelOverride] Optional override for the location label.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string|undefined} labelOverride
+ * @param {ProviderPreference} provider
+ * @param {ForecastHorizon} horizon
+ * @param {string} cacheKey
+ * @param {AbortSignal} signal
  * @returns {Promise<WeatherState>}
  */
-export async function fetchWeatherForCoords(lat, lon, labelOverride) {
-    const cacheKey = makeCoordsCacheKey(lat, lon);
-    const cached = getCachedWeather(cacheKey);
-    if (cached) {
-        return {
-            ...cached,
-            locationLabel: labelOverride ?? cached.locationLabel,
-        };
-    }
-
-    const url = new URL(FORECAST_BASE_URL);
-    url.searchParams.set("latitude", String(lat));
-    url.searchParams.set("longitude", String(lon));
-    url.searchParams.set(
-        "hourly",
-        [
-            "temperature_2m",
-            "apparent_temperature",
-            "precipitation",
-            "relative_humidity_2m",
-            "wind_speed_10m",
-            "wind_direction_10m",
-            "wind_gusts_10m",
-            "cloudcover",
-            "visibility",
-            "uv_index",
-            "weathercode",
-        ].join(",")
-    );
-    url.searchParams.set(
-        "daily",
-        [
-            "temperature_2m_max",
-            "temperature_2m_min",
-            "weathercode",
-            "sunrise",
-            "sunset",
-            "uv_index_max",
-        ].join(",")
-    );
-    url.searchParams.set("current_weather", "true");
-    url.searchParams.set("timezone", "auto");
-
-    const data = await fetchJson(url.toString());
-
-    const timezone = data.timezone;
-
-    // Build hourly points.
-    const hourlyData = data.hourly || {};
-    const hourlyTimes = Array.isArray(hourlyData.time) ? hourlyData.time : [];
-
-    /** @type {Array<HourlyPoint>} */
-    const hourly = hourlyTimes.map((time, i) => ({
-        time,
-        temperature: safeArrVal(hourlyData.temperature_2m, i),
-        apparentTemperature: safeArrVal(hourlyData.apparent_temperature, i),
-        precipitation: safeArrVal(hourlyData.precipitation, i),
-        humidity: safeArrVal(hourlyData.relative_humidity_2m, i),
-        windSpeed: safeArrVal(hourlyData.wind_speed_10m, i),
-        windDirection: safeArrVal(hourlyData.wind_direction_10m, i),
-        windGusts: safeArrVal(hourlyData.wind_gusts_10m, i),
-        cloudCover: safeArrVal(hourlyData.cloudcover, i),
-        visibility: safeArrVal(hourlyData.visibility, i),
-        uvIndex: safeArrVal(hourlyData.uv_index, i),
-        weatherCode: safeArrVal(hourlyData.weathercode, i),
-        airQuality: null,
-        airQualitySummary: null,
-    }));
-
-    // Build daily points.
-    const dailyData = data.daily || {};
-    const dailyTimes = Array.isArray(dailyData.time) ? dailyData.time : [];
-
-    /** @type {Array<DailyPoint>} */
-    const daily = dailyTimes.map((d, i) => ({
-        date: d,
-        tempMax: safeArrVal(dailyData.temperature_2m_max, i),
-        tempMin: safeArrVal(dailyData.temperature_2m_min, i),
-        weatherCode: safeArrVal(dailyData.weathercode, i),
-        sunrise: safeArrVal(dailyData.sunrise, i),
-        sunset: safeArrVal(dailyData.sunset, i),
-        uvIndexMax: safeArrVal(dailyData.uv_index_max, i),
-    }));
+async function loadWeatherForCoords(lat, lon, labelOverride, provider, horizon, cacheKey, signal) {
+    const { providerId, forecast } = await fetchForecastFromProviders(lat, lon, provider, {
+        signal,
+        forecastDays: horizon.forecastDays,
+        pastDays: horizon.pastDays,
+    });
+    const { timezone } = forecast;
 
     /** @type {WeatherState} */
     const weather = {
@@ -325,20 +188,17 @@ export async function fetchWeatherForCoords(lat, lon, labelOverride) {
             labelOverride ?? `${lat.toFixed(2)}, ${lon.toFixed(2)}`,
         timezone,
         fetchedAt: new Date().toISOString(),
-        current: data.current_weather
-            ? {
-                time: data.current_weather.time,
-                temperature: data.current_weather.temperature,
-                weatherCode: data.current_weather.weathercode,
-            }
-            : null,
-        hourly,
-        daily,
+        provider: providerId,
+        horizon,
+        current: forecast.current,
+        minutely15: forecast.minutely15 ?? [],
+        hourly: forecast.hourly,
+        daily: forecast.daily,
     };
 
     // Merge air quality into hourly points (best effort).
     try {
-        const aqByTime = await fetchAirQuality(lat, lon, timezone);
+        const aqByTime = await fetchAirQuality(lat, lon, timezone, { signal });
         if (aqByTime && typeof aqByTime === "object") {
             for (const point of weather.hourly) {
                 const aq = aqByTime[point.time];
@@ -356,39 +216,102 @@ export async function fetchWeatherForCoords(lat, lon, labelOverride) {
             }
         }
     } catch (err) {
+        if (isAbortError(err)) throw err;
         console.warn("Failed to merge air quality", err);
     }
 
-    setCachedWeather(cacheKey, weather);
+    await writeCache("forecast", cacheKey, weather);
     return weather;
 }
 
 /**
- * Fetch weather by free-form location query (ZIP, "City, ST", etc.).
+ * Fetch weather and air-quality data for the given coordinates.
+ *
+ * This is the core function that:
+ * - Asks the forecast providers (see forecastProviders.js) for a
+ *   normalized forecast, falling back across providers on failure
+ * - Wraps it into a WeatherState
+ * - Merges hourly air-quality data from airQualityApi
+ * - Caches the result (see cache.js) under a key built from the
+ *   coordinates, provider preference and horizon
+ *
+ * A fresh cached value is returned without hitting the network. A stale
+ * one is handed to `options.onStale` first, then replaced by a network
+ * fetch. When offline (or the fetch fails to connect), the last-known
+ * cached forecast is returned instead, flagged with `offline: true`.
+ * Concurrent calls for the same place share a single in-flight request.
+ * An optional labelOverride lets callers replace the cached location
+ * label without re-fetching data.
+ *
+ * Aborting `options.signal` rejects with an AbortError; the shared request
+ * itself is only cancelled once no caller is waiting on it.
+ *
+ * @param {number} lat Latitude in decimal degrees.
+ * @param {number} lon Longitude in decimal degrees.
+ * @param {string} [labelOverride] Optional override for the location label.
+ * @param {FetchWeatherOptions} [options]
+ * @returns {Promise<WeatherState>}
+ */
+export async function fetchWeatherForCoords(lat, lon, labelOverride, options = {}) {
+    const provider = options.provider ?? AUTO_PROVIDER;
+    const horizon = normalizeHorizon(options.horizon);
+    const cacheKey = makeCoordsCacheKey(lat, lon, provider, horizon);
+
+    /** @param {WeatherState} weather */
+    const withLabel = (weather) => ({
+        ...weather,
+        locationLabel: labelOverride ?? weather.locationLabel,
+    });
+
+    const cached = await readCache("forecast", cacheKey);
+    if (cached?.fresh) return withLabel(cached.value);
+    if (cached && isBrowserOffline()) return withLabel({ ...cached.value, offline: true });
+    if (cached && options.onStale && !options.signal?.aborted) {
+        options.onStale(withLabel(cached.value));
+    }
+
+    try {
+        const weather = await sharedRequest(
+            cacheKey,
+            (signal) =>
+                loadWeatherForCoords(lat, lon, labelOverride, provider, horizon, cacheKey, signal),
+            options.signal
+        );
+        return withLabel(weather);
+    } catch (err) {
+        if (cached && isConnectivityError(err)) {
+            return withLabel({ ...cached.value, offline: true });
+        }
+        throw err;
+    }
+}
+
+/**
+ * Fetch weather by free-form location query (postal code, "City, ST", "City, Country", etc.).
  *
  * This helper:
  * - Normalizes the raw query string
- * - Uses geocodeLocation() to get coordinates and label
- * - Delegates to fetchWeatherForCoords()
- * - Caches the result under a query-based key
+ * - Uses geocodeLocation() to get coordinates and label (cached there)
+ * - Delegates to fetchWeatherForCoords(), which handles forecast caching
+ *   and stale-while-revalidate
  *
- * If a cached result exists, it is returned instead of calling the APIs.
+ * Duplicate concurrent queries share one geocode request, and
+ * `options.signal` cancels this caller's wait.
  *
  * @param {string} query Free-form location string.
+ * @param {FetchWeatherOptions} [options]
  * @returns {Promise<WeatherState>}
  */
-export async function fetchWeatherForQuery(query) {
+export async function fetchWeatherForQuery(query, options = {}) {
     const normalized = query.trim();
-    const cacheKey = makeQueryCacheKey(normalized);
 
-    const cached = getCachedWeather(cacheKey);
-    if (cached) return cached;
-
-    const { lat, lon, label } = await geocodeLocation(normalized);
-    const weather = await fetchWeatherForCoords(lat, lon, label);
+    const { lat, lon, label } = await sharedRequest(
+        makeQueryCacheKey(normalized),
+        (signal) => geocodeLocation(normalized, { signal }),
+        options.signal
+    );
 
-    setCachedWeather(cacheKey, weather);
-    return weather;
+    return fetchWeatherForCoords(lat, lon, label, options);
 }
 
-export { reverseGeocodeCoords };
\ No newline at end of file
+export { reverseGeocodeCoords };
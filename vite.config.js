@@ -1,8 +1,37 @@
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/**
+ * Emit precache-manifest.js next to the build output, listing every
+ * bundled file for the service worker (public/sw.js) to precache.
+ * The version is a hash of the file names, so each build that changes
+ * an asset gets a new cache.
+ */
+function precacheManifest() {
+    return {
+        name: "precache-manifest",
+        apply: "build",
+        generateBundle(_options, bundle) {
+            const files = Object.keys(bundle)
+                .filter((file) => !file.endsWith(".map"))
+                .sort()
+            const version = createHash("sha256")
+                .update(files.join("\n"))
+                .digest("hex")
+                .slice(0, 12)
+
+            this.emitFile({
+                type: "asset",
+                fileName: "precache-manifest.js",
+                source: `self.__PRECACHE_MANIFEST = ${JSON.stringify({ version, files })};\n`,
+            })
+        },
+    }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), precacheManifest()],
     base: "/weather-app-SPA/",
 })